@@ -6,6 +6,20 @@ import { DistanceModal } from './map/DistanceModal';
 import { ResultsDisplay } from './map/ResultsDisplay';
 import { PrintLayout } from './map/PrintLayout';
 import { SidebarControls } from './map/SidebarControls';
+import { PlotList } from './map/PlotList';
+import { UnitSettingsPanel } from './map/UnitSettingsPanel';
+import { CalibrationReport } from './map/CalibrationReport';
+import { AffineCalibrationPanel } from './map/AffineCalibrationPanel';
+import { PerspectivePanel } from './map/PerspectivePanel';
+import { PdfPagePicker } from './map/PdfPagePicker';
+import { RecentProjectsPanel } from './map/RecentProjectsPanel';
+import { ImportPanel } from './map/ImportPanel';
+import { GeoreferencePanel } from './map/GeoreferencePanel';
+import { VertexTablePanel } from './map/VertexTablePanel';
+import { SubdivisionPanel } from './map/SubdivisionPanel';
+import { TracePanel } from './map/TracePanel';
+import { MeasurePanel } from './map/MeasurePanel';
+import { NorthPanel } from './map/NorthPanel';
 import { KonvaStage } from './map/KonvaStage';
 import { useMapState } from '@/hooks/useMapState';
 
@@ -23,39 +37,93 @@ const MapCalculator = () => {
     isPinching, setIsPinching,
     scale, manualScale, setManualScale,
     showManualScale, setShowManualScale,
+    standardScale,
     calibrationLine, setCalibrationLine,
+    lineCalibration,
+    affine, affineCalibration,
+    georeference,
+    showVertexTable, setShowVertexTable,
+    subdivide,
+    trace,
+    measure,
+    northDeg, mapNorth,
+    projectLibrary, currentProjectId,
+    showRecentProjects, setShowRecentProjects,
+    plotExport,
+    boundaryImport,
+    pdfPageCount, pdfPage, pdfThumbnails,
+    showPagePicker, setShowPagePicker,
+    isPageLoading,
+    originalImage,
+    perspectiveCorners,
+    perspectiveWidth, setPerspectiveWidth,
+    perspectiveHeight, setPerspectiveHeight,
+    perspectiveCrop, setPerspectiveCrop,
+    isRectifying,
     isDrawing, setIsDrawing,
-    plotPoints, setPlotPoints,
-    results,
+    plots, activePlotId, activePlot,
+    plotPoints,
+    plotResults, totals,
     isPlotFinished,
     reportImage,
     snapHint, setSnapHint,
+    snapSettings, snapTolerance, crosshairSnap,
     imageName, setImageName,
+    unitSettings,
     
     // Actions
     handleManualScaleSubmit,
     handleClearFile,
     handleImageUpload,
+    selectPdfPage,
     addCenterPoint,
     handleStageMouseDown,
     handleWheel,
     _handleModalSubmit,
+    startPerspective,
+    movePerspectiveCorner,
+    cancelPerspective,
+    applyPerspective,
+    revertPerspective,
     handlePointDragEnd,
+    editPlotVertex,
+    insertPlotVertex,
+    setPlotSideBulge,
+    setPlotSideSagitta,
+    deletePlotVertex,
+    reversePlotVertices,
+    setPlotStartVertex,
+    openVertexTable,
+    updateSnapSettings,
+    cleanPlotGeometry,
     finishPlot,
-    clearPlot,
+    startNewPlot,
+    discardDraftPlot,
+    selectPlot,
+    redrawPlot,
+    renamePlot,
+    setPlotColor,
+    deletePlot,
+    handleUndo,
+    handleRedo,
+    canUndo,
+    canRedo,
+    undoLabel,
+    redoLabel,
     handlePrint,
     handleSaveJSON,
+    handleSaveBundle,
+    openStoredProject,
     handleLoadClick,
     handleLoadChange,
     
     // Helpers
     clamp, zoomAtPoint, getDistance, getMidpoint, getStageCenterPoint,
-    flatPlotPoints,
   } = useMapState();
 
   return (
     <>
-      <DistanceModal isOpen={isModalOpen} onClose={() => { setCalibrationLine([]); setIsDrawing(false); setIsModalOpen(false); }} onSubmit={_handleModalSubmit} />
+      <DistanceModal isOpen={isModalOpen} onClose={() => { setCalibrationLine([]); setIsDrawing(false); setIsModalOpen(false); }} onSubmit={_handleModalSubmit} lengthUnit={unitSettings.lengthUnit} />
       <div className="p-4 md:p-8 print:hidden">
         <div className="max-w-7xl mx-auto">
           <h1 className="text-2xl md:text-3xl font-bold text-foreground mb-2">মৌজা ম্যাপ ক্যালকুলেটর</h1>
@@ -73,32 +141,289 @@ const MapCalculator = () => {
             calibrationLine={calibrationLine}
             setCalibrationLine={setCalibrationLine}
             plotPoints={plotPoints}
-            setPlotPoints={setPlotPoints}
-            isPlotFinished={isPlotFinished}
-            results={results}
+            plotResults={plotResults}
             setIsDrawing={setIsDrawing}
             setIsModalOpen={setIsModalOpen}
             setSnapHint={setSnapHint}
-            clearPlot={clearPlot}
+            snapSettings={snapSettings}
+            updateSnapSettings={updateSnapSettings}
+            discardDraftPlot={discardDraftPlot}
+            startNewPlot={startNewPlot}
+            startTrace={trace.startTrace}
+            startMeasure={measure.startMeasure}
             finishPlot={finishPlot}
             handleImageUpload={handleImageUpload}
             handleClearFile={handleClearFile}
             handleSaveJSON={handleSaveJSON}
+            handleSaveBundle={handleSaveBundle}
+            exportUnitId={plotExport.exportUnitId}
+            setExportUnitId={plotExport.setExportUnitId}
+            handleExportPlots={plotExport.handleExportPlots}
+            canExportKml={Boolean(georeference.georef)}
+            importInputRef={boundaryImport.importInputRef}
+            handleImportClick={boundaryImport.handleImportClick}
+            handleImportChange={boundaryImport.handleImportChange}
+            recentProjectCount={projectLibrary.projects.length}
+            showRecentProjects={showRecentProjects}
+            setShowRecentProjects={setShowRecentProjects}
             handleLoadClick={handleLoadClick}
             handleLoadChange={handleLoadChange}
             handleManualScaleSubmit={handleManualScaleSubmit}
+            sourceDpi={standardScale.sourceDpi}
+            showStandardScale={standardScale.showStandardScale}
+            setShowStandardScale={standardScale.setShowStandardScale}
+            standardScaleDpi={standardScale.standardScaleDpi}
+            setStandardScaleDpi={standardScale.setStandardScaleDpi}
+            standardScalePresetId={standardScale.standardScalePresetId}
+            setStandardScalePresetId={standardScale.setStandardScalePresetId}
+            standardScaleRatio={standardScale.standardScaleRatio}
+            setStandardScaleRatio={standardScale.setStandardScaleRatio}
+            handleStandardScaleSubmit={standardScale.handleStandardScaleSubmit}
+            calibrationMultiMode={lineCalibration.calibrationMultiMode}
+            setCalibrationMultiMode={lineCalibration.setCalibrationMultiMode}
+            showAffinePanel={affineCalibration.showAffinePanel}
+            setShowAffinePanel={affineCalibration.setShowAffinePanel}
+            showGeorefPanel={georeference.showGeorefPanel}
+            setShowGeorefPanel={georeference.setShowGeorefPanel}
+            georef={georeference.georef}
+            showNorthPanel={mapNorth.showNorthPanel}
+            setShowNorthPanel={mapNorth.setShowNorthPanel}
+            north={mapNorth.north}
+            pdfPageCount={pdfPageCount}
+            pdfPage={pdfPage}
+            showPagePicker={showPagePicker}
+            setShowPagePicker={setShowPagePicker}
+            originalImage={originalImage}
+            startPerspective={startPerspective}
+            revertPerspective={revertPerspective}
             loadInputRef={loadInputRef}
             lastCalibClickRef={lastCalibClickRef}
+            handleUndo={handleUndo}
+            handleRedo={handleRedo}
+            canUndo={canUndo}
+            canRedo={canRedo}
+            undoLabel={undoLabel}
+            redoLabel={redoLabel}
+            lengthUnit={unitSettings.lengthUnit}
+            setLengthUnitId={unitSettings.setLengthUnitId}
+          />
+
+          {lineCalibration.calibrationMultiMode && (mode === 'calibrating' || lineCalibration.calibrationLines.length > 0) && (
+            <CalibrationReport
+              calibrationReport={lineCalibration.calibrationReport}
+              calibrationTolerance={lineCalibration.calibrationTolerance}
+              setCalibrationTolerance={lineCalibration.setCalibrationTolerance}
+              lengthUnit={unitSettings.lengthUnit}
+              applyCalibrationLines={lineCalibration.applyCalibrationLines}
+              toggleCalibrationLine={lineCalibration.toggleCalibrationLine}
+              removeCalibrationLine={lineCalibration.removeCalibrationLine}
+            />
+          )}
+
+          {(mode === 'trace' || mode === 'trace_review') && (
+            <TracePanel
+              mode={mode}
+              traceDraft={trace.traceDraft}
+              scale={scale}
+              affine={affine}
+              updateTraceSettings={trace.updateTraceSettings}
+              acceptTrace={trace.acceptTrace}
+              cancelTrace={trace.cancelTrace}
+            />
+          )}
+
+          {(mode === 'measure' || measure.measurements.length > 0) && (
+            <MeasurePanel
+              mode={mode}
+              measureTool={measure.measureTool}
+              measureDraft={measure.measureDraft}
+              measurements={measure.measurements}
+              scale={scale}
+              affine={affine}
+              lengthUnit={unitSettings.lengthUnit}
+              selectMeasureTool={measure.selectMeasureTool}
+              undoMeasurePoint={measure.undoMeasurePoint}
+              keepMeasurement={measure.keepMeasurement}
+              cancelMeasure={measure.cancelMeasure}
+              renameMeasurement={measure.renameMeasurement}
+              deleteMeasurement={measure.deleteMeasurement}
+            />
+          )}
+
+          {mode === 'import_place' && boundaryImport.importDraft && (
+            <ImportPanel
+              importDraft={boundaryImport.importDraft}
+              canPlaceByCoordinates={Boolean(affine && affine.method === 'control_points')}
+              updateImportDraft={boundaryImport.updateImportDraft}
+              confirmImport={boundaryImport.confirmImport}
+              cancelImport={boundaryImport.cancelImport}
+            />
+          )}
+
+          {showRecentProjects && (
+            <RecentProjectsPanel
+              projects={projectLibrary.projects}
+              currentProjectId={currentProjectId}
+              openStoredProject={openStoredProject}
+              renameProject={projectLibrary.renameProject}
+              duplicateProject={projectLibrary.duplicateProject}
+              deleteProject={projectLibrary.deleteProject}
+              onClose={() => setShowRecentProjects(false)}
+            />
+          )}
+
+          {showPagePicker && pdfPageCount > 1 && (
+            <PdfPagePicker
+              pdfPageCount={pdfPageCount}
+              pdfPage={pdfPage}
+              pdfThumbnails={pdfThumbnails}
+              isPageLoading={isPageLoading}
+              selectPdfPage={selectPdfPage}
+              onClose={() => setShowPagePicker(false)}
+            />
+          )}
+
+          {mode === 'perspective' && (
+            <PerspectivePanel
+              perspectiveWidth={perspectiveWidth}
+              setPerspectiveWidth={setPerspectiveWidth}
+              perspectiveHeight={perspectiveHeight}
+              setPerspectiveHeight={setPerspectiveHeight}
+              perspectiveCrop={perspectiveCrop}
+              setPerspectiveCrop={setPerspectiveCrop}
+              isRectifying={isRectifying}
+              lengthUnit={unitSettings.lengthUnit}
+              applyPerspective={applyPerspective}
+              cancelPerspective={cancelPerspective}
+            />
+          )}
+
+          {affineCalibration.showAffinePanel && (
+            <AffineCalibrationPanel
+              mode={mode}
+              setMode={setMode}
+              affine={affine}
+              affineFit={affineCalibration.affineFit}
+              affineMethod={affineCalibration.affineMethod}
+              setAffineMethod={affineCalibration.setAffineMethod}
+              controlPoints={affineCalibration.controlPoints}
+              calibrationLines={lineCalibration.calibrationLines}
+              lengthUnit={unitSettings.lengthUnit}
+              updateControlPoint={affineCalibration.updateControlPoint}
+              removeControlPoint={affineCalibration.removeControlPoint}
+              applyAffineFit={affineCalibration.applyAffineFit}
+              clearAffine={affineCalibration.clearAffine}
+              onClose={() => { affineCalibration.setShowAffinePanel(false); if (mode === 'affine_points') setMode('none'); }}
+            />
+          )}
+
+          {georeference.showGeorefPanel && image && (
+            <GeoreferencePanel
+              mode={mode}
+              setMode={setMode}
+              georef={georeference.georef}
+              georefFit={georeference.georefFit}
+              georefPins={georeference.georefPins}
+              updateGeorefPin={georeference.updateGeorefPin}
+              removeGeorefPin={georeference.removeGeorefPin}
+              applyGeoreference={georeference.applyGeoreference}
+              clearGeoreference={georeference.clearGeoreference}
+              onClose={() => { georeference.setShowGeorefPanel(false); if (mode === 'georef_pins') setMode('none'); }}
+            />
+          )}
+
+          {mapNorth.showNorthPanel && image && (
+            <NorthPanel
+              mode={mode}
+              north={mapNorth.north}
+              northDraft={mapNorth.northDraft}
+              startNorthArrow={mapNorth.startNorthArrow}
+              cancelNorthArrow={mapNorth.cancelNorthArrow}
+              setNorthAngle={mapNorth.setNorthAngle}
+              clearNorth={mapNorth.clearNorth}
+              onClose={() => { mapNorth.setShowNorthPanel(false); mapNorth.cancelNorthArrow(); }}
+            />
+          )}
+
+          <PlotList
+            plots={plots}
+            plotResults={plotResults}
+            activePlotId={activePlotId}
+            mode={mode}
+            selectPlot={selectPlot}
+            renamePlot={renamePlot}
+            setPlotColor={setPlotColor}
+            redrawPlot={redrawPlot}
+            openVertexTable={openVertexTable}
+            cleanPlotGeometry={cleanPlotGeometry}
+            startSubdivision={subdivide.startSubdivision}
+            deletePlot={deletePlot}
+          />
+
+          {mode === 'subdivide' && subdivide.subdivision && subdivide.subdivisionPlot && (
+            <SubdivisionPanel
+              plot={subdivide.subdivisionPlot}
+              subdivision={subdivide.subdivision}
+              subdivisionResult={subdivide.subdivisionResult}
+              scale={scale}
+              affine={affine}
+              lengthUnit={unitSettings.lengthUnit}
+              updateSubdivision={subdivide.updateSubdivision}
+              applySubdivision={subdivide.applySubdivision}
+              cancelSubdivision={subdivide.cancelSubdivision}
+            />
+          )}
+
+          {showVertexTable && scale && activePlot && activePlot.isFinished && (
+            <VertexTablePanel
+              plot={activePlot}
+              scale={scale}
+              affine={affine}
+              lengthUnit={unitSettings.lengthUnit}
+              northDeg={northDeg}
+              editPlotVertex={editPlotVertex}
+              setPlotSideSagitta={setPlotSideSagitta}
+              deletePlotVertex={deletePlotVertex}
+              reversePlotVertices={reversePlotVertices}
+              setPlotStartVertex={setPlotStartVertex}
+              onClose={() => setShowVertexTable(false)}
+            />
+          )}
+
+          <UnitSettingsPanel
+            allUnits={unitSettings.allUnits}
+            customUnits={unitSettings.customUnits}
+            visibleUnitIds={unitSettings.visibleUnitIds}
+            combinedUnitIds={unitSettings.combinedUnitIds}
+            toggleVisibleUnit={unitSettings.toggleVisibleUnit}
+            toggleCombinedUnit={unitSettings.toggleCombinedUnit}
+            addCustomUnit={unitSettings.addCustomUnit}
+            removeCustomUnit={unitSettings.removeCustomUnit}
           />
 
           {/* Scale badge above canvas */}
             {scale && (
               <div className="mb-2 flex items-center gap-2 text-xs">
                 <span className="inline-block px-2 py-1 rounded-full bg-emerald-50 text-emerald-700 border border-emerald-200">1 px ≈ {(1/scale).toFixed(DECIMALS)} ft</span>
+                {affine && <span className="inline-block px-2 py-1 rounded-full bg-purple-50 text-purple-700 border border-purple-200">অ্যাফাইন সংশোধন সক্রিয়</span>}
                 <Button variant="link" size="sm" onClick={() => { setMode('calibrating'); setCalibrationLine([]); setIsDrawing(false); }}>Change</Button>
               </div>
             )}
 
+          {/* A newly opened map has no scale until it is calibrated (known maps get theirs back) */}
+          {image && !scale && (
+            <div className="mb-2 flex flex-wrap items-center gap-2 p-3 rounded-md border border-amber-300 bg-amber-50 text-amber-800 text-sm">
+              <span className="flex-1 min-w-48">
+                এই ম্যাপের স্কেল সেট করা হয়নি — প্লট আঁকা ও পরিমাপের আগে স্কেল ক্যালিব্রেট করুন।
+              </span>
+              {mode !== 'calibrating' && (
+                <Button size="sm" variant="outline" onClick={() => { setMode('calibrating'); setCalibrationLine([]); setIsDrawing(false); }}>
+                  স্কেল সেট করুন
+                </Button>
+              )}
+            </div>
+          )}
+
           <KonvaStage
             containerRef={containerRef}
             stageRef={stageRef}
@@ -106,10 +431,14 @@ const MapCalculator = () => {
             handleStageMouseDown={handleStageMouseDown}
             handleWheel={handleWheel}
             mode={mode}
+            plots={plots}
+            activePlotId={activePlotId}
             isPlotFinished={isPlotFinished}
             plotPoints={plotPoints}
             snapHint={snapHint}
             setSnapHint={setSnapHint}
+            snapTolerance={snapTolerance}
+            crosshairSnap={crosshairSnap}
             isPinchingRef={isPinchingRef}
             setIsPinching={setIsPinching}
             lastPinchDistRef={lastPinchDistRef}
@@ -124,9 +453,37 @@ const MapCalculator = () => {
             isPinching={isPinching}
             image={image}
             calibrationLine={calibrationLine}
-            flatPlotPoints={flatPlotPoints}
+            calibrationReport={lineCalibration.calibrationReport}
+            showCalibrationLines={lineCalibration.calibrationMultiMode || mode === 'calibrating' || (affineCalibration.showAffinePanel && affineCalibration.affineMethod === 'distances')}
             scale={scale}
+            affine={affine}
+            controlPoints={affineCalibration.controlPoints}
+            showControlPoints={affineCalibration.showAffinePanel || mode === 'affine_points'}
+            georef={georeference.georef}
+            georefPins={georeference.georefPins}
+            showGeorefPins={georeference.showGeorefPanel || mode === 'georef_pins'}
+            north={mapNorth.north}
+            northDeg={northDeg}
+            northDraft={mapNorth.northDraft}
+            showNorthArrow={mapNorth.showNorthPanel}
+            perspectiveCorners={perspectiveCorners}
+            movePerspectiveCorner={movePerspectiveCorner}
+            importPreview={boundaryImport.importPreview}
+            plotResults={plotResults}
+            subdivisionParts={subdivide.subdivisionResult ? subdivide.subdivisionResult.parts : null}
+            traceDraft={trace.traceDraft}
+            moveTraceVertex={trace.moveTraceVertex}
+            deleteTraceVertex={trace.deleteTraceVertex}
+            measureTool={measure.measureTool}
+            measureDraft={measure.measureDraft}
+            measurements={measure.measurements}
+            canMoveImport={Boolean(boundaryImport.importDraft && !boundaryImport.importDraft.byCoordinates)}
+            moveImport={boundaryImport.moveImport}
+            lengthUnit={unitSettings.lengthUnit}
             handlePointDragEnd={handlePointDragEnd}
+            insertPlotVertex={insertPlotVertex}
+            setPlotSideBulge={setPlotSideBulge}
+            deletePlotVertex={deletePlotVertex}
             addCenterPoint={addCenterPoint}
             getStageCenterPoint={getStageCenterPoint}
             getDistance={getDistance}
@@ -135,14 +492,18 @@ const MapCalculator = () => {
             zoomAtPoint={zoomAtPoint}
             TAP_GRACE_MS={TAP_GRACE_MS}
             TAP_MIN_MS={TAP_MIN_MS}
+            handleUndo={handleUndo}
+            handleRedo={handleRedo}
+            canUndo={canUndo}
+            canRedo={canRedo}
           />
 
           <div ref={resultsRef}>
-            <ResultsDisplay results={results} onPrint={handlePrint} />
+            <ResultsDisplay plotResults={plotResults} totals={totals} visibleUnits={unitSettings.visibleUnits} combinedUnits={unitSettings.combinedUnits} lengthUnit={unitSettings.lengthUnit} northDeg={northDeg} georef={georeference.georef} onPrint={handlePrint} />
           </div>
         </div>
       </div>
-      <PrintLayout ref={printRef} results={results} reportImage={reportImage} imageName={imageName} />
+      <PrintLayout ref={printRef} plotResults={plotResults} totals={totals} visibleUnits={unitSettings.visibleUnits} combinedUnits={unitSettings.combinedUnits} lengthUnit={unitSettings.lengthUnit} measurements={measure.measurements} scale={scale} affine={affine} northDeg={northDeg} reportImage={reportImage} imageName={imageName} />
     </>
   );
 };
@@ -0,0 +1,165 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/ui/table';
+import { Trash2, X } from 'lucide-react';
+import { describeAffine } from '@/utils/affine';
+import { DECIMALS } from '@/utils/mapCalculations';
+
+// Ground coordinates are typed in the selected length unit and stored in feet
+const GroundInput = ({ valueFt, lengthUnit, onChange, placeholder }) => (
+  <Input
+    key={lengthUnit.id}
+    type="number"
+    defaultValue={Number.isFinite(valueFt) ? Number((valueFt / lengthUnit.ft).toFixed(6)) : ''}
+    onChange={(e) => {
+      const v = parseFloat(e.target.value);
+      onChange(Number.isFinite(v) ? v * lengthUnit.ft : null);
+    }}
+    placeholder={placeholder}
+    className="h-8 w-28"
+    step="any"
+  />
+);
+
+const FitSummary = ({ fit }) => {
+  const stretch = describeAffine(fit.matrix);
+  return (
+    <div className="text-sm space-y-1">
+      <div>X অক্ষে: 1 px = {stretch.ftPerPxX.toFixed(DECIMALS)} ft · Y অক্ষে: 1 px = {stretch.ftPerPxY.toFixed(DECIMALS)} ft</div>
+      <div>X/Y প্রসারণের পার্থক্য: {stretch.stretchPct.toFixed(2)}% · তির্যকতা (skew): {stretch.skewDeg.toFixed(3)}°</div>
+      <div className="font-semibold">RMS ত্রুটি: {fit.rmsFt.toFixed(3)} ft</div>
+    </div>
+  );
+};
+
+export const AffineCalibrationPanel = memo(({
+  mode,
+  setMode,
+  affine,
+  affineFit,
+  affineMethod,
+  setAffineMethod,
+  controlPoints,
+  calibrationLines,
+  lengthUnit,
+  updateControlPoint,
+  removeControlPoint,
+  applyAffineFit,
+  clearAffine,
+  onClose,
+}) => {
+  const residualFor = (id) => (affineFit.residuals || []).find(r => r.id === id);
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <label className="text-sm font-medium text-foreground">অ্যাফাইন সংশোধন (আলাদা X/Y স্কেল)</label>
+        <Button size="icon-sm" variant="ghost" onClick={onClose} title="বন্ধ করুন"><X /></Button>
+      </div>
+
+      {affine && (
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-2 p-2 rounded-md border border-emerald-200 bg-emerald-50 text-emerald-800 text-sm">
+          <span>সক্রিয়: {affine.method === 'distances' ? 'দূরত্ব থেকে' : 'নিয়ন্ত্রণ বিন্দু থেকে'} · RMS {affine.rmsFt.toFixed(3)} ft</span>
+          <Button size="sm" variant="outline" onClick={clearAffine}>বাতিল করুন</Button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-4 mb-3 text-sm">
+        <label className="flex items-center gap-1.5 cursor-pointer">
+          <input type="radio" checked={affineMethod === 'control_points'} onChange={() => setAffineMethod('control_points')} />
+          নিয়ন্ত্রণ বিন্দুর স্থানাঙ্ক (৩+)
+        </label>
+        <label className="flex items-center gap-1.5 cursor-pointer">
+          <input type="radio" checked={affineMethod === 'distances'} onChange={() => { setAffineMethod('distances'); if (mode === 'affine_points') setMode('none'); }} />
+          রেফারেন্স লাইনের দূরত্ব (৩+)
+        </label>
+      </div>
+
+      {affineMethod === 'control_points' ? (
+        <>
+          <Button
+            size="sm"
+            variant={mode === 'affine_points' ? 'default' : 'outline'}
+            onClick={() => setMode(mode === 'affine_points' ? 'none' : 'affine_points')}
+            className="mb-2"
+          >
+            {mode === 'affine_points' ? 'বিন্দু যোগ শেষ করুন' : 'ম্যাপে বিন্দু যোগ করুন'}
+          </Button>
+          {controlPoints.length > 0 && (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>বিন্দু</TableHead>
+                  <TableHead>ভূমি X ({lengthUnit.symbol})</TableHead>
+                  <TableHead>ভূমি Y ({lengthUnit.symbol})</TableHead>
+                  <TableHead>ত্রুটি (ft)</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {controlPoints.map((p, i) => (
+                  <TableRow key={p.id}>
+                    <TableCell>P{i + 1}</TableCell>
+                    <TableCell>
+                      <GroundInput valueFt={p.groundX} lengthUnit={lengthUnit} placeholder="X" onChange={(v) => updateControlPoint(p.id, { groundX: v })} />
+                    </TableCell>
+                    <TableCell>
+                      <GroundInput valueFt={p.groundY} lengthUnit={lengthUnit} placeholder="Y" onChange={(v) => updateControlPoint(p.id, { groundY: v })} />
+                    </TableCell>
+                    <TableCell>{residualFor(p.id) ? residualFor(p.id).errorFt.toFixed(3) : '-'}</TableCell>
+                    <TableCell>
+                      <Button size="icon-sm" variant="ghost" onClick={() => removeControlPoint(p.id)} title="বিন্দু মুছুন"><Trash2 /></Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </>
+      ) : (
+        <>
+          <p className="text-xs text-muted-foreground mb-2">
+            একাধিক রেফারেন্স লাইন ব্যবহার হয় ({calibrationLines.filter(l => l.enabled).length}টি সক্রিয়)। ভিন্ন দিকে অন্তত ৩টি লাইন আঁকুন — যেমন অনুভূমিক, উল্লম্ব ও কোনাকুনি।
+          </p>
+          {calibrationLines.length > 0 && (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>লাইন</TableHead>
+                  <TableHead>ত্রুটি (ft)</TableHead>
+                  <TableHead>ত্রুটি (%)</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {calibrationLines.map((line, i) => {
+                  const r = residualFor(line.id);
+                  return (
+                    <TableRow key={line.id}>
+                      <TableCell>L{i + 1}</TableCell>
+                      <TableCell>{r ? r.errorFt.toFixed(3) : '-'}</TableCell>
+                      <TableCell>{r ? `${r.errorPct.toFixed(2)}%` : '-'}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          )}
+        </>
+      )}
+
+      <div className="mt-3">
+        {affineFit.error ? (
+          <p className="text-sm text-muted-foreground">{affineFit.error}</p>
+        ) : (
+          <FitSummary fit={affineFit} />
+        )}
+      </div>
+      <Button onClick={applyAffineFit} disabled={Boolean(affineFit.error)} variant="blue" className="mt-3 w-full">
+        সংশোধন প্রয়োগ করুন
+      </Button>
+    </div>
+  );
+});
+
+AffineCalibrationPanel.displayName = 'AffineCalibrationPanel';
@@ -0,0 +1,103 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/ui/table';
+import { Trash2 } from 'lucide-react';
+import { DECIMALS } from '@/utils/mapCalculations';
+import { formatLength } from '@/utils/lengthUnits';
+
+const formatPct = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+export const CalibrationReport = memo(({
+  calibrationReport,
+  calibrationTolerance,
+  setCalibrationTolerance,
+  lengthUnit,
+  applyCalibrationLines,
+  toggleCalibrationLine,
+  removeCalibrationLine,
+}) => {
+  const { lines, scale, usedCount, spreadPct, maxDeviationPct, warningCount } = calibrationReport;
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <label className="text-sm font-medium text-foreground">রেফারেন্স লাইন ও ত্রুটি রিপোর্ট</label>
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-muted-foreground">সহনসীমা ±</span>
+          <Input
+            type="number"
+            value={calibrationTolerance}
+            onChange={(e) => setCalibrationTolerance(Math.max(0, parseFloat(e.target.value) || 0))}
+            className="w-20 h-8"
+            min="0"
+            step="0.1"
+          />
+          <span className="text-muted-foreground">%</span>
+        </div>
+      </div>
+      {lines.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          ম্যাপে একাধিক জানা দূরত্বের লাইন আঁকুন (যেমন: গ্রিডের দুই অক্ষ বরাবর)। প্রতিটি লাইনের প্রকৃত দূরত্ব দেওয়ার পর এখানে তালিকা দেখা যাবে।
+        </p>
+      ) : (
+        <>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>লাইন</TableHead>
+                <TableHead>পিক্সেল</TableHead>
+                <TableHead>প্রকৃত দূরত্ব</TableHead>
+                <TableHead>1 px = ft</TableHead>
+                <TableHead>বিচ্যুতি</TableHead>
+                <TableHead />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {lines.map((line, i) => (
+                <TableRow key={line.id} className={line.enabled ? '' : 'opacity-50'}>
+                  <TableCell>
+                    <label className="flex items-center gap-1.5 cursor-pointer">
+                      <input type="checkbox" checked={line.enabled} onChange={() => toggleCalibrationLine(line.id)} />
+                      L{i + 1}
+                    </label>
+                  </TableCell>
+                  <TableCell>{line.lengthPx.toFixed(2)}</TableCell>
+                  <TableCell>{formatLength(line.realFt, lengthUnit, 2)}</TableCell>
+                  <TableCell>{line.scale > 0 ? (1 / line.scale).toFixed(DECIMALS) : '-'}</TableCell>
+                  <TableCell>
+                    {line.deviationPct === null ? '-' : (
+                      <Badge variant={line.isOutlier ? 'destructive' : 'secondary'}>{formatPct(line.deviationPct)}</Badge>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Button size="icon-sm" variant="ghost" onClick={() => removeCalibrationLine(line.id)} title="লাইন মুছুন">
+                      <Trash2 />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {scale && (
+            <div className="mt-3 text-sm space-y-1">
+              <div>সম্মিলিত স্কেল ({usedCount}টি লাইন): 1 px = {(1 / scale).toFixed(DECIMALS)} ft</div>
+              <div>লাইনগুলোর মধ্যে পার্থক্য (spread): {spreadPct.toFixed(2)}% · সর্বোচ্চ বিচ্যুতি: {maxDeviationPct.toFixed(2)}%</div>
+              {warningCount > 0 && (
+                <div className="text-red-600">
+                  সতর্কতা: {warningCount}টি লাইন ±{calibrationTolerance}% সহনসীমার বাইরে। ম্যাপ অসমভাবে প্রসারিত হতে পারে বা লাইনটি ভুলভাবে আঁকা হয়েছে।
+                </div>
+              )}
+            </div>
+          )}
+          <Button onClick={applyCalibrationLines} disabled={!scale} variant="blue" className="mt-3 w-full">
+            গড় স্কেল প্রয়োগ করুন
+          </Button>
+        </>
+      )}
+    </div>
+  );
+});
+
+CalibrationReport.displayName = 'CalibrationReport';
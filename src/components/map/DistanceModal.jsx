@@ -1,17 +1,22 @@
 import React, { useState } from 'react';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
+import { findLengthUnit, toFeet } from '@/utils/lengthUnits';
 
-export const DistanceModal = ({ isOpen, onClose, onSubmit }) => {
-  const [distance, setDistance] = useState('');
+export const DistanceModal = ({ isOpen, onClose, onSubmit, lengthUnit }) => {
+  const [values, setValues] = useState(['', '']);
   const [error, setError] = useState('');
   if (!isOpen) return null;
 
+  // Compound units such as chain + link get one input per part
+  const inputUnits = lengthUnit.parts ? lengthUnit.parts.map(findLengthUnit) : [lengthUnit];
+
   const handleSubmit = () => {
-    const num = parseFloat(distance);
-    if (Number.isFinite(num) && num > 0) {
-      onSubmit(num);
-      setDistance('');
+    const nums = inputUnits.map((_, i) => (values[i] === '' && i > 0 ? 0 : parseFloat(values[i])));
+    const feet = nums.every(n => Number.isFinite(n) && n >= 0) ? toFeet(nums, lengthUnit) : NaN;
+    if (Number.isFinite(feet) && feet > 0) {
+      onSubmit(feet);
+      setValues(['', '']);
       setError('');
     } else {
       setError('Distance must be a number greater than 0');
@@ -19,7 +24,7 @@ export const DistanceModal = ({ isOpen, onClose, onSubmit }) => {
   };
 
   const handleClose = () => {
-    setDistance('');
+    setValues(['', '']);
     setError('');
     onClose();
   };
@@ -27,16 +32,21 @@ export const DistanceModal = ({ isOpen, onClose, onSubmit }) => {
   return (
     <div className="fixed inset-0 bg-black/40 flex justify-center items-center z-50 print:hidden">
       <div className="bg-white p-6 rounded-lg shadow-xl w-11/12 md:w-1/3">
-        <h3 className="text-lg font-semibold mb-4">প্রকৃত দূরত্ব লিখুন</h3>
-        <Input
-          type="number"
-          value={distance}
-          onChange={(e) => setDistance(e.target.value)}
-          placeholder="e.g., 330 (in feet)"
-          className="mb-2"
-          min="0"
-          step="any"
-        />
+        <h3 className="text-lg font-semibold mb-4">প্রকৃত দূরত্ব লিখুন ({lengthUnit.label})</h3>
+        <div className="flex gap-2">
+          {inputUnits.map((unit, i) => (
+            <Input
+              key={unit.id}
+              type="number"
+              value={values[i]}
+              onChange={(e) => setValues(prev => prev.map((v, j) => (j === i ? e.target.value : v)))}
+              placeholder={`e.g., ${Number((330 / unit.ft).toFixed(2))} (in ${unit.symbol})`}
+              className="mb-2"
+              min="0"
+              step="any"
+            />
+          ))}
+        </div>
         {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
         <div className="flex justify-end gap-4">
           <Button variant="outline" onClick={handleClose}>Cancel</Button>
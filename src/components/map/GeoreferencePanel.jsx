@@ -0,0 +1,125 @@
+import React, { memo, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/ui/table';
+import { Trash2, X } from 'lucide-react';
+
+// Uncontrolled so partial input like "23." is not reformatted while typing; remounts when the system changes
+const CoordinateInput = ({ value, onChange, placeholder, decimals }) => (
+  <Input
+    type="number"
+    defaultValue={Number.isFinite(value) ? Number(value.toFixed(decimals)) : ''}
+    onChange={(e) => {
+      const v = parseFloat(e.target.value);
+      onChange(Number.isFinite(v) ? v : null);
+    }}
+    placeholder={placeholder}
+    className="h-8 w-32"
+    step="any"
+  />
+);
+
+// Coordinates can be typed in either system; the pin keeps both in step
+const SYSTEMS = {
+  latlon: { label: 'অক্ষাংশ/দ্রাঘিমাংশ (WGS84)', fields: [['lat', 'অক্ষাংশ (°)'], ['lon', 'দ্রাঘিমাংশ (°)']], decimals: 8 },
+  btm: { label: 'BTM (মিটার)', fields: [['easting', 'ইস্টিং (m)'], ['northing', 'নর্দিং (m)']], decimals: 3 },
+};
+
+export const GeoreferencePanel = memo(({
+  mode,
+  setMode,
+  georef,
+  georefFit,
+  georefPins,
+  updateGeorefPin,
+  removeGeorefPin,
+  applyGeoreference,
+  clearGeoreference,
+  onClose,
+}) => {
+  const [systemId, setSystemId] = useState('latlon');
+  const system = SYSTEMS[systemId];
+  const residualFor = (id) => (georefFit.residuals || []).find(r => r.id === id);
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <label className="text-sm font-medium text-foreground">জিওরেফারেন্স (বাস্তব স্থানাঙ্ক)</label>
+        <Button size="icon-sm" variant="ghost" onClick={onClose} title="বন্ধ করুন"><X /></Button>
+      </div>
+
+      {georef && (
+        <div className="mb-3 flex flex-wrap items-center justify-between gap-2 p-2 rounded-md border border-emerald-200 bg-emerald-50 text-emerald-800 text-sm">
+          <span>সক্রিয় · RMS {georef.rmsM.toFixed(2)} m</span>
+          <Button size="sm" variant="outline" onClick={clearGeoreference}>বাতিল করুন</Button>
+        </div>
+      )}
+
+      <p className="text-xs text-muted-foreground mb-2">
+        ম্যাপে অন্তত ৩টি চেনা বিন্দু (ত্রিসীমানা পিলার, রাস্তার মোড়, GPS-এ মাপা কোণ) চিহ্নিত করে তাদের স্থানাঙ্ক দিন।
+      </p>
+      <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+        {Object.entries(SYSTEMS).map(([id, s]) => (
+          <label key={id} className="flex items-center gap-1.5 cursor-pointer">
+            <input type="radio" checked={systemId === id} onChange={() => setSystemId(id)} />
+            {s.label}
+          </label>
+        ))}
+      </div>
+      <Button
+        size="sm"
+        variant={mode === 'georef_pins' ? 'default' : 'outline'}
+        onClick={() => setMode(mode === 'georef_pins' ? 'none' : 'georef_pins')}
+        className="mb-2"
+      >
+        {mode === 'georef_pins' ? 'পিন যোগ শেষ করুন' : 'ম্যাপে পিন যোগ করুন'}
+      </Button>
+      {georefPins.length > 0 && (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>পিন</TableHead>
+              {system.fields.map(([key, label]) => <TableHead key={key}>{label}</TableHead>)}
+              <TableHead>ত্রুটি (m)</TableHead>
+              <TableHead />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {georefPins.map((p, i) => (
+              <TableRow key={p.id}>
+                <TableCell>G{i + 1}</TableCell>
+                {system.fields.map(([key, label]) => (
+                  <TableCell key={key}>
+                    <CoordinateInput
+                      value={p[key]}
+                      decimals={system.decimals}
+                      placeholder={label}
+                      onChange={(v) => updateGeorefPin(p.id, { [key]: v })}
+                    />
+                  </TableCell>
+                ))}
+                <TableCell>{residualFor(p.id) ? residualFor(p.id).errorM.toFixed(2) : '-'}</TableCell>
+                <TableCell>
+                  <Button size="icon-sm" variant="ghost" onClick={() => removeGeorefPin(p.id)} title="পিন মুছুন"><Trash2 /></Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <div className="mt-3 text-sm">
+        {georefFit.error ? (
+          <p className="text-muted-foreground">{georefFit.error}</p>
+        ) : (
+          <p className="font-semibold">RMS ত্রুটি: {georefFit.rmsM.toFixed(3)} m</p>
+        )}
+      </div>
+      <Button onClick={applyGeoreference} disabled={Boolean(georefFit.error)} variant="blue" className="mt-3 w-full">
+        জিওরেফারেন্স প্রয়োগ করুন
+      </Button>
+    </div>
+  );
+});
+
+GeoreferencePanel.displayName = 'GeoreferencePanel';
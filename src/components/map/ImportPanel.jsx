@@ -0,0 +1,103 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { RotateCcw, RotateCw } from 'lucide-react';
+import { IMPORT_FORMATS } from '@/utils/plotImport';
+import { EXPORT_UNITS } from '@/utils/plotExport';
+
+export const ImportPanel = memo(({
+  importDraft,
+  canPlaceByCoordinates,
+  updateImportDraft,
+  confirmImport,
+  cancelImport,
+}) => {
+  const { fileName, format, shapes, fileUnitId, unitId, columnOrder, pointIds, rotation, byCoordinates } = importDraft;
+  const pointCount = shapes.reduce((sum, s) => sum + s.points.length, 0);
+  const rotateBy = (deg) => updateImportDraft({ rotation: ((rotation + deg) % 360 + 360) % 360 });
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <label className="block text-sm font-medium text-foreground mb-1">বাউন্ডারি ইমপোর্ট</label>
+      <p className="text-xs text-muted-foreground mb-3">
+        {fileName} ({IMPORT_FORMATS[format]}) — {shapes.length}টি বাউন্ডারি, {pointCount}টি বিন্দু।
+        কমলা আকৃতিটি টেনে সরান ও ঘুরিয়ে ম্যাপের দাগের সাথে মিলিয়ে নিন, তারপর প্লট হিসেবে যোগ করুন।
+      </p>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <label className="flex items-center gap-1.5">
+          স্থানাঙ্কের একক:
+          <select
+            value={unitId}
+            onChange={(e) => updateImportDraft({ unitId: e.target.value })}
+            disabled={Boolean(fileUnitId)}
+            className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+            title={fileUnitId ? 'ফাইলেই একক দেওয়া আছে' : undefined}
+          >
+            {EXPORT_UNITS.map(u => (
+              <option key={u.id} value={u.id}>{u.label}</option>
+            ))}
+          </select>
+        </label>
+        {format === 'csv' && (
+          <>
+            <label className="flex items-center gap-1.5">
+              কলামের ক্রম:
+              <select
+                value={columnOrder}
+                onChange={(e) => updateImportDraft({ columnOrder: e.target.value })}
+                className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+              >
+                <option value="xy">X, Y (ইস্টিং, নর্দিং)</option>
+                <option value="yx">Y, X (নর্দিং, ইস্টিং)</option>
+              </select>
+            </label>
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={Boolean(pointIds)} onChange={(e) => updateImportDraft({ pointIds: e.target.checked })} />
+              প্রথম কলাম পয়েন্ট নম্বর
+            </label>
+          </>
+        )}
+      </div>
+      {canPlaceByCoordinates && (
+        <label className="flex items-center gap-1.5 text-sm cursor-pointer mb-3">
+          <input type="checkbox" checked={byCoordinates} onChange={(e) => updateImportDraft({ byCoordinates: e.target.checked })} />
+          কন্ট্রোল পয়েন্টের স্থানাঙ্ক অনুযায়ী বসান (একই স্থানাঙ্ক ব্যবস্থা হলে)
+        </label>
+      )}
+      {!byCoordinates && (
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+          <span className="text-muted-foreground">ঘোরান:</span>
+          <Button size="icon-sm" variant="outline" onClick={() => rotateBy(-1)} title="১° বামে"><RotateCcw /></Button>
+          <input
+            type="range"
+            min="0"
+            max="359.9"
+            step="0.1"
+            value={rotation}
+            onChange={(e) => updateImportDraft({ rotation: parseFloat(e.target.value) })}
+            className="w-40"
+            aria-label="ঘূর্ণন"
+          />
+          <Button size="icon-sm" variant="outline" onClick={() => rotateBy(1)} title="১° ডানে"><RotateCw /></Button>
+          <Input
+            type="number"
+            value={rotation}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (Number.isFinite(value)) updateImportDraft({ rotation: value });
+            }}
+            className="w-24 h-8"
+            step="any"
+          />
+          <span className="text-muted-foreground">°</span>
+        </div>
+      )}
+      <div className="flex gap-2">
+        <Button onClick={confirmImport} variant="blue">প্লট হিসেবে যোগ করুন</Button>
+        <Button onClick={cancelImport} variant="outline">বাতিল করুন</Button>
+      </div>
+    </div>
+  );
+});
+
+ImportPanel.displayName = 'ImportPanel';
@@ -1,7 +1,135 @@
-import React, { memo } from 'react';
-import { Stage, Layer, Image, Line, Circle, Group, Label as KonvaLabel, Tag, Text } from 'react-konva';
-import { DECIMALS } from '@/utils/mapCalculations';
+import React, { memo, useRef, useState } from 'react';
+import { Stage, Layer, Image, Line, Circle, Arc, Arrow, Group, Label as KonvaLabel, Tag, Text } from 'react-konva';
 import { Button } from '@/components/ui/button';
+import { Undo2, Redo2 } from 'lucide-react';
+import { getLabelPoint } from '@/utils/plots';
+import { formatLength } from '@/utils/lengthUnits';
+import { segmentLengthFt } from '@/utils/mapCalculations';
+import { outlinePoints, sidePoints, sideMidpoint, bulgeFromMidpoint, outwardBulgeSign, arcLengthFt, withBulge } from '@/utils/arcs';
+import { pxToLonLat, pxToBTM, formatLatLon, formatBTM } from '@/utils/georef';
+import { SNAP_KIND_LABELS } from '@/utils/snapping';
+import { findMeasureTool, measurementLengthFt, measurementAngleDeg } from '@/utils/measurements';
+import { formatDms, formatQuadrantBearing, northScreenAngle } from '@/utils/plotGeometry';
+import { useTiledImage } from '@/hooks/useTiledImage';
+
+// Length badge pushed off a segment along its normal so it does not cover the line.
+// A curved side (`bulge`) shows its arc length, placed off the middle of the arc; `detail` adds a second line.
+const SegmentLabel = ({ from, to, bulge = 0, detail = null, scale, affine, stageScale, color, lengthUnit }) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const distPx = Math.hypot(dx, dy);
+  const lengthFt = bulge ? arcLengthFt(from, to, bulge, scale, affine) : segmentLengthFt(from, to, scale, affine);
+  const length = scale || affine ? `${bulge ? '⌒ ' : ''}${formatLength(lengthFt, lengthUnit, 2)}` : `0 ${lengthUnit.symbol}`;
+  const text = detail ? `${length}\n${detail}` : length;
+  const { x: midX, y: midY } = sideMidpoint(from, to, bulge);
+  const fontSize = 14 / stageScale;
+  const padding = 4 / stageScale;
+  const lines = text.split('\n');
+  const estWidth = (Math.max(...lines.map(l => l.length)) * fontSize * 0.6) + padding * 2;
+  const estHeight = fontSize * lines.length + padding * 2;
+
+  // Calculate a fixed offset vector perpendicular to the line
+  const perpX = -dy / distPx;
+  const perpY = dx / distPx;
+  const offsetDist = (bulge < 0 ? -1 : 1) * (detail ? 32 : 25) / stageScale;
+
+  return (
+    <KonvaLabel
+      x={midX + perpX * offsetDist}
+      y={midY + perpY * offsetDist}
+      offsetX={estWidth / 2}
+      offsetY={estHeight / 2}
+      opacity={0.9}
+    >
+      <Tag fill={color} cornerRadius={4 / stageScale} shadowColor="black" shadowBlur={4 / stageScale} shadowOpacity={0.3} shadowOffset={{ x: 0, y: 2 / stageScale }} />
+      <Text text={text} fontSize={fontSize} fill="white" padding={padding} fontStyle="bold" />
+    </KonvaLabel>
+  );
+};
+
+// Badge centred on `at`, styled like the side length labels
+const ValueBadge = ({ at, text, stageScale, color }) => {
+  const fontSize = 14 / stageScale;
+  const padding = 4 / stageScale;
+  return (
+    <KonvaLabel
+      x={at.x}
+      y={at.y}
+      offsetX={((text.length * fontSize * 0.6) + padding * 2) / 2}
+      offsetY={(fontSize + padding * 2) / 2}
+      opacity={0.9}
+    >
+      <Tag fill={color} cornerRadius={4 / stageScale} shadowColor="black" shadowBlur={4 / stageScale} shadowOpacity={0.3} shadowOffset={{ x: 0, y: 2 / stageScale }} />
+      <Text text={text} fontSize={fontSize} fill="white" padding={padding} fontStyle="bold" />
+    </KonvaLabel>
+  );
+};
+
+const MEASURE_COLOR = '#805AD5';
+
+// A distance, polyline or angle; while it is being taken the last point follows the crosshair
+const MeasurementShape = ({ kind, points, name, scale, affine, stageScale, lengthUnit, color = MEASURE_COLOR, dashed = false }) => {
+  const [vertex] = kind === 'angle' ? points.slice(1, 2) : [];
+  const arcRadius = 24 / stageScale;
+  let arc = null;
+  if (kind === 'angle' && points.length === 3) {
+    const [a, o, b] = points;
+    const start = Math.atan2(a.y - o.y, a.x - o.x) * 180 / Math.PI;
+    const sweep = ((Math.atan2(b.y - o.y, b.x - o.x) * 180 / Math.PI - start + 540) % 360) - 180;
+    const bisector = (start + sweep / 2) * Math.PI / 180;
+    arc = {
+      rotation: sweep >= 0 ? start : start + sweep,
+      angle: Math.abs(sweep),
+      labelAt: { x: o.x + Math.cos(bisector) * arcRadius * 2.2, y: o.y + Math.sin(bisector) * arcRadius * 2.2 },
+    };
+  }
+  return (
+    <Group listening={false}>
+      <Line
+        points={points.flatMap(p => [p.x, p.y])}
+        stroke={color}
+        strokeWidth={2.5 / stageScale}
+        dash={dashed ? [8 / stageScale, 6 / stageScale] : undefined}
+        lineCap="round"
+        lineJoin="round"
+      />
+      {points.map((p, i) => (
+        <Circle key={i} x={p.x} y={p.y} radius={4 / stageScale} fill={color} stroke="white" strokeWidth={1 / stageScale} />
+      ))}
+      {kind !== 'angle' && points.slice(1).map((p, i) => (
+        Math.hypot(p.x - points[i].x, p.y - points[i].y) < 15 / stageScale
+          ? null
+          : <SegmentLabel key={i} from={points[i]} to={p} scale={scale} affine={affine} stageScale={stageScale} color={color} lengthUnit={lengthUnit} />
+      ))}
+      {kind === 'polyline' && points.length > 2 && (
+        <ValueBadge
+          at={{ x: points[points.length - 1].x, y: points[points.length - 1].y - 25 / stageScale }}
+          text={`মোট ${formatLength(measurementLengthFt(points, scale, affine), lengthUnit, 2)}`}
+          stageScale={stageScale}
+          color={color}
+        />
+      )}
+      {arc && (
+        <>
+          <Arc x={vertex.x} y={vertex.y} innerRadius={0} outerRadius={arcRadius} rotation={arc.rotation} angle={arc.angle} fill={`${color}33`} stroke={color} strokeWidth={1.5 / stageScale} />
+          <ValueBadge at={arc.labelAt} text={`${measurementAngleDeg(points, scale, affine).toFixed(2)}°`} stageScale={stageScale} color={color} />
+        </>
+      )}
+      {name && (
+        <Text
+          x={points[0].x + 7 / stageScale}
+          y={points[0].y + 5 / stageScale}
+          text={name}
+          fontSize={11 / stageScale}
+          fontStyle="bold"
+          fill={color}
+          stroke="white"
+          strokeWidth={0.4 / stageScale}
+        />
+      )}
+    </Group>
+  );
+};
 
 export const KonvaStage = memo(({
   containerRef,
@@ -10,10 +138,14 @@ export const KonvaStage = memo(({
   handleStageMouseDown,
   handleWheel,
   mode,
+  plots,
+  activePlotId,
   isPlotFinished,
   plotPoints,
   snapHint,
   setSnapHint,
+  snapTolerance,
+  crosshairSnap,
   isPinchingRef,
   setIsPinching,
   lastPinchDistRef,
@@ -28,9 +160,37 @@ export const KonvaStage = memo(({
   isPinching,
   image,
   calibrationLine,
-  flatPlotPoints,
+  calibrationReport,
+  showCalibrationLines,
   scale,
+  affine,
+  controlPoints,
+  showControlPoints,
+  perspectiveCorners,
+  movePerspectiveCorner,
+  georef,
+  georefPins,
+  showGeorefPins,
+  importPreview,
+  canMoveImport,
+  moveImport,
+  plotResults,
+  subdivisionParts,
+  traceDraft,
+  moveTraceVertex,
+  deleteTraceVertex,
+  measureTool,
+  measureDraft,
+  measurements,
+  north,
+  northDeg,
+  northDraft,
+  showNorthArrow,
+  lengthUnit,
   handlePointDragEnd,
+  insertPlotVertex,
+  deletePlotVertex,
+  setPlotSideBulge,
   addCenterPoint,
   getStageCenterPoint,
   getDistance,
@@ -39,7 +199,28 @@ export const KonvaStage = memo(({
   zoomAtPoint,
   TAP_GRACE_MS,
   TAP_MIN_MS,
+  handleUndo,
+  handleRedo,
+  canUndo,
+  canRedo,
 }) => {
+  // Large sheets and PDFs: overview plus sharp tiles for the visible area
+  const { source: tileSource, tiles } = useTiledImage(image, { stageScale, stagePos, stageSize });
+  // Live coordinates are written straight into the DOM so mouse moves do not re-render the stage
+  const coordinatesRef = useRef(null);
+  // Long-press on a corner deletes it on touch screens (right-click does on desktop)
+  const longPressRef = useRef(null);
+  const cancelLongPress = () => {
+    clearTimeout(longPressRef.current);
+    longPressRef.current = null;
+  };
+  // Curve being dragged by its middle handle, drawn live before it is committed
+  const [arcDrag, setArcDrag] = useState(null);
+  const showCoordinates = (p) => {
+    if (!georef || !coordinatesRef.current) return;
+    coordinatesRef.current.textContent = `${formatLatLon(pxToLonLat(georef, p))} · BTM ${formatBTM(pxToBTM(georef, p))}`;
+  };
+
   return (
     <div className={`relative border border-gray-300 rounded-lg shadow-sm overflow-hidden cursor-grab touch-none select-none`} ref={containerRef}>
       <Stage
@@ -49,13 +230,14 @@ export const KonvaStage = memo(({
         onMouseDown={handleStageMouseDown}
         onWheel={handleWheel}
         onMouseMove={(e) => {
+          const pointer = e.target.getStage().getPointerPosition();
+          if (pointer) showCoordinates({ x: (pointer.x - stagePos.x) / stageScale, y: (pointer.y - stagePos.y) / stageScale });
           if (mode === 'calibrating') {
             // Center-add workflow: do not live-drag the second point with mouse
           } else if (mode === 'drawing_plot' && !isPlotFinished && plotPoints.length >= 3) {
             const pos = getStageCenterPoint();
             const first = plotPoints[0];
-            const SNAP_VISUAL_THRESHOLD = 5; // stage-space pixels
-            const near = Math.hypot(pos.x - first.x, pos.y - first.y) <= SNAP_VISUAL_THRESHOLD;
+            const near = Math.hypot(pos.x - first.x, pos.y - first.y) <= snapTolerance;
             if (near !== snapHint) setSnapHint(near);
           } else if (mode === 'drawing_plot' && snapHint) {
             setSnapHint(false);
@@ -119,8 +301,7 @@ export const KonvaStage = memo(({
           } else if (mode === 'drawing_plot' && !isPlotFinished && plotPoints.length >= 3 && touches && touches.length === 1) {
             const pos = getStageCenterPoint();
             const first = plotPoints[0];
-            const SNAP_VISUAL_THRESHOLD = 5; // stage-space pixels
-            const near = Math.hypot(pos.x - first.x, pos.y - first.y) <= SNAP_VISUAL_THRESHOLD;
+            const near = Math.hypot(pos.x - first.x, pos.y - first.y) <= snapTolerance;
             if (near !== snapHint) setSnapHint(near);
           } else if (mode === 'drawing_plot' && snapHint) {
             setSnapHint(false);
@@ -163,11 +344,12 @@ export const KonvaStage = memo(({
         draggable={!isPinching}
         onDragMove={(e) => { 
           setStagePos(e.target.position()); 
+          // Touch has no hover; show the point under the centre crosshair instead
+          if (e.evt && e.evt.touches) showCoordinates(getStageCenterPoint());
           if (mode === 'drawing_plot' && !isPlotFinished && plotPoints.length >= 3) {
             const pos = getStageCenterPoint();
             const first = plotPoints[0];
-            const SNAP_VISUAL_THRESHOLD = 5;
-            const near = Math.hypot(pos.x - first.x, pos.y - first.y) <= SNAP_VISUAL_THRESHOLD;
+            const near = Math.hypot(pos.x - first.x, pos.y - first.y) <= snapTolerance;
             if (near !== snapHint) setSnapHint(near);
           } else if (mode === 'drawing_plot' && snapHint) {
             setSnapHint(false);
@@ -176,7 +358,44 @@ export const KonvaStage = memo(({
         onDragEnd={(e) => setStagePos(e.target.position())}
       >
         <Layer>
-          {image && <Image image={image} />}
+          {image && !tileSource && <Image image={image} />}
+          {tileSource && (
+            <Group listening={false}>
+              <Image image={tileSource.overview.canvas} width={tileSource.width} height={tileSource.height} />
+              {tiles.map(t => (
+                <Image key={t.key} image={t.canvas} x={t.x} y={t.y} width={t.width} height={t.height} />
+              ))}
+            </Group>
+          )}
+          {/* Stored reference lines of a multi-line calibration with their deviation */}
+          {showCalibrationLines && calibrationReport.lines.map((line, i) => {
+            const [x1, y1, x2, y2] = line.points;
+            const color = !line.enabled ? '#A0AEC0' : line.isOutlier ? '#E53E3E' : '#DD6B20';
+            const deviation = line.deviationPct === null ? '' : ` ${line.deviationPct >= 0 ? '+' : ''}${line.deviationPct.toFixed(2)}%`;
+            return (
+              <Group key={line.id} listening={false}>
+                <Line points={line.points} stroke={color} strokeWidth={3 / stageScale} opacity={0.9} />
+                <Circle x={x1} y={y1} radius={5 / stageScale} fill={color} />
+                <Circle x={x2} y={y2} radius={5 / stageScale} fill={color} />
+                <KonvaLabel x={(x1 + x2) / 2} y={(y1 + y2) / 2} opacity={0.9}>
+                  <Tag fill={color} cornerRadius={4 / stageScale} />
+                  <Text text={`L${i + 1}${deviation}`} fontSize={12 / stageScale} fill="white" padding={3 / stageScale} fontStyle="bold" />
+                </KonvaLabel>
+              </Group>
+            );
+          })}
+          {showControlPoints && controlPoints.map((p, i) => (
+            <Group key={p.id} listening={false}>
+              <Circle x={p.x} y={p.y} radius={7 / stageScale} fill="#805AD5" stroke="white" strokeWidth={2 / stageScale} />
+              <Text x={p.x + 9 / stageScale} y={p.y - 18 / stageScale} text={`P${i + 1}`} fontSize={13 / stageScale} fontStyle="bold" fill="#805AD5" stroke="white" strokeWidth={0.4 / stageScale} />
+            </Group>
+          ))}
+          {showGeorefPins && georefPins.map((p, i) => (
+            <Group key={p.id} listening={false}>
+              <Circle x={p.x} y={p.y} radius={7 / stageScale} fill="#319795" stroke="white" strokeWidth={2 / stageScale} />
+              <Text x={p.x + 9 / stageScale} y={p.y - 18 / stageScale} text={`G${i + 1}`} fontSize={13 / stageScale} fontStyle="bold" fill="#319795" stroke="white" strokeWidth={0.4 / stageScale} />
+            </Group>
+          ))}
           {calibrationLine.length > 0 && (
             <>
               <Line points={calibrationLine} stroke="#E53E3E" strokeWidth={3 / stageScale} dash={[10 / stageScale, 5 / stageScale]} />
@@ -205,110 +424,508 @@ export const KonvaStage = memo(({
               shadowOpacity={0.6}
             />
           )}
-          {plotPoints.length > 0 && <Line points={[...flatPlotPoints, ... (isPlotFinished ? [plotPoints[0].x, plotPoints[0].y] : [])]} stroke="#3182CE" strokeWidth={3 / stageScale} closed={isPlotFinished} />}
-          
+          {plots.map((plot) => {
+            if (plot.points.length === 0) return null;
+            const isActive = plot.id === activePlotId;
+            const shownPoints = arcDrag && arcDrag.plotId === plot.id
+              ? plot.points.map((p, i) => (i === arcDrag.index ? withBulge(p, arcDrag.bulge) : p))
+              : plot.points;
+            const flatPoints = (plot.isFinished ? outlinePoints(shownPoints) : plot.points).flatMap(p => [p.x, p.y]);
+            const labelPoint = getLabelPoint(plot.points);
+            const plotResult = plotResults.find(p => p.id === plot.id);
+            const issues = plotResult?.issues || [];
+            // Angles, bearings and the centroid are drawn for the selected plot only
+            const details = isActive && plotResult ? plotResult.results : null;
+            return (
+              <Group key={plot.id}>
+                <Line points={flatPoints} stroke={plot.color} strokeWidth={(isActive ? 3 : 2) / stageScale} closed={plot.isFinished} fill={plot.isFinished ? `${plot.color}1A` : undefined} />
+
+                {/* Geometry problems: offending sides, corners and crossing points */}
+                {issues.map((issue, n) => {
+                  const color = issue.severity === 'error' ? '#E53E3E' : '#D69E2E';
+                  const size = 7 / stageScale;
+                  return (
+                    <Group key={`issue-${n}`} listening={false}>
+                      {issue.segments.map(i => {
+                        const a = plot.points[i];
+                        const b = plot.points[(i + 1) % plot.points.length];
+                        const side = [a, ...sidePoints(a, b, a.bulge)].flatMap(p => [p.x, p.y]);
+                        return <Line key={i} points={side} stroke={color} strokeWidth={6 / stageScale} opacity={0.6} lineCap="round" lineJoin="round" />;
+                      })}
+                      {issue.vertices.map(i => (
+                        <Circle key={i} x={plot.points[i].x} y={plot.points[i].y} radius={10 / stageScale} stroke={color} strokeWidth={2 / stageScale} />
+                      ))}
+                      {issue.point && (
+                        <Line
+                          points={[issue.point.x - size, issue.point.y - size, issue.point.x + size, issue.point.y + size, issue.point.x, issue.point.y, issue.point.x + size, issue.point.y - size, issue.point.x - size, issue.point.y + size]}
+                          stroke={color}
+                          strokeWidth={2.5 / stageScale}
+                        />
+                      )}
+                    </Group>
+                  );
+                })}
+
+                {/* Lengths for existing segments */}
+                {shownPoints.map((point, i) => {
+                  if (i === shownPoints.length - 1 && !plot.isFinished) return null;
+                  const nextPoint = shownPoints[(i + 1) % shownPoints.length];
+                  if (!nextPoint) return null;
+                  if (Math.hypot(nextPoint.x - point.x, nextPoint.y - point.y) < 15 / stageScale) return null;
+                  return (
+                    <SegmentLabel
+                      key={`len-${i}`}
+                      from={point}
+                      to={nextPoint}
+                      bulge={point.bulge}
+                      detail={details ? formatQuadrantBearing(details.bearings[i]) : null}
+                      scale={scale}
+                      affine={affine}
+                      stageScale={stageScale}
+                      color={plot.color}
+                      lengthUnit={lengthUnit}
+                    />
+                  );
+                })}
+
+                {plot.isFinished && (
+                  <Text
+                    x={labelPoint.x}
+                    y={labelPoint.y}
+                    text={plot.name}
+                    offsetX={(plot.name.length * 16 * 0.6) / stageScale / 2}
+                    offsetY={8 / stageScale}
+                    fontSize={16 / stageScale}
+                    fontStyle="bold"
+                    fill={plot.color}
+                    stroke="white"
+                    strokeWidth={0.5 / stageScale}
+                    listening={false}
+                  />
+                )}
+
+                {/* Edge midpoints of the selected plot: tap to add a corner there, or drag it into place;
+                    right-click or long-press curves the side. A curved side's orange handle sets its bulge. */}
+                {isActive && plot.isFinished && plot.points.map((point, i) => {
+                  const next = plot.points[(i + 1) % plot.points.length];
+                  if (Math.hypot(next.x - point.x, next.y - point.y) < 30 / stageScale) return null;
+                  if (point.bulge) {
+                    const arcMid = sideMidpoint(point, next, point.bulge);
+                    const straighten = () => setPlotSideBulge(plot.id, i, 0);
+                    return (
+                      <Circle
+                        key={`arc-${i}-${plot.points.length}`}
+                        x={arcMid.x}
+                        y={arcMid.y}
+                        radius={5 / stageScale}
+                        fill="#DD6B20"
+                        stroke="white"
+                        strokeWidth={1.5 / stageScale}
+                        hitStrokeWidth={16 / stageScale}
+                        draggable
+                        onDragStart={(e) => { e.cancelBubble = true; cancelLongPress(); }}
+                        onDragMove={(e) => {
+                          e.cancelBubble = true;
+                          setArcDrag({ plotId: plot.id, index: i, bulge: bulgeFromMidpoint(point, next, { x: e.target.x(), y: e.target.y() }) });
+                        }}
+                        onDragEnd={(e) => {
+                          e.cancelBubble = true;
+                          setArcDrag(null);
+                          setPlotSideBulge(plot.id, i, bulgeFromMidpoint(point, next, { x: e.target.x(), y: e.target.y() }));
+                        }}
+                        onContextMenu={(e) => {
+                          e.evt.preventDefault();
+                          straighten();
+                        }}
+                        onTouchStart={(e) => {
+                          cancelLongPress();
+                          if (e.evt.touches && e.evt.touches.length > 1) return;
+                          longPressRef.current = setTimeout(() => {
+                            longPressRef.current = null;
+                            straighten();
+                          }, 700);
+                        }}
+                        onTouchMove={cancelLongPress}
+                        onTouchEnd={cancelLongPress}
+                      />
+                    );
+                  }
+                  const mid = { x: (point.x + next.x) / 2, y: (point.y + next.y) / 2 };
+                  // A gentle outward curve to start from; the new orange handle then shapes it
+                  const curve = () => setPlotSideBulge(plot.id, i, outwardBulgeSign(plot.points) * 0.2);
+                  return (
+                    <Circle
+                      key={`mid-${i}-${plot.points.length}`}
+                      x={mid.x}
+                      y={mid.y}
+                      radius={4 / stageScale}
+                      fill="white"
+                      stroke={plot.color}
+                      strokeWidth={1.5 / stageScale}
+                      opacity={0.85}
+                      hitStrokeWidth={16 / stageScale}
+                      draggable
+                      onClick={(e) => {
+                        e.cancelBubble = true;
+                        if (e.evt.button === 0) insertPlotVertex(plot.id, i, mid);
+                      }}
+                      onTap={(e) => {
+                        e.cancelBubble = true;
+                        // The long-press already curved this side
+                        if (longPressRef.current === false) longPressRef.current = null;
+                        else insertPlotVertex(plot.id, i, mid);
+                      }}
+                      onDragStart={(e) => { e.cancelBubble = true; cancelLongPress(); }}
+                      onDragMove={(e) => { e.cancelBubble = true; }}
+                      onDragEnd={(e) => {
+                        e.cancelBubble = true;
+                        insertPlotVertex(plot.id, i, { x: e.target.x(), y: e.target.y() });
+                      }}
+                      onContextMenu={(e) => {
+                        e.evt.preventDefault();
+                        curve();
+                      }}
+                      onTouchStart={(e) => {
+                        cancelLongPress();
+                        if (e.evt.touches && e.evt.touches.length > 1) return;
+                        longPressRef.current = setTimeout(() => {
+                          longPressRef.current = false;
+                          curve();
+                        }, 700);
+                      }}
+                      onTouchMove={cancelLongPress}
+                      onTouchEnd={() => { if (longPressRef.current) cancelLongPress(); }}
+                    />
+                  );
+                })}
+
+                {plot.points.map((point, i) => (
+                  <Circle
+                    key={i}
+                    x={point.x}
+                    y={point.y}
+                    radius={5 / stageScale}
+                    fill={plot.color}
+                    stroke="white"
+                    strokeWidth={1.5 / stageScale}
+                    hitStrokeWidth={20 / stageScale}
+                    draggable={plot.isFinished}
+                    onDragStart={cancelLongPress}
+                    onDragEnd={(e) => handlePointDragEnd(e, i, plot.id)}
+                    onContextMenu={(e) => {
+                      e.evt.preventDefault();
+                      if (plot.isFinished) deletePlotVertex(plot.id, i);
+                    }}
+                    onTouchStart={(e) => {
+                      cancelLongPress();
+                      if (!plot.isFinished || (e.evt.touches && e.evt.touches.length > 1)) return;
+                      longPressRef.current = setTimeout(() => {
+                        longPressRef.current = null;
+                        deletePlotVertex(plot.id, i);
+                      }, 700);
+                    }}
+                    onTouchMove={cancelLongPress}
+                    onTouchEnd={cancelLongPress}
+                  />
+                ))}
+                {/* Interior angles inside each corner of the selected plot, and its centroid */}
+                {details && plot.points.map((point, i) => {
+                  const n = plot.points.length;
+                  const prev = plot.points[(i - 1 + n) % n];
+                  const next = plot.points[(i + 1) % n];
+                  const u = { x: prev.x - point.x, y: prev.y - point.y };
+                  const v = { x: next.x - point.x, y: next.y - point.y };
+                  const lu = Math.hypot(u.x, u.y) || 1;
+                  const lv = Math.hypot(v.x, v.y) || 1;
+                  let dir = { x: u.x / lu + v.x / lv, y: u.y / lu + v.y / lv };
+                  // A straight corner has no bisector; head for the centroid instead
+                  if (Math.hypot(dir.x, dir.y) < 1e-6) dir = { x: details.centroid.x - point.x, y: details.centroid.y - point.y };
+                  const flip = details.angles[i] > 180 ? -1 : 1;
+                  const len = Math.hypot(dir.x, dir.y) || 1;
+                  const at = { x: point.x + (flip * dir.x / len) * 30 / stageScale, y: point.y + (flip * dir.y / len) * 30 / stageScale };
+                  return <ValueBadge key={`angle-${i}`} at={at} text={formatDms(details.angles[i])} stageScale={stageScale} color={plot.color} />;
+                })}
+                {details && (() => {
+                  const { x, y } = details.centroid;
+                  const size = 6 / stageScale;
+                  return (
+                    <Group listening={false}>
+                      <Line points={[x - size, y, x + size, y]} stroke={plot.color} strokeWidth={2 / stageScale} />
+                      <Line points={[x, y - size, x, y + size]} stroke={plot.color} strokeWidth={2 / stageScale} />
+                      <Circle x={x} y={y} radius={size * 0.6} stroke={plot.color} strokeWidth={1.5 / stageScale} />
+                    </Group>
+                  );
+                })()}
+                {/* Corner numbers of the selected plot, matching the side numbering */}
+                {isActive && plot.isFinished && plot.points.map((point, i) => (
+                  <Text
+                    key={`num-${i}`}
+                    x={point.x + 7 / stageScale}
+                    y={point.y + 5 / stageScale}
+                    text={`${i + 1}`}
+                    fontSize={11 / stageScale}
+                    fontStyle="bold"
+                    fill={plot.color}
+                    stroke="white"
+                    strokeWidth={0.4 / stageScale}
+                    listening={false}
+                  />
+                ))}
+              </Group>
+            );
+          })}
+
+          {/* Perspective correction: quadrilateral with four draggable corner handles */}
+          {mode === 'perspective' && perspectiveCorners && (
+            <Group>
+              <Line points={perspectiveCorners.flatMap(p => [p.x, p.y])} closed stroke="#D53F8C" strokeWidth={2 / stageScale} fill="rgba(213, 63, 140, 0.08)" listening={false} />
+              {perspectiveCorners.map((p, i) => (
+                <Group
+                  key={i}
+                  x={p.x}
+                  y={p.y}
+                  draggable
+                  onDragMove={(e) => {
+                    e.cancelBubble = true;
+                    movePerspectiveCorner(i, { x: e.target.x(), y: e.target.y() });
+                  }}
+                  onDragEnd={(e) => { e.cancelBubble = true; }}
+                >
+                  <Circle radius={10 / stageScale} fill="rgba(213, 63, 140, 0.35)" stroke="#D53F8C" strokeWidth={2 / stageScale} hitStrokeWidth={24 / stageScale} />
+                  <Text text={`${i + 1}`} fontSize={12 / stageScale} fontStyle="bold" fill="white" offsetX={3.5 / stageScale} offsetY={6 / stageScale} listening={false} />
+                </Group>
+              ))}
+            </Group>
+          )}
+
+          {/* Imported boundaries being placed: the whole set is dragged as one */}
+          {mode === 'import_place' && importPreview && (
+            <Group
+              draggable={canMoveImport}
+              onDragStart={(e) => { e.cancelBubble = true; }}
+              onDragMove={(e) => { e.cancelBubble = true; }}
+              onDragEnd={(e) => {
+                e.cancelBubble = true;
+                const group = e.target;
+                moveImport(group.x(), group.y());
+                group.position({ x: 0, y: 0 });
+              }}
+            >
+              {importPreview.map((points, i) => (
+                <Line
+                  key={i}
+                  points={outlinePoints(points).flatMap(p => [p.x, p.y])}
+                  closed
+                  stroke="#DD6B20"
+                  strokeWidth={2 / stageScale}
+                  dash={[8 / stageScale, 4 / stageScale]}
+                  fill="rgba(221, 107, 32, 0.12)"
+                  hitStrokeWidth={12 / stageScale}
+                />
+              ))}
+            </Group>
+          )}
+
+          {/* Traced boundary under review: corners can be dragged or removed before it becomes a plot */}
+          {mode === 'trace_review' && traceDraft && (
+            <Group>
+              <Line points={traceDraft.points.flatMap(p => [p.x, p.y])} closed stroke="#00A3C4" strokeWidth={2 / stageScale} dash={[8 / stageScale, 4 / stageScale]} fill="rgba(0, 163, 196, 0.12)" listening={false} />
+              {traceDraft.points.map((p, i) => (
+                <Circle
+                  key={`${i}-${traceDraft.points.length}`}
+                  x={p.x}
+                  y={p.y}
+                  radius={4 / stageScale}
+                  fill="#00A3C4"
+                  stroke="white"
+                  strokeWidth={1 / stageScale}
+                  hitStrokeWidth={16 / stageScale}
+                  draggable
+                  onDragStart={(e) => { e.cancelBubble = true; }}
+                  onDragMove={(e) => { e.cancelBubble = true; }}
+                  onDragEnd={(e) => {
+                    e.cancelBubble = true;
+                    moveTraceVertex(i, { x: e.target.x(), y: e.target.y() });
+                  }}
+                  onContextMenu={(e) => {
+                    e.evt.preventDefault();
+                    deleteTraceVertex(i);
+                  }}
+                />
+              ))}
+            </Group>
+          )}
+
+          {/* Subdivision preview: each part in the colour it will get */}
+          {mode === 'subdivide' && subdivisionParts && subdivisionParts.map((part, i) => {
+            const label = getLabelPoint(part.points);
+            const text = `অংশ ${i + 1}`;
+            return (
+              <Group key={i} listening={false}>
+                <Line points={part.points.flatMap(p => [p.x, p.y])} closed stroke={part.color} strokeWidth={2 / stageScale} dash={[8 / stageScale, 4 / stageScale]} fill={`${part.color}33`} />
+                <Text
+                  x={label.x}
+                  y={label.y}
+                  text={text}
+                  offsetX={(text.length * 14 * 0.6) / stageScale / 2}
+                  offsetY={7 / stageScale}
+                  fontSize={14 / stageScale}
+                  fontStyle="bold"
+                  fill={part.color}
+                  stroke="white"
+                  strokeWidth={0.5 / stageScale}
+                />
+              </Group>
+            );
+          })}
+
+          {/* North arrow: the stored one while its panel is open, or the one being traced */}
+          {showNorthArrow && north && north.arrow && mode !== 'north_arrow' && (
+            <Arrow
+              points={north.arrow.flatMap(p => [p.x, p.y])}
+              stroke="#319795"
+              fill="#319795"
+              strokeWidth={2.5 / stageScale}
+              pointerLength={12 / stageScale}
+              pointerWidth={10 / stageScale}
+              listening={false}
+            />
+          )}
+          {mode === 'north_arrow' && northDraft.length > 0 && (() => {
+            const [tail] = northDraft;
+            const head = getStageCenterPoint();
+            return (
+              <Arrow
+                points={[tail.x, tail.y, head.x, head.y]}
+                stroke="#319795"
+                fill="#319795"
+                strokeWidth={2.5 / stageScale}
+                pointerLength={12 / stageScale}
+                pointerWidth={10 / stageScale}
+                dash={[8 / stageScale, 6 / stageScale]}
+                listening={false}
+              />
+            );
+          })()}
+
+          {/* Kept measurements stay on the map as annotations */}
+          {measurements.map(m => (
+            <MeasurementShape key={m.id} kind={m.kind} points={m.points} name={m.name} scale={scale} affine={affine} stageScale={stageScale} lengthUnit={lengthUnit} />
+          ))}
+
+          {/* Measurement being taken, its open end following the crosshair */}
+          {mode === 'measure' && measureDraft.length > 0 && (() => {
+            const { points: needed } = findMeasureTool(measureTool);
+            const done = needed && measureDraft.length >= needed;
+            const target = crosshairSnap ? crosshairSnap.point : getStageCenterPoint();
+            const points = done ? measureDraft : [...measureDraft, target];
+            return <MeasurementShape kind={measureTool} points={points} scale={scale} affine={affine} stageScale={stageScale} lengthUnit={lengthUnit} color="#2563EB" dashed={!done} />;
+          })()}
+
+          {/* What the crosshair snaps to: square on a corner, diamond on a side, ring on a map line */}
+          {(mode === 'measure' || (mode === 'drawing_plot' && !isPlotFinished)) && crosshairSnap && !snapHint && (() => {
+            const { x, y } = crosshairSnap.point;
+            const size = 7 / stageScale;
+            const color = '#00A3C4';
+            const label = SNAP_KIND_LABELS[crosshairSnap.kind];
+            return (
+              <Group listening={false}>
+                {crosshairSnap.kind === 'vertex' && (
+                  <Line points={[x - size, y - size, x + size, y - size, x + size, y + size, x - size, y + size]} closed stroke={color} strokeWidth={2 / stageScale} />
+                )}
+                {crosshairSnap.kind === 'edge' && (
+                  <Line points={[x, y - size, x + size, y, x, y + size, x - size, y]} closed stroke={color} strokeWidth={2 / stageScale} />
+                )}
+                {crosshairSnap.kind === 'line' && (
+                  <Circle x={x} y={y} radius={size} stroke={color} strokeWidth={2 / stageScale} />
+                )}
+                <Circle x={x} y={y} radius={1.5 / stageScale} fill={color} />
+                <KonvaLabel x={x + size * 1.5} y={y - size * 3} opacity={0.9}>
+                  <Tag fill={color} cornerRadius={3 / stageScale} />
+                  <Text text={label} fontSize={11 / stageScale} fill="white" padding={2 / stageScale} />
+                </KonvaLabel>
+              </Group>
+            );
+          })()}
+
           {/* Dynamic Line to Center Crosshair while drawing */}
           {mode === 'drawing_plot' && !isPlotFinished && plotPoints.length > 0 && (() => {
             const center = getStageCenterPoint();
             const lastPt = plotPoints[plotPoints.length - 1];
-            let targetX = center.x;
-            let targetY = center.y;
+            let targetX = crosshairSnap ? crosshairSnap.point.x : center.x;
+            let targetY = crosshairSnap ? crosshairSnap.point.y : center.y;
             if (snapHint && plotPoints.length > 0) {
               targetX = plotPoints[0].x;
               targetY = plotPoints[0].y;
             }
-            const dx = targetX - lastPt.x;
-            const dy = targetY - lastPt.y;
-            const distPx = Math.hypot(dx, dy);
+            const distPx = Math.hypot(targetX - lastPt.x, targetY - lastPt.y);
             if (distPx < 1) return null;
-            const ft = scale ? (distPx / scale).toFixed(2) : 0;
-            const midX = (lastPt.x + targetX) / 2;
-            const midY = (lastPt.y + targetY) / 2;
-            const fontSize = 14 / stageScale;
-            const padding = 4 / stageScale;
-            const estWidth = (ft.length * fontSize * 0.6) + padding * 2;
-            const estHeight = fontSize + padding * 2;
-            
-            // Calculate a fixed offset vector perpendicular to the line to push the label away from the line
-            const perpX = -dy / distPx;
-            const perpY = dx / distPx;
-            const offsetDist = 25 / stageScale; // distance to push label away from the line
-            
             return (
               <Group>
                 <Line points={[lastPt.x, lastPt.y, targetX, targetY]} stroke="#2563EB" strokeWidth={3 / stageScale} dash={[8 / stageScale, 6 / stageScale]} opacity={0.8} />
                 {distPx > 20 / stageScale && (
-                  <KonvaLabel 
-                    x={midX + perpX * offsetDist} 
-                    y={midY + perpY * offsetDist} 
-                    offsetX={estWidth / 2} 
-                    offsetY={estHeight / 2} 
-                    opacity={0.9}
-                  >
-                    <Tag fill="#2563EB" cornerRadius={4 / stageScale} shadowColor="black" shadowBlur={4 / stageScale} shadowOpacity={0.3} shadowOffset={{ x: 0, y: 2 / stageScale }} />
-                    <Text text={`${ft} ft`} fontSize={fontSize} fill="white" padding={padding} fontStyle="bold" />
-                  </KonvaLabel>
+                  <SegmentLabel from={lastPt} to={{ x: targetX, y: targetY }} scale={scale} affine={affine} stageScale={stageScale} color="#2563EB" lengthUnit={lengthUnit} />
                 )}
               </Group>
             );
           })()}
-
-          {/* Lengths for existing segments */}
-          {plotPoints.map((point, i) => {
-            if (i === plotPoints.length - 1 && !isPlotFinished) return null;
-            const nextPoint = plotPoints[(i + 1) % plotPoints.length];
-            if (!nextPoint) return null;
-            
-            const dx = nextPoint.x - point.x;
-            const dy = nextPoint.y - point.y;
-            const distPx = Math.hypot(dx, dy);
-            if (distPx < 15 / stageScale) return null;
-            const ft = scale ? (distPx / scale).toFixed(2) : 0;
-            
-            const midX = (point.x + nextPoint.x) / 2;
-            const midY = (point.y + nextPoint.y) / 2;
-            const fontSize = 14 / stageScale;
-            const padding = 4 / stageScale;
-            const estWidth = (ft.length * fontSize * 0.6) + padding * 2;
-            const estHeight = fontSize + padding * 2;
-
-            // Calculate a fixed offset vector perpendicular to the line
-            const perpX = -dy / distPx;
-            const perpY = dx / distPx;
-            const offsetDist = 25 / stageScale;
-            
-            return (
-              <KonvaLabel 
-                key={`len-${i}`} 
-                x={midX + perpX * offsetDist} 
-                y={midY + perpY * offsetDist} 
-                offsetX={estWidth / 2} 
-                offsetY={estHeight / 2} 
-                opacity={0.9}
-              >
-                <Tag fill="#2563EB" cornerRadius={4 / stageScale} shadowColor="black" shadowBlur={4 / stageScale} shadowOpacity={0.3} shadowOffset={{ x: 0, y: 2 / stageScale }} />
-                <Text text={`${ft} ft`} fontSize={fontSize} fill="white" padding={padding} fontStyle="bold" />
-              </KonvaLabel>
-            );
-          })}
-
-          {plotPoints.map((point, i) => (
-            <Circle
-              key={i}
-              x={point.x}
-              y={point.y}
-              radius={5 / stageScale}
-              fill="#3182CE"
-              stroke="white"
-              strokeWidth={1.5 / stageScale}
-              hitStrokeWidth={20 / stageScale}
-              draggable={isPlotFinished}
-              onDragEnd={(e) => handlePointDragEnd(e, i)}
-            />
-          ))}
         </Layer>
       </Stage>
-      {(mode === 'calibrating' || (mode === 'drawing_plot' && !isPlotFinished)) && (
+      {image && (
+        <div className="pointer-events-auto absolute bottom-3 left-3 z-50 flex gap-2">
+          <Button
+            variant="outline"
+            size="icon-sm"
+            disabled={!canUndo}
+            title="পূর্বাবস্থায় ফেরান (Ctrl+Z)"
+            onClick={(e) => {
+              e.preventDefault();
+              handleUndo();
+            }}
+            onTouchStart={(e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              handleUndo();
+            }}
+          >
+            <Undo2 />
+          </Button>
+          <Button
+            variant="outline"
+            size="icon-sm"
+            disabled={!canRedo}
+            title="আবার করুন (Ctrl+Shift+Z)"
+            onClick={(e) => {
+              e.preventDefault();
+              handleRedo();
+            }}
+            onTouchStart={(e) => {
+              e.preventDefault();
+              e.stopPropagation();
+              handleRedo();
+            }}
+          >
+            <Redo2 />
+          </Button>
+        </div>
+      )}
+      {georef && (
+        <div
+          ref={coordinatesRef}
+          className="pointer-events-none absolute top-3 left-3 z-50 rounded-md border border-teal-200 bg-white/90 px-2 py-1 font-mono text-xs text-teal-800"
+        >
+          কার্সর ম্যাপের উপর আনুন
+        </div>
+      )}
+      {north && (scale || affine) && (
+        <div className="pointer-events-none absolute top-3 right-3 z-50 flex flex-col items-center rounded-md border border-teal-200 bg-white/90 px-1.5 py-1 text-xs font-bold text-teal-700" title="ম্যাপের উত্তর">
+          <svg width="24" height="24" viewBox="0 0 24 24" style={{ transform: `rotate(${northScreenAngle(northDeg, scale, affine)}deg)` }}>
+            <polygon points="12,1 17,21 12,17 7,21" fill="#319795" />
+          </svg>
+          উ
+        </div>
+      )}
+      {(mode === 'calibrating' || mode === 'affine_points' || mode === 'georef_pins' || mode === 'trace' || mode === 'measure' || mode === 'north_arrow' || (mode === 'drawing_plot' && !isPlotFinished)) && (
         <>
           <div className="pointer-events-none absolute inset-0 z-50 flex items-center justify-center">
             <svg width="24" height="24" viewBox="0 0 24 24" style={{ filter: 'drop-shadow(0px 0px 1px rgba(255,255,255,0.8))' }}>
@@ -333,7 +950,7 @@ export const KonvaStage = memo(({
                 addCenterPoint();
               }}
             >
-              পয়েন্ট যোগ করুন
+              {mode === 'trace' ? 'এখান থেকে ট্রেস করুন' : mode === 'north_arrow' ? (northDraft.length === 0 ? 'তীরের গোড়া যোগ করুন' : 'তীরের মাথা যোগ করুন') : 'পয়েন্ট যোগ করুন'}
             </Button>
           </div>
         </>
@@ -0,0 +1,79 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Trash2, X } from 'lucide-react';
+import { MEASURE_TOOLS, findMeasureTool, isMeasurementComplete, formatMeasurement } from '@/utils/measurements';
+
+const TOOL_HINTS = {
+  distance: 'ক্রসহেয়ার দুই প্রান্তে রেখে পয়েন্ট যোগ করুন।',
+  polyline: 'রেখা বরাবর একের পর এক পয়েন্ট যোগ করুন; মোট দৈর্ঘ্য দেখানো হবে।',
+  angle: 'প্রথম বাহুর এক বিন্দু, তারপর কোণের শীর্ষ, তারপর দ্বিতীয় বাহুর এক বিন্দু যোগ করুন।',
+};
+
+export const MeasurePanel = memo(({
+  mode,
+  measureTool,
+  measureDraft,
+  measurements,
+  scale,
+  affine,
+  lengthUnit,
+  selectMeasureTool,
+  undoMeasurePoint,
+  keepMeasurement,
+  cancelMeasure,
+  renameMeasurement,
+  deleteMeasurement,
+}) => {
+  const isMeasuring = mode === 'measure';
+  const draft = { kind: measureTool, points: measureDraft };
+  const complete = isMeasurementComplete(measureTool, measureDraft);
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-sm font-medium text-foreground">পরিমাপ</label>
+        {isMeasuring && <Button size="icon-sm" variant="ghost" onClick={cancelMeasure} title="বন্ধ করুন"><X /></Button>}
+      </div>
+
+      {isMeasuring && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 mb-2 text-sm">
+            {MEASURE_TOOLS.map(tool => (
+              <label key={tool.id} className="flex items-center gap-1.5 cursor-pointer">
+                <input type="radio" checked={measureTool === tool.id} onChange={() => selectMeasureTool(tool.id)} />
+                {tool.label}
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-muted-foreground mb-3">
+            {TOOL_HINTS[measureTool]} প্লটের কোণ, বাহু ও ম্যাপের রেখায় স্ন্যাপ হয়।
+          </p>
+          <p className="text-sm mb-3">
+            {measureDraft.length}টি পয়েন্ট
+            {complete && <> · <span className="font-semibold">{formatMeasurement(draft, scale, affine, lengthUnit)}</span></>}
+          </p>
+          <div className="flex gap-2 mb-3">
+            <Button onClick={keepMeasurement} disabled={!complete} variant="blue" className="flex-1">ম্যাপে রাখুন</Button>
+            <Button onClick={undoMeasurePoint} disabled={measureDraft.length === 0} variant="outline">শেষ পয়েন্ট মুছুন</Button>
+          </div>
+        </>
+      )}
+
+      {measurements.length > 0 && (
+        <ul className="space-y-2">
+          {measurements.map(m => (
+            <li key={m.id} className="flex flex-wrap items-center gap-2 p-2 rounded-md border border-border bg-background text-sm">
+              <Input value={m.name} onChange={(e) => renameMeasurement(m.id, e.target.value)} className="h-8 flex-1 min-w-32" aria-label="পরিমাপের নাম" />
+              <span className="text-xs text-muted-foreground whitespace-nowrap">{findMeasureTool(m.kind).label}</span>
+              <span className="font-semibold whitespace-nowrap">{formatMeasurement(m, scale, affine, lengthUnit)}</span>
+              <Button size="icon-sm" variant="ghost" onClick={() => deleteMeasurement(m.id)} title="মুছুন"><Trash2 /></Button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+MeasurePanel.displayName = 'MeasurePanel';
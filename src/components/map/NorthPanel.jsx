@@ -0,0 +1,68 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { X } from 'lucide-react';
+
+export const NorthPanel = memo(({
+  mode,
+  north,
+  northDraft,
+  startNorthArrow,
+  cancelNorthArrow,
+  setNorthAngle,
+  clearNorth,
+  onClose,
+}) => {
+  const angle = north ? north.angleDeg : 0;
+  const shown = angle.toFixed(2);
+  const commit = (e) => {
+    if (e.target.value !== shown) setNorthAngle(parseFloat(e.target.value));
+  };
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-sm font-medium text-foreground">ম্যাপের উত্তর দিক</label>
+        <Button size="icon-sm" variant="ghost" onClick={onClose} title="বন্ধ করুন"><X /></Button>
+      </div>
+      <p className="text-xs text-muted-foreground mb-3">
+        বাহুর দিক (বিয়ারিং) ম্যাপের উত্তর থেকে মাপা হয়। ম্যাপের নর্থ অ্যারো শিটের উপরের দিকে না হলে তীর বরাবর দুটি পয়েন্ট দিন, অথবা কোণটি লিখুন।
+      </p>
+      <p className="text-sm mb-3">
+        {north
+          ? `উত্তর শিটের উপর থেকে ${shown}° ঘড়ির কাঁটার দিকে${north.arrow ? ' (নর্থ অ্যারো থেকে মাপা)' : ''}`
+          : 'শিটের উপরের দিক উত্তর ধরা হচ্ছে'}
+      </p>
+      <label className="flex items-center gap-2 text-sm mb-3">
+        কোণ (°, ঘড়ির কাঁটার দিকে):
+        <Input
+          key={shown}
+          type="number"
+          defaultValue={shown}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') e.currentTarget.blur();
+          }}
+          className="h-8 w-28"
+          step="any"
+          aria-label="উত্তরের কোণ"
+        />
+      </label>
+      {mode === 'north_arrow' ? (
+        <div className="flex items-center gap-2">
+          <p className="text-sm text-blue-700 flex-1">
+            {northDraft.length === 0 ? 'ক্রসহেয়ার তীরের গোড়ায় রেখে পয়েন্ট যোগ করুন' : 'এবার তীরের মাথায় রেখে পয়েন্ট যোগ করুন'}
+          </p>
+          <Button onClick={cancelNorthArrow} variant="outline" size="sm">বাতিল</Button>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <Button onClick={startNorthArrow} variant="blue" className="flex-1">নর্থ অ্যারো থেকে মাপুন</Button>
+          <Button onClick={clearNorth} variant="outline" disabled={!north}>রিসেট</Button>
+        </div>
+      )}
+    </div>
+  );
+});
+
+NorthPanel.displayName = 'NorthPanel';
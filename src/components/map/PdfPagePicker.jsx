@@ -0,0 +1,48 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { X } from 'lucide-react';
+
+export const PdfPagePicker = memo(({
+  pdfPageCount,
+  pdfPage,
+  pdfThumbnails,
+  isPageLoading,
+  selectPdfPage,
+  onClose,
+}) => {
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <label className="text-sm font-medium text-foreground">PDF-এর পৃষ্ঠা নির্বাচন করুন ({pdfPageCount}টি পৃষ্ঠা)</label>
+        <Button size="icon-sm" variant="ghost" onClick={onClose} title="বন্ধ করুন"><X /></Button>
+      </div>
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {Array.from({ length: pdfPageCount }, (_, i) => {
+          const pageNumber = i + 1;
+          const isCurrent = pageNumber === pdfPage;
+          return (
+            <button
+              key={pageNumber}
+              type="button"
+              disabled={isPageLoading}
+              onClick={() => selectPdfPage(pageNumber)}
+              className={`shrink-0 w-36 rounded-md border-2 bg-background p-1 text-xs transition-colors ${isCurrent ? 'border-blue-600' : 'border-transparent hover:border-border'}`}
+            >
+              {pdfThumbnails[i] ? (
+                <img src={pdfThumbnails[i]} alt={`পৃষ্ঠা ${pageNumber}`} className="w-full h-auto" />
+              ) : (
+                <div className="flex h-44 items-center justify-center text-muted-foreground">লোড হচ্ছে...</div>
+              )}
+              <div className={`mt-1 ${isCurrent ? 'font-semibold text-blue-700' : 'text-muted-foreground'}`}>
+                পৃষ্ঠা {pageNumber}{isCurrent ? ' (খোলা)' : ''}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+      <p className="mt-2 text-xs text-muted-foreground">অন্য পৃষ্ঠায় গেলে বর্তমান পৃষ্ঠার আঁকা প্লট ও ক্যালিব্রেশন মুছে যাবে।</p>
+    </div>
+  );
+});
+
+PdfPagePicker.displayName = 'PdfPagePicker';
@@ -0,0 +1,66 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+
+export const PerspectivePanel = memo(({
+  perspectiveWidth,
+  setPerspectiveWidth,
+  perspectiveHeight,
+  setPerspectiveHeight,
+  perspectiveCrop,
+  setPerspectiveCrop,
+  isRectifying,
+  lengthUnit,
+  applyPerspective,
+  cancelPerspective,
+}) => {
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <label className="block text-sm font-medium text-foreground mb-1">পার্সপেক্টিভ সংশোধন</label>
+      <p className="text-xs text-muted-foreground mb-3">
+        ম্যাপে একটি জানা আয়তক্ষেত্রের (শিটের বর্ডার বা গ্রিডের বর্গ) চার কোণে হ্যান্ডেলগুলো টেনে বসান:
+        ১ উপর-বাম, ২ উপর-ডান, ৩ নিচ-ডান, ৪ নিচ-বাম।
+      </p>
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+        <span className="text-muted-foreground">আয়তক্ষেত্রের মাপ (ঐচ্ছিক):</span>
+        <Input
+          type="number"
+          value={perspectiveWidth}
+          onChange={(e) => setPerspectiveWidth(e.target.value)}
+          placeholder="প্রস্থ"
+          className="w-24 h-8"
+          min="0"
+          step="any"
+        />
+        <span>×</span>
+        <Input
+          type="number"
+          value={perspectiveHeight}
+          onChange={(e) => setPerspectiveHeight(e.target.value)}
+          placeholder="উচ্চতা"
+          className="w-24 h-8"
+          min="0"
+          step="any"
+        />
+        <span className="text-muted-foreground">{lengthUnit.symbol}</span>
+      </div>
+      <p className="text-xs text-muted-foreground mb-2">
+        মাপ দিলে অনুপাত ঠিক থাকবে এবং স্কেলও সরাসরি সেট হবে; না দিলে সংশোধনের পর স্কেল ঠিক করুন।
+      </p>
+      <label className="flex items-center gap-1.5 text-sm cursor-pointer mb-3">
+        <input type="checkbox" checked={perspectiveCrop} onChange={(e) => setPerspectiveCrop(e.target.checked)} />
+        শুধু নির্বাচিত আয়তক্ষেত্র রাখুন
+      </label>
+      <div className="flex gap-2">
+        <Button onClick={applyPerspective} disabled={isRectifying} variant="blue">
+          {isRectifying ? 'প্রক্রিয়া চলছে...' : 'সংশোধন প্রয়োগ করুন'}
+        </Button>
+        <Button onClick={cancelPerspective} disabled={isRectifying} variant="outline">
+          বাতিল করুন
+        </Button>
+      </div>
+    </div>
+  );
+});
+
+PerspectivePanel.displayName = 'PerspectivePanel';
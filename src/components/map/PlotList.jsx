@@ -0,0 +1,117 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Eraser, Pencil, Scissors, Table2, Trash2 } from 'lucide-react';
+import { DECIMALS } from '@/utils/mapCalculations';
+
+export const PlotList = memo(({
+  plotResults,
+  plots,
+  activePlotId,
+  mode,
+  selectPlot,
+  renamePlot,
+  setPlotColor,
+  redrawPlot,
+  openVertexTable,
+  cleanPlotGeometry,
+  startSubdivision,
+  deletePlot,
+}) => {
+  if (plots.length === 0) return null;
+  const isDrawing = mode === 'drawing_plot';
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <label className="block text-sm font-medium text-foreground mb-2">প্লটের তালিকা ({plots.length})</label>
+      <ul className="space-y-2">
+        {plots.map((plot) => {
+          const result = plotResults.find(p => p.id === plot.id);
+          const results = result?.results;
+          const issues = result?.issues || [];
+          const hasError = issues.some(i => i.severity === 'error');
+          // Repeated corners and corners on a straight side can be removed automatically
+          const canClean = issues.some(i => i.type === 'zero_edge' || i.type === 'collinear');
+          const isActive = plot.id === activePlotId;
+          return (
+            <li
+              key={plot.id}
+              onClick={() => selectPlot(plot.id)}
+              className={`flex flex-wrap items-center gap-2 p-2 rounded-md border bg-background cursor-pointer ${isActive ? 'border-blue-600 ring-1 ring-blue-600' : 'border-border'}`}
+            >
+              <input
+                type="color"
+                value={plot.color}
+                onChange={(e) => setPlotColor(plot.id, e.target.value)}
+                onClick={(e) => e.stopPropagation()}
+                className="w-8 h-8 p-0 border-0 bg-transparent cursor-pointer"
+                title="রং পরিবর্তন করুন"
+              />
+              <Input
+                value={plot.name}
+                onChange={(e) => renamePlot(plot.id, e.target.value)}
+                onClick={(e) => e.stopPropagation()}
+                placeholder="নাম বা দাগ নম্বর"
+                className="flex-1 min-w-32"
+              />
+              <span className="text-xs text-muted-foreground min-w-24 text-right">
+                {results ? `${results.shotok.toFixed(DECIMALS)} শতক` : hasError ? 'সীমানা ত্রুটিপূর্ণ' : 'আঁকা হচ্ছে...'}
+              </span>
+              <Button
+                size="icon-sm"
+                variant="outline"
+                disabled={!results || isDrawing}
+                onClick={(e) => { e.stopPropagation(); openVertexTable(plot.id); }}
+                title="কোণ ও বাহুর তালিকা"
+              >
+                <Table2 />
+              </Button>
+              <Button
+                size="icon-sm"
+                variant="outline"
+                disabled={!results || isDrawing}
+                onClick={(e) => { e.stopPropagation(); startSubdivision(plot.id); }}
+                title="প্লট ভাগ করুন (বণ্টন)"
+              >
+                <Scissors />
+              </Button>
+              <Button
+                size="icon-sm"
+                variant="outline"
+                disabled={isDrawing}
+                onClick={(e) => { e.stopPropagation(); redrawPlot(plot.id); }}
+                title="আবার আঁকুন"
+              >
+                <Pencil />
+              </Button>
+              <Button
+                size="icon-sm"
+                variant="destructive"
+                onClick={(e) => { e.stopPropagation(); deletePlot(plot.id); }}
+                title="প্লট মুছুন"
+              >
+                <Trash2 />
+              </Button>
+              {issues.length > 0 && (
+                <div className={`basis-full flex items-center gap-2 text-xs ${hasError ? 'text-red-600' : 'text-amber-700'}`}>
+                  <span className="flex-1">{issues[0].message}{issues.length > 1 ? ` (+${issues.length - 1})` : ''}</span>
+                  {canClean && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={(e) => { e.stopPropagation(); cleanPlotGeometry(plot.id); }}
+                    >
+                      <Eraser /> ঠিক করুন
+                    </Button>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+});
+
+PlotList.displayName = 'PlotList';
@@ -1,8 +1,9 @@
 import React from 'react';
-import { ReportTable, SideLengthsList } from './ResultsDisplay';
+import { ReportTable, SideLengthsList, PlotSummaryTable, GeometryIssuesList, CornerAnglesTable } from './ResultsDisplay';
+import { findMeasureTool, formatMeasurement } from '@/utils/measurements';
 
-export const PrintLayout = React.forwardRef(({ results, reportImage, imageName }, ref) => {
-  if (!results || !reportImage) return null;
+export const PrintLayout = React.forwardRef(({ plotResults, totals, visibleUnits, combinedUnits, lengthUnit, measurements = [], scale, affine, northDeg = 0, reportImage, imageName }, ref) => {
+  if (!totals || !reportImage) return null;
   const generatedAt = new Date().toLocaleString('bn-BD', {
     year: 'numeric',
     month: 'long',
@@ -23,12 +24,33 @@ export const PrintLayout = React.forwardRef(({ results, reportImage, imageName }
       </div>
       <div className="mb-4 break-inside-avoid">
         <h2 className="text-xl font-semibold mb-2 border-b pb-1">গণনা করা ক্ষেত্রফল</h2>
-        <ReportTable results={results} />
-      </div>
-      <div className="mb-4 break-inside-avoid">
-        {/* <h2 className="text-xl font-semibold mb-2 border-b pb-1">পরিসীমা:</h2> */}
-        <SideLengthsList lengths={results.lengths} />
+        <PlotSummaryTable plotResults={plotResults} totals={totals} visibleUnits={visibleUnits} combinedUnits={combinedUnits} />
       </div>
+      <GeometryIssuesList plotResults={plotResults} />
+      {plotResults.filter(plot => plot.results).map((plot) => (
+        <div key={plot.id} className="mb-4 break-inside-avoid">
+          <h2 className="text-lg font-semibold mb-2 border-b pb-1">
+            <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: plot.color }} />
+            {plot.name}
+          </h2>
+          <ReportTable results={plot.results} visibleUnits={visibleUnits} combinedUnits={combinedUnits} />
+          {/* <h2 className="text-xl font-semibold mb-2 border-b pb-1">পরিসীমা:</h2> */}
+          <SideLengthsList lengths={plot.results.lengths} chordLengths={plot.results.chordLengths} lengthUnit={lengthUnit} />
+          <div className="mt-2">
+            <CornerAnglesTable results={plot.results} northDeg={northDeg} />
+          </div>
+        </div>
+      ))}
+      {measurements.length > 0 && (
+        <div className="mb-4 break-inside-avoid">
+          <h2 className="text-xl font-semibold mb-2 border-b pb-1">পরিমাপ</h2>
+          <ul className="list-disc list-inside">
+            {measurements.map(m => (
+              <li key={m.id}>{m.name} ({findMeasureTool(m.kind).label}): {formatMeasurement(m, scale, affine, lengthUnit)}</li>
+            ))}
+          </ul>
+        </div>
+      )}
       <div className="break-inside-avoid">
         <h2 className="text-xl font-semibold mb-2 border-b pb-1">প্লট সহ ম্যাপ</h2>
         <img src={reportImage} alt="গণনা করা প্লট" className="w-full max-h-100 object-contain border rounded-md" />
@@ -0,0 +1,84 @@
+import React, { memo, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Copy, FolderOpen, Trash2, X } from 'lucide-react';
+
+const formatTime = (ms) => new Date(ms).toLocaleString('bn-BD', { dateStyle: 'medium', timeStyle: 'short' });
+
+export const RecentProjectsPanel = memo(({
+  projects,
+  currentProjectId,
+  openStoredProject,
+  renameProject,
+  duplicateProject,
+  deleteProject,
+  onClose,
+}) => {
+  // Deleting asks once more in the same row
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <label className="text-sm font-medium text-foreground">সাম্প্রতিক প্রজেক্ট</label>
+        <Button size="icon-sm" variant="ghost" onClick={onClose} title="বন্ধ করুন"><X /></Button>
+      </div>
+      {projects.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          এখনো কোনো প্রজেক্ট নেই। ম্যাপে কাজ শুরু করলে তা স্বয়ংক্রিয়ভাবে এই ডিভাইসে সংরক্ষিত হবে (অফলাইনেও খোলা যাবে)।
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {projects.map(project => {
+            const isCurrent = project.id === currentProjectId;
+            return (
+              <li key={project.id} className={`flex flex-wrap items-center gap-3 p-2 rounded-md border bg-background ${isCurrent ? 'border-blue-600' : 'border-border'}`}>
+                {project.thumbnail ? (
+                  <img src={project.thumbnail} alt="" className="w-20 h-14 object-cover rounded border border-border" />
+                ) : (
+                  <div className="w-20 h-14 rounded border border-border bg-muted" />
+                )}
+                <div className="flex-1 min-w-40">
+                  <Input
+                    key={project.name}
+                    defaultValue={project.name}
+                    onBlur={(e) => {
+                      if (e.target.value.trim() !== project.name) renameProject(project.id, e.target.value);
+                    }}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') e.currentTarget.blur();
+                    }}
+                    className="h-8"
+                    aria-label="প্রজেক্টের নাম"
+                  />
+                  <div className="mt-1 text-xs text-muted-foreground truncate">
+                    {project.mapName} · {formatTime(project.updatedAt)}{isCurrent ? ' · খোলা আছে' : ''}
+                  </div>
+                </div>
+                <div className="flex gap-1">
+                  <Button size="sm" variant="blue" onClick={() => openStoredProject(project.id)} disabled={isCurrent} title="খুলুন">
+                    <FolderOpen /> খুলুন
+                  </Button>
+                  <Button size="icon-sm" variant="outline" onClick={() => duplicateProject(project.id)} title="কপি করুন">
+                    <Copy />
+                  </Button>
+                  {confirmDeleteId === project.id ? (
+                    <Button size="sm" variant="destructive" onClick={() => { setConfirmDeleteId(null); deleteProject(project.id); }} onBlur={() => setConfirmDeleteId(null)}>
+                      নিশ্চিত?
+                    </Button>
+                  ) : (
+                    <Button size="icon-sm" variant="ghost" onClick={() => setConfirmDeleteId(project.id)} disabled={isCurrent} title="মুছুন">
+                      <Trash2 />
+                    </Button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+RecentProjectsPanel.displayName = 'RecentProjectsPanel';
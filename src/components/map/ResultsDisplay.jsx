@@ -4,8 +4,12 @@ import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
 import { Label } from '@/components/ui/label';
 import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/ui/table';
 import { DECIMALS } from '@/utils/mapCalculations';
+import { convertArea, formatCombinedArea } from '@/utils/landUnits';
+import { formatLength } from '@/utils/lengthUnits';
+import { pxToLonLat, pxToBTM } from '@/utils/georef';
+import { formatDms, formatQuadrantBearing } from '@/utils/plotGeometry';
 
-export const ReportTable = memo(({ results }) => {
+export const ReportTable = memo(({ results, visibleUnits, combinedUnits = [] }) => {
   return (
     <Table>
       <TableHeader>
@@ -15,41 +19,186 @@ export const ReportTable = memo(({ results }) => {
         </TableRow>
       </TableHeader>
       <TableBody>
-        <TableRow>
-          <TableCell>শতক</TableCell>
-          <TableCell>{results.shotok.toFixed(DECIMALS)}</TableCell>
-        </TableRow>
-        <TableRow>
-          <TableCell>কাঠা</TableCell>
-          <TableCell>{results.katha.toFixed(DECIMALS)}</TableCell>
-        </TableRow>
-        <TableRow>
-          <TableCell>বর্গফুট</TableCell>
-          <TableCell>{results.sqft.toFixed(DECIMALS)}</TableCell>
-        </TableRow>
+        {visibleUnits.map((unit) => (
+          <TableRow key={unit.id}>
+            <TableCell>{unit.label}</TableCell>
+            <TableCell>{convertArea(results.sqft, unit).toFixed(DECIMALS)}</TableCell>
+          </TableRow>
+        ))}
+        {combinedUnits.length > 0 && (
+          <TableRow>
+            <TableCell>মিশ্র একক</TableCell>
+            <TableCell>{formatCombinedArea(results.sqft, combinedUnits)}</TableCell>
+          </TableRow>
+        )}
       </TableBody>
     </Table>
   );
 });
 
-export const SideLengthsList = memo(({ lengths, decimals = DECIMALS, showPerimeter = true }) => {
+// A curved side (its length differs from `chordLengths`) shows the arc length and its chord
+export const SideLengthsList = memo(({ lengths, chordLengths = null, lengthUnit, decimals = DECIMALS, showPerimeter = true }) => {
   const perimeter = lengths.slice(0, -1).reduce((a, b) => a + b, 0);
   return (
     <>
       <ul className="list-disc list-inside print:hidden">
         {lengths.slice(0, -1).map((len, i) => (
-          <li key={i}>বাহু {i + 1}: {len.toFixed(decimals)} ft</li>
+          chordLengths && chordLengths[i] !== len
+            ? <li key={i}>বাহু {i + 1} (বক্র): {formatLength(len, lengthUnit, decimals)} (জ্যা {formatLength(chordLengths[i], lengthUnit, decimals)})</li>
+            : <li key={i}>বাহু {i + 1}: {formatLength(len, lengthUnit, decimals)}</li>
         ))}
       </ul>
       {showPerimeter && (
-        <p className="mt-2 font-semibold">পরিসীমা: {perimeter.toFixed(decimals)} ft</p>
+        <p className="mt-2 font-semibold">পরিসীমা: {formatLength(perimeter, lengthUnit, decimals)}</p>
       )}
     </>
   );
 });
 
-export const ResultsDisplay = memo(({ results, onPrint }) => {
-  if (!results) return null;
+// Interior angle at each corner, bearing of each side from the map's north, and the centroid
+export const CornerAnglesTable = memo(({ results, northDeg = 0 }) => {
+  const n = results.angles.length;
+  return (
+    <>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>কোণ</TableHead>
+            <TableHead>অন্তঃকোণ</TableHead>
+            <TableHead>বাহু</TableHead>
+            <TableHead>দিক (উত্তর থেকে)</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {results.angles.map((angle, i) => (
+            <TableRow key={i}>
+              <TableCell>{i + 1}</TableCell>
+              <TableCell>{formatDms(angle)}</TableCell>
+              <TableCell className="whitespace-nowrap">{i + 1}→{(i + 1) % n + 1}</TableCell>
+              <TableCell className="whitespace-nowrap">
+                {formatQuadrantBearing(results.bearings[i])} <span className="text-xs text-muted-foreground">({results.bearings[i].toFixed(2)}°)</span>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      <p className="mt-2 text-sm">
+        কেন্দ্রবিন্দু: X {results.centroidFt.x.toFixed(2)} ft, Y {results.centroidFt.y.toFixed(2)} ft
+      </p>
+      <p className="text-xs text-muted-foreground">
+        {northDeg ? `দিক ম্যাপের উত্তর থেকে, যা শিটের উপর থেকে ${northDeg.toFixed(2)}° ঘড়ির কাঁটার দিকে` : 'দিক শিটের উপরের দিককে উত্তর ধরে'}
+      </p>
+    </>
+  );
+});
+
+CornerAnglesTable.displayName = 'CornerAnglesTable';
+
+// Corner coordinates of a plot on a georeferenced map
+export const VertexCoordinatesTable = memo(({ points, georef }) => {
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>কোণ</TableHead>
+          <TableHead>অক্ষাংশ</TableHead>
+          <TableHead>দ্রাঘিমাংশ</TableHead>
+          <TableHead>BTM E (m)</TableHead>
+          <TableHead>BTM N (m)</TableHead>
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {points.map((p, i) => {
+          const { lat, lon } = pxToLonLat(georef, p);
+          const { easting, northing } = pxToBTM(georef, p);
+          return (
+            <TableRow key={i}>
+              <TableCell>{i + 1}</TableCell>
+              <TableCell>{lat.toFixed(7)}</TableCell>
+              <TableCell>{lon.toFixed(7)}</TableCell>
+              <TableCell>{easting.toFixed(2)}</TableCell>
+              <TableCell>{northing.toFixed(2)}</TableCell>
+            </TableRow>
+          );
+        })}
+      </TableBody>
+    </Table>
+  );
+});
+
+VertexCoordinatesTable.displayName = 'VertexCoordinatesTable';
+
+// Geometry problems per plot; plots with errors are left out of the area totals
+export const GeometryIssuesList = memo(({ plotResults }) => {
+  const flagged = plotResults.filter(plot => plot.issues && plot.issues.length > 0);
+  if (flagged.length === 0) return null;
+  return (
+    <div className="space-y-2 mb-4">
+      {flagged.map(plot => {
+        const hasError = plot.issues.some(i => i.severity === 'error');
+        return (
+          <div key={plot.id} className={`p-2 rounded-md border text-sm ${hasError ? 'border-red-200 bg-red-50 text-red-800' : 'border-amber-200 bg-amber-50 text-amber-800'}`}>
+            <p className="font-semibold">
+              {plot.name}: {hasError ? 'সীমানা ত্রুটিপূর্ণ — আয়তন হিসাবে ধরা হয়নি' : 'সীমানায় সতর্কতা'}
+            </p>
+            <ul className="list-disc list-inside">
+              {plot.issues.map((issue, i) => <li key={i}>{issue.message}</li>)}
+            </ul>
+          </div>
+        );
+      })}
+    </div>
+  );
+});
+
+GeometryIssuesList.displayName = 'GeometryIssuesList';
+
+// One row per finished plot plus a grand total row
+export const PlotSummaryTable = memo(({ plotResults, totals, visibleUnits, combinedUnits = [] }) => {
+  return (
+    <Table>
+      <TableHeader>
+        <TableRow>
+          <TableHead>প্লট / দাগ</TableHead>
+          {visibleUnits.map((unit) => (
+            <TableHead key={unit.id}>{unit.label}</TableHead>
+          ))}
+          {combinedUnits.length > 0 && <TableHead>মিশ্র একক</TableHead>}
+        </TableRow>
+      </TableHeader>
+      <TableBody>
+        {plotResults.map((plot) => (
+          <TableRow key={plot.id}>
+            <TableCell>
+              <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: plot.color }} />
+              {plot.name}
+            </TableCell>
+            {visibleUnits.map((unit) => (
+              <TableCell key={unit.id}>{plot.results ? convertArea(plot.results.sqft, unit).toFixed(DECIMALS) : '-'}</TableCell>
+            ))}
+            {combinedUnits.length > 0 && (
+              <TableCell>{plot.results ? formatCombinedArea(plot.results.sqft, combinedUnits) : '-'}</TableCell>
+            )}
+          </TableRow>
+        ))}
+        {totals && (
+          <TableRow className="font-semibold">
+            <TableCell>মোট ({totals.count}টি প্লট)</TableCell>
+            {visibleUnits.map((unit) => (
+              <TableCell key={unit.id}>{convertArea(totals.sqft, unit).toFixed(DECIMALS)}</TableCell>
+            ))}
+            {combinedUnits.length > 0 && <TableCell>{formatCombinedArea(totals.sqft, combinedUnits)}</TableCell>}
+          </TableRow>
+        )}
+      </TableBody>
+    </Table>
+  );
+});
+
+PlotSummaryTable.displayName = 'PlotSummaryTable';
+
+export const ResultsDisplay = memo(({ plotResults, totals, visibleUnits, combinedUnits, lengthUnit, northDeg = 0, georef = null, onPrint }) => {
+  if (!totals) return null;
 
   return (
     <div className="mt-6 bg-muted/50 p-4 rounded-lg border border-border">
@@ -57,40 +206,60 @@ export const ResultsDisplay = memo(({ results, onPrint }) => {
         <h3 className="text-xl font-bold text-foreground">হিসাবের ফলাফল</h3>
         <Button onClick={onPrint} className="print:hidden">রিপোর্ট প্রিন্ট করুন</Button>
       </div>
+      <GeometryIssuesList plotResults={plotResults} />
       <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-        <Card>
-          <CardHeader>
-            <CardTitle>আয়তন (শতকে)</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <p className="text-2xl font-bold text-primary">{results.shotok.toFixed(DECIMALS)}</p>
-          </CardContent>
-        </Card>
-        <Card>
-          <CardHeader>
-            <CardTitle>আয়তন (কাঠায়)</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <p className="text-2xl font-bold text-primary">{results.katha.toFixed(DECIMALS)}</p>
-          </CardContent>
-        </Card>
-        <Card>
-          <CardHeader>
-            <CardTitle>আয়তন (বর্গফুটে)</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <p className="text-2xl font-bold text-primary">{results.sqft.toFixed(DECIMALS)}</p>
-          </CardContent>
-        </Card>
+        {visibleUnits.map((unit) => (
+          <Card key={unit.id}>
+            <CardHeader>
+              <CardTitle>মোট আয়তন ({unit.label})</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-bold text-primary">{convertArea(totals.sqft, unit).toFixed(DECIMALS)}</p>
+            </CardContent>
+          </Card>
+        ))}
+        {combinedUnits.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle>মোট আয়তন (মিশ্র একক)</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-2xl font-bold text-primary">{formatCombinedArea(totals.sqft, combinedUnits)}</p>
+            </CardContent>
+          </Card>
+        )}
       </div>
       <div className="mt-4">
-        <Label className="mb-2 block">বাহুর দৈর্ঘ্য (ফুটে):</Label>
+        <Label className="mb-2 block">প্লট অনুযায়ী আয়তন:</Label>
         <Card>
           <CardContent>
-            <SideLengthsList lengths={results.lengths} />
+            <PlotSummaryTable plotResults={plotResults} totals={totals} visibleUnits={visibleUnits} combinedUnits={combinedUnits} />
           </CardContent>
         </Card>
       </div>
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        {plotResults.filter(plot => plot.results).map((plot) => (
+          <div key={plot.id}>
+            <Label className="mb-2 block">
+              <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: plot.color }} />
+              {plot.name} — বাহুর দৈর্ঘ্য ({lengthUnit.label}):
+            </Label>
+            <Card>
+              <CardContent>
+                <SideLengthsList lengths={plot.results.lengths} chordLengths={plot.results.chordLengths} lengthUnit={lengthUnit} />
+                <div className="mt-3 overflow-x-auto">
+                  <CornerAnglesTable results={plot.results} northDeg={northDeg} />
+                </div>
+                {georef && (
+                  <div className="mt-3 overflow-x-auto">
+                    <VertexCoordinatesTable points={plot.points} georef={georef} />
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        ))}
+      </div>
     </div>
   );
 });
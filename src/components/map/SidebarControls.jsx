@@ -1,8 +1,10 @@
 import React, { memo } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
-import { X } from 'lucide-react';
-import { DECIMALS } from '@/utils/mapCalculations';
+import { X, Undo2, Redo2, Wand2, Ruler } from 'lucide-react';
+import { DECIMALS, MAP_SCALE_PRESETS } from '@/utils/mapCalculations';
+import { LENGTH_UNITS } from '@/utils/lengthUnits';
+import { EXPORT_UNITS } from '@/utils/plotExport';
 
 export const SidebarControls = memo(({
   selectedFile,
@@ -17,22 +19,71 @@ export const SidebarControls = memo(({
   calibrationLine,
   setCalibrationLine,
   plotPoints,
-  setPlotPoints,
-  isPlotFinished,
-  results,
+  plotResults,
   setIsDrawing,
   setIsModalOpen,
   setSnapHint,
-  clearPlot,
+  snapSettings,
+  updateSnapSettings,
+  discardDraftPlot,
+  startNewPlot,
+  startTrace,
+  startMeasure,
   finishPlot,
   handleImageUpload,
   handleClearFile,
   handleSaveJSON,
+  handleSaveBundle,
+  exportUnitId,
+  setExportUnitId,
+  handleExportPlots,
+  canExportKml,
+  importInputRef,
+  handleImportClick,
+  handleImportChange,
+  recentProjectCount,
+  showRecentProjects,
+  setShowRecentProjects,
   handleLoadClick,
   handleLoadChange,
   handleManualScaleSubmit,
+  sourceDpi,
+  showStandardScale,
+  setShowStandardScale,
+  standardScaleDpi,
+  setStandardScaleDpi,
+  standardScalePresetId,
+  setStandardScalePresetId,
+  standardScaleRatio,
+  setStandardScaleRatio,
+  handleStandardScaleSubmit,
+  calibrationMultiMode,
+  setCalibrationMultiMode,
+  showAffinePanel,
+  setShowAffinePanel,
+  showGeorefPanel,
+  setShowGeorefPanel,
+  georef,
+  showNorthPanel,
+  setShowNorthPanel,
+  north,
+  pdfPageCount,
+  pdfPage,
+  showPagePicker,
+  setShowPagePicker,
+  originalImage,
+  startPerspective,
+  revertPerspective,
   loadInputRef,
   lastCalibClickRef,
+  handleUndo,
+  handleRedo,
+  canUndo,
+  canRedo,
+  undoLabel,
+  redoLabel,
+  lengthUnit,
+  setLengthUnitId,
 }) => {
   return (
     <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
@@ -89,15 +140,75 @@ export const SidebarControls = memo(({
               </div>
             )}
           </div>
-          {/* Save / Load JSON controls */}
+          {image && (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {pdfPageCount > 1 && (
+                <Button onClick={() => setShowPagePicker(!showPagePicker)} variant={showPagePicker ? 'default' : 'outline'} size="sm">
+                  পৃষ্ঠা {pdfPage}/{pdfPageCount} — পরিবর্তন করুন
+                </Button>
+              )}
+              <Button onClick={() => startPerspective()} variant={mode === 'perspective' ? 'default' : 'outline'} size="sm" disabled={mode === 'perspective'}>
+                পার্সপেক্টিভ ঠিক করুন
+              </Button>
+              {originalImage && (
+                <Button onClick={revertPerspective} variant="outline" size="sm">
+                  মূল ছবিতে ফিরুন
+                </Button>
+              )}
+            </div>
+          )}
+          {/* Save / Load project controls */}
           <div className="mt-4 flex flex-wrap gap-3">
-            <Button onClick={handleSaveJSON} title={!isPlotFinished || !results ? 'Finish & Calculate the plot first' : undefined}>
+            <Button onClick={handleSaveJSON} disabled={!image} title="প্রজেক্ট JSON (ম্যাপ ছাড়া)">
               JSON সংরক্ষণ করুন
             </Button>
-            <Button onClick={handleLoadClick} variant="blue" title={!image ? 'Upload a map first' : undefined}>
-              JSON লোড করুন
+            <Button onClick={handleSaveBundle} disabled={!image} variant="outline" title="ম্যাপসহ এক ফাইলে (.zip)">
+              বান্ডেল (.zip)
+            </Button>
+            <Button onClick={handleLoadClick} variant="blue" title={!image ? 'ম্যাপসহ .zip বান্ডেল খুলুন, অথবা আগে ম্যাপ আপলোড করুন' : undefined}>
+              প্রজেক্ট খুলুন
+            </Button>
+            <input ref={loadInputRef} type="file" accept=".json,.zip,application/json,application/zip" className="hidden" onChange={handleLoadChange} />
+            <Button onClick={() => setShowRecentProjects(!showRecentProjects)} variant={showRecentProjects ? 'default' : 'outline'}>
+              সাম্প্রতিক প্রজেক্ট ({recentProjectCount})
+            </Button>
+          </div>
+          {/* Plot outlines for GIS / CAD */}
+          {image && (
+            <div className="mt-3 flex flex-wrap items-center gap-2">
+              <span className="text-sm text-muted-foreground">প্লট এক্সপোর্ট:</span>
+              <select
+                value={exportUnitId}
+                onChange={(e) => setExportUnitId(e.target.value)}
+                className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+                aria-label="এক্সপোর্টের একক"
+              >
+                {EXPORT_UNITS.map(u => (
+                  <option key={u.id} value={u.id}>{u.label}</option>
+                ))}
+              </select>
+              <Button onClick={() => handleExportPlots('geojson')} disabled={!scale || plotResults.length === 0} variant="outline" size="sm">
+                GeoJSON
+              </Button>
+              <Button onClick={() => handleExportPlots('kml')} disabled={!canExportKml || plotResults.length === 0} variant="outline" size="sm" title={canExportKml ? undefined : 'জিওরেফারেন্স করা ম্যাপে পাওয়া যাবে'}>
+                KML
+              </Button>
+              <Button onClick={() => handleExportPlots('dxf')} disabled={!scale || plotResults.length === 0} variant="outline" size="sm">
+                DXF
+              </Button>
+              <Button onClick={handleImportClick} disabled={!scale || mode === 'import_place'} variant="outline" size="sm" title="GeoJSON, DXF বা CSV স্থানাঙ্ক থেকে">
+                বাউন্ডারি ইমপোর্ট
+              </Button>
+              <input ref={importInputRef} type="file" accept=".geojson,.json,.dxf,.csv,.txt" className="hidden" onChange={handleImportChange} />
+            </div>
+          )}
+          <div className="mt-3 flex gap-2">
+            <Button onClick={handleUndo} disabled={!canUndo} variant="outline" size="sm" title={undoLabel ? `পূর্বাবস্থায় ফেরান: ${undoLabel} (Ctrl+Z)` : 'Ctrl+Z'}>
+              <Undo2 /> পূর্বাবস্থা
+            </Button>
+            <Button onClick={handleRedo} disabled={!canRedo} variant="outline" size="sm" title={redoLabel ? `আবার করুন: ${redoLabel} (Ctrl+Shift+Z)` : 'Ctrl+Shift+Z'}>
+              <Redo2 /> আবার করুন
             </Button>
-            <input ref={loadInputRef} type="file" accept="application/json" className="hidden" onChange={handleLoadChange} />
           </div>
         </div>
         <div>
@@ -109,7 +220,8 @@ export const SidebarControls = memo(({
                 onClick={() => { 
                   setMode('calibrating'); 
                   setShowManualScale(false);
-                  clearPlot(); 
+                  setShowStandardScale(false);
+                  discardDraftPlot(); 
                   setIsDrawing(false); 
                   setCalibrationLine([]); 
                   lastCalibClickRef.current = 0; 
@@ -123,6 +235,7 @@ export const SidebarControls = memo(({
                 variant={showManualScale ? 'default' : 'outline'}
                 onClick={() => {
                   setShowManualScale(!showManualScale);
+                  setShowStandardScale(false);
                   if (showManualScale) {
                     setMode('none');
                   } else {
@@ -135,6 +248,93 @@ export const SidebarControls = memo(({
                 {showManualScale ? 'বাতিল করুন' : 'ম্যানুয়াল স্কেল'}
               </Button>
             </div>
+            <label className="flex items-center gap-2 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={calibrationMultiMode}
+                onChange={(e) => setCalibrationMultiMode(e.target.checked)}
+              />
+              একাধিক রেফারেন্স লাইন দিয়ে স্কেল (গড় ও ত্রুটি রিপোর্ট)
+            </label>
+            <Button
+              variant={showStandardScale ? 'default' : 'outline'}
+              onClick={() => {
+                setShowStandardScale(!showStandardScale);
+                setShowManualScale(false);
+                setMode(showStandardScale ? 'none' : 'standard_scale');
+              }}
+              disabled={!image}
+              className="w-full"
+            >
+              {showStandardScale ? 'বাতিল করুন' : 'স্ট্যান্ডার্ড স্কেল (DPI থেকে)'}
+            </Button>
+            <Button
+              variant={showAffinePanel ? 'default' : 'outline'}
+              onClick={() => setShowAffinePanel(!showAffinePanel)}
+              disabled={!image}
+              className="w-full"
+            >
+              অ্যাফাইন সংশোধন (বাঁকা/প্রসারিত স্ক্যান)
+            </Button>
+            <Button
+              variant={showGeorefPanel ? 'default' : 'outline'}
+              onClick={() => setShowGeorefPanel(!showGeorefPanel)}
+              disabled={!image}
+              className="w-full"
+            >
+              জিওরেফারেন্স (অক্ষাংশ/দ্রাঘিমাংশ বা BTM){georef ? ' ✓' : ''}
+            </Button>
+            <Button
+              variant={showNorthPanel ? 'default' : 'outline'}
+              onClick={() => setShowNorthPanel(!showNorthPanel)}
+              disabled={!image}
+              className="w-full"
+            >
+              ম্যাপের উত্তর দিক (নর্থ অ্যারো){north ? ' ✓' : ''}
+            </Button>
+            {showStandardScale && (
+              <form onSubmit={handleStandardScaleSubmit} className="space-y-2">
+                <select
+                  value={standardScalePresetId}
+                  onChange={(e) => setStandardScalePresetId(e.target.value)}
+                  className="h-9 w-full rounded-md border border-input bg-background px-2 text-sm"
+                >
+                  {MAP_SCALE_PRESETS.map((preset) => (
+                    <option key={preset.id} value={preset.id}>{preset.label}</option>
+                  ))}
+                  <option value="custom">অন্য অনুপাত (1:N)</option>
+                </select>
+                {standardScalePresetId === 'custom' && (
+                  <Input
+                    type="number"
+                    value={standardScaleRatio}
+                    onChange={(e) => setStandardScaleRatio(e.target.value)}
+                    placeholder="N (যেমন: 3960)"
+                    min="1"
+                    step="any"
+                    required
+                  />
+                )}
+                <div className="flex gap-2">
+                  <Input
+                    type="number"
+                    value={standardScaleDpi}
+                    onChange={(e) => setStandardScaleDpi(e.target.value)}
+                    placeholder="DPI (পিক্সেল প্রতি ইঞ্চি)"
+                    className="flex-1"
+                    min="1"
+                    step="any"
+                    required
+                  />
+                  <Button type="submit" variant="blue">সেট করুন</Button>
+                </div>
+                <div className="text-xs text-muted-foreground">
+                  {sourceDpi
+                    ? `ফাইল থেকে পাওয়া রেজোলিউশন: ${sourceDpi} DPI`
+                    : 'এই ছবিতে DPI তথ্য নেই — স্ক্যানের DPI লিখুন'}
+                </div>
+              </form>
+            )}
             {showManualScale && (
               <form onSubmit={handleManualScaleSubmit} className="flex gap-2">
                 <Input
@@ -150,6 +350,19 @@ export const SidebarControls = memo(({
                 <Button type="submit" variant="blue">সেট করুন</Button>
               </form>
             )}
+            <div className="flex items-center gap-2 text-sm">
+              <label htmlFor="length-unit" className="text-muted-foreground whitespace-nowrap">দৈর্ঘ্যের একক:</label>
+              <select
+                id="length-unit"
+                value={lengthUnit.id}
+                onChange={(e) => setLengthUnitId(e.target.value)}
+                className="h-8 flex-1 rounded-md border border-input bg-background px-2 text-sm"
+              >
+                {LENGTH_UNITS.map((unit) => (
+                  <option key={unit.id} value={unit.id}>{unit.label}</option>
+                ))}
+              </select>
+            </div>
             {scale && (
               <div className="text-xs text-muted-foreground text-center space-y-1">
                 <div>বর্তমান স্কেল: 1 পিক্সেল = {(1/scale).toFixed(DECIMALS)} ফুট</div>
@@ -159,9 +372,56 @@ export const SidebarControls = memo(({
         </div>
         <div>
           <label className="block text-sm font-medium text-foreground mb-1">3. প্লট আঁকুন</label>
-          <Button onClick={() => { setMode('drawing_plot'); clearPlot(); }} disabled={!image || !scale || mode === 'drawing_plot'} className="w-full">
-            {mode === 'drawing_plot' ? 'ম্যাপে কোণে ক্লিক করুন' : 'প্লট আঁকুন'}
+          <Button onClick={startNewPlot} disabled={!image || !scale || mode === 'drawing_plot'} className="w-full">
+            {mode === 'drawing_plot' ? 'ম্যাপে কোণে ক্লিক করুন' : plotResults.length > 0 ? 'নতুন প্লট আঁকুন' : 'প্লট আঁকুন'}
           </Button>
+          <Button
+            onClick={startTrace}
+            disabled={!image || !scale || mode === 'trace' || mode === 'trace_review'}
+            variant="outline"
+            className="w-full mt-2"
+            title="প্লটের ভিতরে একটি বিন্দু থেকে ম্যাপের রেখা ধরে সীমানা খুঁজুন"
+          >
+            <Wand2 /> সীমানা ট্রেস করুন
+          </Button>
+          <Button
+            onClick={() => startMeasure()}
+            disabled={!image || !scale || mode === 'measure'}
+            variant="outline"
+            className="w-full mt-2"
+            title="প্লট না এঁকে দূরত্ব, রেখার দৈর্ঘ্য বা কোণ মাপুন"
+          >
+            <Ruler /> দূরত্ব ও কোণ মাপুন
+          </Button>
+          {/* Magnetic snapping of the crosshair and dragged corners */}
+          <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs">
+            <label className="flex items-center gap-1.5 cursor-pointer font-medium">
+              <input type="checkbox" checked={snapSettings.enabled} onChange={(e) => updateSnapSettings({ enabled: e.target.checked })} />
+              স্ন্যাপ
+            </label>
+            <label className="flex items-center gap-1">
+              <Input
+                type="number"
+                min="2"
+                max="60"
+                value={snapSettings.tolerancePx}
+                onChange={(e) => {
+                  const v = parseInt(e.target.value, 10);
+                  if (v > 0) updateSnapSettings({ tolerancePx: Math.min(v, 60) });
+                }}
+                disabled={!snapSettings.enabled}
+                className="h-7 w-14 px-1 text-xs"
+                aria-label="স্ন্যাপ দূরত্ব"
+              />
+              পিক্সেল
+            </label>
+            {[['vertices', 'কোণ'], ['edges', 'বাহু'], ['imageLines', 'ম্যাপের রেখা']].map(([key, label]) => (
+              <label key={key} className="flex items-center gap-1 cursor-pointer">
+                <input type="checkbox" checked={snapSettings[key]} disabled={!snapSettings.enabled} onChange={(e) => updateSnapSettings({ [key]: e.target.checked })} />
+                {label}
+              </label>
+            ))}
+          </div>
         </div>
       </div>
       {mode === 'calibrating' && (
@@ -177,20 +437,14 @@ export const SidebarControls = memo(({
             disabled={calibrationLine.length < 4}
             className="grow"
           >
-            স্কেল নিশ্চিত করুন
+            {calibrationMultiMode ? 'লাইনের দূরত্ব দিন' : 'স্কেল নিশ্চিত করুন'}
           </Button>
           <Button
             onClick={() => {
-              if (calibrationLine.length >= 4) {
-                setCalibrationLine([calibrationLine[0], calibrationLine[1]]);
-                setIsDrawing(true);
-              } else if (calibrationLine.length >= 2) {
-                setCalibrationLine([]);
-                setIsDrawing(false);
-                lastCalibClickRef.current = 0;
-              }
+              if (calibrationLine.length < 4) lastCalibClickRef.current = 0;
+              handleUndo();
             }}
-            disabled={calibrationLine.length < 2}
+            disabled={!canUndo}
             variant="outline"
           >
             পূর্বাবস্থায় ফেরান
@@ -206,7 +460,7 @@ export const SidebarControls = memo(({
       {mode === 'drawing_plot' && (
         <div className="flex flex-wrap gap-4 mt-4">
           <Button onClick={finishPlot} disabled={plotPoints.length < 3} className="grow">শেষ করুন ও হিসাব করুন</Button>
-          <Button onClick={() => setPlotPoints(p => p.slice(0, -1))} disabled={plotPoints.length === 0} variant="yellow">পূর্বাবস্থায় ফেরান</Button>
+          <Button onClick={handleUndo} disabled={!canUndo} variant="yellow">পূর্বাবস্থায় ফেরান</Button>
           <Button onClick={() => { setMode('none'); setIsDrawing(false); setSnapHint(false); }} variant="destructive" title="আঁকা বন্ধ করুন">
             <X />
           </Button>
@@ -0,0 +1,141 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { X } from 'lucide-react';
+import { DECIMALS, segmentLengthFt } from '@/utils/mapCalculations';
+import { formatLength } from '@/utils/lengthUnits';
+
+const METHODS = [
+  { id: 'equal', label: 'সমান ভাগ' },
+  { id: 'ratio', label: 'অনুপাতে' },
+  { id: 'amount', label: 'শতক অনুযায়ী' },
+];
+
+export const SubdivisionPanel = memo(({
+  plot,
+  subdivision,
+  subdivisionResult,
+  scale,
+  affine,
+  lengthUnit,
+  updateSubdivision,
+  applySubdivision,
+  cancelSubdivision,
+}) => {
+  const { method, count, ratio, amounts, sideIndex, orientation, fromOppositeEnd, names } = subdivision;
+  const error = subdivisionResult?.error;
+  const parts = subdivisionResult?.parts || [];
+
+  const renamePart = (i, name) => {
+    const next = [...names];
+    next[i] = name;
+    updateSubdivision({ names: next });
+  };
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-sm font-medium text-foreground">
+          <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: plot.color }} />
+          {plot.name} — বণ্টন
+        </label>
+        <Button size="icon-sm" variant="ghost" onClick={cancelSubdivision} title="বন্ধ করুন"><X /></Button>
+      </div>
+      <p className="text-xs text-muted-foreground mb-3">
+        ভাগের রেখাগুলো বেছে নেওয়া বাহুর সমান্তরাল বা লম্ব হয়ে ওই বাহু থেকে প্লটের অন্য প্রান্তের দিকে এগোয়। প্রয়োগ করলে প্লটটি অংশগুলো দিয়ে বদলে যায়; পূর্বাবস্থায় ফেরানো যায়।
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        {METHODS.map(m => (
+          <label key={m.id} className="flex items-center gap-1.5 cursor-pointer">
+            <input type="radio" checked={method === m.id} onChange={() => updateSubdivision({ method: m.id })} />
+            {m.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="mb-3">
+        {method === 'equal' && (
+          <label className="flex items-center gap-2 text-sm">
+            অংশের সংখ্যা:
+            <Input type="number" min="2" max="50" value={count} onChange={(e) => updateSubdivision({ count: e.target.value })} className="h-8 w-24" />
+          </label>
+        )}
+        {method === 'ratio' && (
+          <label className="flex items-center gap-2 text-sm">
+            অনুপাত:
+            <Input value={ratio} onChange={(e) => updateSubdivision({ ratio: e.target.value })} placeholder="2:1:1" className="h-8 w-40" />
+          </label>
+        )}
+        {method === 'amount' && (
+          <label className="flex flex-wrap items-center gap-2 text-sm">
+            প্রতি অংশের শতক:
+            <Input value={amounts} onChange={(e) => updateSubdivision({ amounts: e.target.value })} placeholder="3.5, 2" className="h-8 w-48" />
+            <span className="text-xs text-muted-foreground">বাকি জমি শেষ অংশে যাবে</span>
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        <label className="flex items-center gap-1.5">
+          বাহু:
+          <select
+            value={sideIndex}
+            onChange={(e) => updateSubdivision({ sideIndex: parseInt(e.target.value, 10) })}
+            className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+          >
+            {plot.points.map((p, i) => {
+              const next = (i + 1) % plot.points.length;
+              return (
+                <option key={i} value={i}>
+                  {i + 1}→{next + 1} ({formatLength(segmentLengthFt(p, plot.points[next], scale, affine), lengthUnit, 2)})
+                </option>
+              );
+            })}
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5 cursor-pointer">
+          <input type="radio" checked={orientation === 'parallel'} onChange={() => updateSubdivision({ orientation: 'parallel' })} />
+          সমান্তরাল রেখা
+        </label>
+        <label className="flex items-center gap-1.5 cursor-pointer">
+          <input type="radio" checked={orientation === 'perpendicular'} onChange={() => updateSubdivision({ orientation: 'perpendicular' })} />
+          লম্ব রেখা
+        </label>
+        <label className="flex items-center gap-1.5 cursor-pointer">
+          <input type="checkbox" checked={fromOppositeEnd} onChange={(e) => updateSubdivision({ fromOppositeEnd: e.target.checked })} />
+          উল্টো দিক থেকে
+        </label>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-600 mb-3">{error}</p>
+      ) : (
+        <ul className="space-y-2 mb-3">
+          {parts.map((part, i) => (
+            <li key={i} className="p-2 rounded-md border border-border bg-background text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: part.color }} />
+                <Input value={names[i] ?? part.name} onChange={(e) => renamePart(i, e.target.value)} className="h-8 flex-1 min-w-32" />
+                <span className="font-semibold whitespace-nowrap">{part.results.shotok.toFixed(DECIMALS)} শতক</span>
+                <span className="text-xs text-muted-foreground whitespace-nowrap">{part.results.sqft.toFixed(2)} বর্গফুট</span>
+              </div>
+              <div className="mt-1 text-xs text-muted-foreground">
+                বাহু: {part.results.lengths.map(l => formatLength(l, lengthUnit, 2)).join(', ')}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <Button onClick={applySubdivision} disabled={Boolean(error) || parts.length === 0} variant="blue" className="flex-1">
+          ভাগ প্রয়োগ করুন
+        </Button>
+        <Button onClick={cancelSubdivision} variant="outline">বাতিল</Button>
+      </div>
+    </div>
+  );
+});
+
+SubdivisionPanel.displayName = 'SubdivisionPanel';
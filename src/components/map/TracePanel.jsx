@@ -0,0 +1,72 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { calculatePolygonData, DECIMALS } from '@/utils/mapCalculations';
+
+export const TracePanel = memo(({
+  mode,
+  traceDraft,
+  scale,
+  affine,
+  updateTraceSettings,
+  acceptTrace,
+  cancelTrace,
+}) => {
+  if (mode === 'trace' || !traceDraft) {
+    return (
+      <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+        <label className="block text-sm font-medium text-foreground mb-1">সীমানা ট্রেস</label>
+        <p className="text-xs text-muted-foreground mb-3">
+          ক্রসহেয়ার প্লটের ভিতরের ফাঁকা জায়গায় (দাগ নম্বর বা রেখার বাইরে) রেখে পয়েন্ট যোগ বোতাম চাপুন। ম্যাপের রেখা ধরে সীমানা খুঁজে নেওয়া হবে।
+        </p>
+        <Button onClick={cancelTrace} variant="outline" className="w-full">বাতিল</Button>
+      </div>
+    );
+  }
+
+  const { points, gapPx, simplifyPx } = traceDraft;
+  const results = calculatePolygonData(points, scale, affine);
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <label className="block text-sm font-medium text-foreground mb-1">সীমানা ট্রেস — যাচাই করুন</label>
+      <p className="text-xs text-muted-foreground mb-3">
+        ম্যাপে কোণগুলো টেনে ঠিক করুন; কোণে ডান-ক্লিক করলে মুছে যায়। সরলীকরণ বদলালে হাতে করা পরিবর্তন বাদ যাবে।
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3 text-sm">
+        <label className="flex flex-col gap-1">
+          <span>সরলীকরণ: {simplifyPx} পিক্সেল</span>
+          <input
+            type="range"
+            min="0.5"
+            max="10"
+            step="0.5"
+            value={simplifyPx}
+            onChange={(e) => updateTraceSettings({ simplifyPx: parseFloat(e.target.value) })}
+            aria-label="সরলীকরণ"
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span>রেখার ফাঁক জোড়া: {gapPx}</span>
+          <input
+            type="range"
+            min="0"
+            max="4"
+            step="1"
+            value={gapPx}
+            onChange={(e) => updateTraceSettings({ gapPx: parseInt(e.target.value, 10) })}
+            aria-label="রেখার ফাঁক জোড়া"
+          />
+        </label>
+      </div>
+      <p className="text-sm mb-3">
+        {points.length}টি কোণ{results ? ` · ${results.shotok.toFixed(DECIMALS)} শতক` : ''}
+      </p>
+      <div className="flex gap-2">
+        <Button onClick={acceptTrace} variant="blue" className="flex-1">প্লট হিসেবে যোগ করুন</Button>
+        <Button onClick={cancelTrace} variant="outline">বাতিল</Button>
+      </div>
+    </div>
+  );
+});
+
+TracePanel.displayName = 'TracePanel';
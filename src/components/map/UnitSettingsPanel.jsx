@@ -0,0 +1,95 @@
+import React, { memo, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Trash2, ChevronDown, ChevronUp } from 'lucide-react';
+
+const UnitCheckboxes = ({ units, selectedIds, onToggle }) => (
+  <div className="flex flex-wrap gap-x-4 gap-y-2">
+    {units.map((unit) => (
+      <label key={unit.id} className="flex items-center gap-1.5 text-sm cursor-pointer">
+        <input type="checkbox" checked={selectedIds.includes(unit.id)} onChange={() => onToggle(unit.id)} />
+        {unit.label}
+      </label>
+    ))}
+  </div>
+);
+
+export const UnitSettingsPanel = memo(({
+  allUnits,
+  customUnits,
+  visibleUnitIds,
+  combinedUnitIds,
+  toggleVisibleUnit,
+  toggleCombinedUnit,
+  addCustomUnit,
+  removeCustomUnit,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [label, setLabel] = useState('');
+  const [amount, setAmount] = useState('');
+  const [baseUnitId, setBaseUnitId] = useState('shotok');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (addCustomUnit({ label, amount, baseUnitId })) {
+      setLabel('');
+      setAmount('');
+    }
+  };
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6 print:hidden">
+      <button type="button" onClick={() => setIsOpen(!isOpen)} className="flex w-full items-center justify-between text-sm font-medium text-foreground cursor-pointer">
+        <span>ক্ষেত্রফলের একক</span>
+        {isOpen ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+      {isOpen && (
+        <div className="mt-4 space-y-4">
+          <div>
+            <div className="text-xs text-muted-foreground mb-2">ফলাফল ও রিপোর্টে দেখানো একক</div>
+            <UnitCheckboxes units={allUnits} selectedIds={visibleUnitIds} onToggle={toggleVisibleUnit} />
+          </div>
+          <div>
+            <div className="text-xs text-muted-foreground mb-2">মিশ্র রূপ (যেমন: 2 বিঘা 5 কাঠা 3 ছটাক) — কোনোটি না বাছলে দেখানো হবে না</div>
+            <UnitCheckboxes units={allUnits} selectedIds={combinedUnitIds} onToggle={toggleCombinedUnit} />
+          </div>
+          <div>
+            <div className="text-xs text-muted-foreground mb-2">আঞ্চলিক একক যোগ করুন (যেমন: 1 বিঘা = 33 শতক)</div>
+            <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2">
+              <span className="text-sm">1</span>
+              <Input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="এককের নাম (যেমন: বিঘা (স্থানীয়))" className="flex-1 min-w-40" required />
+              <span className="text-sm">=</span>
+              <Input type="number" value={amount} onChange={(e) => setAmount(e.target.value)} placeholder="পরিমাণ" className="w-28" min="0" step="any" required />
+              <select
+                value={baseUnitId}
+                onChange={(e) => setBaseUnitId(e.target.value)}
+                className="h-9 rounded-md border border-input bg-transparent px-2 text-sm"
+              >
+                {allUnits.map((unit) => (
+                  <option key={unit.id} value={unit.id}>{unit.label}</option>
+                ))}
+              </select>
+              <Button type="submit" variant="blue" size="sm">যোগ করুন</Button>
+            </form>
+            {customUnits.length > 0 && (
+              <ul className="mt-3 space-y-1">
+                {customUnits.map((unit) => (
+                  <li key={unit.id} className="flex items-center justify-between text-sm p-2 rounded-md border bg-background">
+                    <span>
+                      1 {unit.label} = {unit.definition ? `${unit.definition.amount} ${unit.definition.baseLabel}` : `${unit.sqft} বর্গফুট`}
+                    </span>
+                    <Button size="icon-sm" variant="destructive" onClick={() => removeCustomUnit(unit.id)} title="একক মুছুন">
+                      <Trash2 />
+                    </Button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+UnitSettingsPanel.displayName = 'UnitSettingsPanel';
@@ -0,0 +1,173 @@
+import React, { memo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Table, TableHeader, TableBody, TableRow, TableHead, TableCell } from '@/components/ui/table';
+import { ArrowLeftRight, Trash2, X } from 'lucide-react';
+import { formatLength, splitRoundedLength, toFeet } from '@/utils/lengthUnits';
+import { pxToGround, describeSides, formatQuadrantBearing, bearingFromNorth } from '@/utils/plotGeometry';
+import { sagittaFt, arcLengthFt } from '@/utils/arcs';
+
+/**
+ * Applies on Enter or blur rather than per keystroke, so a half-typed number does not move
+ * the corner. Keyed by the shown value, so dragging on the canvas refreshes it.
+ */
+const CommitInput = ({ value, decimals, onCommit, label, className = 'h-8 w-28' }) => {
+  const shown = value.toFixed(decimals);
+  const commit = (e) => {
+    if (e.target.value !== shown) onCommit(parseFloat(e.target.value));
+  };
+  return (
+    <Input
+      key={shown}
+      type="number"
+      defaultValue={shown}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+        if (e.key === 'Escape') {
+          e.currentTarget.value = shown;
+          e.currentTarget.blur();
+        }
+      }}
+      className={className}
+      step="any"
+      aria-label={label}
+    />
+  );
+};
+
+/**
+ * Side length in the chosen length unit, one input per part for chains and links.
+ * Editing a part keeps the others as shown.
+ */
+const LengthInput = ({ lengthFt, lengthUnit, onCommit, label }) => {
+  const parts = splitRoundedLength(lengthFt, lengthUnit, 3);
+  return (
+    <div className="flex items-center gap-1">
+      {parts.map((part, k) => (
+        <CommitInput
+          key={part.unit.id}
+          value={part.value}
+          decimals={k < parts.length - 1 ? 0 : 3}
+          label={`${label} (${part.unit.symbol})`}
+          className={parts.length > 1 ? 'h-8 w-20' : 'h-8 w-28'}
+          onCommit={(value) => onCommit(toFeet(parts.map((p, j) => (j === k ? value : p.value)), lengthUnit))}
+        />
+      ))}
+    </div>
+  );
+};
+
+export const VertexTablePanel = memo(({
+  plot,
+  scale,
+  affine,
+  lengthUnit,
+  northDeg = 0,
+  editPlotVertex,
+  setPlotSideSagitta,
+  deletePlotVertex,
+  reversePlotVertices,
+  setPlotStartVertex,
+  onClose,
+}) => {
+  const ground = plot.points.map(p => pxToGround(p, scale, affine));
+  // Bearings are shown and typed from the map's north; edits work in the sheet-up ground frame
+  const sides = describeSides(ground).map(side => ({ ...side, bearing: bearingFromNorth(side.bearing, northDeg) }));
+  const edit = (index, patch) => editPlotVertex(plot.id, index, patch);
+
+  return (
+    <div className="bg-muted/50 border border-border rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-sm font-medium text-foreground">
+          <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: plot.color }} />
+          {plot.name} — কোণ ও বাহু
+        </label>
+        <Button size="icon-sm" variant="ghost" onClick={onClose} title="বন্ধ করুন"><X /></Button>
+      </div>
+      <p className="text-xs text-muted-foreground mb-3">
+        স্থানাঙ্ক ফুটে (X পূর্ব, Y উত্তর; শিটের উপরের দিক উত্তর)। দৈর্ঘ্য বা দিক বদলালে বাহুর শুরুর কোণ স্থির থাকে, শেষের কোণ সরে যায় — ফিতার মাপ অনুযায়ী একে একে বসান।
+        ম্যাপে বাহুর মাঝের সাদা বিন্দুতে চাপ দিলে নতুন কোণ যোগ হয়; কোণে ডান-ক্লিক বা লম্বা চাপ দিলে মুছে যায়।
+        বাহু বাঁকা করতে মাঝের বিন্দুতে ডান-ক্লিক বা লম্বা চাপ দিন, অথবা বক্রতা (জ্যা থেকে চাপের মাঝের উচ্চতা, বাইরের দিকে ধনাত্মক) লিখুন; ০ দিলে বাহু সোজা হয়।
+      </p>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <label className="flex items-center gap-1.5">
+          শুরুর কোণ:
+          <select
+            value={0}
+            onChange={(e) => setPlotStartVertex(plot.id, parseInt(e.target.value, 10))}
+            className="h-8 rounded-md border border-input bg-background px-2 text-sm"
+          >
+            {plot.points.map((_, i) => (
+              <option key={i} value={i}>কোণ {i + 1}</option>
+            ))}
+          </select>
+        </label>
+        <Button size="sm" variant="outline" onClick={() => reversePlotVertices(plot.id)}>
+          <ArrowLeftRight /> ক্রম উল্টান
+        </Button>
+      </div>
+      <div className="overflow-x-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>কোণ</TableHead>
+              <TableHead>X (ft)</TableHead>
+              <TableHead>Y (ft)</TableHead>
+              <TableHead>বাহু</TableHead>
+              <TableHead>দৈর্ঘ্য ({lengthUnit.label})</TableHead>
+              <TableHead>বক্রতা (ft)</TableHead>
+              <TableHead>দিক (° উত্তর থেকে)</TableHead>
+              <TableHead />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {ground.map((g, i) => {
+              const next = (i + 1) % ground.length;
+              const { bulge } = plot.points[i];
+              return (
+                <TableRow key={i}>
+                  <TableCell>{i + 1}</TableCell>
+                  <TableCell>
+                    <CommitInput value={g.x} decimals={3} label={`কোণ ${i + 1} X`} onCommit={(x) => edit(i, { x })} />
+                  </TableCell>
+                  <TableCell>
+                    <CommitInput value={g.y} decimals={3} label={`কোণ ${i + 1} Y`} onCommit={(y) => edit(i, { y })} />
+                  </TableCell>
+                  <TableCell className="whitespace-nowrap">{i + 1}→{next + 1}</TableCell>
+                  <TableCell>
+                    <LengthInput lengthFt={sides[i].lengthFt} lengthUnit={lengthUnit} label={`বাহু ${i + 1} দৈর্ঘ্য`} onCommit={(lengthFt) => edit(i, { lengthFt })} />
+                    {Boolean(bulge) && (
+                      <div className="mt-1 text-xs text-muted-foreground whitespace-nowrap">
+                        জ্যা; চাপ {formatLength(arcLengthFt(plot.points[i], plot.points[next], bulge, scale, affine), lengthUnit, 2)}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <CommitInput
+                      value={sagittaFt(plot.points, i, scale, affine)}
+                      decimals={3}
+                      label={`বাহু ${i + 1} বক্রতা`}
+                      onCommit={(heightFt) => setPlotSideSagitta(plot.id, i, heightFt)}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <CommitInput value={sides[i].bearing} decimals={4} label={`বাহু ${i + 1} দিক`} onCommit={(bearing) => edit(i, { bearing: bearing + northDeg })} />
+                    <div className="mt-1 text-xs text-muted-foreground whitespace-nowrap">{formatQuadrantBearing(sides[i].bearing)}</div>
+                  </TableCell>
+                  <TableCell>
+                    <Button size="icon-sm" variant="ghost" onClick={() => deletePlotVertex(plot.id, i)} disabled={ground.length <= 3} title="কোণ মুছুন">
+                      <Trash2 />
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+});
+
+VertexTablePanel.displayName = 'VertexTablePanel';
@@ -0,0 +1,63 @@
+import { useState, useMemo } from 'react';
+import { toast } from 'sonner';
+import { fitAffineFromControlPoints, fitAffineFromDistances, equivalentScale } from '@/utils/affine';
+
+/**
+ * Affine calibration for scans stretched unevenly along X and Y, fitted from control points
+ * with known ground coordinates or from the measured reference lines. Control points and the
+ * applied fit live in the undoable document.
+ */
+export const useAffineCalibration = ({ affine, controlPoints, calibrationLines, updateDoc, mode, setMode }) => {
+  const [showAffinePanel, setShowAffinePanel] = useState(false);
+  const [affineMethod, setAffineMethod] = useState('control_points');
+
+  const affineFit = useMemo(() => (
+    affineMethod === 'distances'
+      ? fitAffineFromDistances(calibrationLines)
+      : fitAffineFromControlPoints(controlPoints)
+  ), [affineMethod, calibrationLines, controlPoints]);
+
+  const addControlPoint = (pt) => {
+    const point = { id: `cp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, x: pt.x, y: pt.y, groundX: null, groundY: null };
+    updateDoc('নিয়ন্ত্রণ বিন্দু যোগ', doc => ({ controlPoints: [...doc.controlPoints, point] }));
+  };
+
+  const updateControlPoint = (id, patch) => {
+    updateDoc('নিয়ন্ত্রণ বিন্দুর স্থানাঙ্ক', doc => ({
+      controlPoints: doc.controlPoints.map(p => (p.id === id ? { ...p, ...patch } : p)),
+    }), { mergeKey: `cp-${id}-${Object.keys(patch).join()}` });
+  };
+
+  const removeControlPoint = (id) => {
+    updateDoc('নিয়ন্ত্রণ বিন্দু মুছে ফেলা', doc => ({ controlPoints: doc.controlPoints.filter(p => p.id !== id) }));
+  };
+
+  const applyAffineFit = () => {
+    if (affineFit.error) {
+      toast.error(affineFit.error);
+      return;
+    }
+    const { matrix, method, residuals, rmsFt } = affineFit;
+    // Keep an equivalent isotropic scale so scale-only displays and features stay usable
+    updateDoc('অ্যাফাইন ক্যালিব্রেশন', { affine: { matrix, method, residuals, rmsFt }, scale: equivalentScale(matrix) });
+    if (mode === 'affine_points') setMode('none');
+    toast.success(`অ্যাফাইন সংশোধন প্রয়োগ হয়েছে (RMS ত্রুটি ${rmsFt.toFixed(3)} ft)`);
+  };
+
+  const clearAffine = () => {
+    if (!affine) return;
+    updateDoc('অ্যাফাইন বাতিল', { affine: null });
+  };
+
+  return {
+    controlPoints,
+    affineFit,
+    showAffinePanel, setShowAffinePanel,
+    affineMethod, setAffineMethod,
+    addControlPoint,
+    updateControlPoint,
+    removeControlPoint,
+    applyAffineFit,
+    clearAffine,
+  };
+};
@@ -0,0 +1,136 @@
+import { useState, useRef, useMemo } from 'react';
+import { toast } from 'sonner';
+import { createPlot } from '@/utils/plots';
+import { invertAffinePoint } from '@/utils/affine';
+import { findExportUnit } from '@/utils/plotExport';
+import { detectImportFormat, parseBoundaryFile, placeShapes, transformShapePoints } from '@/utils/plotImport';
+
+// A .json file of one of these types is GeoJSON, not a project
+export const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+/**
+ * Boundary import: coordinates from GeoJSON, DXF or CSV become plots once placed over the map.
+ * The import waiting to be placed is
+ * { fileName, format, text, shapes, fileUnitId, unitId, columnOrder, pointIds, rotation, center, byCoordinates }.
+ */
+export const useBoundaryImport = ({ image, scale, affine, setPlots, setMode, getStageCenterPoint }) => {
+  const [importDraft, setImportDraft] = useState(null);
+  const importInputRef = useRef(null);
+
+  const parseImport = (draft) => {
+    const parsed = parseBoundaryFile(draft.format, draft.text, { columnOrder: draft.columnOrder, pointIds: draft.pointIds });
+    return { ...draft, shapes: parsed.shapes, fileUnitId: parsed.unitId, pointIds: parsed.pointIds ?? null };
+  };
+
+  const startBoundaryImport = (fileName, text) => {
+    if (!image || !scale) {
+      toast.warning('বাউন্ডারি ইমপোর্টের আগে ম্যাপ আপলোড করে স্কেল সেট করুন');
+      return;
+    }
+    try {
+      const draft = parseImport({
+        fileName,
+        format: detectImportFormat(fileName, text),
+        text,
+        columnOrder: 'xy',
+        pointIds: null,
+        rotation: 0,
+        center: getStageCenterPoint(),
+        byCoordinates: false,
+      });
+      setImportDraft({ ...draft, unitId: draft.fileUnitId || 'ft' });
+      setMode('import_place');
+      toast.success(`${draft.shapes.length}টি বাউন্ডারি পাওয়া গেছে — টেনে ও ঘুরিয়ে ম্যাপে মিলিয়ে নিন`);
+    } catch (err) {
+      console.error('Import failed', err);
+      toast.error('ইমপোর্ট ব্যর্থ: ' + err.message);
+    }
+  };
+
+  const handleImportClick = () => {
+    if (!image || !scale) {
+      toast.warning('বাউন্ডারি ইমপোর্টের আগে ম্যাপ আপলোড করে স্কেল সেট করুন');
+      return;
+    }
+    if (importInputRef.current) importInputRef.current.click();
+  };
+
+  const handleImportChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      startBoundaryImport(file.name, await file.text());
+    } catch (err) {
+      console.error('Import failed', err);
+      toast.error('ইমপোর্ট ব্যর্থ: ' + err.message);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  // Column order and point numbers change how a CSV is read, so those re-parse the file
+  const updateImportDraft = (patch) => {
+    if (!importDraft) return;
+    const next = { ...importDraft, ...patch };
+    if ('columnOrder' in patch || 'pointIds' in patch) {
+      try {
+        setImportDraft(parseImport(next));
+      } catch (err) {
+        toast.error('ইমপোর্ট ব্যর্থ: ' + err.message);
+      }
+      return;
+    }
+    setImportDraft(next);
+  };
+
+  const moveImport = (dx, dy) => {
+    setImportDraft(d => (d ? { ...d, center: { x: d.center.x + dx, y: d.center.y + dy } } : d));
+  };
+
+  const importPreview = useMemo(() => {
+    if (!importDraft || !scale) return null;
+    const unitFt = findExportUnit(importDraft.unitId).ft;
+    // Coordinates in the control points' system land exactly where the affine fit puts them
+    if (importDraft.byCoordinates && affine && affine.method === 'control_points') {
+      return importDraft.shapes.map(s => transformShapePoints(s.points, p => invertAffinePoint(affine.matrix, { x: p.x * unitFt, y: p.y * unitFt })));
+    }
+    return placeShapes(importDraft.shapes, { unitFt, scale, affine, rotationDeg: importDraft.rotation, center: importDraft.center });
+  }, [importDraft, scale, affine]);
+
+  const clearImportDraft = () => setImportDraft(null);
+
+  const cancelImport = () => {
+    setImportDraft(null);
+    setMode('none');
+  };
+
+  const confirmImport = () => {
+    if (!importDraft || !importPreview) return;
+    const { shapes } = importDraft;
+    setPlots('বাউন্ডারি ইমপোর্ট', prev => [
+      ...prev,
+      ...importPreview.map((points, i) => createPlot(prev.length + i, {
+        ...(shapes[i].name ? { name: shapes[i].name } : {}),
+        points,
+        isFinished: true,
+      })),
+    ]);
+    toast.success(`${importPreview.length}টি প্লট যোগ হয়েছে`);
+    setImportDraft(null);
+    setMode('none');
+  };
+
+  return {
+    importDraft,
+    importPreview,
+    importInputRef,
+    startBoundaryImport,
+    handleImportClick,
+    handleImportChange,
+    updateImportDraft,
+    moveImport,
+    clearImportDraft,
+    cancelImport,
+    confirmImport,
+  };
+};
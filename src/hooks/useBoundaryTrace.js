@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { createPlot, removeVertex } from '@/utils/plots';
+import { traceBoundary, simplifyRing, TRACE_DEFAULTS } from '@/utils/boundaryTrace';
+
+/**
+ * Boundary tracing: pick a point inside a plot, review the traced polygon, then accept it as a plot.
+ * The traced boundary under review is { seed, gapPx, simplifyPx, outline, points }.
+ */
+export const useBoundaryTrace = ({ image, scale, plots, setPlots, setMode, setActivePlotId, reportGeometryIssues, captureReportImage }) => {
+  const [traceDraft, setTraceDraft] = useState(null);
+
+  const startTrace = () => {
+    if (!image || !scale) return;
+    // An unfinished drawn plot stays as it is and can be resumed later
+    setActivePlotId(null);
+    setTraceDraft(null);
+    setMode('trace');
+  };
+
+  const runTrace = (seed, gapPx, simplifyPx) => {
+    const result = traceBoundary(image, seed, { gapPx });
+    if (result.error) {
+      toast.error(result.error);
+      return;
+    }
+    setTraceDraft({ seed, gapPx, simplifyPx, outline: result.outline, points: simplifyRing(result.outline, simplifyPx) });
+    setMode('trace_review');
+  };
+
+  const traceAt = (seed) => runTrace(seed, TRACE_DEFAULTS.gapPx, TRACE_DEFAULTS.simplifyPx);
+
+  // A new gap setting traces again; a new simplification redraws from the traced outline
+  const updateTraceSettings = (patch) => {
+    if (!traceDraft) return;
+    if ('gapPx' in patch) runTrace(traceDraft.seed, patch.gapPx, traceDraft.simplifyPx);
+    else setTraceDraft({ ...traceDraft, ...patch, points: simplifyRing(traceDraft.outline, patch.simplifyPx) });
+  };
+
+  const moveTraceVertex = (index, point) => {
+    setTraceDraft(prev => (prev ? { ...prev, points: prev.points.map((p, i) => (i === index ? point : p)) } : prev));
+  };
+
+  const deleteTraceVertex = (index) => {
+    if (!traceDraft || traceDraft.points.length <= 3) return;
+    setTraceDraft({ ...traceDraft, points: removeVertex(traceDraft.points, index) });
+  };
+
+  const clearTraceDraft = () => setTraceDraft(null);
+
+  const cancelTrace = () => {
+    setTraceDraft(null);
+    setMode('none');
+  };
+
+  const acceptTrace = () => {
+    if (!traceDraft) return;
+    const plot = createPlot(plots.length, { points: traceDraft.points, isFinished: true });
+    setPlots('সীমানা ট্রেস', prev => [...prev, plot]);
+    setActivePlotId(plot.id);
+    setTraceDraft(null);
+    setMode('none');
+    reportGeometryIssues(plot.points);
+    captureReportImage();
+  };
+
+  return {
+    traceDraft,
+    startTrace,
+    traceAt,
+    updateTraceSettings,
+    moveTraceVertex,
+    deleteTraceVertex,
+    clearTraceDraft,
+    cancelTrace,
+    acceptTrace,
+  };
+};
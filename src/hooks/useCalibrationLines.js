@@ -0,0 +1,60 @@
+import { useState, useMemo } from 'react';
+import { toast } from 'sonner';
+import { combineCalibrationLines, DEFAULT_CALIBRATION_TOLERANCE_PCT } from '@/utils/calibration';
+
+/**
+ * Multi-line calibration: several reference lines averaged into one scale, with lines outside
+ * the tolerance reported. The lines live in the undoable document.
+ */
+export const useCalibrationLines = ({ calibrationLines, updateDoc, setMode }) => {
+  const [calibrationMultiMode, setCalibrationMultiMode] = useState(false);
+  const [calibrationTolerance, setCalibrationTolerance] = useState(DEFAULT_CALIBRATION_TOLERANCE_PCT);
+
+  const calibrationReport = useMemo(
+    () => combineCalibrationLines(calibrationLines, calibrationTolerance),
+    [calibrationLines, calibrationTolerance]
+  );
+
+  // Collects a measured line; the scale is applied from the combined report
+  const addCalibrationLine = (line) => {
+    updateDoc('রেফারেন্স লাইন যোগ', { calibrationLines: [...calibrationLines, line], calibrationLine: [] });
+    toast.success(`রেফারেন্স লাইন ${calibrationLines.length + 1} যোগ হয়েছে`);
+  };
+
+  const applyCalibrationLines = () => {
+    const { scale: combinedScale, usedCount, warningCount } = calibrationReport;
+    if (!combinedScale) {
+      toast.error('অন্তত একটি রেফারেন্স লাইন দিন');
+      return;
+    }
+    updateDoc('একাধিক লাইনে স্কেল', { scale: combinedScale, affine: null, calibrationLine: [] });
+    setMode('none');
+    if (warningCount > 0) {
+      toast.warning(`${warningCount}টি লাইন সহনসীমার (±${calibrationTolerance}%) বাইরে — লাইনগুলো আবার যাচাই করুন`);
+    }
+    toast.success(`${usedCount}টি লাইনের গড় স্কেল সেট হয়েছে (1 px = ${(1 / combinedScale).toFixed(6)} ft)`);
+  };
+
+  const toggleCalibrationLine = (id) => {
+    updateDoc('রেফারেন্স লাইন পরিবর্তন', doc => ({
+      calibrationLines: doc.calibrationLines.map(l => (l.id === id ? { ...l, enabled: !l.enabled } : l)),
+    }));
+  };
+
+  const removeCalibrationLine = (id) => {
+    updateDoc('রেফারেন্স লাইন মুছে ফেলা', doc => ({
+      calibrationLines: doc.calibrationLines.filter(l => l.id !== id),
+    }));
+  };
+
+  return {
+    calibrationLines,
+    calibrationReport,
+    calibrationMultiMode, setCalibrationMultiMode,
+    calibrationTolerance, setCalibrationTolerance,
+    addCalibrationLine,
+    applyCalibrationLines,
+    toggleCalibrationLine,
+    removeCalibrationLine,
+  };
+};
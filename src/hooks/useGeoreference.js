@@ -0,0 +1,59 @@
+import { useState, useMemo } from 'react';
+import { toast } from 'sonner';
+import { createGeorefPin, updateGeorefPin as applyGeorefPinPatch, fitGeoreference, pxToLonLat, georefScale } from '@/utils/georef';
+
+/**
+ * Georeferencing: pins with known latitude/longitude or BTM coordinates, fitted into a transform
+ * from sheet pixels to the ground. Pins and the applied transform live in the undoable document.
+ */
+export const useGeoreference = ({ georefPins, georef, scale, updateDoc, mode, setMode }) => {
+  const [showGeorefPanel, setShowGeorefPanel] = useState(false);
+
+  const georefFit = useMemo(() => fitGeoreference(georefPins), [georefPins]);
+
+  const addGeorefPin = (pt) => {
+    const pin = createGeorefPin(pt);
+    updateDoc('জিওরেফারেন্স পিন যোগ', doc => ({ georefPins: [...doc.georefPins, pin] }));
+  };
+
+  const updateGeorefPin = (id, patch) => {
+    updateDoc('জিওরেফারেন্স পিনের স্থানাঙ্ক', doc => ({
+      georefPins: doc.georefPins.map(p => (p.id === id ? applyGeorefPinPatch(p, patch) : p)),
+    }), { mergeKey: `gp-${id}-${Object.keys(patch).join()}` });
+  };
+
+  const removeGeorefPin = (id) => {
+    updateDoc('জিওরেফারেন্স পিন মুছে ফেলা', doc => ({ georefPins: doc.georefPins.filter(p => p.id !== id) }));
+  };
+
+  const applyGeoreference = () => {
+    if (georefFit.error) {
+      toast.error(georefFit.error);
+      return;
+    }
+    // An uncalibrated sheet takes its scale from the georeference as well
+    updateDoc('জিওরেফারেন্স', doc => ({ georef: georefFit, ...(doc.scale ? {} : { scale: georefScale(georefFit) }) }));
+    if (mode === 'georef_pins') setMode('none');
+    toast.success(`জিওরেফারেন্স প্রয়োগ হয়েছে (RMS ত্রুটি ${georefFit.rmsM.toFixed(2)} m)${scale ? '' : ' — স্কেলও সেট হয়েছে'}`);
+  };
+
+  const clearGeoreference = () => {
+    if (!georef) return;
+    updateDoc('জিওরেফারেন্স বাতিল', { georef: null });
+  };
+
+  const toLonLat = useMemo(() => (georef ? (p) => pxToLonLat(georef, p) : null), [georef]);
+
+  return {
+    georefPins,
+    georef,
+    georefFit,
+    toLonLat,
+    showGeorefPanel, setShowGeorefPanel,
+    addGeorefPin,
+    updateGeorefPin,
+    removeGeorefPin,
+    applyGeoreference,
+    clearGeoreference,
+  };
+};
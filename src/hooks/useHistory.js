@@ -0,0 +1,83 @@
+import { useState, useCallback } from 'react';
+
+const HISTORY_LIMIT = 200;
+
+/**
+ * Command history over an immutable document.
+ * Every change goes through `execute(label, updater)`, which records the previous
+ * document so it can be restored by `undo()` and re-applied by `redo()`.
+ * Consecutive commands sharing a `mergeKey` (e.g. typing a plot name) collapse
+ * into a single history entry.
+ */
+export const useHistory = (initialDoc) => {
+  const [history, setHistory] = useState(() => ({
+    past: [],
+    present: typeof initialDoc === 'function' ? initialDoc() : initialDoc,
+    future: [],
+    lastMergeKey: null,
+  }));
+
+  const execute = useCallback((label, updater, { mergeKey = null } = {}) => {
+    setHistory((h) => {
+      const next = typeof updater === 'function' ? updater(h.present) : updater;
+      if (next === h.present) return h;
+      if (mergeKey && mergeKey === h.lastMergeKey && h.past.length > 0) {
+        return { ...h, present: next, future: [] };
+      }
+      return {
+        past: [...h.past, { label, doc: h.present }].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+        lastMergeKey: mergeKey,
+      };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory((h) => {
+      if (h.past.length === 0) return h;
+      const entry = h.past[h.past.length - 1];
+      return {
+        past: h.past.slice(0, -1),
+        present: entry.doc,
+        future: [{ label: entry.label, doc: h.present }, ...h.future],
+        lastMergeKey: null,
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory((h) => {
+      if (h.future.length === 0) return h;
+      const [entry, ...rest] = h.future;
+      return {
+        past: [...h.past, { label: entry.label, doc: h.present }],
+        present: entry.doc,
+        future: rest,
+        lastMergeKey: null,
+      };
+    });
+  }, []);
+
+  // Replaces the document and forgets all history (e.g. when a new map is opened)
+  const reset = useCallback((doc) => {
+    setHistory((h) => ({
+      past: [],
+      present: typeof doc === 'function' ? doc(h.present) : doc,
+      future: [],
+      lastMergeKey: null,
+    }));
+  }, []);
+
+  return {
+    doc: history.present,
+    execute,
+    undo,
+    redo,
+    reset,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    undoLabel: history.past.length > 0 ? history.past[history.past.length - 1].label : null,
+    redoLabel: history.future.length > 0 ? history.future[0].label : null,
+  };
+};
@@ -0,0 +1,66 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { northFromArrow, bearingFromNorth } from '@/utils/plotGeometry';
+
+/**
+ * Map north: traced along the sheet's north arrow, or typed as degrees off the sheet's top.
+ * The tail of the arrow being traced is session state; the north itself lives in the undoable document.
+ */
+export const useMapNorth = ({ north, scale, affine, updateDoc, mode, setMode }) => {
+  const [northDraft, setNorthDraft] = useState([]);
+  const [showNorthPanel, setShowNorthPanel] = useState(false);
+
+  const startNorthArrow = () => {
+    if (!scale && !affine) return;
+    setNorthDraft([]);
+    setMode('north_arrow');
+  };
+
+  // The first point is the arrow's tail, the second its head
+  const addNorthPoint = (pt) => {
+    if (northDraft.length === 0) {
+      setNorthDraft([pt]);
+      return;
+    }
+    const [tail] = northDraft;
+    if (Math.hypot(pt.x - tail.x, pt.y - tail.y) < 1) return;
+    const angleDeg = northFromArrow(tail, pt, scale, affine);
+    updateDoc('উত্তর দিক', { north: { angleDeg, arrow: [tail, pt] } });
+    setNorthDraft([]);
+    setMode('none');
+    toast.success(`ম্যাপের উত্তর সেট হয়েছে (শিটের উপর থেকে ${angleDeg.toFixed(2)}°)`);
+  };
+
+  const clearNorthDraft = () => setNorthDraft([]);
+
+  const cancelNorthArrow = () => {
+    setNorthDraft([]);
+    if (mode === 'north_arrow') setMode('none');
+  };
+
+  const setNorthAngle = (deg) => {
+    if (!Number.isFinite(deg)) {
+      toast.error('সঠিক সংখ্যা দিন');
+      return;
+    }
+    const angleDeg = bearingFromNorth(deg);
+    updateDoc('উত্তর দিক', { north: angleDeg === 0 ? null : { angleDeg, arrow: null } });
+  };
+
+  const clearNorth = () => {
+    if (!north) return;
+    updateDoc('উত্তর দিক বাতিল', { north: null });
+  };
+
+  return {
+    north,
+    northDraft,
+    showNorthPanel, setShowNorthPanel,
+    startNorthArrow,
+    addNorthPoint,
+    clearNorthDraft,
+    cancelNorthArrow,
+    setNorthAngle,
+    clearNorth,
+  };
+};
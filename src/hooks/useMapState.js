@@ -1,10 +1,54 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import { toast } from 'sonner';
-import { calculatePolygonData, DECIMALS } from '@/utils/mapCalculations';
-import { extractImageFromPDF } from '@/utils/pdfHelper';
+import { calculatePolygonData, calculateTotals } from '@/utils/mapCalculations';
+import { loadPdfDocument, renderPdfPage, renderPdfThumbnails, PDF_RENDER_DPI } from '@/utils/pdfHelper';
+import { loadRasterImage, getSheetSize } from '@/utils/sheetImage';
+import { readImageDpi } from '@/utils/imageDpi';
+import { createCalibrationLine } from '@/utils/calibration';
+import { createPlot, getPlotsBounds, insertVertex, removeVertex, reverseVertices, rotateVertices } from '@/utils/plots';
+import { pxToGround, groundToPx, applyVertexEdit } from '@/utils/plotGeometry';
+import { withBulge, clampBulge, bulgeFromSagittaFt } from '@/utils/arcs';
+import { findSnapTarget, loadSnapSettings, saveSnapSettings } from '@/utils/snapping';
+import { validatePolygon, hasGeometryErrors, removeRedundantVertices } from '@/utils/geometryValidation';
+import { createMeasurement } from '@/utils/measurements';
+import { rectifyImage, defaultPerspectiveCorners, isValidQuad } from '@/utils/perspective';
+import { buildProject, parseProject, hashFile, createProjectBundle, readProjectBundle } from '@/utils/projectFile';
+import { downloadBlob, baseFileName } from '@/utils/download';
+import { createProjectId, getMapKey, getProject, getMapFile } from '@/utils/projectStore';
+import { getScaleMemoryKey, recallScale, rememberScale, clearLegacyScale } from '@/utils/scaleMemory';
+import { useHistory } from '@/hooks/useHistory';
+import { useUnitSettings } from '@/hooks/useUnitSettings';
+import { useProjectLibrary } from '@/hooks/useProjectLibrary';
+import { useMeasurements } from '@/hooks/useMeasurements';
+import { useBoundaryTrace } from '@/hooks/useBoundaryTrace';
+import { useSubdivision } from '@/hooks/useSubdivision';
+import { useBoundaryImport, GEOJSON_TYPES } from '@/hooks/useBoundaryImport';
+import { usePlotExport } from '@/hooks/usePlotExport';
+import { useAffineCalibration } from '@/hooks/useAffineCalibration';
+import { useCalibrationLines } from '@/hooks/useCalibrationLines';
+import { useStandardScale } from '@/hooks/useStandardScale';
+import { useGeoreference } from '@/hooks/useGeoreference';
+import { useMapNorth } from '@/hooks/useMapNorth';
+
+// Quiet period after the last change before the session is written to the recent projects
+const AUTOSAVE_DELAY_MS = 1500;
 
 export const useMapState = () => {
   const [image, setImage] = useState(null);
+  // The photo as uploaded, kept while a perspective-corrected copy is shown
+  const [originalImage, setOriginalImage] = useState(null);
+  // Corrections applied to originalImage, in order; saved so a project can repeat them
+  const [perspectiveSteps, setPerspectiveSteps] = useState([]);
+  // SHA-256 of the uploaded map file; the promise lets a save or load wait for it
+  const [sourceHash, setSourceHash] = useState(null);
+  const sourceHashRef = useRef(Promise.resolve(null));
+  // Open multi-page PDF; pages are rendered on demand from it
+  const pdfDocRef = useRef(null);
+  const [pdfPageCount, setPdfPageCount] = useState(0);
+  const [pdfPage, setPdfPage] = useState(1);
+  const [pdfThumbnails, setPdfThumbnails] = useState([]);
+  const [showPagePicker, setShowPagePicker] = useState(false);
+  const [isPageLoading, setIsPageLoading] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const containerRef = useRef(null);
   const stageRef = useRef(null);
@@ -30,19 +74,37 @@ export const useMapState = () => {
   const [stageScale, setStageScale] = useState(1);
   const [isPinching, setIsPinching] = useState(false);
 
+  // Undoable document: scale, calibration line and plots all live in the command history
+  const history = useHistory({ plots: [], measurements: [], scale: null, calibrationLine: [], calibrationLines: [], affine: null, controlPoints: [], georefPins: [], georef: null, north: null });
+  const { plots, measurements, scale, calibrationLine, calibrationLines, affine, controlPoints, georefPins, georef, north } = history.doc;
+  const { reset: resetHistory, execute: executeHistory } = history;
+
+  // Area units shown in results and reports
+  const unitSettings = useUnitSettings();
+
+  // Recent projects in IndexedDB; the open session autosaves into currentProjectId
+  const projectLibrary = useProjectLibrary();
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const currentProjectIdRef = useRef(null);
+  const [showRecentProjects, setShowRecentProjects] = useState(false);
+
   // Scale State
-  const [scale, setScale] = useState(null);
   const [manualScale, setManualScale] = useState('');
   const [showManualScale, setShowManualScale] = useState(false);
-  const [calibrationLine, setCalibrationLine] = useState([]);
+  const [showVertexTable, setShowVertexTable] = useState(false);
+  // Perspective correction: four draggable corners of a known rectangle, in image pixels
+  const [perspectiveCorners, setPerspectiveCorners] = useState(null);
+  const [perspectiveWidth, setPerspectiveWidth] = useState('');
+  const [perspectiveHeight, setPerspectiveHeight] = useState('');
+  const [perspectiveCrop, setPerspectiveCrop] = useState(false);
+  const [isRectifying, setIsRectifying] = useState(false);
   const [isDrawing, setIsDrawing] = useState(false);
 
   // Plot State
-  const [plotPoints, setPlotPoints] = useState([]);
-  const [results, setResults] = useState(null);
-  const [isPlotFinished, setIsPlotFinished] = useState(false);
+  const [activePlotId, setActivePlotId] = useState(null);
   const [reportImage, setReportImage] = useState(null);
   const [snapHint, setSnapHint] = useState(false);
+  const [snapSettings, setSnapSettings] = useState(loadSnapSettings);
   const loadInputRef = useRef(null);
   const [imageName, setImageName] = useState('');
   const resultsRef = useRef(null);
@@ -58,40 +120,102 @@ export const useMapState = () => {
     return () => window.removeEventListener('resize', updateSize);
   }, []);
 
-  useEffect(() => {
-    if (isPlotFinished) {
-      const newResults = calculatePolygonData(plotPoints, scale);
-      setResults(newResults);
-    }
-  }, [plotPoints, scale, isPlotFinished]);
+  // The plot currently being drawn or edited; most drawing actions operate on it
+  const activePlot = plots.find(p => p.id === activePlotId) || null;
+  const plotPoints = activePlot ? activePlot.points : [];
+  const isPlotFinished = activePlot ? activePlot.isFinished : false;
+
+  // Map north as an azimuth off the sheet's top; bearings in results are measured from it
+  const northDeg = north ? north.angleDeg : 0;
+  const plotResults = useMemo(() => (
+    plots
+      .filter(p => p.isFinished)
+      .map(p => {
+        // A crossing outline has no meaningful shoelace area, so it is kept out of results and totals
+        const issues = validatePolygon(p.points);
+        return { ...p, issues, results: hasGeometryErrors(issues) ? null : calculatePolygonData(p.points, scale, affine, northDeg) };
+      })
+  ), [plots, scale, affine, northDeg]);
+  const totals = useMemo(() => calculateTotals(plotResults.map(p => p.results)), [plotResults]);
+  const results = plotResults.find(p => p.id === activePlotId)?.results || null;
+  const finishedCount = plotResults.length;
 
   useEffect(() => {
-    if (results && resultsRef.current) {
+    if (finishedCount > 0 && resultsRef.current) {
       resultsRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
     }
-  }, [results]);
+  }, [finishedCount]);
+
+  // A redo can re-finish the plot being drawn; leave drawing mode when that happens
+  useEffect(() => {
+    if (mode === 'drawing_plot' && isPlotFinished) setMode('none');
+  }, [mode, isPlotFinished]);
+
+  // All document changes are recorded under a human-readable label shown on undo/redo
+  const updateDoc = (label, patch, options) => {
+    history.execute(label, doc => ({ ...doc, ...(typeof patch === 'function' ? patch(doc) : patch) }), options);
+  };
+
+  const setPlots = (label, updater) => updateDoc(label, doc => ({ plots: updater(doc.plots) }));
+
+  const updatePlot = (id, patch, label, options) => {
+    updateDoc(label, doc => ({
+      plots: doc.plots.map(p => (p.id === id ? { ...p, ...(typeof patch === 'function' ? patch(p) : patch) } : p)),
+    }), options);
+  };
+
+  // Replaces the active plot's vertices; accepts a value or an updater like setState
+  const setPlotPoints = (next, label = 'পয়েন্ট পরিবর্তন') => {
+    if (!activePlotId) return;
+    updatePlot(activePlotId, p => ({ points: typeof next === 'function' ? next(p.points) : next }), label);
+  };
+
+  // A new isotropic scale replaces any affine calibration
+  const setScale = (value, label = 'স্কেল পরিবর্তন') => updateDoc(label, { scale: value, affine: null });
+
+  const setCalibrationLine = (line, label = 'ক্যালিব্রেশন লাইন') => {
+    history.execute(label, doc => (
+      doc.calibrationLine.length === 0 && line.length === 0 ? doc : { ...doc, calibrationLine: line }
+    ));
+  };
 
   const resetState = (fullReset = true) => {
-    if (fullReset) setImage(null);
-    if (fullReset) setScale(null);
+    if (fullReset) {
+      setImage(null);
+      setOriginalImage(null);
+    }
+    // A new sheet starts uncalibrated; a remembered scale for it is restored once its hash is known
+    resetHistory({
+      plots: [],
+      measurements: [],
+      calibrationLine: [],
+      calibrationLines: [],
+      controlPoints: [],
+      scale: null,
+      affine: null,
+      georefPins: [],
+      georef: null,
+      north: null,
+    });
     setManualScale('');
     setShowManualScale(false);
-    setCalibrationLine([]);
-    setPlotPoints([]);
-    setResults(null);
+    standardScale.setShowStandardScale(false);
+    setActivePlotId(null);
     setReportImage(null);
+    setPerspectiveCorners(null);
+    boundaryImport.clearImportDraft();
+    subdivide.clearSubdivision();
+    trace.clearTraceDraft();
+    measure.clearMeasureDraft();
+    mapNorth.clearNorthDraft();
     setMode('none');
     setIsDrawing(false);
-    setIsPlotFinished(false);
     setStageScale(1);
     setStagePos({ x: 0, y: 0 });
   };
 
   useEffect(() => {
-    const savedScale = localStorage.getItem('mapScale');
-    if (savedScale) {
-      setScale(parseFloat(savedScale));
-    }
+    clearLegacyScale();
   }, []);
 
   const handleManualScaleSubmit = (e) => {
@@ -99,8 +223,7 @@ export const useMapState = () => {
     const ftPerPx = parseFloat(manualScale); // User inputs ft per px (e.g. 0.43)
     if (!isNaN(ftPerPx) && ftPerPx > 0) {
       const scaleValue = 1 / ftPerPx; // Convert to internal scale (px/ft)
-      setScale(scaleValue);
-      localStorage.setItem('mapScale', scaleValue.toString());
+      setScale(scaleValue, 'ম্যানুয়াল স্কেল');
       toast.success(`স্কেল সেট করা হয়েছে: 1 px = ${ftPerPx.toFixed(6)} ft`);
       setMode('none');
       setShowManualScale(false);
@@ -109,9 +232,35 @@ export const useMapState = () => {
     }
   };
 
+  // Standard scale from the sheet's printed ratio and its pixels per inch
+  const standardScale = useStandardScale({ setScale, setMode });
+
+  const closePdf = () => {
+    if (pdfDocRef.current) pdfDocRef.current.destroy();
+    pdfDocRef.current = null;
+    setPdfPageCount(0);
+    setPdfPage(1);
+    setPdfThumbnails([]);
+    setShowPagePicker(false);
+  };
+
+  const setProjectId = (id) => {
+    currentProjectIdRef.current = id;
+    setCurrentProjectId(id);
+  };
+
   const handleClearFile = () => {
+    // Write pending changes first so nothing plotted is lost
+    if (image) autosaveRef.current();
+    if (currentProjectIdRef.current) toast.success('কাজটি সাম্প্রতিক প্রজেক্টে সংরক্ষিত আছে');
+    setProjectId(null);
+    closePdf();
     setSelectedFile(null);
     setImage(null);
+    setOriginalImage(null);
+    setPerspectiveSteps([]);
+    setSourceHash(null);
+    sourceHashRef.current = Promise.resolve(null);
     setImageName('');
     const fileInput = document.getElementById('map-upload');
     if (fileInput) {
@@ -119,29 +268,177 @@ export const useMapState = () => {
     }
   };
 
-  const handleImageUpload = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
-    
+  /**
+   * Opens a map file (a PDF page or a raster) as the working image and clears the previous session.
+   * Resolves to the new image so callers can keep working with it before React re-renders.
+   * `interactive` offers the page picker and the perspective step; project loading skips both.
+   */
+  const openSourceFile = async (file, { page = 1, interactive = true } = {}) => {
+    if (image) autosaveRef.current();
+    setProjectId(null);
     setSelectedFile(file);
+    closePdf();
+    const hashPromise = hashFile(file).catch((err) => {
+      console.error('Hashing failed', err);
+      return null;
+    });
+    sourceHashRef.current = hashPromise;
+    setSourceHash(null);
+    hashPromise.then(hash => {
+      if (sourceHashRef.current === hashPromise) setSourceHash(hash);
+    });
+
     if (file.type === "application/pdf") {
       setImageName(file.name || 'document.pdf');
-      try {
-        const img = await extractImageFromPDF(file);
-        resetState(false);
-        setImage(img);
-      } catch (error) {
-        toast.error('PDF লোড করা যায়নি (ফাইলটি ক্ষতিগ্রস্ত বা অবৈধ হতে পারে)');
+      const pdf = await loadPdfDocument(file);
+      pdfDocRef.current = pdf;
+      setPdfPageCount(pdf.numPages);
+      if (page > pdf.numPages) throw new Error(`PDF-এ পৃষ্ঠা ${page} নেই`);
+      const img = await showPdfPage(page);
+      // Several sheets in one file: let the user pick which one to measure
+      if (pdf.numPages > 1) {
+        if (interactive) setShowPagePicker(true);
+        renderPdfThumbnails(pdf).then(setPdfThumbnails).catch(err => console.error('Thumbnails failed', err));
       }
-    } else {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const img = new window.Image();
-        img.src = event.target.result;
-        img.onload = () => { resetState(false); setImageName(file.name || 'image'); setImage(img); };
-      };
-      reader.readAsDataURL(file);
+      return img;
+    }
+
+    const [dpi, img] = await Promise.all([readImageDpi(file), loadRasterImage(file)]);
+    resetState(false);
+    setImageName(file.name || 'image');
+    setImage(img);
+    setOriginalImage(null);
+    setPerspectiveSteps([]);
+    // Metadata may store different X/Y densities; the average is close enough to prefill
+    const avgDpi = dpi ? Number(((dpi.x + dpi.y) / 2).toFixed(2)) : null;
+    standardScale.setSheetDpi(avgDpi);
+    if (interactive) {
+      // Phone photos are rarely square-on; offer the correction before any calibration
+      toast('ছবিটি কি মোবাইলে তোলা? মাপার আগে পার্সপেক্টিভ ঠিক করে নিন', {
+        duration: 8000,
+        action: { label: 'ঠিক করুন', onClick: () => startPerspective(img) },
+      });
+    }
+    return img;
+  };
+
+  const handleImageUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      await openSourceFile(file);
+    } catch (err) {
+      console.error('Error opening map:', err);
+      toast.error(file.type === "application/pdf"
+        ? 'PDF লোড করা যায়নি (ফাইলটি ক্ষতিগ্রস্ত বা অবৈধ হতে পারে)'
+        : 'ছবি লোড করা যায়নি');
+    }
+  };
+
+  // Renders one page of the open PDF as the working image; measurements of the previous page are cleared
+  const showPdfPage = async (pageNumber) => {
+    const pdf = pdfDocRef.current;
+    if (!pdf || pageNumber < 1 || pageNumber > pdf.numPages) return null;
+    setIsPageLoading(true);
+    try {
+      const img = await renderPdfPage(pdf, pageNumber);
+      resetState(false);
+      setImage(img);
+      setOriginalImage(null);
+      setPerspectiveSteps([]);
+      setPdfPage(pageNumber);
+      standardScale.setSheetDpi(PDF_RENDER_DPI);
+      return img;
+    } finally {
+      setIsPageLoading(false);
+    }
+  };
+
+  const selectPdfPage = async (pageNumber) => {
+    setShowPagePicker(false);
+    if (pageNumber === pdfPage && image) return;
+    try {
+      await showPdfPage(pageNumber);
+      toast.success(`পৃষ্ঠা ${pageNumber} খোলা হয়েছে`);
+    } catch (err) {
+      console.error('Error rendering PDF page:', err);
+      toast.error('পৃষ্ঠাটি দেখানো যায়নি');
+    }
+  };
+
+  const startPerspective = (target = image) => {
+    if (!target) return;
+    const { width, height } = getSheetSize(target);
+    setPerspectiveCorners(defaultPerspectiveCorners(width, height));
+    setMode('perspective');
+  };
+
+  const movePerspectiveCorner = (index, pos) => {
+    setPerspectiveCorners(prev => (prev ? prev.map((p, i) => (i === index ? pos : p)) : prev));
+  };
+
+  const cancelPerspective = () => {
+    setPerspectiveCorners(null);
+    setMode('none');
+  };
+
+  /**
+   * Shows `baseImage` rectified by every step in turn; existing calibration and plots belong
+   * to the old pixels and are cleared. Resolves to the last step's result.
+   */
+  const showRectified = async (baseImage, steps) => {
+    let current = baseImage;
+    let result = null;
+    for (const step of steps) {
+      result = await rectifyImage(current, step.corners, { aspect: step.aspect, cropToRect: step.cropToRect });
+      current = result.image;
     }
+    resetState(false);
+    setOriginalImage(steps.length > 0 ? baseImage : null);
+    setImage(current);
+    setPerspectiveSteps(steps);
+    standardScale.setSheetDpi(null);
+    return result;
+  };
+
+  const applyPerspective = async () => {
+    if (!image || !perspectiveCorners || isRectifying) return;
+    if (!isValidQuad(perspectiveCorners)) {
+      toast.error('কোণগুলো ক্রমানুসারে রাখুন: ১ উপর-বাম, ২ উপর-ডান, ৩ নিচ-ডান, ৪ নিচ-বাম');
+      return;
+    }
+    const widthFt = parseFloat(perspectiveWidth) * unitSettings.lengthUnit.ft;
+    const heightFt = parseFloat(perspectiveHeight) * unitSettings.lengthUnit.ft;
+    const hasSize = widthFt > 0 && heightFt > 0;
+    setIsRectifying(true);
+    const toastId = toast.loading('ছবি সোজা করা হচ্ছে...');
+    // Let the loading toast paint before the blocking pixel loop
+    await new Promise(resolve => setTimeout(resolve, 50));
+    try {
+      const step = { corners: perspectiveCorners, aspect: hasSize ? widthFt / heightFt : null, cropToRect: perspectiveCrop };
+      const result = await showRectified(originalImage || image, [...perspectiveSteps, step]);
+      // A known rectangle size calibrates the corrected image directly
+      const newScale = hasSize ? result.rectWidth / widthFt : null;
+      resetHistory(doc => ({ ...doc, scale: newScale, affine: null }));
+      toast.success(
+        newScale
+          ? `পার্সপেক্টিভ ঠিক করা হয়েছে, স্কেল সেট: 1 px = ${(1 / newScale).toFixed(6)} ft`
+          : 'পার্সপেক্টিভ ঠিক করা হয়েছে — এখন স্কেল ঠিক করুন',
+        { id: toastId }
+      );
+    } catch (err) {
+      console.error('Perspective correction failed', err);
+      toast.error('পার্সপেক্টিভ ঠিক করা যায়নি', { id: toastId });
+    } finally {
+      setIsRectifying(false);
+    }
+  };
+
+  const revertPerspective = async () => {
+    if (!originalImage) return;
+    await showRectified(originalImage, []);
+    resetHistory(doc => ({ ...doc, scale: null, affine: null }));
+    toast.success('মূল ছবিতে ফিরে যাওয়া হয়েছে');
   };
 
   const clamp = (val, min, max) => Math.max(min, Math.min(max, val));
@@ -170,11 +467,28 @@ export const useMapState = () => {
     return { x: (cx - stagePos.x) / stageScale, y: (cy - stagePos.y) / stageScale };
   };
 
+  // Snap tolerance is set in screen pixels; this is the same distance on the sheet
+  const snapTolerance = snapSettings.tolerancePx / stageScale;
+
+  useEffect(() => {
+    saveSnapSettings(snapSettings);
+  }, [snapSettings]);
+
+  const updateSnapSettings = (patch) => setSnapSettings(prev => ({ ...prev, ...patch }));
+
+  // What the centre crosshair snaps to while a plot is drawn or a measurement taken; recomputed as the view moves
+  const crosshairSnap = useMemo(() => {
+    if (!((mode === 'drawing_plot' && !isPlotFinished) || mode === 'measure') || stageSize.width === 0) return null;
+    const center = { x: (stageSize.width / 2 - stagePos.x) / stageScale, y: (stageSize.height / 2 - stagePos.y) / stageScale };
+    return findSnapTarget(center, { plots, excludePlotId: activePlotId, image, tolerance: snapSettings.tolerancePx / stageScale, stageScale, settings: snapSettings });
+  }, [mode, isPlotFinished, stageSize, stagePos, stageScale, plots, activePlotId, image, snapSettings]);
+
   const addCenterPoint = () => {
-    const pt = getStageCenterPoint();
+    const center = getStageCenterPoint();
+    const pt = crosshairSnap ? { ...crosshairSnap.point } : center;
     if (mode === 'calibrating') {
       if (calibrationLine.length < 2) {
-        setCalibrationLine([pt.x, pt.y]);
+        setCalibrationLine([pt.x, pt.y], 'ক্যালিব্রেশন পয়েন্ট');
         setIsDrawing(true);
       } else {
         const [x1, y1] = calibrationLine;
@@ -182,25 +496,41 @@ export const useMapState = () => {
         const y2 = pt.y;
         const dist = Math.hypot(x2 - x1, y2 - y1);
         if (dist < 1e-3) return;
-        setCalibrationLine([x1, y1, x2, y2]);
+        setCalibrationLine([x1, y1, x2, y2], 'ক্যালিব্রেশন পয়েন্ট');
         setIsDrawing(false);
       }
     } else if (mode === 'drawing_plot' && !isPlotFinished) {
-      const SNAP_THRESHOLD = 5;
       if (plotPoints.length >= 3) {
         const first = plotPoints[0];
-        if (Math.hypot(pt.x - first.x, pt.y - first.y) <= SNAP_THRESHOLD) {
+        if (Math.hypot(center.x - first.x, center.y - first.y) <= snapTolerance) {
           finishPlot();
           setSnapHint(false);
           return;
         }
       }
-      setPlotPoints((prev) => [...prev, pt]);
+      if (activePlot) {
+        setPlotPoints((prev) => [...prev, pt], 'পয়েন্ট যোগ');
+      } else {
+        // The plot is created with its first vertex so undoing that vertex removes it again
+        const plot = createPlot(plots.length, { points: [pt] });
+        setPlots('পয়েন্ট যোগ', prev => [...prev, plot]);
+        setActivePlotId(plot.id);
+      }
       setSnapHint(false);
+    } else if (mode === 'affine_points') {
+      affineCalibration.addControlPoint(pt);
+    } else if (mode === 'georef_pins') {
+      georeference.addGeorefPin(pt);
+    } else if (mode === 'trace') {
+      trace.traceAt(center);
+    } else if (mode === 'north_arrow') {
+      mapNorth.addNorthPoint(pt);
+    } else if (mode === 'measure') {
+      measure.addMeasurePoint(pt);
     }
   };
 
-  const handleStageMouseDown = (e) => {
+  const handleStageMouseDown = () => {
     return;
   };
 
@@ -235,52 +565,162 @@ export const useMapState = () => {
     }
     const [x1, y1, x2, y2] = calibrationLine;
     const pixelDistance = Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+    const line = createCalibrationLine([x1, y1, x2, y2], realDistance);
+
+    if (lineCalibration.calibrationMultiMode) {
+      // Collect the line and keep calibrating
+      lineCalibration.addCalibrationLine(line);
+      setIsModalOpen(false);
+      setMode('calibrating');
+      return;
+    }
     
     // Calculate newScale (px/ft) directly, but log dynamic PPI for exactness
     // newScale = pixelDistance / realDistance
     const newScale = pixelDistance / realDistance;
     
-    setScale(newScale);
-    try {
-      localStorage.setItem('mapScale', newScale.toString());
-    } catch (e) {
-      // ignore storage errors
-    }
+    updateDoc('স্কেল সেট', { scale: newScale, affine: null, calibrationLine: [], calibrationLines: [line] });
     setIsModalOpen(false);
-    setCalibrationLine([]);
     toast.success(`স্কেল সেট হয়েছে (1 px = ${(1/newScale).toFixed(6)} ft)`);
   };
 
-  const handlePointDragEnd = (e, index) => {
-    const SNAP_THRESHOLD = 5;
-    const newPoints = [...plotPoints];
-    let x = e.target.x();
-    let y = e.target.y();
-    if (index !== 0 && newPoints.length > 0) {
-      const first = newPoints[0];
-      if (Math.hypot(x - first.x, y - first.y) <= SNAP_THRESHOLD) {
-        x = first.x;
-        y = first.y;
-      }
-    }
-    newPoints[index] = { x, y };
-    setPlotPoints(newPoints);
+  // Multi-line calibration: several reference lines averaged into one scale
+  const lineCalibration = useCalibrationLines({ calibrationLines, updateDoc, setMode });
+
+  // Affine calibration for scans stretched unevenly along X and Y
+  const affineCalibration = useAffineCalibration({ affine, controlPoints, calibrationLines, updateDoc, mode, setMode });
+
+  // Georeferencing: pins with known latitude/longitude or BTM coordinates
+  const georeference = useGeoreference({ georefPins, georef, scale, updateDoc, mode, setMode });
+
+  // Map north from the sheet's north arrow or a typed angle
+  const mapNorth = useMapNorth({ north, scale, affine, updateDoc, mode, setMode });
+
+  const handlePointDragEnd = (e, index, plotId = activePlotId) => {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot) return;
+    const newPoints = [...plot.points];
+    const dropped = { x: e.target.x(), y: e.target.y() };
+    const snap = findSnapTarget(dropped, { plots, excludePlotId: plotId, image, tolerance: snapTolerance, stageScale, settings: snapSettings });
+    // The corner keeps its side's curve (bulge)
+    newPoints[index] = { ...plot.points[index], ...(snap ? { x: snap.point.x, y: snap.point.y } : dropped) };
+    // Put the handle where the corner ended up, even when the point did not change
+    if (snap) e.target.position(newPoints[index]);
+    updatePlot(plotId, { points: newPoints }, 'পয়েন্ট সরানো');
     setSnapHint(false);
+    if (plot.isFinished) reportGeometryIssues(newPoints, plot.points);
+  };
+
+  // Toasts problems a change introduced; ones the plot already had are not repeated on every drag
+  const reportGeometryIssues = (points, previousPoints = []) => {
+    const before = new Set(validatePolygon(previousPoints).map(issue => issue.message));
+    const added = validatePolygon(points).filter(issue => !before.has(issue.message));
+    const error = added.find(issue => issue.severity === 'error');
+    if (error) toast.error(`${error.message} — ঠিক না করা পর্যন্ত আয়তন হিসাব হবে না`);
+    else if (added.length > 0) toast.warning(added[0].message);
+  };
+
+  // Removes repeated corners and corners on a straight side
+  const cleanPlotGeometry = (plotId) => {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot) return;
+    const points = removeRedundantVertices(plot.points);
+    if (points.length < 3) {
+      toast.error('প্লটে অন্তত ৩টি কোণ থাকতে হবে');
+      return;
+    }
+    if (points.length === plot.points.length) return;
+    updatePlot(plotId, { points }, 'অপ্রয়োজনীয় কোণ মুছে ফেলা');
+    toast.success(`${plot.points.length - points.length}টি অপ্রয়োজনীয় কোণ মুছে ফেলা হয়েছে`);
+  };
+
+  // Vertex table edit: a corner's ground X/Y, or a side's length or bearing (moving its end corner)
+  const editPlotVertex = (plotId, index, patch) => {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot || !scale) return;
+    const values = Object.values(patch);
+    if (!values.every(Number.isFinite) || ('lengthFt' in patch && patch.lengthFt <= 0)) {
+      toast.error('সঠিক সংখ্যা দিন');
+      return;
+    }
+    const ground = plot.points.map(p => pxToGround(p, scale, affine));
+    const [changed, point] = applyVertexEdit(ground, index, patch);
+    const label = 'lengthFt' in patch ? 'বাহুর দৈর্ঘ্য' : 'bearing' in patch ? 'বাহুর দিক' : 'কোণের স্থানাঙ্ক';
+    updatePlot(plotId, p => ({
+      points: p.points.map((pt, i) => (i === changed ? { ...pt, ...groundToPx(point, scale, affine) } : pt)),
+    }), label);
+  };
+
+  // Curves side `index` (corner index → index + 1) by `bulge`; 0 makes it straight again
+  const setPlotSideBulge = (plotId, index, bulge, label = 'বাহু বক্র করা') => {
+    if (!Number.isFinite(bulge)) return;
+    const clamped = clampBulge(bulge);
+    updatePlot(plotId, p => ({
+      points: p.points.map((pt, i) => (i === index ? withBulge(pt, clamped) : pt)),
+    }), clamped ? label : 'বাহু সোজা করা');
+  };
+
+  // Vertex table edit of an arc's height above its chord, in feet outwards from the plot
+  const setPlotSideSagitta = (plotId, index, heightFt) => {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot || !scale) return;
+    if (!Number.isFinite(heightFt)) {
+      toast.error('সঠিক সংখ্যা দিন');
+      return;
+    }
+    setPlotSideBulge(plotId, index, bulgeFromSagittaFt(plot.points, index, heightFt, scale, affine), 'বাহুর বক্রতা');
+  };
+
+  const insertPlotVertex = (plotId, afterIndex, point) => {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot) return;
+    updatePlot(plotId, p => ({ points: insertVertex(p.points, afterIndex, point) }), 'কোণ যোগ');
+    reportGeometryIssues(insertVertex(plot.points, afterIndex, point), plot.points);
+  };
+
+  const deletePlotVertex = (plotId, index) => {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot) return;
+    if (plot.isFinished && plot.points.length <= 3) {
+      toast.error('প্লটে অন্তত ৩টি কোণ থাকতে হবে');
+      return;
+    }
+    updatePlot(plotId, p => ({ points: removeVertex(p.points, index) }), 'কোণ মুছে ফেলা');
+    toast(`কোণ ${index + 1} মুছে ফেলা হয়েছে`, { duration: 1500 });
+  };
+
+  const reversePlotVertices = (plotId) => {
+    updatePlot(plotId, p => ({ points: reverseVertices(p.points) }), 'কোণের ক্রম উল্টানো');
+  };
+
+  const setPlotStartVertex = (plotId, index) => {
+    if (index === 0) return;
+    updatePlot(plotId, p => ({ points: rotateVertices(p.points, index) }), 'শুরুর কোণ পরিবর্তন');
+  };
+
+  const openVertexTable = (plotId) => {
+    selectPlot(plotId);
+    setShowVertexTable(true);
+  };
+
+  const captureReportImage = () => {
+    // Wait for the state to update and re-render before capturing
+    setTimeout(() => {
+      if (stageRef.current) {
+        setReportImage(stageRef.current.toDataURL({ pixelRatio: 2 }));
+      }
+    }, 150);
   };
 
   const finishPlot = () => {
-    if (plotPoints.length < 3) return;
-    setIsPlotFinished(true);
+    if (!activePlot || plotPoints.length < 3) return;
+    updatePlot(activePlot.id, { isFinished: true }, 'প্লট সম্পন্ন');
     setMode('none');
+    reportGeometryIssues(plotPoints);
 
-    // Auto-center and zoom to fit the polygon
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    plotPoints.forEach(p => {
-      if (p.x < minX) minX = p.x;
-      if (p.y < minY) minY = p.y;
-      if (p.x > maxX) maxX = p.x;
-      if (p.y > maxY) maxY = p.y;
-    });
+    // Auto-center and zoom to fit every finished plot so the report shows them all
+    const finishedPlots = plots.filter(p => p.isFinished || p.id === activePlot.id);
+    const { minX, minY, maxX, maxY } = getPlotsBounds(finishedPlots);
 
     const polyWidth = maxX - minX;
     const polyHeight = maxY - minY;
@@ -303,90 +743,379 @@ export const useMapState = () => {
       setStagePos(newPos);
     }
 
-    // Wait for the state to update and re-render before capturing
-    setTimeout(() => {
-      if (stageRef.current) {
-        setReportImage(stageRef.current.toDataURL({ pixelRatio: 2 }));
-      }
-    }, 150);
+    captureReportImage();
   };
 
+  // Boundary tracing from a point inside a plot, reviewed before it becomes a plot
+  const trace = useBoundaryTrace({ image, scale, plots, setPlots, setMode, setActivePlotId, reportGeometryIssues, captureReportImage });
+
+  // Measure mode: distances, lengths and angles taken with the crosshair
+  const measure = useMeasurements({ image, measurements, updateDoc, setMode, setActivePlotId, reportImage, captureReportImage });
+
+  // Resumes the unfinished plot, otherwise the first added point creates a new one
+  const startNewPlot = () => {
+    if (!activePlot || activePlot.isFinished) setActivePlotId(null);
+    setMode('drawing_plot');
+    setSnapHint(false);
+  };
+
+  // Removes the vertices of the active plot so it can be redrawn under the same name
   const clearPlot = () => {
-    setPlotPoints([]);
-    setResults(null);
-    setIsPlotFinished(false);
-    setReportImage(null);
+    if (!activePlot) return;
+    updatePlot(activePlot.id, { points: [], isFinished: false }, 'প্লট মুছে ফেলা');
+    setSnapHint(false);
   };
 
+  // Drops the active plot if it was never finished (e.g. when recalibrating mid-drawing)
+  const discardDraftPlot = () => {
+    if (!activePlot || activePlot.isFinished) return;
+    setPlots('অসম্পূর্ণ প্লট বাতিল', prev => prev.filter(p => p.id !== activePlot.id));
+    setActivePlotId(null);
+    setSnapHint(false);
+  };
+
+  const selectPlot = (id) => {
+    if (mode === 'drawing_plot' && !isPlotFinished) return;
+    setActivePlotId(id);
+  };
+
+  const redrawPlot = (id) => {
+    updatePlot(id, { points: [], isFinished: false }, 'প্লট আবার আঁকা');
+    setActivePlotId(id);
+    setMode('drawing_plot');
+    setSnapHint(false);
+  };
+
+  const renamePlot = (id, name) => updatePlot(id, { name }, 'নাম পরিবর্তন', { mergeKey: `name-${id}` });
+
+  const setPlotColor = (id, color) => updatePlot(id, { color }, 'রং পরিবর্তন', { mergeKey: `color-${id}` });
+
+  const deletePlot = (id) => {
+    const remaining = plots.filter(p => p.id !== id);
+    setPlots('প্লট মুছে ফেলা', () => remaining);
+    if (id === activePlotId) {
+      setActivePlotId(null);
+      if (mode === 'drawing_plot') setMode('none');
+    }
+    if (remaining.some(p => p.isFinished)) {
+      captureReportImage();
+    } else {
+      setReportImage(null);
+    }
+  };
+
+  // Subdivision (বণ্টন) of a finished plot, previewed before it replaces the plot
+  const subdivide = useSubdivision({ plots, scale, affine, setPlots, selectPlot, setActivePlotId, setMode, captureReportImage });
+
   const handlePrint = () => {
+    const invalid = plotResults.find(p => hasGeometryErrors(p.issues));
+    if (invalid) {
+      toast.error(`${invalid.name}: ${invalid.issues.find(i => i.severity === 'error').message} — ঠিক করে তারপর প্রিন্ট করুন`);
+      return;
+    }
     window.print();
   };
 
-  const handleSaveJSON = () => {
-    if (!isPlotFinished || !results) {
-      toast.warning('সেভ করতে হলে আগে হিসাব সম্পন্ন করুন');
+  const buildCurrentProject = async () => buildProject({
+    source: selectedFile ? {
+      name: selectedFile.name,
+      type: selectedFile.type,
+      size: selectedFile.size,
+      sha256: await sourceHashRef.current,
+      ...(pdfPageCount > 0 ? { page: pdfPage } : {}),
+      ...(perspectiveSteps.length > 0 ? { perspective: perspectiveSteps } : {}),
+    } : {},
+    scale,
+    affine,
+    calibrationLines,
+    controlPoints,
+    calibrationTolerance: lineCalibration.calibrationTolerance,
+    georeference: georefPins.length > 0 || georef ? { pins: georefPins, transform: georef } : null,
+    plots,
+    measurements,
+    north,
+    units: {
+      visibleUnitIds: unitSettings.visibleUnitIds,
+      combinedUnitIds: unitSettings.combinedUnitIds,
+      customUnits: unitSettings.customUnits,
+      lengthUnitId: unitSettings.lengthUnitId,
+    },
+    view: { stageScale, stagePos },
+  });
+
+  const handleSaveJSON = async () => {
+    if (!image) {
+      toast.warning('সেভ করার আগে ম্যাপ আপলোড করুন');
       return;
     }
     try {
-      const data = { scale, plotPoints };
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'mouza-map-data.json';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-      toast.success('JSON সংরক্ষিত হয়েছে');
+      const project = await buildCurrentProject();
+      const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `${baseFileName(imageName)}.mouza.json`);
+      toast.success('প্রজেক্ট সংরক্ষিত হয়েছে');
     } catch (err) {
       console.error('Save failed', err);
-      toast.error('ডাটা সংরক্ষণ ব্যর্থ হয়েছে');
+      toast.error('ডাটা সংরক্ষণ ব্যর্থ হয়েছে');
     }
   };
 
-  const handleLoadClick = () => {
-    if (!image) {
-      toast.warning('JSON লোড করার আগে ম্যাপ আপলোড করুন');
+  // One .zip with the project and the map itself, for sharing the whole job
+  const handleSaveBundle = async () => {
+    if (!image || !selectedFile) {
+      toast.warning('সেভ করার আগে ম্যাপ আপলোড করুন');
       return;
     }
+    try {
+      const project = await buildCurrentProject();
+      const bundle = await createProjectBundle(project, selectedFile);
+      downloadBlob(bundle, `${baseFileName(imageName)}.mouza.zip`);
+      toast.success('ম্যাপসহ প্রজেক্ট বান্ডেল সংরক্ষিত হয়েছে');
+    } catch (err) {
+      console.error('Bundle failed', err);
+      toast.error('বান্ডেল তৈরি ব্যর্থ হয়েছে');
+    }
+  };
+
+  // GeoJSON, KML and DXF exports of the finished plots
+  const plotExport = usePlotExport({ plots, plotResults, scale, affine, toLonLat: georeference.toLonLat, imageName });
+
+  const handleLoadClick = () => {
     if (loadInputRef.current) loadInputRef.current.click();
   };
 
-  const handleLoadChange = (e) => {
-    if (!image) {
-      toast.warning('JSON লোড করার আগে ম্যাপ আপলোড করুন');
-      if (e?.target) e.target.value = '';
-      return;
+  // Puts the map into the state the project was saved in: same PDF page and perspective corrections
+  const restoreSource = async (projectSource) => {
+    let base = originalImage || image;
+    if (projectSource.page && pdfPageCount > 0) {
+      if (projectSource.page > pdfPageCount) throw new Error(`PDF-এ পৃষ্ঠা ${projectSource.page} নেই`);
+      if (projectSource.page !== pdfPage) base = await showPdfPage(projectSource.page);
+    } else if (projectSource.page > 1 && pdfPageCount === 0) {
+      toast.warning(`এই প্রজেক্টটি PDF-এর পৃষ্ঠা ${projectSource.page} এর জন্য সংরক্ষিত হয়েছিল`);
+    }
+    const steps = projectSource.perspective;
+    const sameSteps = base === (originalImage || image) && JSON.stringify(steps) === JSON.stringify(perspectiveSteps);
+    if (!sameSteps && (steps.length > 0 || base !== image)) await showRectified(base, steps);
+  };
+
+  const applyProject = (project) => {
+    const { calibration } = project;
+    const loaded = project.plots.map((p, i) => createPlot(i, {
+      ...(p.name ? { name: p.name } : {}),
+      ...(p.color ? { color: p.color } : {}),
+      points: p.points,
+      isFinished: p.isFinished,
+    }));
+    updateDoc('প্রজেক্ট লোড', {
+      plots: loaded,
+      measurements: project.measurements.map((m, i) => createMeasurement(m.kind, m.points, i, m.name ? { name: m.name } : {})),
+      calibrationLine: [],
+      calibrationLines: calibration.lines,
+      controlPoints: calibration.controlPoints,
+      georefPins: project.georeference ? project.georeference.pins : [],
+      georef: project.georeference ? project.georeference.transform : null,
+      north: project.north,
+      // Files without a scale keep the current one
+      ...(calibration.scale ? { scale: calibration.scale, affine: calibration.affine } : {}),
+    });
+    if (calibration.tolerancePct !== null) lineCalibration.setCalibrationTolerance(calibration.tolerancePct);
+    if (project.units) unitSettings.importUnitSettings(project.units);
+    if (project.view) {
+      setStageScale(project.view.stageScale);
+      setStagePos(project.view.stagePos);
+    }
+    const draft = loaded.find(p => !p.isFinished);
+    setActivePlotId(draft ? draft.id : loaded.length > 0 ? loaded[0].id : null);
+    setMode(draft ? 'drawing_plot' : 'none');
+    setSnapHint(false);
+    if (loaded.some(p => p.isFinished)) captureReportImage();
+  };
+
+  // Opens a map and puts the whole saved session back on it
+  const restoreProjectWithMap = async (project, mapFile) => {
+    const base = await openSourceFile(mapFile, { page: project.source.page || 1, interactive: false });
+    if (project.source.perspective.length > 0) await showRectified(base, project.source.perspective);
+    applyProject(project);
+  };
+
+  const openStoredProject = async (id) => {
+    const toastId = toast.loading('প্রজেক্ট খোলা হচ্ছে...');
+    try {
+      const record = await getProject(id);
+      const stored = record ? await getMapFile(record.mapKey) : null;
+      if (!record || !stored) throw new Error('প্রজেক্ট বা ম্যাপ ফাইল পাওয়া যায়নি');
+      const mapFile = stored instanceof File ? stored : new File([stored], record.mapName, { type: stored.type });
+      await restoreProjectWithMap(parseProject(record.project), mapFile);
+      setProjectId(record.id);
+      setShowRecentProjects(false);
+      toast.success(`"${record.name}" খোলা হয়েছে`, { id: toastId });
+    } catch (err) {
+      console.error('Opening project failed', err);
+      toast.error('প্রজেক্ট খোলা যায়নি: ' + err.message, { id: toastId });
     }
+  };
+
+  // Scale memory: each sheet (file hash, PDF page, perspective corrections) keeps its own calibration
+  const scaleMemoryKey = getScaleMemoryKey({
+    sha256: sourceHash,
+    page: pdfPageCount > 0 ? pdfPage : null,
+    perspectiveSteps,
+  });
+  const recalledKeyRef = useRef(null);
+  useEffect(() => {
+    if (!scaleMemoryKey || recalledKeyRef.current === scaleMemoryKey) return;
+    recalledKeyRef.current = scaleMemoryKey;
+    const entry = recallScale(scaleMemoryKey);
+    // A scale already set (by hand or from a project file) wins over the remembered one
+    if (!entry || scale) return;
+    executeHistory('সংরক্ষিত স্কেল', doc => (doc.scale ? doc : { ...doc, scale: entry.scale, affine: entry.affine || null }));
+    toast.success('এই ম্যাপের আগের স্কেল ফিরিয়ে আনা হয়েছে');
+  }, [scaleMemoryKey, scale, executeHistory]);
+
+  useEffect(() => {
+    if (scaleMemoryKey && scale) rememberScale(scaleMemoryKey, scale, affine);
+  }, [scaleMemoryKey, scale, affine]);
+
+  // Writes the session to the recent projects; a map with no recorded work is not saved
+  const autosaveRef = useRef(() => {});
+  autosaveRef.current = async () => {
+    if (!image || !selectedFile) return;
+    const hasWork = history.canUndo || plots.length > 0 || calibrationLines.length > 0 || controlPoints.length > 0 || georefPins.length > 0;
+    if (!hasWork && !currentProjectIdRef.current) return;
+    // Capture before any await: the stage may be cleared right after this call
+    const thumbnail = stageRef.current ? stageRef.current.toDataURL({ pixelRatio: 0.25, mimeType: 'image/jpeg', quality: 0.6 }) : null;
+    const file = selectedFile;
+    const id = currentProjectIdRef.current || createProjectId();
+    if (!currentProjectIdRef.current) setProjectId(id);
+    const existing = projectLibrary.projects.find(p => p.id === id);
+    const now = Date.now();
+    const project = await buildCurrentProject();
+    await projectLibrary.saveRecord({
+      id,
+      name: existing ? existing.name : baseFileName(file.name),
+      mapName: file.name,
+      mapKey: getMapKey(file, project.source.sha256),
+      project,
+      thumbnail,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    }, file);
+  };
+
+  useEffect(() => {
+    if (!image || !selectedFile) return;
+    const timer = setTimeout(() => autosaveRef.current(), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [image, selectedFile, history.doc, perspectiveSteps, lineCalibration.calibrationTolerance, unitSettings.lengthUnitId]);
+
+  // Leaving the tab (or closing it) flushes the session without waiting for the timer
+  useEffect(() => {
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') autosaveRef.current();
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, []);
+
+  // After a refresh, offer to continue the most recent job
+  const resumeOfferedRef = useRef(false);
+  useEffect(() => {
+    if (resumeOfferedRef.current || !projectLibrary.isLoaded) return;
+    resumeOfferedRef.current = true;
+    const latest = projectLibrary.projects[0];
+    if (!latest || image) return;
+    toast(`শেষ কাজ: "${latest.name}"`, {
+      duration: 10000,
+      action: { label: 'আবার খুলুন', onClick: () => openStoredProject(latest.id) },
+    });
+  });
+
+  const handleLoadChange = async (e) => {
     const file = e.target.files && e.target.files[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const obj = JSON.parse(reader.result);
-        if (!obj || typeof obj !== 'object') throw new Error('Invalid file');
-        if (!Array.isArray(obj.plotPoints) || obj.plotPoints.some(p => typeof p.x !== 'number' || typeof p.y !== 'number')) throw new Error('Invalid points');
-        if (obj.scale && !(typeof obj.scale === 'number' && obj.scale > 0)) throw new Error('Invalid scale');
-        if (obj.scale) setScale(obj.scale);
-        setPlotPoints(obj.plotPoints);
-        setIsPlotFinished(false);
-        setResults(null);
-        setMode('drawing_plot');
-        setCalibrationLine([]);
-        setSnapHint(false);
-        toast.success('JSON লোড হয়েছে');
-      } catch (err) {
-        console.error('Load failed', err);
-        toast.error('ডাটা লোড ব্যর্থ: ' + err.message);
-      } finally {
-        e.target.value = '';
+    try {
+      const isBundle = /\.zip$/i.test(file.name) || file.type.includes('zip');
+      let raw;
+      let mapFile = null;
+      if (isBundle) {
+        ({ project: raw, mapFile } = await readProjectBundle(file));
+      } else {
+        const text = await file.text();
+        raw = JSON.parse(text);
+        // GeoJSON is not a project; it goes through the boundary import instead
+        if (GEOJSON_TYPES.includes(raw.type)) {
+          boundaryImport.startBoundaryImport(file.name, text);
+          return;
+        }
       }
-    };
-    reader.readAsText(file);
+      const project = parseProject(raw);
+
+      if (mapFile) {
+        await restoreProjectWithMap(project, mapFile);
+      } else {
+        if (!image) {
+          toast.warning('JSON লোড করার আগে ম্যাপ আপলোড করুন (অথবা ম্যাপসহ .zip বান্ডেল খুলুন)');
+          return;
+        }
+        const currentHash = await sourceHashRef.current;
+        if (project.source.sha256 && currentHash && project.source.sha256 !== currentHash) {
+          toast.warning(
+            `সতর্কতা: এই প্রজেক্টটি অন্য একটি ম্যাপের${project.source.name ? ` (${project.source.name})` : ''} জন্য সংরক্ষিত। পরিমাপ ভুল হতে পারে — পূর্বাবস্থায় ফিরিয়ে বাতিল করা যায়।`,
+            { duration: 10000 }
+          );
+        }
+        await restoreSource(project.source);
+        applyProject(project);
+      }
+      toast.success(project.migratedFrom ? 'পুরনো ফাইল রূপান্তর করে লোড হয়েছে' : 'প্রজেক্ট লোড হয়েছে');
+    } catch (err) {
+      console.error('Load failed', err);
+      toast.error('ডাটা লোড ব্যর্থ: ' + err.message);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  // Boundary import from GeoJSON, DXF or CSV, placed over the map before it becomes plots
+  const boundaryImport = useBoundaryImport({ image, scale, affine, setPlots, setMode, getStageCenterPoint });
+
+  const handleUndo = () => {
+    if (!history.canUndo) return;
+    const label = history.undoLabel;
+    history.undo();
+    setSnapHint(false);
+    if (image) captureReportImage();
+    toast(`পূর্বাবস্থায় ফেরানো হয়েছে: ${label}`, { duration: 1500 });
   };
 
-  const flatPlotPoints = plotPoints.flatMap(p => [p.x, p.y]);
+  const handleRedo = () => {
+    if (!history.canRedo) return;
+    const label = history.redoLabel;
+    history.redo();
+    setSnapHint(false);
+    if (image) captureReportImage();
+    toast(`আবার করা হয়েছে: ${label}`, { duration: 1500 });
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their native undo
+  const shortcutHandlersRef = useRef({});
+  shortcutHandlersRef.current = { undo: handleUndo, redo: handleRedo };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const target = e.target;
+      if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        shortcutHandlersRef.current.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        shortcutHandlersRef.current.redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
 
   return {
     image, setImage,
@@ -403,35 +1132,95 @@ export const useMapState = () => {
     scale, setScale,
     manualScale, setManualScale,
     showManualScale, setShowManualScale,
+    standardScale,
     calibrationLine, setCalibrationLine,
+    lineCalibration,
+    affine, affineCalibration,
+    georeference,
+    showVertexTable, setShowVertexTable,
+    subdivide,
+    trace,
+    measure,
+    northDeg, mapNorth,
+    pdfPageCount, pdfPage, pdfThumbnails,
+    showPagePicker, setShowPagePicker,
+    isPageLoading,
+    sourceHash,
+    projectLibrary,
+    currentProjectId,
+    showRecentProjects, setShowRecentProjects,
+    plotExport,
+    boundaryImport,
+    originalImage,
+    perspectiveCorners,
+    perspectiveWidth, setPerspectiveWidth,
+    perspectiveHeight, setPerspectiveHeight,
+    perspectiveCrop, setPerspectiveCrop,
+    isRectifying,
     isDrawing, setIsDrawing,
+    plots,
+    activePlotId, setActivePlotId,
+    activePlot,
     plotPoints, setPlotPoints,
-    results, setResults,
-    isPlotFinished, setIsPlotFinished,
+    plotResults, totals,
+    results,
+    isPlotFinished,
     reportImage, setReportImage,
     snapHint, setSnapHint,
+    snapSettings, snapTolerance, crosshairSnap,
     imageName, setImageName,
+    unitSettings,
     
     // Actions
     resetState,
     handleManualScaleSubmit,
     handleClearFile,
     handleImageUpload,
+    selectPdfPage,
     getStageCenterPoint,
     addCenterPoint,
     handleStageMouseDown,
     handleWheel,
     _handleModalSubmit,
+    startPerspective,
+    movePerspectiveCorner,
+    cancelPerspective,
+    applyPerspective,
+    revertPerspective,
     handlePointDragEnd,
+    editPlotVertex,
+    setPlotSideBulge,
+    setPlotSideSagitta,
+    insertPlotVertex,
+    deletePlotVertex,
+    reversePlotVertices,
+    setPlotStartVertex,
+    openVertexTable,
+    updateSnapSettings,
+    cleanPlotGeometry,
     finishPlot,
+    startNewPlot,
     clearPlot,
+    discardDraftPlot,
+    selectPlot,
+    redrawPlot,
+    renamePlot,
+    setPlotColor,
+    deletePlot,
+    handleUndo,
+    handleRedo,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    undoLabel: history.undoLabel,
+    redoLabel: history.redoLabel,
     handlePrint,
     handleSaveJSON,
+    handleSaveBundle,
     handleLoadClick,
+    openStoredProject,
     handleLoadChange,
     
     // Helpers
     clamp, getMidpoint, getDistance, toLocalPointer, zoomAtPoint,
-    flatPlotPoints,
   };
 };
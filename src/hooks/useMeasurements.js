@@ -0,0 +1,77 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { findMeasureTool, isMeasurementComplete, createMeasurement } from '@/utils/measurements';
+
+/**
+ * Measurements (দূরত্ব, রেখা, কোণ) taken with the crosshair, optionally kept as map annotations.
+ * The tool and the measurement being taken are session state; kept measurements live in the
+ * undoable document and are changed through `updateDoc`.
+ */
+export const useMeasurements = ({ image, measurements, updateDoc, setMode, setActivePlotId, reportImage, captureReportImage }) => {
+  const [measureTool, setMeasureTool] = useState('distance');
+  const [measureDraft, setMeasureDraft] = useState([]);
+
+  const startMeasure = (tool = measureTool) => {
+    if (!image) return;
+    // An unfinished drawn plot stays as it is and can be resumed later
+    setActivePlotId(null);
+    setMeasureTool(tool);
+    setMeasureDraft([]);
+    setMode('measure');
+  };
+
+  // A finished distance or angle stays on screen until the next point starts a new one
+  const addMeasurePoint = (pt) => {
+    const { points } = findMeasureTool(measureTool);
+    setMeasureDraft(prev => (points && prev.length >= points ? [pt] : [...prev, pt]));
+  };
+
+  const selectMeasureTool = (tool) => {
+    setMeasureTool(tool);
+    setMeasureDraft([]);
+  };
+
+  const undoMeasurePoint = () => setMeasureDraft(prev => prev.slice(0, -1));
+
+  const clearMeasureDraft = () => setMeasureDraft([]);
+
+  const keepMeasurement = () => {
+    if (!isMeasurementComplete(measureTool, measureDraft)) return;
+    const measurement = createMeasurement(measureTool, measureDraft, measurements.filter(m => m.kind === measureTool).length);
+    updateDoc('পরিমাপ সংরক্ষণ', doc => ({ measurements: [...doc.measurements, measurement] }));
+    setMeasureDraft([]);
+    toast.success(`${measurement.name} ম্যাপে রাখা হয়েছে`);
+    if (reportImage) captureReportImage();
+  };
+
+  const cancelMeasure = () => {
+    setMeasureDraft([]);
+    setMode('none');
+  };
+
+  const renameMeasurement = (id, name) => {
+    updateDoc('পরিমাপের নাম', doc => ({
+      measurements: doc.measurements.map(m => (m.id === id ? { ...m, name } : m)),
+    }), { mergeKey: `measurement-name-${id}` });
+  };
+
+  const deleteMeasurement = (id) => {
+    updateDoc('পরিমাপ মুছে ফেলা', doc => ({ measurements: doc.measurements.filter(m => m.id !== id) }));
+    if (reportImage) captureReportImage();
+  };
+
+  return {
+    measurements,
+    measureTool,
+    measureDraft,
+    startMeasure,
+    addMeasurePoint,
+    selectMeasureTool,
+    undoMeasurePoint,
+    clearMeasureDraft,
+    keepMeasurement,
+    cancelMeasure,
+    renameMeasurement,
+    deleteMeasurement,
+  };
+};
@@ -0,0 +1,40 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { buildGeoJSON, buildKML, buildDXF, exportablePlots } from '@/utils/plotExport';
+import { downloadBlob, baseFileName } from '@/utils/download';
+
+// KML needs longitude/latitude, so only a georeferenced map can produce it
+const EXPORT_FORMATS = {
+  geojson: { extension: 'geojson', type: 'application/geo+json', build: buildGeoJSON },
+  kml: { extension: 'kml', type: 'application/vnd.google-earth.kml+xml', build: buildKML },
+  dxf: { extension: 'dxf', type: 'application/dxf', build: buildDXF },
+};
+
+// Finished plots for GIS and CAD, in the chosen coordinate unit
+export const usePlotExport = ({ plots, plotResults, scale, affine, toLonLat, imageName }) => {
+  const [exportUnitId, setExportUnitId] = useState('m');
+
+  const handleExportPlots = (format) => {
+    if (!scale) {
+      toast.warning('এক্সপোর্টের আগে স্কেল সেট করুন');
+      return;
+    }
+    const exportable = exportablePlots(plots);
+    if (exportable.length === 0) {
+      toast.warning('এক্সপোর্ট করার মতো সম্পূর্ণ ও ত্রুটিমুক্ত প্লট নেই');
+      return;
+    }
+    const skipped = plotResults.length - exportable.length;
+    const { extension, type, build } = EXPORT_FORMATS[format];
+    try {
+      const text = build(exportable, { scale, affine, unitId: exportUnitId, toLonLat, documentName: baseFileName(imageName) });
+      downloadBlob(new Blob([text], { type }), `${baseFileName(imageName)}.plots.${extension}`);
+      toast.success(`${exportable.length}টি প্লট ${format.toUpperCase()} হিসেবে এক্সপোর্ট হয়েছে${skipped > 0 ? ` (${skipped}টি ত্রুটিপূর্ণ প্লট বাদ)` : ''}`);
+    } catch (err) {
+      console.error('Export failed', err);
+      toast.error(err.message || 'এক্সপোর্ট ব্যর্থ হয়েছে');
+    }
+  };
+
+  return { exportUnitId, setExportUnitId, handleExportPlots };
+};
@@ -0,0 +1,83 @@
+import { useState, useEffect, useCallback } from 'react';
+import { toast } from 'sonner';
+import {
+  listProjects,
+  saveProject,
+  deleteProject as deleteStoredProject,
+  renameProject as renameStoredProject,
+  duplicateProject as duplicateStoredProject,
+} from '@/utils/projectStore';
+
+// Recent projects kept in IndexedDB, with the list refreshed after every change
+export const useProjectLibrary = () => {
+  const [projects, setProjects] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (err) {
+      console.error('Reading recent projects failed', err);
+    } finally {
+      setIsLoaded(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Autosave path: failures are logged, not toasted, so a full disk does not spam the user
+  const saveRecord = async (record, mapFile) => {
+    try {
+      await saveProject(record, mapFile);
+      await refresh();
+      return true;
+    } catch (err) {
+      console.error('Autosave failed', err);
+      return false;
+    }
+  };
+
+  const renameProject = async (id, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      toast.error('প্রজেক্টের নাম খালি রাখা যাবে না');
+      return false;
+    }
+    try {
+      await renameStoredProject(id, trimmed);
+      await refresh();
+      return true;
+    } catch (err) {
+      console.error('Rename failed', err);
+      toast.error('নাম পরিবর্তন ব্যর্থ হয়েছে');
+      return false;
+    }
+  };
+
+  const duplicateProject = async (id) => {
+    const original = projects.find(p => p.id === id);
+    try {
+      await duplicateStoredProject(id, `${original ? original.name : 'প্রজেক্ট'} (কপি)`);
+      await refresh();
+      toast.success('প্রজেক্টের কপি তৈরি হয়েছে');
+    } catch (err) {
+      console.error('Duplicate failed', err);
+      toast.error('কপি তৈরি ব্যর্থ হয়েছে');
+    }
+  };
+
+  const deleteProject = async (id) => {
+    try {
+      await deleteStoredProject(id);
+      await refresh();
+      toast.success('প্রজেক্ট মুছে ফেলা হয়েছে');
+    } catch (err) {
+      console.error('Delete failed', err);
+      toast.error('প্রজেক্ট মোছা ব্যর্থ হয়েছে');
+    }
+  };
+
+  return { projects, isLoaded, refresh, saveRecord, renameProject, duplicateProject, deleteProject };
+};
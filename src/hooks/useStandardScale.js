@@ -0,0 +1,52 @@
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { calculateScaleFromDpi, feetPerMapInchFromRatio, MAP_SCALE_PRESETS } from '@/utils/mapCalculations';
+
+/**
+ * Standard scale: the sheet's printed ratio and its pixels per inch give the scale without
+ * measuring a line. The DPI is known for PDFs and read from scan metadata for images.
+ */
+export const useStandardScale = ({ setScale, setMode }) => {
+  const [sourceDpi, setSourceDpi] = useState(null);
+  const [showStandardScale, setShowStandardScale] = useState(false);
+  const [standardScaleDpi, setStandardScaleDpi] = useState('');
+  const [standardScalePresetId, setStandardScalePresetId] = useState(MAP_SCALE_PRESETS[0].id);
+  const [standardScaleRatio, setStandardScaleRatio] = useState('');
+
+  // A newly shown sheet prefills the DPI field with its own density, or clears it when unknown
+  const setSheetDpi = (dpi) => {
+    setSourceDpi(dpi);
+    setStandardScaleDpi(dpi ? String(dpi) : '');
+  };
+
+  const handleStandardScaleSubmit = (e) => {
+    e.preventDefault();
+    const dpi = parseFloat(standardScaleDpi);
+    if (!Number.isFinite(dpi) || dpi <= 0) {
+      toast.error('সঠিক DPI (পিক্সেল প্রতি ইঞ্চি) লিখুন');
+      return;
+    }
+    const preset = MAP_SCALE_PRESETS.find(p => p.id === standardScalePresetId);
+    // 'custom' uses a typed ratio 1:N instead of a preset
+    const feetPerMapInch = preset ? preset.feetPerMapInch : feetPerMapInchFromRatio(parseFloat(standardScaleRatio));
+    if (!feetPerMapInch) {
+      toast.error('সঠিক অনুপাত লিখুন (যেমন: 3960)');
+      return;
+    }
+    const scaleValue = calculateScaleFromDpi(dpi, feetPerMapInch);
+    setScale(scaleValue, 'স্ট্যান্ডার্ড স্কেল');
+    toast.success(`স্কেল সেট করা হয়েছে: 1 px = ${(1 / scaleValue).toFixed(6)} ft (${dpi} DPI)`);
+    setMode('none');
+    setShowStandardScale(false);
+  };
+
+  return {
+    sourceDpi,
+    setSheetDpi,
+    showStandardScale, setShowStandardScale,
+    standardScaleDpi, setStandardScaleDpi,
+    standardScalePresetId, setStandardScalePresetId,
+    standardScaleRatio, setStandardScaleRatio,
+    handleStandardScaleSubmit,
+  };
+};
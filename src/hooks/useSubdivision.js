@@ -0,0 +1,103 @@
+import { useState, useMemo } from 'react';
+import { toast } from 'sonner';
+import { calculatePolygonData } from '@/utils/mapCalculations';
+import { createPlot, PLOT_COLORS } from '@/utils/plots';
+import { resolveShares, subdividePolygon } from '@/utils/subdivision';
+import { outlinePoints } from '@/utils/arcs';
+import { validatePolygon, hasGeometryErrors } from '@/utils/geometryValidation';
+
+/**
+ * Subdivision (বণ্টন): preview the split, then replace the plot with its parts in one undo step.
+ * Settings while the split is previewed:
+ * { plotId, method, count, ratio, amounts, sideIndex, orientation, fromOppositeEnd, names }
+ */
+export const useSubdivision = ({ plots, scale, affine, setPlots, selectPlot, setActivePlotId, setMode, captureReportImage }) => {
+  const [subdivision, setSubdivision] = useState(null);
+
+  const startSubdivision = (plotId) => {
+    const plot = plots.find(p => p.id === plotId);
+    if (!plot || !plot.isFinished || !scale) return;
+    // Cuts default to running across the longest side, so every part gets frontage on it
+    const lengths = plot.points.map((p, i) => {
+      const q = plot.points[(i + 1) % plot.points.length];
+      return Math.hypot(q.x - p.x, q.y - p.y);
+    });
+    selectPlot(plotId);
+    setSubdivision({
+      plotId,
+      method: 'equal',
+      count: 2,
+      ratio: '1:1',
+      amounts: '',
+      sideIndex: lengths.indexOf(Math.max(...lengths)),
+      orientation: 'perpendicular',
+      fromOppositeEnd: false,
+      names: [],
+    });
+    setMode('subdivide');
+  };
+
+  const updateSubdivision = (patch) => setSubdivision(prev => (prev ? { ...prev, ...patch } : prev));
+
+  const subdivisionPlot = subdivision ? plots.find(p => p.id === subdivision.plotId) || null : null;
+  const plotCount = plots.length;
+  const subdivisionResult = useMemo(() => {
+    if (!subdivision || !subdivisionPlot || !scale) return null;
+    const total = calculatePolygonData(subdivisionPlot.points, scale, affine);
+    const shares = resolveShares(subdivision, total.sqft);
+    if (shares.error) return { error: shares.error, parts: [] };
+    // Curved sides are cut as fine straight pieces; the chosen side's direction is its chord
+    const { points } = subdivisionPlot;
+    const side = [points[subdivision.sideIndex % points.length], points[(subdivision.sideIndex + 1) % points.length]];
+    // A share the cuts leave in separate pieces becomes one plot per piece
+    const parts = subdividePolygon(outlinePoints(points, 0.5), shares.weights, { ...subdivision, side })
+      .flatMap((pieces, share) => pieces.map((piece, j) => ({
+        defaultName: `${subdivisionPlot.name} - অংশ ${share + 1}${pieces.length > 1 ? ` (${j + 1})` : ''}`,
+        points: piece,
+      })))
+      .map((part, i) => ({
+        name: subdivision.names[i] || part.defaultName,
+        // The colours the new plots will get, so the preview matches the result
+        color: PLOT_COLORS[(plotCount + i) % PLOT_COLORS.length],
+        points: part.points,
+        results: calculatePolygonData(part.points, scale, affine),
+      }));
+    if (parts.some(p => !p.results)) return { error: 'এই দিকে ভাগ করা যায় না — অন্য বাহু বেছে নিন', parts: [] };
+    // Same rule as the results table: a part whose sides cross would have no area
+    if (parts.some(p => hasGeometryErrors(validatePolygon(p.points)))) return { error: 'এই দিকে ভাগ করলে কোনো অংশের বাহু একে অপরকে কাটে — অন্য বাহু বেছে নিন', parts: [] };
+    return { error: null, parts };
+  }, [subdivision, subdivisionPlot, plotCount, scale, affine]);
+
+  const clearSubdivision = () => setSubdivision(null);
+
+  const cancelSubdivision = () => {
+    setSubdivision(null);
+    setMode('none');
+  };
+
+  const applySubdivision = () => {
+    if (!subdivisionPlot || !subdivisionResult || subdivisionResult.error) return;
+    const { parts } = subdivisionResult;
+    setPlots('প্লট ভাগ', prev => {
+      const index = prev.findIndex(p => p.id === subdivisionPlot.id);
+      const created = parts.map((part, i) => createPlot(prev.length + i, { name: part.name, color: part.color, points: part.points, isFinished: true }));
+      return [...prev.slice(0, index), ...created, ...prev.slice(index + 1)];
+    });
+    toast.success(`${subdivisionPlot.name} ${parts.length}টি অংশে ভাগ হয়েছে`);
+    setSubdivision(null);
+    setActivePlotId(null);
+    setMode('none');
+    captureReportImage();
+  };
+
+  return {
+    subdivision,
+    subdivisionPlot,
+    subdivisionResult,
+    startSubdivision,
+    updateSubdivision,
+    clearSubdivision,
+    cancelSubdivision,
+    applySubdivision,
+  };
+};
@@ -0,0 +1,97 @@
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { createTileSource, chooseTileLevel, getVisibleTiles, TILE_CACHE_LIMIT } from '@/utils/tileSource';
+
+/**
+ * Level-of-detail rendering state for the map image.
+ * Returns the tile source (null for small images drawn directly) and the cached tiles
+ * to draw for the current view, coarse levels first so finer tiles paint over them.
+ * Missing tiles are rendered one at a time; tiles that scroll out of view before their
+ * turn are skipped.
+ */
+export const useTiledImage = (image, { stageScale, stagePos, stageSize }) => {
+  const source = useMemo(() => createTileSource(image), [image]);
+  // Rendered tiles of `source`; insertion order doubles as least-recently-used order
+  const cacheRef = useRef({ source, tiles: new Map() });
+  const queueRef = useRef([]);
+  const busyRef = useRef(false);
+  const pumpRef = useRef(() => {});
+  const wantedRef = useRef(new Set());
+  const sourceRef = useRef(source);
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    sourceRef.current = source;
+    cacheRef.current = { source, tiles: new Map() };
+    queueRef.current = [];
+    wantedRef.current = new Set();
+  }, [source]);
+
+  const dpr = typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1;
+  const level = source ? chooseTileLevel(source, stageScale * dpr) : null;
+
+  const visibleTiles = useMemo(() => {
+    if (!source || level === null || stageSize.width === 0) return [];
+    const view = {
+      x: -stagePos.x / stageScale,
+      y: -stagePos.y / stageScale,
+      width: stageSize.width / stageScale,
+      height: stageSize.height / stageScale,
+    };
+    return getVisibleTiles(source, level, view);
+  }, [source, level, stagePos.x, stagePos.y, stageScale, stageSize.width, stageSize.height]);
+
+  useEffect(() => {
+    if (!source) return;
+    const cache = cacheRef.current.tiles;
+    // Touch visible tiles so they are evicted last
+    visibleTiles.forEach((t) => {
+      const hit = cache.get(t.key);
+      if (hit) {
+        cache.delete(t.key);
+        cache.set(t.key, hit);
+      }
+    });
+    wantedRef.current = new Set(visibleTiles.map(t => t.key));
+    queueRef.current = visibleTiles.filter(t => !cache.has(t.key));
+
+    const pump = () => {
+      if (busyRef.current) return;
+      let tile = queueRef.current.shift();
+      while (tile && !wantedRef.current.has(tile.key)) tile = queueRef.current.shift();
+      if (!tile) return;
+      busyRef.current = true;
+      source.renderTile(tile.level, tile.tx, tile.ty, source)
+        .then((canvas) => {
+          if (sourceRef.current !== source) return;
+          const { tiles } = cacheRef.current;
+          tiles.set(tile.key, { ...tile, canvas });
+          while (tiles.size > TILE_CACHE_LIMIT) tiles.delete(tiles.keys().next().value);
+          setVersion(v => v + 1);
+        })
+        .catch((err) => console.error('Tile render failed:', err))
+        .finally(() => {
+          busyRef.current = false;
+          // A render of a replaced source may finish last; continue with the current queue
+          pumpRef.current();
+        });
+    };
+    pumpRef.current = pump;
+    pump();
+  }, [source, visibleTiles]);
+
+  // Recomputed on every render; a finished tile bumps the state to trigger one.
+  // A new source draws nothing from the cache until its effect has replaced the old tiles.
+  let tiles = [];
+  if (source && visibleTiles.length > 0 && cacheRef.current.source === source) {
+    const cache = cacheRef.current.tiles;
+    const first = visibleTiles[0];
+    const last = visibleTiles[visibleTiles.length - 1];
+    const bounds = { x0: first.x, y0: first.y, x1: last.x + last.width, y1: last.y + last.height };
+    // Cached tiles of any level covering the view fill gaps while the current level renders
+    tiles = [...cache.values()]
+      .filter(t => t.x < bounds.x1 && t.x + t.width > bounds.x0 && t.y < bounds.y1 && t.y + t.height > bounds.y0)
+      .sort((a, b) => a.level - b.level);
+  }
+
+  return { source, tiles };
+};
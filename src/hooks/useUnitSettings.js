@@ -0,0 +1,115 @@
+import { useState, useEffect, useMemo } from 'react';
+import { toast } from 'sonner';
+import {
+  DEFAULT_VISIBLE_UNIT_IDS,
+  DEFAULT_COMBINED_UNIT_IDS,
+  getAllUnits,
+  resolveUnits,
+  createCustomUnit,
+} from '@/utils/landUnits';
+import { DEFAULT_LENGTH_UNIT_ID, findLengthUnit } from '@/utils/lengthUnits';
+
+const STORAGE_KEY = 'landUnitSettings';
+
+const DEFAULT_SETTINGS = {
+  visibleUnitIds: DEFAULT_VISIBLE_UNIT_IDS,
+  combinedUnitIds: DEFAULT_COMBINED_UNIT_IDS,
+  customUnits: [],
+  lengthUnitId: DEFAULT_LENGTH_UNIT_ID,
+};
+
+// Settings from storage or a project file, with anything malformed replaced by defaults
+const sanitizeSettings = (saved) => {
+  if (!saved || typeof saved !== 'object') return DEFAULT_SETTINGS;
+  return {
+    visibleUnitIds: Array.isArray(saved.visibleUnitIds) ? saved.visibleUnitIds : DEFAULT_SETTINGS.visibleUnitIds,
+    combinedUnitIds: Array.isArray(saved.combinedUnitIds) ? saved.combinedUnitIds : DEFAULT_SETTINGS.combinedUnitIds,
+    customUnits: Array.isArray(saved.customUnits) ? saved.customUnits.filter(u => u && u.id && u.label && u.sqft > 0) : [],
+    lengthUnitId: findLengthUnit(saved.lengthUnitId).id,
+  };
+};
+
+const loadSettings = () => {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// Which area units appear in results and reports, plus user-defined regional variants,
+// and the length unit used for calibration input and side lengths
+export const useUnitSettings = () => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+      // ignore storage errors
+    }
+  }, [settings]);
+
+  const allUnits = useMemo(() => getAllUnits(settings.customUnits), [settings.customUnits]);
+  const visibleUnits = useMemo(() => resolveUnits(settings.visibleUnitIds, settings.customUnits), [settings]);
+  const combinedUnits = useMemo(() => resolveUnits(settings.combinedUnitIds, settings.customUnits), [settings]);
+  const lengthUnit = findLengthUnit(settings.lengthUnitId);
+
+  const toggleId = (key, id) => {
+    setSettings(prev => {
+      const ids = prev[key];
+      const next = ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id];
+      // Keep the registry order so tables do not reshuffle as units are toggled
+      const order = getAllUnits(prev.customUnits).map(u => u.id);
+      return { ...prev, [key]: next.sort((a, b) => order.indexOf(a) - order.indexOf(b)) };
+    });
+  };
+
+  const toggleVisibleUnit = (id) => toggleId('visibleUnitIds', id);
+  const toggleCombinedUnit = (id) => toggleId('combinedUnitIds', id);
+
+  const addCustomUnit = (definition) => {
+    try {
+      const unit = createCustomUnit(definition, settings.customUnits);
+      setSettings(prev => ({
+        ...prev,
+        customUnits: [...prev.customUnits, unit],
+        visibleUnitIds: [...prev.visibleUnitIds, unit.id],
+      }));
+      toast.success(`নতুন একক যোগ হয়েছে: ${unit.label}`);
+      return true;
+    } catch (err) {
+      toast.error(err.message);
+      return false;
+    }
+  };
+
+  const setLengthUnitId = (id) => setSettings(prev => ({ ...prev, lengthUnitId: findLengthUnit(id).id }));
+
+  const removeCustomUnit = (id) => {
+    setSettings(prev => ({
+      ...prev,
+      customUnits: prev.customUnits.filter(u => u.id !== id),
+      visibleUnitIds: prev.visibleUnitIds.filter(x => x !== id),
+      combinedUnitIds: prev.combinedUnitIds.filter(x => x !== id),
+    }));
+  };
+
+  // Units stored in a project file replace the current choice
+  const importUnitSettings = (saved) => setSettings(sanitizeSettings(saved));
+
+  return {
+    ...settings,
+    setUnitSettings: setSettings,
+    importUnitSettings,
+    allUnits,
+    visibleUnits,
+    combinedUnits,
+    lengthUnit,
+    setLengthUnitId,
+    toggleVisibleUnit,
+    toggleCombinedUnit,
+    addCustomUnit,
+    removeCustomUnit,
+  };
+};
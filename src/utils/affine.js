@@ -0,0 +1,129 @@
+/**
+ * Affine Calibration
+ * Maps stage pixels to ground feet: X = a*x + b*y + c, Y = d*x + e*y + f.
+ * Used for scans stretched differently along each axis, where one isotropic scale is wrong.
+ * A transform is stored as { matrix: [a, b, c, d, e, f], method, residuals, rmsFt }.
+ */
+
+// Solves a 3x3 linear system with Gaussian elimination and partial pivoting
+const solve3 = (m, v) => {
+  const a = m.map((row, i) => [...row, v[i]]);
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < 3; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = col + 1; r < 3; r++) {
+      const f = a[r][col] / a[col][col];
+      for (let k = col; k < 4; k++) a[r][k] -= f * a[col][k];
+    }
+  }
+  const x = [0, 0, 0];
+  for (let r = 2; r >= 0; r--) {
+    let sum = a[r][3];
+    for (let k = r + 1; k < 3; k++) sum -= a[r][k] * x[k];
+    x[r] = sum / a[r][r];
+  }
+  return x;
+};
+
+// Least squares for rows · p ≈ targets via the normal equations
+const leastSquares3 = (rows, targets) => {
+  const ata = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const atb = [0, 0, 0];
+  rows.forEach((row, n) => {
+    for (let i = 0; i < 3; i++) {
+      atb[i] += row[i] * targets[n];
+      for (let j = 0; j < 3; j++) ata[i][j] += row[i] * row[j];
+    }
+  });
+  return solve3(ata, atb);
+};
+
+export const applyAffine = ([a, b, c, d, e, f], p) => ({ x: a * p.x + b * p.y + c, y: d * p.x + e * p.y + f });
+
+// Ground coordinates back to stage pixels
+export const invertAffinePoint = ([a, b, c, d, e, f], g) => {
+  const det = a * e - b * d;
+  const x = g.x - c;
+  const y = g.y - f;
+  return { x: (e * x - b * y) / det, y: (a * y - d * x) / det };
+};
+
+// Ground length in feet of the pixel vector (dx, dy); the translation part does not matter
+export const affineLength = ([a, b, , d, e], dx, dy) => Math.hypot(a * dx + b * dy, d * dx + e * dy);
+
+// Square feet covered by one square pixel
+export const affineAreaFactor = ([a, b, , d, e]) => Math.abs(a * e - b * d);
+
+// Isotropic px/ft scale with the same area factor; keeps scale-only displays meaningful
+export const equivalentScale = (matrix) => 1 / Math.sqrt(affineAreaFactor(matrix));
+
+/**
+ * Stretch summary: feet per pixel along the image X and Y axes and the skew (degrees)
+ * between the transformed axes, 0 for a perfectly square scan.
+ */
+export const describeAffine = ([a, b, , d, e]) => {
+  const ftPerPxX = Math.hypot(a, d);
+  const ftPerPxY = Math.hypot(b, e);
+  const cos = (a * b + d * e) / (ftPerPxX * ftPerPxY);
+  return {
+    ftPerPxX,
+    ftPerPxY,
+    stretchPct: ((ftPerPxX / ftPerPxY) - 1) * 100,
+    skewDeg: 90 - (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI,
+  };
+};
+
+const rms = (values) => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+
+/**
+ * Fit from control points with known ground coordinates (feet).
+ * Needs at least 3 points that are not on one line.
+ */
+export const fitAffineFromControlPoints = (controlPoints) => {
+  const usable = controlPoints.filter(p => Number.isFinite(p.groundX) && Number.isFinite(p.groundY));
+  if (usable.length < 3) return { error: 'অন্তত ৩টি বিন্দুর স্থানাঙ্ক দিন' };
+  const rows = usable.map(p => [p.x, p.y, 1]);
+  const abc = leastSquares3(rows, usable.map(p => p.groundX));
+  const def = leastSquares3(rows, usable.map(p => p.groundY));
+  if (!abc || !def) return { error: 'বিন্দুগুলো এক সরলরেখায় — ভিন্ন দিকে বিন্দু দিন' };
+  const matrix = [...abc, ...def];
+  if (affineAreaFactor(matrix) < 1e-12) return { error: 'ফিট করা রূপান্তর অবৈধ' };
+  const residuals = usable.map(p => {
+    const g = applyAffine(matrix, p);
+    return { id: p.id, dx: g.x - p.groundX, dy: g.y - p.groundY, errorFt: Math.hypot(g.x - p.groundX, g.y - p.groundY) };
+  });
+  return { matrix, method: 'control_points', residuals, rmsFt: rms(residuals.map(r => r.errorFt)) };
+};
+
+/**
+ * Fit from reference lines with known lengths only (no coordinates).
+ * Solves realFt² = A·dx² + 2B·dx·dy + C·dy² for the metric [A B; B C], then takes its
+ * Cholesky factor as the linear map. The result is correct up to a rotation, which
+ * does not change lengths or areas. Needs at least 3 lines in different directions.
+ */
+export const fitAffineFromDistances = (lines) => {
+  const usable = lines.filter(l => l.enabled !== false && l.realFt > 0);
+  if (usable.length < 3) return { error: 'অন্তত ৩টি ভিন্ন দিকের রেফারেন্স লাইন দরকার' };
+  const rows = usable.map(({ points: [x1, y1, x2, y2] }) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    return [dx * dx, 2 * dx * dy, dy * dy];
+  });
+  const sol = leastSquares3(rows, usable.map(l => l.realFt * l.realFt));
+  if (!sol) return { error: 'লাইনগুলো একই দিকে — ভিন্ন দিকে লাইন আঁকুন' };
+  const [A, B, C] = sol;
+  if (!(A > 0) || A * C - B * B <= 0) return { error: 'দূরত্বগুলো পরস্পরবিরোধী — লাইনগুলো যাচাই করুন' };
+  const a = Math.sqrt(A);
+  const b = B / a;
+  const e = Math.sqrt(C - b * b);
+  const matrix = [a, b, 0, 0, e, 0];
+  const residuals = usable.map(({ id, points: [x1, y1, x2, y2], realFt }) => {
+    const errorFt = affineLength(matrix, x2 - x1, y2 - y1) - realFt;
+    return { id, errorFt, errorPct: (errorFt / realFt) * 100 };
+  });
+  return { matrix, method: 'distances', residuals, rmsFt: rms(residuals.map(r => r.errorFt)) };
+};
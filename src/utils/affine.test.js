@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import {
+  affineAreaFactor,
+  affineLength,
+  applyAffine,
+  describeAffine,
+  fitAffineFromControlPoints,
+  fitAffineFromDistances,
+  invertAffinePoint,
+} from './affine';
+
+// 0.5 ft per px across, 0.52 ft per px down with a little shear, Y flipped to north
+const MATRIX = [0.5, 0.01, 1000, 0, -0.52, 2000];
+
+const controlPoint = (id, x, y) => {
+  const g = applyAffine(MATRIX, { x, y });
+  return { id, x, y, groundX: g.x, groundY: g.y };
+};
+
+const line = (id, x1, y1, x2, y2) => ({ id, points: [x1, y1, x2, y2], realFt: affineLength(MATRIX, x2 - x1, y2 - y1) });
+
+describe('affine helpers', () => {
+  it('inverts a point', () => {
+    const p = invertAffinePoint(MATRIX, applyAffine(MATRIX, { x: 123, y: 456 }));
+    expect(p.x).toBeCloseTo(123, 9);
+    expect(p.y).toBeCloseTo(456, 9);
+  });
+
+  it('describes stretch and skew', () => {
+    const { ftPerPxX, ftPerPxY, stretchPct } = describeAffine([0.5, 0, 0, 0, 0.5, 0]);
+    expect([ftPerPxX, ftPerPxY, stretchPct]).toEqual([0.5, 0.5, 0]);
+    expect(describeAffine(MATRIX).skewDeg).not.toBeCloseTo(0, 3);
+  });
+});
+
+describe('fitAffineFromControlPoints', () => {
+  it('recovers the transform exactly from clean points', () => {
+    const fit = fitAffineFromControlPoints([controlPoint('a', 0, 0), controlPoint('b', 800, 0), controlPoint('c', 0, 600), controlPoint('d', 800, 600)]);
+    fit.matrix.forEach((v, i) => expect(v).toBeCloseTo(MATRIX[i], 9));
+    expect(fit.method).toBe('control_points');
+    expect(fit.rmsFt).toBeLessThan(1e-9);
+  });
+
+  it('reports residuals for a point that does not fit', () => {
+    const grid = [0, 400, 800].flatMap(x => [0, 300, 600].map(y => controlPoint(`${x},${y}`, x, y)));
+    const bad = grid.find(p => p.id === '400,300');
+    bad.groundX += 4;
+    const fit = fitAffineFromControlPoints(grid);
+    const worst = fit.residuals.reduce((m, r) => (r.errorFt > m.errorFt ? r : m));
+    expect(worst.id).toBe('400,300');
+    expect(fit.rmsFt).toBeGreaterThan(0);
+  });
+
+  it('needs three points off one line', () => {
+    expect(fitAffineFromControlPoints([controlPoint('a', 0, 0), controlPoint('b', 1, 1)]).error).toBeTruthy();
+    expect(fitAffineFromControlPoints([controlPoint('a', 0, 0), controlPoint('b', 1, 1), controlPoint('c', 2, 2)]).error).toBeTruthy();
+  });
+});
+
+describe('fitAffineFromDistances', () => {
+  it('reproduces every length and the area factor', () => {
+    const lines = [line('h', 0, 0, 400, 0), line('v', 0, 0, 0, 300), line('d', 0, 0, 400, 300), line('e', 100, 300, 400, 0)];
+    const fit = fitAffineFromDistances(lines);
+    expect(fit.method).toBe('distances');
+    lines.forEach(({ points: [x1, y1, x2, y2], realFt }) => {
+      expect(affineLength(fit.matrix, x2 - x1, y2 - y1)).toBeCloseTo(realFt, 6);
+    });
+    expect(affineAreaFactor(fit.matrix)).toBeCloseTo(affineAreaFactor(MATRIX), 9);
+  });
+
+  it('needs lines in three directions', () => {
+    expect(fitAffineFromDistances([line('a', 0, 0, 10, 0), line('b', 0, 5, 20, 5)]).error).toBeTruthy();
+    expect(fitAffineFromDistances([line('a', 0, 0, 10, 0), line('b', 0, 5, 20, 5), line('c', 0, 9, 30, 9)]).error).toBeTruthy();
+  });
+
+  it('ignores disabled lines', () => {
+    const lines = [line('h', 0, 0, 400, 0), line('v', 0, 0, 0, 300), { ...line('d', 0, 0, 400, 300), enabled: false }];
+    expect(fitAffineFromDistances(lines).error).toBeTruthy();
+  });
+});
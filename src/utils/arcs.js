@@ -0,0 +1,164 @@
+import { affineLength } from './affine';
+
+/**
+ * Curved Plot Sides
+ * A side can be a circular arc on the sheet, stored as `bulge` on its start vertex the way
+ * DXF does: bulge = tan(θ / 4) for the included angle θ, so 1 is a semicircle. Positive
+ * bulges curve to the right of the side's direction on screen (y down); 0 or no bulge is a
+ * straight side. An affine calibration maps the arc to an ellipse arc on the ground; areas
+ * stay exact under it and lengths are integrated along the mapped curve.
+ */
+export const MAX_BULGE = 3;
+
+export const clampBulge = (bulge) => Math.max(-MAX_BULGE, Math.min(MAX_BULGE, bulge));
+
+export const hasArcs = (points) => points.some(p => p.bulge);
+
+// A corner with its outgoing side set to `bulge`; 0 (or tiny) leaves the side straight
+export const withBulge = (p, bulge) => (Math.abs(bulge) > 1e-6 ? { x: p.x, y: p.y, bulge } : { x: p.x, y: p.y });
+
+// Unit normal to the right of a → b on screen, and the chord length
+const chordFrame = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const c = Math.hypot(dx, dy);
+  return { c, n: c > 0 ? { x: -dy / c, y: dx / c } : { x: 0, y: 0 } };
+};
+
+/**
+ * Circle through a, b bulging by `bulge`: { center, radius, startAngle, sweep, sagitta, mid, chord }.
+ * `sweep` is signed; startAngle + sweep / 2 points at `mid`, the middle of the arc.
+ */
+export const arcGeometry = (a, b, bulge) => {
+  const { c, n } = chordFrame(a, b);
+  const theta = 4 * Math.atan(Math.abs(bulge));
+  const radius = c / (2 * Math.sin(theta / 2));
+  const sagitta = (bulge * c) / 2;
+  const mid = { x: (a.x + b.x) / 2 + n.x * sagitta, y: (a.y + b.y) / 2 + n.y * sagitta };
+  const side = Math.sign(bulge);
+  const center = { x: mid.x - n.x * side * radius, y: mid.y - n.y * side * radius };
+  const startAngle = Math.atan2(a.y - center.y, a.x - center.x);
+  const midAngle = Math.atan2(mid.y - center.y, mid.x - center.x);
+  // Sweep the way that passes through the arc's middle
+  const turn = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle));
+  const sweep = Math.sign(turn(midAngle - startAngle)) * theta || theta;
+  return { center, radius, startAngle, sweep, sagitta, mid, chord: c };
+};
+
+// Direction of travel (unit, screen) leaving a and arriving at b; an arc leans off its chord by θ / 2
+export const sideTangents = (a, b, bulge) => {
+  const { c, n } = chordFrame(a, b);
+  const d = c > 0 ? { x: (b.x - a.x) / c, y: (b.y - a.y) / c } : { x: 0, y: 0 };
+  if (!bulge) return { start: d, end: d };
+  const half = 2 * Math.atan(Math.abs(bulge));
+  const cos = Math.cos(half);
+  const sin = Math.sin(half) * Math.sign(bulge);
+  return {
+    start: { x: d.x * cos + n.x * sin, y: d.y * cos + n.y * sin },
+    end: { x: d.x * cos - n.x * sin, y: d.y * cos - n.y * sin },
+  };
+};
+
+// Middle of side a → b, on the arc when it is curved
+export const sideMidpoint = (a, b, bulge) => (bulge
+  ? arcGeometry(a, b, bulge).mid
+  : { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Bulge that puts the arc's middle level with `m` (a dragged handle), measured off the chord
+export const bulgeFromMidpoint = (a, b, m) => {
+  const { c, n } = chordFrame(a, b);
+  if (c === 0) return 0;
+  const sagitta = (m.x - (a.x + b.x) / 2) * n.x + (m.y - (a.y + b.y) / 2) * n.y;
+  return clampBulge((2 * sagitta) / c);
+};
+
+/**
+ * Signed area between the chord and the arc, to add to the shoelace sum (½Σ x1·y2 − x2·y1)
+ * of the corners: a bulge to the right of travel takes area from a clockwise-on-screen plot.
+ */
+export const arcAreaCorrection = (a, b, bulge) => {
+  if (!bulge) return 0;
+  const { radius, sweep } = arcGeometry(a, b, bulge);
+  const theta = Math.abs(sweep);
+  return -Math.sign(bulge) * (radius * radius / 2) * (theta - Math.sin(theta));
+};
+
+// Points along side a → b, excluding a and including b; a straight side is just [b]
+export const sidePoints = (a, b, bulge, maxStepDeg = 3) => {
+  if (!bulge) return [b];
+  const { center, radius, startAngle, sweep } = arcGeometry(a, b, bulge);
+  const steps = Math.max(2, Math.ceil(Math.abs(sweep) * 180 / Math.PI / maxStepDeg));
+  const out = [];
+  for (let i = 1; i < steps; i++) {
+    const angle = startAngle + (sweep * i) / steps;
+    out.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+  }
+  out.push(b);
+  return out;
+};
+
+/**
+ * The plot boundary as straight pieces, arcs split every `maxStepDeg` degrees, for drawing,
+ * cutting, snapping or export. A closed ring without the first point repeated.
+ */
+export const outlinePoints = (points, maxStepDeg = 3) => {
+  if (!hasArcs(points)) return points.map(({ x, y }) => ({ x, y }));
+  const out = [];
+  points.forEach((p, i) => {
+    out.push({ x: p.x, y: p.y });
+    const next = points[(i + 1) % points.length];
+    out.push(...sidePoints(p, next, p.bulge, maxStepDeg).slice(0, -1));
+  });
+  return out;
+};
+
+// Ground length in feet of an arc side: analytic for a plain scale, integrated under an affine
+export const arcLengthFt = (a, b, bulge, scale, affine = null) => {
+  const { radius, sweep, startAngle } = arcGeometry(a, b, bulge);
+  if (!affine) return (radius * Math.abs(sweep)) / scale;
+  // Simpson's rule on |A · dP/dφ|; the integrand is smooth, so 64 intervals are plenty
+  const steps = 64;
+  const h = sweep / steps;
+  let sum = 0;
+  for (let i = 0; i <= steps; i++) {
+    const angle = startAngle + h * i;
+    const speed = affineLength(affine.matrix, -radius * Math.sin(angle), radius * Math.cos(angle));
+    sum += speed * (i === 0 || i === steps ? 1 : i % 2 === 1 ? 4 : 2);
+  }
+  return (Math.abs(h) / 3) * sum;
+};
+
+// Feet per stage pixel across the side (along its normal), for converting sagitta heights
+const feetPerPxAcross = (a, b, scale, affine) => {
+  const { n } = chordFrame(a, b);
+  return affine ? affineLength(affine.matrix, n.x, n.y) : 1 / scale;
+};
+
+// +1 when a bulge to the right of travel points out of the plot, which is when the corners run anticlockwise on screen
+export const outwardBulgeSign = (points) => {
+  let sum = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    sum += p.x * q.y - q.x * p.y;
+  });
+  return sum > 0 ? -1 : 1;
+};
+
+// Height of the arc above its chord in feet, positive outwards from the plot
+export const sagittaFt = (points, index, scale, affine = null) => {
+  const a = points[index];
+  const b = points[(index + 1) % points.length];
+  if (!a.bulge) return 0;
+  const { sagitta } = arcGeometry(a, b, a.bulge);
+  return outwardBulgeSign(points) * sagitta * feetPerPxAcross(a, b, scale, affine);
+};
+
+// Bulge for an outward sagitta in feet (0 makes the side straight)
+export const bulgeFromSagittaFt = (points, index, heightFt, scale, affine = null) => {
+  const a = points[index];
+  const b = points[(index + 1) % points.length];
+  const { c } = chordFrame(a, b);
+  if (c === 0 || !heightFt) return 0;
+  const sagittaPx = (outwardBulgeSign(points) * heightFt) / feetPerPxAcross(a, b, scale, affine);
+  return clampBulge((2 * sagittaPx) / c);
+};
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import {
+  arcGeometry,
+  arcLengthFt,
+  bulgeFromMidpoint,
+  bulgeFromSagittaFt,
+  clampBulge,
+  outlinePoints,
+  sagittaFt,
+  sideMidpoint,
+  sideTangents,
+  withBulge,
+} from './arcs';
+import { calculatePolygonData } from './mapCalculations';
+import { subdividePolygon } from './subdivision';
+import { insertVertex, removeVertex, reverseVertices } from './plots';
+
+// 100 × 100 px square, clockwise on screen, at 1 px per foot
+const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+const withArc = (points, index, bulge) => points.map((p, i) => (i === index ? withBulge(p, bulge) : p));
+const HALF_DISC = (Math.PI * 50 * 50) / 2;
+
+describe('arc geometry', () => {
+  it('puts a positive bulge to the right of travel on screen', () => {
+    // Travelling east with y down, right is +y
+    expect(sideMidpoint({ x: 0, y: 0 }, { x: 100, y: 0 }, 1)).toEqual({ x: 50, y: 50 });
+    const { center, radius, sweep } = arcGeometry({ x: 0, y: 0 }, { x: 100, y: 0 }, 1);
+    expect(center.x).toBeCloseTo(50, 9);
+    expect(center.y).toBeCloseTo(0, 9);
+    expect(radius).toBeCloseTo(50, 9);
+    expect(Math.abs(sweep)).toBeCloseTo(Math.PI, 9);
+  });
+
+  it('leans the end tangents off the chord by half the included angle', () => {
+    const { start, end } = sideTangents({ x: 0, y: 0 }, { x: 100, y: 0 }, 1);
+    expect(start.x).toBeCloseTo(0, 9);
+    expect(start.y).toBeCloseTo(1, 9);
+    expect(end.y).toBeCloseTo(-1, 9);
+  });
+
+  it('finds the bulge from a dragged midpoint', () => {
+    expect(bulgeFromMidpoint({ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: -25 })).toBeCloseTo(-0.5, 12);
+    expect(clampBulge(10)).toBe(3);
+    expect(withBulge({ x: 1, y: 2, bulge: 0.3 }, 1e-9)).toEqual({ x: 1, y: 2 });
+  });
+
+  it('flattens arcs into a ring through every corner', () => {
+    const ring = outlinePoints(withArc(square, 0, -1), 3);
+    expect(ring.length).toBe(4 + 59);
+    expect(ring[0]).toEqual({ x: 0, y: 0 });
+    ring.slice(1, 60).forEach(p => expect(Math.hypot(p.x - 50, p.y)).toBeCloseTo(50, 9));
+    expect(outlinePoints(square)).toEqual(square);
+  });
+});
+
+describe('area and length with curved sides', () => {
+  it('adds an outward half disc and removes an inward one exactly', () => {
+    expect(calculatePolygonData(withArc(square, 0, -1), 1).sqft).toBeCloseTo(10000 + HALF_DISC, 9);
+    expect(calculatePolygonData(withArc(square, 0, 1), 1).sqft).toBeCloseTo(10000 - HALF_DISC, 9);
+  });
+
+  it('does not depend on the winding direction', () => {
+    const curved = withArc(square, 1, 0.4);
+    expect(calculatePolygonData(reverseVertices(curved), 1).sqft).toBeCloseTo(calculatePolygonData(curved, 1).sqft, 9);
+  });
+
+  it('measures sides along the arc and keeps the chord', () => {
+    const data = calculatePolygonData(withArc(square, 0, -1), 2);
+    expect(data.lengths[0]).toBeCloseTo((Math.PI * 50) / 2, 9);
+    expect(data.chordLengths[0]).toBe(50);
+  });
+
+  it('integrates arc length under an affine calibration', () => {
+    // Uniform 0.5 ft per px as a matrix must agree with scale 2
+    const affine = { matrix: [0.5, 0, 0, 0, -0.5, 0], method: 'distances' };
+    expect(arcLengthFt({ x: 0, y: 0 }, { x: 100, y: 0 }, 0.4, null, affine)).toBeCloseTo(arcLengthFt({ x: 0, y: 0 }, { x: 100, y: 0 }, 0.4, 2), 6);
+  });
+
+  it('reports and sets the sagitta outwards from the plot', () => {
+    const curved = withArc(square, 0, -1);
+    expect(sagittaFt(curved, 0, 2)).toBeCloseTo(25, 9);
+    expect(bulgeFromSagittaFt(square, 0, 25, 2)).toBeCloseTo(-1, 12);
+    expect(bulgeFromSagittaFt(reverseVertices(square), 0, 25, 2)).toBeCloseTo(1, 12);
+  });
+
+  it('subdivides the flattened outline into equal ground areas', () => {
+    const curved = withArc(square, 0, -1);
+    const parts = subdividePolygon(outlinePoints(curved, 0.5), [1, 1], { side: [curved[0], curved[1]] });
+    const areas = parts.map(([part]) => calculatePolygonData(part, 1).sqft);
+    expect(areas[0]).toBeCloseTo(areas[1], 4);
+    expect(areas[0] + areas[1]).toBeCloseTo(10000 + HALF_DISC, 0);
+  });
+});
+
+describe('vertex edits on curved sides', () => {
+  const curved = withArc(withArc(square, 0, -1), 2, 0.3);
+
+  it('moves a bulge to the other end of its side when reversed', () => {
+    const reversed = reverseVertices(curved);
+    expect(reversed.map(p => [p.x, p.y, p.bulge ?? 0])).toEqual([[0, 0, 0], [0, 100, -0.3], [100, 100, 0], [100, 0, 1]]);
+    expect(reverseVertices(reversed)).toEqual(curved);
+  });
+
+  it('straightens the side a corner is inserted into or removed from', () => {
+    expect(insertVertex(curved, 0, { x: 50, y: -50 })[0].bulge).toBeUndefined();
+    expect(removeVertex(curved, 3)[2].bulge).toBeUndefined();
+    expect(removeVertex(curved, 1)[0].bulge).toBeUndefined();
+  });
+});
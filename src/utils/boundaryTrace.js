@@ -0,0 +1,239 @@
+import { sampleLuminance, inkThreshold } from './imageSampling';
+import { getSheetSize } from './sheetImage';
+
+/**
+ * Semi-automatic Boundary Tracing
+ * From a point inside a plot, the paper around it is flood-filled up to the printed boundary
+ * lines, the filled area is grown to the middle of those lines, and its outline is followed
+ * and simplified into a polygon. Text inside the plot (the dag number) only makes holes,
+ * which the outer outline ignores. Works on a resampled window around the seed that grows
+ * until the plot fits in it.
+ */
+export const TRACE_DEFAULTS = {
+  // Small breaks in a printed line up to this many samples are closed before filling
+  gapPx: 1,
+  // Largest distance, in image pixels, between the simplified polygon and the traced outline
+  simplifyPx: 2,
+};
+
+const START_RADIUS = 256;
+const MAX_RADIUS = 8192;
+const MAX_SAMPLES = 1024;
+// Ink wider than this (in samples) is not a boundary line; growth stops there
+const MAX_STROKE = 8;
+
+// Marks every pixel within `radius` (square) of ink, so short breaks in a line close up
+const dilate = (ink, width, height, radius) => {
+  if (radius <= 0) return ink;
+  const rows = new Uint8Array(ink.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!ink[y * width + x]) continue;
+      for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) rows[y * width + k] = 1;
+    }
+  }
+  const out = new Uint8Array(ink.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!rows[y * width + x]) continue;
+      for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) out[k * width + x] = 1;
+    }
+  }
+  return out;
+};
+
+// 4-connected flood fill; reports whether the region reached the window edge
+const floodFill = (blocked, width, height, seedIndex) => {
+  const region = new Uint8Array(blocked.length);
+  const stack = [seedIndex];
+  region[seedIndex] = 1;
+  let touchesBorder = false;
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+    const neighbours = [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, y > 0 ? i - width : -1, y < height - 1 ? i + width : -1];
+    neighbours.forEach(j => {
+      if (j >= 0 && !region[j] && !blocked[j]) {
+        region[j] = 1;
+        stack.push(j);
+      }
+    });
+  }
+  return { region, touchesBorder };
+};
+
+/**
+ * Grows the filled region to the middle of the surrounding ink: ink pixels go to whichever
+ * side, the region or the paper beyond the line, reaches them first.
+ */
+const growToInkCentre = (region, ink, width, height, gap) => {
+  const owner = new Int8Array(region.length); // 1 region, -1 other side, 0 unclaimed
+  const dist = new Uint16Array(region.length);
+  let queue = [];
+  // The fill stopped `gap` samples short of the ink; give that paper back to the region first
+  const near = gap > 0 ? dilate(region, width, height, gap) : region;
+  for (let i = 0; i < region.length; i++) {
+    if ((region[i] || near[i]) && !ink[i]) {
+      owner[i] = 1;
+      queue.push(i);
+    }
+  }
+  for (let i = 0; i < region.length; i++) {
+    if (!owner[i] && !ink[i]) {
+      owner[i] = -1;
+      queue.push(i);
+    }
+  }
+  while (queue.length > 0) {
+    const next = [];
+    queue.forEach(i => {
+      if (dist[i] >= MAX_STROKE) return;
+      const x = i % width;
+      const y = (i - x) / width;
+      [x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1, y > 0 ? i - width : -1, y < height - 1 ? i + width : -1].forEach(j => {
+        if (j >= 0 && !owner[j]) {
+          owner[j] = owner[i];
+          dist[j] = dist[i] + 1;
+          next.push(j);
+        }
+      });
+    });
+    queue = next;
+  }
+  const grown = new Uint8Array(region.length);
+  for (let i = 0; i < region.length; i++) grown[i] = owner[i] === 1 ? 1 : 0;
+  return grown;
+};
+
+/**
+ * Outer outline of a 4-connected region as pixel-corner points, region kept on the right
+ * (clockwise on screen). Only corners where the direction changes are returned.
+ */
+export const traceOutline = (region, width, height) => {
+  let start = -1;
+  for (let i = 0; i < region.length; i++) {
+    if (region[i]) { start = i; break; }
+  }
+  if (start < 0) return [];
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && region[y * width + x] === 1;
+  // East, south, west, north; a right turn is the next entry
+  const dirs = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+  // Pixels ahead-left and ahead-right of a corner for each heading, as offsets from the corner
+  const ahead = [
+    [[0, -1], [0, 0]],
+    [[0, 0], [-1, 0]],
+    [[-1, 0], [-1, -1]],
+    [[-1, -1], [0, -1]],
+  ];
+  const sx = start % width;
+  const sy = (start - sx) / width;
+  let cx = sx;
+  let cy = sy;
+  let d = 0;
+  const points = [];
+  const limit = 4 * region.length + 4;
+  for (let step = 0; step < limit; step++) {
+    // The start corner touches a single region pixel, so the outline passes it only once
+    if (step > 0 && cx === sx && cy === sy) break;
+    const [[lx, ly], [rx, ry]] = ahead[d];
+    let nd = d;
+    if (!inside(cx + rx, cy + ry)) nd = (d + 1) % 4;
+    else if (inside(cx + lx, cy + ly)) nd = (d + 3) % 4;
+    if (nd !== d || step === 0) points.push({ x: cx, y: cy });
+    d = nd;
+    cx += dirs[d][0];
+    cy += dirs[d][1];
+  }
+  return points;
+};
+
+const perpendicularDistance = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = Math.hypot(dx, dy);
+  if (len === 0) return Math.hypot(p.x - a.x, p.y - a.y);
+  return Math.abs(dx * (a.y - p.y) - dy * (a.x - p.x)) / len;
+};
+
+// Douglas–Peucker on an open chain, iterative so long outlines cannot overflow the stack
+const simplifyChain = (points, tolerance) => {
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let index = -1;
+    let maxDist = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const d = perpendicularDistance(points[i], points[first], points[last]);
+      if (d > maxDist) {
+        index = i;
+        maxDist = d;
+      }
+    }
+    if (index >= 0) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+};
+
+// Douglas–Peucker on a closed ring, split at the point farthest from the first
+export const simplifyRing = (points, tolerance) => {
+  if (points.length <= 3) return points;
+  let far = 0;
+  let farDist = -1;
+  points.forEach((p, i) => {
+    const d = Math.hypot(p.x - points[0].x, p.y - points[0].y);
+    if (d > farDist) {
+      far = i;
+      farDist = d;
+    }
+  });
+  const first = simplifyChain(points.slice(0, far + 1), tolerance);
+  const second = simplifyChain([...points.slice(far), points[0]], tolerance);
+  const ring = [...first, ...second.slice(1, -1)];
+  return ring.length >= 3 ? ring : points;
+};
+
+/**
+ * Traces the plot around `seed` (image pixels). Returns { outline } in image pixels, or
+ * { error } when the seed is on a line or the area is not closed.
+ */
+export const traceBoundary = (image, seed, { gapPx = TRACE_DEFAULTS.gapPx } = {}) => {
+  const sheet = getSheetSize(image);
+  if (seed.x < 0 || seed.y < 0 || seed.x >= sheet.width || seed.y >= sheet.height) {
+    return { error: 'বিন্দুটি ম্যাপের বাইরে' };
+  }
+  const sheetRadius = Math.max(sheet.width, sheet.height);
+  for (let radius = START_RADIUS; ; radius *= 2) {
+    const span = radius * 2;
+    const size = Math.min(MAX_SAMPLES, Math.ceil(span));
+    const pxPerSample = span / size;
+    const rect = { x: seed.x - radius, y: seed.y - radius, width: span, height: span };
+    const lum = sampleLuminance(image, rect, size, size);
+    const threshold = inkThreshold(lum);
+    const ink = new Uint8Array(lum.length);
+    for (let i = 0; i < lum.length; i++) ink[i] = lum[i] < threshold ? 1 : 0;
+
+    const seedX = Math.floor((seed.x - rect.x) / pxPerSample);
+    const seedY = Math.floor((seed.y - rect.y) / pxPerSample);
+    const blocked = dilate(ink, size, size, gapPx);
+    if (blocked[seedY * size + seedX]) return { error: 'বিন্দুটি রেখার উপর — প্লটের ভিতরের ফাঁকা জায়গায় রাখুন' };
+
+    const { region, touchesBorder } = floodFill(blocked, size, size, seedY * size + seedX);
+    if (touchesBorder) {
+      if (radius >= sheetRadius || radius >= MAX_RADIUS) return { error: 'প্লটের সীমানা বন্ধ পাওয়া যায়নি — রেখার ফাঁক জোড়া বাড়ান বা হাতে আঁকুন' };
+      continue;
+    }
+    const grown = growToInkCentre(region, ink, size, size, gapPx);
+    const outline = traceOutline(grown, size, size)
+      .map(p => ({ x: rect.x + p.x * pxPerSample, y: rect.y + p.y * pxPerSample }));
+    if (outline.length < 3) return { error: 'প্লটের সীমানা পাওয়া যায়নি' };
+    return { outline, pxPerSample };
+  }
+};
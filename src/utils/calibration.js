@@ -0,0 +1,51 @@
+/**
+ * Multi-line Calibration
+ * Each reference line is { id, points: [x1, y1, x2, y2], realFt, enabled }.
+ * The combined scale is length-weighted (total pixels / total feet), so a long
+ * reference line counts more than a short one where a click error weighs heavier.
+ */
+export const DEFAULT_CALIBRATION_TOLERANCE_PCT = 1;
+
+export const createCalibrationLine = (points, realFt) => ({
+  id: `cal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  points,
+  realFt,
+  enabled: true,
+});
+
+export const lineLengthPx = ([x1, y1, x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+export const combineCalibrationLines = (lines, tolerancePct = DEFAULT_CALIBRATION_TOLERANCE_PCT) => {
+  const measured = lines.map(line => {
+    const lengthPx = lineLengthPx(line.points);
+    return { ...line, lengthPx, scale: line.realFt > 0 ? lengthPx / line.realFt : 0 };
+  });
+  const used = measured.filter(line => line.enabled && line.scale > 0);
+  if (used.length === 0) {
+    return { scale: null, lines: measured, usedCount: 0, spreadPct: 0, maxDeviationPct: 0, warningCount: 0 };
+  }
+
+  const totalPx = used.reduce((sum, line) => sum + line.lengthPx, 0);
+  const totalFt = used.reduce((sum, line) => sum + line.realFt, 0);
+  const scale = totalPx / totalFt;
+
+  // Deviation: how far each line's length under the combined scale is from its entered distance
+  const report = measured.map(line => {
+    if (!(line.scale > 0)) return { ...line, deviationPct: null, isOutlier: false };
+    const deviationPct = ((line.lengthPx / scale - line.realFt) / line.realFt) * 100;
+    return { ...line, deviationPct, isOutlier: line.enabled && Math.abs(deviationPct) > tolerancePct };
+  });
+
+  const scales = used.map(line => line.scale);
+  const spreadPct = ((Math.max(...scales) - Math.min(...scales)) / scale) * 100;
+  const maxDeviationPct = Math.max(...report.filter(l => l.enabled && l.deviationPct !== null).map(l => Math.abs(l.deviationPct)));
+
+  return {
+    scale,
+    lines: report,
+    usedCount: used.length,
+    spreadPct,
+    maxDeviationPct,
+    warningCount: report.filter(line => line.isOutlier).length,
+  };
+};
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { combineCalibrationLines } from './calibration';
+
+const line = (id, lengthPx, realFt, enabled = true) => ({ id, points: [0, 0, lengthPx, 0], realFt, enabled });
+
+describe('combineCalibrationLines', () => {
+  it('weights lines by length', () => {
+    // 2 px/ft over 300 ft and 2.2 px/ft over 100 ft: 820 px / 400 ft
+    const result = combineCalibrationLines([line('a', 600, 300), line('b', 220, 100)]);
+    expect(result.scale).toBeCloseTo(2.05, 12);
+    expect(result.usedCount).toBe(2);
+    expect(result.spreadPct).toBeCloseTo((0.2 / 2.05) * 100, 9);
+  });
+
+  it('flags lines outside the tolerance', () => {
+    // Combined 2.06 px/ft: the good lines are 2.9% short, the bad one 11.7% long
+    const result = combineCalibrationLines([line('a', 200, 100), line('b', 200, 100), line('c', 200, 100), line('d', 200, 100), line('e', 230, 100)], 5);
+    expect(result.lines.map(l => l.isOutlier)).toEqual([false, false, false, false, true]);
+    expect(result.warningCount).toBe(1);
+    expect(result.maxDeviationPct).toBeCloseTo(result.lines[4].deviationPct, 12);
+  });
+
+  it('leaves disabled and unmeasured lines out of the scale', () => {
+    const result = combineCalibrationLines([line('a', 200, 100), line('b', 999, 100, false), line('c', 50, 0)]);
+    expect(result.scale).toBe(2);
+    expect(result.lines[1].isOutlier).toBe(false);
+    expect(result.lines[2].deviationPct).toBeNull();
+  });
+
+  it('has no scale without usable lines', () => {
+    expect(combineCalibrationLines([line('a', 200, 100, false)])).toMatchObject({ scale: null, usedCount: 0 });
+  });
+});
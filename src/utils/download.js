@@ -0,0 +1,17 @@
+// Saves a Blob through a temporary link, the way browsers expect for generated files
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// File name without its extension, for naming exports after the map
+export const baseFileName = (name, fallback = 'mouza-map') => {
+  const base = (name || '').replace(/\.[^.]+$/, '').trim();
+  return base || fallback;
+};
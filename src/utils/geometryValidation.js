@@ -0,0 +1,139 @@
+import { sidePoints, sideTangents } from './arcs';
+
+/**
+ * Plot Geometry Validation
+ * The shoelace area is only meaningful for a simple polygon, so plots are checked before
+ * their area is used. Errors (crossing or doubled-back sides) make the area wrong and block
+ * it; warnings (tiny sides, duplicate or redundant corners) leave the area right but usually
+ * mean a mis-click. Tolerances are in stage pixels. Curved sides are checked along the arc,
+ * which can cross a side its chord does not.
+ */
+export const VALIDATION_TOLERANCE_PX = 2;
+// A corner whose sides turn by less than this is redundant
+const COLLINEAR_DEG = 0.5;
+
+const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+// Intersection point of segments p1p2 and q1q2 when they touch or cross, else null
+const segmentIntersection = (p1, p2, q1, q2) => {
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    const k = d1 / (d1 - d2);
+    return { x: p1.x + (p2.x - p1.x) * k, y: p1.y + (p2.y - p1.y) * k };
+  }
+  // Touching: an endpoint lying on the other segment
+  const onSegment = (a, b, p) => Math.min(a.x, b.x) <= p.x && p.x <= Math.max(a.x, b.x)
+    && Math.min(a.y, b.y) <= p.y && p.y <= Math.max(a.y, b.y);
+  if (d1 === 0 && onSegment(q1, q2, p1)) return p1;
+  if (d2 === 0 && onSegment(q1, q2, p2)) return p2;
+  if (d3 === 0 && onSegment(p1, p2, q1)) return q1;
+  if (d4 === 0 && onSegment(p1, p2, q2)) return q2;
+  return null;
+};
+
+// How far the direction turns at v, 0 (straight on) to 180 (straight back); arcs turn along their tangents
+const turnDeg = (a, v, b) => {
+  const u1 = sideTangents(a, v, a.bulge).end;
+  const u2 = sideTangents(v, b, v.bulge).start;
+  return Math.abs(Math.atan2(u1.x * u2.y - u1.y * u2.x, u1.x * u2.x + u1.y * u2.y)) * 180 / Math.PI;
+};
+
+// First point where two sides (each a chord or a flattened arc) touch or cross, skipping `ignore`d ones
+const sidesIntersection = (side1, side2, ignore) => {
+  for (let k = 1; k < side1.length; k++) {
+    for (let m = 1; m < side2.length; m++) {
+      const point = segmentIntersection(side1[k - 1], side1[k], side2[m - 1], side2[m]);
+      if (point && !ignore(point)) return point;
+    }
+  }
+  return null;
+};
+
+/**
+ * Checks a closed polygon. Returns a list of issues:
+ * { type, severity: 'error' | 'warning', segments: [sideIndex], vertices: [vertexIndex], point?, message }
+ * Side i runs from vertex i to vertex i + 1.
+ */
+export const validatePolygon = (points, tolerancePx = VALIDATION_TOLERANCE_PX) => {
+  const issues = [];
+  const n = points.length;
+  if (n < 3) return issues;
+  const next = (i) => (i + 1) % n;
+  const prev = (i) => (i - 1 + n) % n;
+
+  const shortSides = new Set();
+  for (let i = 0; i < n; i++) {
+    const a = points[i];
+    const b = points[next(i)];
+    if (Math.hypot(b.x - a.x, b.y - a.y) <= tolerancePx) {
+      shortSides.add(i);
+      issues.push({ type: 'zero_edge', severity: 'warning', segments: [i], vertices: [i, next(i)], message: `বাহু ${i + 1} প্রায় শূন্য দৈর্ঘ্যের (একই কোণে দুবার ক্লিক)` });
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    // Skip corners already reported as part of a zero-length side; their turn angle is noise
+    if (shortSides.has(i) || shortSides.has(prev(i))) continue;
+    const turn = turnDeg(points[prev(i)], points[i], points[next(i)]);
+    // An arc may run on smoothly from its neighbour; the corner between them is still needed
+    const straight = !points[prev(i)].bulge && !points[i].bulge;
+    if (turn < COLLINEAR_DEG && straight) {
+      issues.push({ type: 'collinear', severity: 'warning', segments: [], vertices: [i], message: `কোণ ${i + 1} সরলরেখার উপর — অপ্রয়োজনীয়` });
+    } else if (turn > 180 - COLLINEAR_DEG) {
+      issues.push({ type: 'spike', severity: 'error', segments: [prev(i), i], vertices: [i], message: `কোণ ${i + 1}-এ বাহু নিজের উপর ফিরে গেছে` });
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;
+      if (Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y) <= tolerancePx) {
+        issues.push({ type: 'duplicate', severity: 'warning', segments: [], vertices: [i, j], message: `কোণ ${i + 1} ও ${j + 1} প্রায় একই জায়গায়` });
+      }
+    }
+  }
+
+  const sides = points.map((p, i) => [p, ...sidePoints(p, points[next(i)], p.bulge)]);
+  const near = (k, point) => Math.hypot(points[k].x - point.x, points[k].y - point.y) <= tolerancePx;
+  for (let i = 0; i < n; i++) {
+    if (shortSides.has(i)) continue;
+    for (let j = i + 1; j < n; j++) {
+      if (shortSides.has(j)) continue;
+      const shared = j === i + 1 ? j : i === 0 && j === n - 1 ? i : null;
+      // Straight neighbours only meet at their shared corner, but an arc can swing across its neighbour
+      if (shared !== null && !points[i].bulge && !points[j].bulge) continue;
+      const point = shared !== null
+        ? sidesIntersection(sides[i], sides[j], p => near(shared, p))
+        // Sides meeting at a doubled corner are already reported as duplicate or zero-length
+        : sidesIntersection(sides[i], sides[j], p => (near(i, p) || near(next(i), p)) && (near(j, p) || near(next(j), p)));
+      if (point) {
+        issues.push({ type: 'self_intersection', severity: 'error', segments: [i, j], vertices: [], point, message: `বাহু ${i + 1} ও বাহু ${j + 1} পরস্পরকে ছেদ করেছে` });
+      }
+    }
+  }
+  return issues;
+};
+
+export const hasGeometryErrors = (issues) => issues.some(issue => issue.severity === 'error');
+
+/**
+ * Drops corners that add nothing: repeats of the previous corner and corners on a straight
+ * side. Corners at either end of an arc stay, since the arc needs them.
+ * Crossings and near-duplicate non-neighbouring corners need the user to decide.
+ */
+export const removeRedundantVertices = (points, tolerancePx = VALIDATION_TOLERANCE_PX) => {
+  let result = points.filter((p, i) => {
+    const q = points[(i + 1) % points.length];
+    return Math.hypot(q.x - p.x, q.y - p.y) > tolerancePx;
+  });
+  for (let i = 0; i < result.length && result.length > 3;) {
+    const a = result[(i - 1 + result.length) % result.length];
+    const b = result[(i + 1) % result.length];
+    if (!a.bulge && !result[i].bulge && turnDeg(a, result[i], b) < COLLINEAR_DEG) result = result.filter((_, k) => k !== i);
+    else i++;
+  }
+  return result;
+};
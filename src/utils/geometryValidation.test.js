@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { hasGeometryErrors, removeRedundantVertices, validatePolygon } from './geometryValidation';
+
+const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+const crossings = (issues) => issues.filter(i => i.type === 'self_intersection').map(i => i.segments);
+
+describe('validatePolygon', () => {
+  it('passes a simple polygon', () => {
+    expect(validatePolygon(square)).toEqual([]);
+  });
+
+  it('reports crossing sides with the crossing point', () => {
+    const issues = validatePolygon([{ x: 0, y: 0 }, { x: 100, y: 100 }, { x: 100, y: 0 }, { x: 0, y: 100 }]);
+    expect(crossings(issues)).toEqual([[0, 2]]);
+    expect(issues[0].point).toEqual({ x: 50, y: 50 });
+    expect(hasGeometryErrors(issues)).toBe(true);
+  });
+
+  it('warns about doubled and redundant corners without blocking the area', () => {
+    const issues = validatePolygon([{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 100, y: 101 }, { x: 0, y: 100 }]);
+    expect(issues.map(i => i.type).sort()).toEqual(['collinear', 'zero_edge']);
+    expect(hasGeometryErrors(issues)).toBe(false);
+  });
+
+  it('reports a side that doubles back', () => {
+    const issues = validatePolygon([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 50, y: 0 }, { x: 50, y: 50 }]);
+    expect(issues.some(i => i.type === 'spike')).toBe(true);
+  });
+
+  it('checks a curved side along its arc, not its chord', () => {
+    // A semicircle on the top side of a 100 × 20 strip dips through the bottom side
+    const strip = [{ x: 0, y: 0, bulge: 1 }, { x: 100, y: 0 }, { x: 100, y: 20 }, { x: 0, y: 20 }];
+    expect(validatePolygon(strip.map(({ x, y }) => ({ x, y })))).toEqual([]);
+    expect(crossings(validatePolygon(strip))).toEqual([[0, 2]]);
+  });
+
+  it('catches an arc swinging across the side next to it', () => {
+    const bulged = square.map((p, i) => (i === 0 ? { ...p, bulge: 2 } : p));
+    const sides = crossings(validatePolygon(bulged));
+    expect(sides).toContainEqual([0, 1]);
+    expect(sides).toContainEqual([0, 3]);
+  });
+
+  it('passes an arc that bulges outwards', () => {
+    expect(validatePolygon(square.map((p, i) => (i === 0 ? { ...p, bulge: -1 } : p)))).toEqual([]);
+  });
+});
+
+describe('removeRedundantVertices', () => {
+  it('drops repeated corners and corners on straight sides', () => {
+    const points = [{ x: 0, y: 0 }, { x: 50, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 100, y: 100.5 }, { x: 0, y: 100 }];
+    expect(removeRedundantVertices(points)).toEqual([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100.5 }, { x: 0, y: 100 }]);
+  });
+
+  it('keeps the ends of an arc', () => {
+    const points = [{ x: 0, y: 0 }, { x: 50, y: 0, bulge: -0.5 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+    expect(removeRedundantVertices(points)).toHaveLength(5);
+  });
+});
@@ -0,0 +1,137 @@
+import { applyAffine, fitAffineFromControlPoints, equivalentScale } from './affine';
+import { FEET_PER_METER } from './lengthUnits';
+
+/**
+ * Georeferencing
+ * Pins tie stage pixels to real-world coordinates, typed either as latitude/longitude
+ * (WGS84) or as BTM easting/northing. Everything is fitted in BTM metres, where a flat
+ * affine map is accurate over a mouza sheet, and converted to latitude/longitude on demand.
+ * A georeference is stored as { matrix: [a, b, c, d, e, f] (px → BTM m), residuals, rmsM }.
+ */
+
+// Bangladesh Transverse Mercator on the WGS84 ellipsoid (as used by BTM 2010 / LGED maps)
+export const BTM = {
+  a: 6378137,
+  f: 1 / 298.257223563,
+  lon0: 90,
+  k0: 0.9996,
+  falseEasting: 500000,
+  falseNorthing: -2000000,
+};
+
+const DEG = Math.PI / 180;
+const e2 = BTM.f * (2 - BTM.f);
+const ep2 = e2 / (1 - e2);
+
+// Meridian arc length from the equator
+const meridianArc = (phi) => BTM.a * (
+  (1 - e2 / 4 - (3 * e2 ** 2) / 64 - (5 * e2 ** 3) / 256) * phi
+  - ((3 * e2) / 8 + (3 * e2 ** 2) / 32 + (45 * e2 ** 3) / 1024) * Math.sin(2 * phi)
+  + ((15 * e2 ** 2) / 256 + (45 * e2 ** 3) / 1024) * Math.sin(4 * phi)
+  - ((35 * e2 ** 3) / 3072) * Math.sin(6 * phi)
+);
+
+// Transverse Mercator series (Snyder, USGS PP 1395); millimetre accuracy within the country
+export const lonLatToBTM = (lon, lat) => {
+  const phi = lat * DEG;
+  const sin = Math.sin(phi);
+  const cos = Math.cos(phi);
+  const tan = Math.tan(phi);
+  const N = BTM.a / Math.sqrt(1 - e2 * sin * sin);
+  const T = tan * tan;
+  const C = ep2 * cos * cos;
+  const A = (lon - BTM.lon0) * DEG * cos;
+  const x = BTM.k0 * N * (A + ((1 - T + C) * A ** 3) / 6 + ((5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5) / 120);
+  const y = BTM.k0 * (meridianArc(phi) + N * tan * (
+    (A * A) / 2
+    + ((5 - T + 9 * C + 4 * C * C) * A ** 4) / 24
+    + ((61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6) / 720
+  ));
+  return { easting: BTM.falseEasting + x, northing: BTM.falseNorthing + y };
+};
+
+export const btmToLonLat = (easting, northing) => {
+  const x = easting - BTM.falseEasting;
+  const M = (northing - BTM.falseNorthing) / BTM.k0;
+  const mu = M / (BTM.a * (1 - e2 / 4 - (3 * e2 ** 2) / 64 - (5 * e2 ** 3) / 256));
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  const phi1 = mu
+    + ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu)
+    + ((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu)
+    + ((151 * e1 ** 3) / 96) * Math.sin(6 * mu)
+    + ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+  const sin = Math.sin(phi1);
+  const cos = Math.cos(phi1);
+  const tan = Math.tan(phi1);
+  const C1 = ep2 * cos * cos;
+  const T1 = tan * tan;
+  const N1 = BTM.a / Math.sqrt(1 - e2 * sin * sin);
+  const R1 = (BTM.a * (1 - e2)) / (1 - e2 * sin * sin) ** 1.5;
+  const D = x / (N1 * BTM.k0);
+  const phi = phi1 - ((N1 * tan) / R1) * (
+    (D * D) / 2
+    - ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4) / 24
+    + ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6) / 720
+  );
+  const lambda = (D - ((1 + 2 * T1 + C1) * D ** 3) / 6 + ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5) / 120) / cos;
+  return { lon: BTM.lon0 + lambda / DEG, lat: phi / DEG };
+};
+
+export const createGeorefPin = (point) => ({
+  id: `gp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  x: point.x,
+  y: point.y,
+  lat: null,
+  lon: null,
+  easting: null,
+  northing: null,
+});
+
+/**
+ * Applies a typed coordinate to a pin and keeps the other system in step, so pins can be
+ * entered in either and shown in both. `patch` holds lat/lon or easting/northing.
+ */
+export const updateGeorefPin = (pin, patch) => {
+  const next = { ...pin, ...patch };
+  if ('lat' in patch || 'lon' in patch) {
+    const ok = Number.isFinite(next.lat) && Number.isFinite(next.lon);
+    const btm = ok ? lonLatToBTM(next.lon, next.lat) : { easting: null, northing: null };
+    return { ...next, ...btm };
+  }
+  if ('easting' in patch || 'northing' in patch) {
+    const ok = Number.isFinite(next.easting) && Number.isFinite(next.northing);
+    const geo = ok ? btmToLonLat(next.easting, next.northing) : { lon: null, lat: null };
+    return { ...next, ...geo };
+  }
+  return next;
+};
+
+// Least-squares fit of pixel → BTM metres; needs three pins that are not on one line
+export const fitGeoreference = (pins) => {
+  const fit = fitAffineFromControlPoints(pins.map(p => ({ id: p.id, x: p.x, y: p.y, groundX: p.easting, groundY: p.northing })));
+  if (fit.error) return fit;
+  return {
+    matrix: fit.matrix,
+    residuals: fit.residuals.map(r => ({ id: r.id, errorM: r.errorFt })),
+    rmsM: fit.rmsFt,
+  };
+};
+
+export const pxToBTM = (georef, p) => {
+  const g = applyAffine(georef.matrix, p);
+  return { easting: g.x, northing: g.y };
+};
+
+export const pxToLonLat = (georef, p) => {
+  const { easting, northing } = pxToBTM(georef, p);
+  return btmToLonLat(easting, northing);
+};
+
+// The map scale (px/ft) implied by the georeference, for sheets not yet calibrated otherwise
+export const georefScale = (georef) => equivalentScale(georef.matrix) / FEET_PER_METER;
+
+export const formatLatLon = ({ lat, lon }, decimals = 6) => (
+  `${Math.abs(lat).toFixed(decimals)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(decimals)}° ${lon >= 0 ? 'E' : 'W'}`
+);
+
+export const formatBTM = ({ easting, northing }, decimals = 2) => `E ${easting.toFixed(decimals)}, N ${northing.toFixed(decimals)}`;
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { BTM, btmToLonLat, fitGeoreference, lonLatToBTM, pxToLonLat, updateGeorefPin, formatLatLon } from './georef';
+
+describe('BTM projection', () => {
+  it('puts the central meridian at the false easting', () => {
+    expect(lonLatToBTM(90, 0)).toEqual({ easting: 500000, northing: -2000000 });
+    expect(lonLatToBTM(90, 23.7).easting).toBeCloseTo(500000, 6);
+  });
+
+  it('is symmetric about the central meridian', () => {
+    const east = lonLatToBTM(91.2, 22.5);
+    const west = lonLatToBTM(88.8, 22.5);
+    expect(east.easting - 500000).toBeCloseTo(500000 - west.easting, 6);
+    expect(east.northing).toBeCloseTo(west.northing, 6);
+  });
+
+  it('scales by k0 along the central meridian', () => {
+    // A short step east at the central meridian covers k0 · N · cos φ · Δλ
+    const lat = 23.8;
+    const phi = (lat * Math.PI) / 180;
+    const e2 = BTM.f * (2 - BTM.f);
+    const N = BTM.a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const step = lonLatToBTM(90.0001, lat).easting - 500000;
+    expect(step).toBeCloseTo(BTM.k0 * N * Math.cos(phi) * (0.0001 * Math.PI) / 180, 4);
+  });
+
+  it('round-trips to within a millimetre across the country', () => {
+    [[88.1, 20.7], [90.41, 23.81], [92.6, 26.6], [91.8, 22.3]].forEach(([lon, lat]) => {
+      const { easting, northing } = lonLatToBTM(lon, lat);
+      const back = btmToLonLat(easting, northing);
+      const again = lonLatToBTM(back.lon, back.lat);
+      expect(Math.hypot(again.easting - easting, again.northing - northing)).toBeLessThan(1e-3);
+      expect(back.lon).toBeCloseTo(lon, 8);
+      expect(back.lat).toBeCloseTo(lat, 8);
+    });
+  });
+});
+
+describe('georeference pins', () => {
+  it('keeps latitude/longitude and BTM in step', () => {
+    const pin = updateGeorefPin({ id: 'a', x: 0, y: 0 }, { lat: 23.81, lon: 90.41 });
+    expect(pin.easting).toBeCloseTo(lonLatToBTM(90.41, 23.81).easting, 9);
+    const moved = updateGeorefPin(pin, { easting: pin.easting + 100 });
+    expect(moved.lon).toBeGreaterThan(90.41);
+    expect(updateGeorefPin(pin, { lat: NaN }).easting).toBeNull();
+  });
+
+  it('fits pixels to BTM metres and maps back to latitude/longitude', () => {
+    // 0.5 m per px, north up
+    const origin = lonLatToBTM(90.41, 23.81);
+    const pins = [[0, 0], [1000, 0], [0, 800]].map(([x, y], i) => ({
+      id: String(i), x, y, easting: origin.easting + x * 0.5, northing: origin.northing - y * 0.5,
+    }));
+    const georef = fitGeoreference(pins);
+    expect(georef.rmsM).toBeLessThan(1e-6);
+    const { lon, lat } = pxToLonLat(georef, { x: 0, y: 0 });
+    expect(lon).toBeCloseTo(90.41, 8);
+    expect(lat).toBeCloseTo(23.81, 8);
+    expect(fitGeoreference(pins.slice(0, 2)).error).toBeTruthy();
+  });
+
+  it('formats hemispheres', () => {
+    expect(formatLatLon({ lat: 23.5, lon: 90.25 }, 2)).toBe('23.50° N, 90.25° E');
+  });
+});
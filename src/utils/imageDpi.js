@@ -0,0 +1,98 @@
+/**
+ * Reads the scan resolution (DPI) stored in PNG or JPEG metadata.
+ * Resolves to { x, y } dots per inch, or null when the file carries no usable density.
+ */
+const INCHES_PER_METER = 39.37007874;
+
+// PNG: the pHYs chunk holds pixels per unit; unit 1 means metres
+const readPngDpi = (view) => {
+  let offset = 8;
+  while (offset + 8 <= view.byteLength) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(
+      view.getUint8(offset + 4), view.getUint8(offset + 5), view.getUint8(offset + 6), view.getUint8(offset + 7)
+    );
+    if (type === 'pHYs' && offset + 17 <= view.byteLength) {
+      const ppuX = view.getUint32(offset + 8);
+      const ppuY = view.getUint32(offset + 12);
+      const unit = view.getUint8(offset + 16);
+      if (unit !== 1 || !ppuX || !ppuY) return null;
+      return { x: ppuX / INCHES_PER_METER, y: ppuY / INCHES_PER_METER };
+    }
+    if (type === 'IDAT' || type === 'IEND') return null;
+    offset += 12 + length;
+  }
+  return null;
+};
+
+// EXIF (TIFF) XResolution / YResolution with ResolutionUnit 2 = inch, 3 = cm
+const readExifDpi = (view, tiffStart, end) => {
+  const little = view.getUint16(tiffStart) === 0x4949;
+  const u16 = (o) => view.getUint16(o, little);
+  const u32 = (o) => view.getUint32(o, little);
+  const ifd = tiffStart + u32(tiffStart + 4);
+  if (ifd + 2 > end) return null;
+  const count = u16(ifd);
+  let xRes = null, yRes = null, unit = 2;
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) break;
+    const tag = u16(entry);
+    if (tag === 0x011A || tag === 0x011B) {
+      const valueOffset = tiffStart + u32(entry + 8);
+      if (valueOffset + 8 > end) continue;
+      const denominator = u32(valueOffset + 4);
+      const value = denominator ? u32(valueOffset) / denominator : 0;
+      if (tag === 0x011A) xRes = value; else yRes = value;
+    } else if (tag === 0x0128) {
+      unit = u16(entry + 8);
+    }
+  }
+  if (!xRes || !yRes || (unit !== 2 && unit !== 3)) return null;
+  const factor = unit === 3 ? 2.54 : 1;
+  return { x: xRes * factor, y: yRes * factor };
+};
+
+// JPEG: JFIF APP0 density first, EXIF APP1 as fallback
+const readJpegDpi = (view) => {
+  let offset = 2;
+  let exifDpi = null;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xFF) return exifDpi;
+    const marker = view.getUint8(offset + 1);
+    // Start of scan: no more metadata segments follow
+    if (marker === 0xDA) return exifDpi;
+    const length = view.getUint16(offset + 2);
+    const dataStart = offset + 4;
+    if (marker === 0xE0 && view.getUint32(dataStart) === 0x4A464946) { // "JFIF"
+      const units = view.getUint8(dataStart + 7);
+      const xDensity = view.getUint16(dataStart + 8);
+      const yDensity = view.getUint16(dataStart + 10);
+      if (units === 1 && xDensity && yDensity) return { x: xDensity, y: yDensity };
+      if (units === 2 && xDensity && yDensity) return { x: xDensity * 2.54, y: yDensity * 2.54 };
+    } else if (marker === 0xE1 && view.getUint32(dataStart) === 0x45786966) { // "Exif"
+      try {
+        exifDpi = readExifDpi(view, dataStart + 6, Math.min(view.byteLength, offset + 2 + length));
+      } catch {
+        exifDpi = null;
+      }
+    }
+    offset += 2 + length;
+  }
+  return exifDpi;
+};
+
+export const readImageDpi = async (file) => {
+  try {
+    // Metadata sits at the start of the file; 256 KB covers large EXIF blocks
+    const buffer = await file.slice(0, 256 * 1024).arrayBuffer();
+    const view = new DataView(buffer);
+    if (view.byteLength < 12) return null;
+    if (view.getUint32(0) === 0x89504E47) return readPngDpi(view);
+    if (view.getUint16(0) === 0xFFD8) return readJpegDpi(view);
+    return null;
+  } catch (error) {
+    console.error('Error reading image DPI:', error);
+    return null;
+  }
+};
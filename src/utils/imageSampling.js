@@ -0,0 +1,53 @@
+import { getSheetFactor, getSheetSize } from './sheetImage';
+
+/**
+ * Map Image Sampling
+ * Reads a rectangle of the sheet (stage pixels) as luminance at a chosen resolution,
+ * for finding the printed boundary lines. Parts of the rectangle outside the sheet read as white.
+ * A sheet kept as an overview is read from the overview, so fine detail past its resolution is lost.
+ */
+// Luminance below this, and well below the local background, counts as ink
+const DARK_LUMINANCE = 110;
+
+let sampleCanvas = null;
+
+export const sampleLuminance = (image, rect, width, height) => {
+  if (!sampleCanvas) sampleCanvas = document.createElement('canvas');
+  sampleCanvas.width = width;
+  sampleCanvas.height = height;
+  const ctx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, width, height);
+
+  // Clip the source rectangle to the sheet so the destination stays aligned
+  const sheet = getSheetSize(image);
+  const f = getSheetFactor(image);
+  const sx = Math.max(0, rect.x);
+  const sy = Math.max(0, rect.y);
+  const ex = Math.min(sheet.width, rect.x + rect.width);
+  const ey = Math.min(sheet.height, rect.y + rect.height);
+  if (ex > sx && ey > sy) {
+    const kx = width / rect.width;
+    const ky = height / rect.height;
+    ctx.drawImage(
+      image,
+      sx * f, sy * f, (ex - sx) * f, (ey - sy) * f,
+      (sx - rect.x) * kx, (sy - rect.y) * ky, (ex - sx) * kx, (ey - sy) * ky,
+    );
+  }
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const lum = new Float32Array(width * height);
+  for (let i = 0; i < lum.length; i++) {
+    lum[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return lum;
+};
+
+// Ink/paper split for a sample: absolute, but relative to the paper on dark or yellowed scans
+export const inkThreshold = (lum) => {
+  let mean = 0;
+  for (let i = 0; i < lum.length; i++) mean += lum[i];
+  mean /= lum.length || 1;
+  return Math.min(DARK_LUMINANCE, mean * 0.75);
+};
@@ -0,0 +1,85 @@
+/**
+ * Land Unit Registry
+ * Every area unit is defined by its exact size in square feet, the internal base unit.
+ * Values follow the standard Bangladesh land measurement table.
+ */
+export const SQ_FT_PER_SQ_M = 10.76391041671; // (1 / 0.3048)^2
+export const SHOTOK_SQ_FT = 435.6; // 1 শতক = 1/100 একর
+export const KATHA_SQ_FT = 720;
+export const ACRE_SQ_FT = 43560;
+
+export const STANDARD_LAND_UNITS = [
+  { id: 'sqft', label: 'বর্গফুট', sqft: 1 },
+  { id: 'sqm', label: 'বর্গমিটার', sqft: SQ_FT_PER_SQ_M },
+  { id: 'chhatak', label: 'ছটাক', sqft: KATHA_SQ_FT / 16 }, // 1 কাঠা = 16 ছটাক
+  { id: 'kora', label: 'কড়া', sqft: 216 }, // 1 গণ্ডা = 4 কড়া
+  { id: 'shotok', label: 'শতক', sqft: SHOTOK_SQ_FT },
+  { id: 'katha', label: 'কাঠা', sqft: KATHA_SQ_FT },
+  { id: 'gonda', label: 'গণ্ডা', sqft: 864 },
+  { id: 'bigha', label: 'বিঘা', sqft: KATHA_SQ_FT * 20 }, // 1 বিঘা = 20 কাঠা
+  { id: 'acre', label: 'একর', sqft: ACRE_SQ_FT },
+  { id: 'hectare', label: 'হেক্টর', sqft: SQ_FT_PER_SQ_M * 10000 },
+];
+
+export const DEFAULT_VISIBLE_UNIT_IDS = ['shotok', 'katha', 'sqft'];
+export const DEFAULT_COMBINED_UNIT_IDS = ['bigha', 'katha', 'chhatak'];
+
+// Standard units first, then user-defined regional variants
+export const getAllUnits = (customUnits = []) => [...STANDARD_LAND_UNITS, ...customUnits];
+
+export const findUnit = (id, customUnits = []) => getAllUnits(customUnits).find(u => u.id === id) || null;
+
+// Resolves ids to unit objects, silently dropping ids that no longer exist
+export const resolveUnits = (ids, customUnits = []) => ids.map(id => findUnit(id, customUnits)).filter(Boolean);
+
+/**
+ * Regional variant such as "1 বিঘা = 33 শতক".
+ * The size is stored in square feet so it does not depend on the base unit later.
+ */
+export const createCustomUnit = ({ label, amount, baseUnitId }, customUnits = []) => {
+  const base = findUnit(baseUnitId, customUnits);
+  const value = Number(amount);
+  if (!label || !label.trim()) throw new Error('এককের নাম দিন');
+  if (!base) throw new Error('ভিত্তি একক পাওয়া যায়নি');
+  if (!Number.isFinite(value) || value <= 0) throw new Error('পরিমাণ ০ এর চেয়ে বড় হতে হবে');
+  return {
+    id: `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    label: label.trim(),
+    sqft: value * base.sqft,
+    custom: true,
+    definition: { amount: value, baseUnitId: base.id, baseLabel: base.label },
+  };
+};
+
+export const convertArea = (sqft, unit) => sqft / unit.sqft;
+
+/**
+ * Combined form such as "2 বিঘা 5 কাঠা 3.25 ছটাক".
+ * Units are applied from largest to smallest; whole numbers are taken from every unit
+ * except the smallest, which keeps the fractional remainder.
+ */
+export const splitCombinedArea = (sqft, units) => {
+  const ordered = [...units].sort((a, b) => b.sqft - a.sqft);
+  if (ordered.length === 0) return [];
+  let remaining = sqft;
+  return ordered.map((unit, i) => {
+    if (i === ordered.length - 1) return { unit, value: remaining / unit.sqft };
+    // Small epsilon so 1.9999999 of a unit caused by float noise counts as 2
+    const whole = Math.floor(remaining / unit.sqft + 1e-9);
+    remaining = Math.max(0, remaining - whole * unit.sqft);
+    return { unit, value: whole };
+  });
+};
+
+export const formatCombinedArea = (sqft, units, decimals = 2) => {
+  if (units.length === 0) return '';
+  // Round to what the smallest unit shows before splitting, so 15.999 ছটাক carries into a কাঠা
+  const step = Math.min(...units.map(u => u.sqft)) / 10 ** decimals;
+  const parts = splitCombinedArea(Math.round(sqft / step) * step, units);
+  const rounded = parts.map(part => ({ ...part, value: Number(part.value.toFixed(decimals)) }));
+  const shown = rounded.filter(part => part.value > 0);
+  // Zero area still needs one part to display
+  return (shown.length > 0 ? shown : rounded.slice(-1))
+    .map(part => `${part.value} ${part.unit.label}`)
+    .join(' ');
+};
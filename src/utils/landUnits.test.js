@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import {
+  STANDARD_LAND_UNITS,
+  createCustomUnit,
+  findUnit,
+  formatCombinedArea,
+  resolveUnits,
+  splitCombinedArea,
+} from './landUnits';
+
+const units = (...ids) => resolveUnits(ids);
+
+describe('splitCombinedArea', () => {
+  it('takes whole units from largest to smallest and leaves the remainder in the smallest', () => {
+    // 1 বিঘা + 5 কাঠা + 3.5 ছটাক
+    const sqft = 14400 + 5 * 720 + 3.5 * 45;
+    const parts = splitCombinedArea(sqft, units('chhatak', 'bigha', 'katha'));
+    expect(parts.map(p => p.unit.id)).toEqual(['bigha', 'katha', 'chhatak']);
+    expect(parts[0].value).toBe(1);
+    expect(parts[1].value).toBe(5);
+    expect(parts[2].value).toBeCloseTo(3.5, 9);
+  });
+
+  it('counts float noise just under a whole unit as the whole unit', () => {
+    const parts = splitCombinedArea(720 * 3 - 1e-9, units('katha', 'chhatak'));
+    expect(parts[0].value).toBe(3);
+  });
+
+  it('returns nothing without units', () => {
+    expect(splitCombinedArea(100, [])).toEqual([]);
+  });
+});
+
+describe('formatCombinedArea', () => {
+  it('drops zero parts', () => {
+    expect(formatCombinedArea(720 * 2 + 45, units('bigha', 'katha', 'chhatak'))).toBe('2 কাঠা 1 ছটাক');
+  });
+
+  it('carries a remainder that rounds up to a whole unit', () => {
+    expect(formatCombinedArea(3599.999, units('katha', 'chhatak'))).toBe('5 কাঠা');
+    expect(formatCombinedArea(14400 - 0.001, units('bigha', 'katha', 'chhatak'))).toBe('1 বিঘা');
+  });
+
+  it('shows zero area in the smallest unit', () => {
+    expect(formatCombinedArea(0, units('katha', 'chhatak'))).toBe('0 ছটাক');
+    expect(formatCombinedArea(0, [])).toBe('');
+  });
+});
+
+describe('createCustomUnit', () => {
+  it('stores the size in square feet from the base unit', () => {
+    const unit = createCustomUnit({ label: 'বিঘা (৩৩ শতক)', amount: 33, baseUnitId: 'shotok' });
+    expect(unit.sqft).toBeCloseTo(33 * 435.6, 9);
+    expect(unit.custom).toBe(true);
+    expect(findUnit(unit.id, [unit])).toBe(unit);
+  });
+
+  it('rejects a missing label, unknown base or non-positive amount', () => {
+    expect(() => createCustomUnit({ label: ' ', amount: 1, baseUnitId: 'katha' })).toThrow();
+    expect(() => createCustomUnit({ label: 'x', amount: 1, baseUnitId: 'nope' })).toThrow();
+    expect(() => createCustomUnit({ label: 'x', amount: 0, baseUnitId: 'katha' })).toThrow();
+  });
+});
+
+it('keeps the standard table consistent', () => {
+  const sqft = Object.fromEntries(STANDARD_LAND_UNITS.map(u => [u.id, u.sqft]));
+  expect(sqft.bigha / sqft.katha).toBe(20);
+  expect(sqft.katha / sqft.chhatak).toBe(16);
+  expect(sqft.gonda / sqft.kora).toBe(4);
+  expect(sqft.acre / sqft.shotok).toBeCloseTo(100, 9);
+});
@@ -0,0 +1,55 @@
+/**
+ * Length Unit Registry
+ * Lengths are always calculated and stored in feet; these units only affect input and display.
+ * `ft` is the size of one unit in feet.
+ */
+export const FEET_PER_METER = 1 / 0.3048;
+export const FEET_PER_CHAIN = 66; // Gunter's chain = 100 links
+export const FEET_PER_LINK = FEET_PER_CHAIN / 100;
+
+export const LENGTH_UNITS = [
+  { id: 'ft', label: 'ফুট', symbol: 'ft', ft: 1 },
+  { id: 'm', label: 'মিটার', symbol: 'm', ft: FEET_PER_METER },
+  { id: 'chain', label: 'চেইন', symbol: 'ch', ft: FEET_PER_CHAIN },
+  { id: 'link', label: 'লিংক', symbol: 'lk', ft: FEET_PER_LINK },
+  // Surveyors' notation "3 ch 25 lk": whole chains plus the remainder in links
+  { id: 'chainLink', label: 'চেইন ও লিংক', symbol: 'ch', ft: FEET_PER_CHAIN, parts: ['chain', 'link'] },
+  { id: 'haat', label: 'হাত', symbol: 'হাত', ft: 1.5 }, // 1 হাত = 18 inch
+];
+
+export const DEFAULT_LENGTH_UNIT_ID = 'ft';
+
+export const findLengthUnit = (id) => LENGTH_UNITS.find(u => u.id === id) || LENGTH_UNITS[0];
+
+// Splits feet into the unit's parts, e.g. chains and links
+export const splitLength = (ft, unit) => {
+  if (!unit.parts) return [{ unit, value: ft / unit.ft }];
+  const [major, minor] = unit.parts.map(findLengthUnit);
+  // Small epsilon so 2.9999999 chains caused by float noise counts as 3
+  const whole = Math.floor(ft / major.ft + 1e-9);
+  return [
+    { unit: major, value: whole },
+    { unit: minor, value: Math.max(0, ft - whole * major.ft) / minor.ft },
+  ];
+};
+
+// Rounds to what the last part shows before splitting, so 99.999 lk carries into a chain
+export const splitRoundedLength = (ft, unit, decimals = 2) => {
+  const smallest = unit.parts ? findLengthUnit(unit.parts[unit.parts.length - 1]) : unit;
+  const step = smallest.ft / 10 ** decimals;
+  return splitLength(Math.round(ft / step) * step, unit);
+};
+
+export const formatLength = (ft, unit, decimals = 2) => {
+  if (!Number.isFinite(ft)) return `0 ${unit.symbol}`;
+  const parts = splitRoundedLength(ft, unit, decimals);
+  return parts
+    .map((part, i) => `${i === parts.length - 1 ? part.value.toFixed(decimals) : part.value} ${part.unit.symbol}`)
+    .join(' ');
+};
+
+// Inverse of splitLength: values are given per part (one value for simple units)
+export const toFeet = (values, unit) => {
+  if (!unit.parts) return values[0] * unit.ft;
+  return unit.parts.map(findLengthUnit).reduce((sum, part, i) => sum + (values[i] || 0) * part.ft, 0);
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { findLengthUnit, formatLength, splitLength, splitRoundedLength, toFeet } from './lengthUnits';
+
+const chainLink = findLengthUnit('chainLink');
+
+describe('splitLength', () => {
+  it('splits feet into whole chains and the remaining links', () => {
+    const [chains, links] = splitLength(3 * 66 + 25 * 0.66, chainLink);
+    expect(chains.value).toBe(3);
+    expect(links.value).toBeCloseTo(25, 9);
+  });
+
+  it('uses a single part for simple units', () => {
+    const parts = splitLength(3.048, findLengthUnit('m'));
+    expect(parts).toHaveLength(1);
+    expect(parts[0].value).toBeCloseTo(0.9290304, 9);
+  });
+});
+
+describe('splitRoundedLength', () => {
+  it('carries a remainder that rounds up to a whole chain', () => {
+    expect(splitRoundedLength(131.99999, chainLink, 3).map(p => p.value)).toEqual([2, 0]);
+    expect(splitRoundedLength(3.048, findLengthUnit('m'), 3)[0].value).toBeCloseTo(0.929, 12);
+  });
+});
+
+describe('formatLength', () => {
+  it('formats chains and links', () => {
+    expect(formatLength(3 * 66 + 25 * 0.66, chainLink)).toBe('3 ch 25.00 lk');
+  });
+
+  it('carries links that round up to a whole chain', () => {
+    expect(formatLength(131.9999, chainLink)).toBe('2 ch 0.00 lk');
+    expect(formatLength(65.999, chainLink, 1)).toBe('1 ch 0.0 lk');
+  });
+
+  it('formats simple units and non-finite lengths', () => {
+    expect(formatLength(15, findLengthUnit('haat'))).toBe('10.00 হাত');
+    expect(formatLength(NaN, findLengthUnit('ft'))).toBe('0 ft');
+  });
+});
+
+describe('toFeet', () => {
+  it('is the inverse of splitLength', () => {
+    const ft = 5 * 66 + 12.5 * 0.66;
+    expect(toFeet(splitLength(ft, chainLink).map(p => p.value), chainLink)).toBeCloseTo(ft, 9);
+    expect(toFeet([2], findLengthUnit('m'))).toBeCloseTo(2 / 0.3048, 9);
+  });
+
+  it('falls back to feet for an unknown unit id', () => {
+    expect(findLengthUnit('nope').id).toBe('ft');
+  });
+});
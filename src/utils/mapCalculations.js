@@ -1,9 +1,15 @@
+import { SHOTOK_SQ_FT, KATHA_SQ_FT } from './landUnits';
+import { affineLength, affineAreaFactor } from './affine';
+import { arcLengthFt, arcAreaCorrection, sideTangents, outlinePoints } from './arcs';
+import { pxToGround, bearingDeg, bearingFromNorth } from './plotGeometry';
+
+// Area units are defined in the land unit registry; re-exported for existing imports
+export { SHOTOK_SQ_FT, KATHA_SQ_FT };
+
 // Constants for exact precision based on "16 inch = 1 mile" scale
 export const MILE_IN_FEET = 5280;
 export const MAP_INCHES_PER_MILE = 16;
 export const FEET_PER_MAP_INCH = MILE_IN_FEET / MAP_INCHES_PER_MILE; // Exact: 330
-export const SHOTOK_SQ_FT = 435.6;
-export const KATHA_SQ_FT = 720;
 export const DECIMALS = 6; // High precision for output display
 
 /**
@@ -25,9 +31,9 @@ export const calculateDynamicPPI = (pixelDistance, actualDistanceFeet) => {
  */
 
 // Convert Pixels to Feet
-export const pxToFt = (px, ppi) => {
+export const pxToFt = (px, ppi, feetPerMapInch = FEET_PER_MAP_INCH) => {
   if (!ppi) return 0;
-  return px * (FEET_PER_MAP_INCH / ppi);
+  return px * (feetPerMapInch / ppi);
 };
 
 // Convert Feet to Pixels
@@ -47,53 +53,154 @@ export const pxToMapInch = (px, ppi) => {
   return px / ppi;
 };
 
+/**
+ * 2b. Standard Map Scale Presets
+ * `feetPerMapInch` is the ground distance covered by one inch of the printed sheet.
+ * With a known render/scan DPI the scale follows without drawing a calibration line:
+ * scale (px/ft) = DPI / feetPerMapInch, the inverse of `calculateDynamicPPI`.
+ */
+export const MAP_SCALE_PRESETS = [
+  { id: '16in-mile', label: '16" = 1 মাইল · 1:3960 (মৌজা স্ট্যান্ডার্ড)', feetPerMapInch: FEET_PER_MAP_INCH },
+  { id: '32in-mile', label: '32" = 1 মাইল · 1:1980', feetPerMapInch: MILE_IN_FEET / 32 },
+];
+
+// Ratio "1:N" means N ground inches per map inch
+export const feetPerMapInchFromRatio = (ratio) => (ratio > 0 ? ratio / 12 : 0);
+
+export const calculateScaleFromDpi = (dpi, feetPerMapInch = FEET_PER_MAP_INCH) => {
+  if (!dpi || !feetPerMapInch) return 0;
+  return 1 / pxToFt(1, dpi, feetPerMapInch);
+};
+
 /**
  * 3. Calculate Polygon Data using High Precision
  * No rounding in intermediate steps. Rounding is only applied to output values.
+ * When an affine calibration is given, its matrix replaces the isotropic scale.
+ * Corner angles and side bearings are taken on the ground, so a skewed scan does not bend
+ * them; bearings are relative to the map's north (`northDeg`, see plotGeometry.js).
  */
-export const calculatePolygonData = (points, scale) => {
-  if (points.length < 3 || !scale) return null;
+
+// Ground length in feet between two stage points
+export const segmentLengthFt = (p1, p2, scale, affine = null) => {
+  if (affine) return affineLength(affine.matrix, p2.x - p1.x, p2.y - p1.y);
+  if (!scale) return 0;
+  return Math.hypot(p2.x - p1.x, p2.y - p1.y) / scale;
+};
+
+// Area-weighted centre of a simple polygon, in its own coordinates
+const polygonCentroid = (ring) => {
+  let a = 0;
+  let cx = 0;
+  let cy = 0;
+  ring.forEach((p, i) => {
+    const q = ring[(i + 1) % ring.length];
+    const cross = p.x * q.y - q.x * p.y;
+    a += cross;
+    cx += (p.x + q.x) * cross;
+    cy += (p.y + q.y) * cross;
+  });
+  if (a === 0) return { x: ring.reduce((s, p) => s + p.x, 0) / ring.length, y: ring.reduce((s, p) => s + p.y, 0) / ring.length };
+  return { x: cx / (3 * a), y: cy / (3 * a) };
+};
+
+/**
+ * Interior angle in degrees at every corner, between the sides' directions where they meet
+ * (an arc's tangent, not its chord). Reflex corners of concave plots come out above 180°.
+ */
+const interiorAnglesDeg = (points, signedPxArea, scale, affine) => {
+  // Ground direction of a stage-pixel direction; the mapping is linear, so any origin will do
+  const origin = pxToGround({ x: 0, y: 0 }, scale, affine);
+  const toGround = (v) => {
+    const g = pxToGround(v, scale, affine);
+    return { x: g.x - origin.x, y: g.y - origin.y };
+  };
+  const ex = toGround({ x: 1, y: 0 });
+  const ey = toGround({ x: 0, y: 1 });
+  // Anticlockwise on the ground when the pixel winding survives the mapping's handedness
+  const anticlockwise = (signedPxArea > 0) === (ex.x * ey.y - ex.y * ey.x > 0);
+  const n = points.length;
+  return points.map((p, i) => {
+    const prev = points[(i - 1 + n) % n];
+    const arriving = toGround(sideTangents(prev, p, prev.bulge).end);
+    const leaving = toGround(sideTangents(p, points[(i + 1) % n], p.bulge).start);
+    const turn = Math.atan2(-arriving.y, -arriving.x) - Math.atan2(leaving.y, leaving.x);
+    const ccw = (((turn * 180) / Math.PI) % 360 + 360) % 360;
+    return anticlockwise ? ccw : 360 - ccw;
+  });
+};
+
+export const calculatePolygonData = (points, scale, affine = null, northDeg = 0) => {
+  if (points.length < 3 || (!scale && !affine)) return null;
 
   // scale here is traditionally (pixels / feet). 
   // It is exactly equivalent to (PPI / 330).
   // 1 foot = `scale` pixels. So 1 pixel = `1 / scale` feet.
 
   const lengths = [];
+  const chordLengths = [];
   for (let i = 0; i < points.length; i++) {
     const p1 = points[i];
     const p2 = points[(i + 1) % points.length];
     
-    // Pixel distance between two points
-    const pixelDist = Math.sqrt(Math.pow(p2.x - p1.x, 2) + Math.pow(p2.y - p1.y, 2));
-    
     // Convert directly to feet (internal base unit) without rounding
-    const distFt = pixelDist / scale; 
-    lengths.push(distFt);
+    const chord = segmentLengthFt(p1, p2, scale, affine);
+    chordLengths.push(chord);
+    // A curved side is as long as its arc
+    lengths.push(p1.bulge ? arcLengthFt(p1, p2, p1.bulge, scale, affine) : chord);
   }
 
-  // Calculate pixel area using Shoelace formula
+  // Calculate pixel area using Shoelace formula, plus the exact circular segment of each arc
   let area = 0;
   for (let i = 0; i < points.length; i++) {
     const p1 = points[i];
     const p2 = points[(i + 1) % points.length];
     area += (p1.x * p2.y - p2.x * p1.y);
+    area += 2 * arcAreaCorrection(p1, p2, p1.bulge);
   }
   const pixelArea = Math.abs(area / 2);
+
+  const ground = points.map(p => pxToGround(p, scale, affine));
+  // Chord bearings, the way a surveyor quotes a curved side
+  const bearings = ground.map((g, i) => bearingFromNorth(bearingDeg(g, ground[(i + 1) % ground.length]), northDeg));
+  // Affine maps keep centroids, so the ground centroid is the mapped pixel one
+  const centroid = polygonCentroid(outlinePoints(points, 1));
   
   // Convert pixel area to square feet (since scale = px/ft, scale^2 = px^2 / ft^2)
-  // sqft = px^2 / (px^2 / ft^2)
-  const sqft = pixelArea / (scale * scale);
+  // sqft = px^2 / (px^2 / ft^2). An affine map scales every area by |det|.
+  const sqft = affine ? pixelArea * affineAreaFactor(affine.matrix) : pixelArea / (scale * scale);
 
   return {
     sqft: sqft,
     shotok: sqft / SHOTOK_SQ_FT,
     katha: sqft / KATHA_SQ_FT,
     lengths: lengths, // exact lengths in feet
+    chordLengths: chordLengths, // straight-line corner-to-corner distances; differ from lengths on arcs
+    angles: interiorAnglesDeg(points, area, scale, affine), // interior angle at each corner, degrees
+    bearings: bearings, // side i (corner i → i + 1), degrees clockwise from the map's north
+    centroid: centroid, // stage pixels
+    centroidFt: pxToGround(centroid, scale, affine), // ground feet, X east and Y north of the sheet
+  };
+};
+
+/**
+ * 4. Grand Total of several plots
+ * Sums the exact square-feet areas first and derives the land units from that sum,
+ * so the total does not accumulate per-plot unit conversion errors.
+ */
+export const calculateTotals = (resultsList) => {
+  const valid = resultsList.filter(Boolean);
+  if (valid.length === 0) return null;
+  const sqft = valid.reduce((sum, r) => sum + r.sqft, 0);
+  return {
+    sqft: sqft,
+    shotok: sqft / SHOTOK_SQ_FT,
+    katha: sqft / KATHA_SQ_FT,
+    count: valid.length,
   };
 };
 
 /**
- * 4. Safe Formatting Function for UI (Applies rounding ONLY at output)
+ * 5. Safe Formatting Function for UI (Applies rounding ONLY at output)
  */
 export const formatPrecision = (value, decimals = DECIMALS) => {
   if (value === null || value === undefined || isNaN(value)) return "0";
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAP_SCALE_PRESETS,
+  calculateDynamicPPI,
+  calculatePolygonData,
+  calculateScaleFromDpi,
+  calculateTotals,
+  feetPerMapInchFromRatio,
+} from './mapCalculations';
+
+describe('map scale presets', () => {
+  it('lists every scale once', () => {
+    const sizes = MAP_SCALE_PRESETS.map(p => p.feetPerMapInch);
+    expect(new Set(sizes).size).toBe(sizes.length);
+  });
+
+  it('matches the mouza sheet ratio 1:3960', () => {
+    expect(MAP_SCALE_PRESETS[0].feetPerMapInch).toBe(feetPerMapInchFromRatio(3960));
+  });
+
+  it('turns a render DPI into pixels per foot', () => {
+    // 330 ft per map inch at 300 DPI
+    expect(calculateScaleFromDpi(300)).toBeCloseTo(300 / 330, 12);
+    expect(calculateScaleFromDpi(0)).toBe(0);
+    expect(calculateDynamicPPI(300, 330)).toBe(300);
+  });
+});
+
+describe('calculatePolygonData', () => {
+  // 100 × 50 px rectangle at 2 px per foot: 50 × 25 ft
+  const rect = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }];
+
+  it('returns area, side lengths, angles and centroid', () => {
+    const data = calculatePolygonData(rect, 2);
+    expect(data.sqft).toBeCloseTo(1250, 9);
+    expect(data.katha).toBeCloseTo(1250 / 720, 9);
+    expect(data.lengths).toEqual([50, 25, 50, 25]);
+    data.angles.forEach(a => expect(a).toBeCloseTo(90, 9));
+    expect(data.centroid.x).toBeCloseTo(50, 9);
+    expect(data.centroid.y).toBeCloseTo(25, 9);
+  });
+
+  it('reports bearings clockwise from the map north', () => {
+    const [east, south, west, north] = calculatePolygonData(rect, 2).bearings;
+    expect([east, south, west, north].map(b => Math.round(b))).toEqual([90, 180, 270, 0]);
+    expect(calculatePolygonData(rect, 2, null, 90).bearings[0]).toBeCloseTo(0, 9);
+  });
+
+  it('needs three corners and a calibration', () => {
+    expect(calculatePolygonData(rect.slice(0, 2), 2)).toBeNull();
+    expect(calculatePolygonData(rect, 0)).toBeNull();
+  });
+
+  it('sums totals from square feet', () => {
+    expect(calculateTotals([{ sqft: 720 }, null, { sqft: 720 }])).toMatchObject({ sqft: 1440, katha: 2, count: 2 });
+    expect(calculateTotals([null])).toBeNull();
+  });
+});
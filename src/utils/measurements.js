@@ -0,0 +1,64 @@
+import { createPlotId } from './plots';
+import { segmentLengthFt } from './mapCalculations';
+import { pxToGround } from './plotGeometry';
+import { formatLength } from './lengthUnits';
+
+/**
+ * Measurements
+ * Distances, polyline lengths and corner angles taken on the sheet without drawing a plot:
+ * the width of a road, the run of a khal, the angle at a corner. Points are stage pixels and
+ * go through the same calibration as plots. Kept measurements are annotations on the map.
+ */
+export const MEASURE_TOOLS = [
+  // `points`: how many points complete the measurement; a polyline takes as many as are added
+  { id: 'distance', label: 'দূরত্ব', points: 2 },
+  { id: 'polyline', label: 'রেখার দৈর্ঘ্য', points: null },
+  { id: 'angle', label: 'কোণ', points: 3 },
+];
+
+export const findMeasureTool = (id) => MEASURE_TOOLS.find(t => t.id === id) || MEASURE_TOOLS[0];
+
+export const isMeasurementComplete = (kind, points) => {
+  const tool = findMeasureTool(kind);
+  return tool.points ? points.length >= tool.points : points.length >= 2;
+};
+
+export const createMeasurement = (kind, points, index, overrides = {}) => ({
+  id: createPlotId(),
+  kind,
+  name: `${findMeasureTool(kind).label} ${index + 1}`,
+  points,
+  ...overrides,
+});
+
+// Total ground length along the points, in feet
+export const measurementLengthFt = (points, scale, affine = null) => {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += segmentLengthFt(points[i - 1], points[i], scale, affine);
+  return total;
+};
+
+// Ground angle at the middle point between the rays to the first and last, 0–180°.
+// An angle needs no scale: uncalibrated, it is taken on the sheet.
+export const measurementAngleDeg = (points, scale, affine = null) => {
+  const [a, o, b] = scale || affine ? points.map(p => pxToGround(p, scale, affine)) : points;
+  const u = { x: a.x - o.x, y: a.y - o.y };
+  const v = { x: b.x - o.x, y: b.y - o.y };
+  if (Math.hypot(u.x, u.y) === 0 || Math.hypot(v.x, v.y) === 0) return 0;
+  return Math.abs(Math.atan2(u.x * v.y - u.y * v.x, u.x * v.x + u.y * v.y)) * 180 / Math.PI;
+};
+
+export const formatMeasurement = (measurement, scale, affine, lengthUnit) => {
+  const { kind, points } = measurement;
+  if (kind === 'angle') return points.length >= 3 ? `${measurementAngleDeg(points, scale, affine).toFixed(2)}°` : '—';
+  if (!scale && !affine) return '—';
+  return formatLength(measurementLengthFt(points, scale, affine), lengthUnit, 2);
+};
+
+const isPoint = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+
+// Saved measurements from a project file; malformed entries are dropped
+export const parseMeasurements = (list) => (Array.isArray(list) ? list : [])
+  .filter(m => m && MEASURE_TOOLS.some(t => t.id === m.kind) && Array.isArray(m.points) && m.points.every(isPoint)
+    && isMeasurementComplete(m.kind, m.points))
+  .map(m => ({ kind: m.kind, name: typeof m.name === 'string' ? m.name : null, points: m.points.map(({ x, y }) => ({ x, y })) }));
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { formatMeasurement, isMeasurementComplete, measurementAngleDeg, measurementLengthFt, parseMeasurements } from './measurements';
+import { findLengthUnit } from './lengthUnits';
+
+const ft = findLengthUnit('ft');
+
+describe('measurements', () => {
+  it('sums a polyline along its points', () => {
+    expect(measurementLengthFt([{ x: 0, y: 0 }, { x: 30, y: 40 }, { x: 30, y: 0 }], 2)).toBe(45);
+    expect(formatMeasurement({ kind: 'polyline', points: [{ x: 0, y: 0 }, { x: 30, y: 40 }] }, 2, null, ft)).toBe('25.00 ft');
+  });
+
+  it('measures the angle at the middle point on the ground', () => {
+    const corner = [{ x: 100, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 100 }];
+    expect(measurementAngleDeg(corner, 1)).toBeCloseTo(90, 9);
+    // Stretching x by 2 on the ground opens a 45° sheet angle up to atan(2)
+    const affine = { matrix: [2, 0, 0, 0, -1, 0], method: 'distances' };
+    expect(measurementAngleDeg([{ x: 100, y: 0 }, { x: 0, y: 0 }, { x: 100, y: 100 }], null, affine)).toBeCloseTo((Math.atan(0.5) * 180) / Math.PI, 9);
+    expect(formatMeasurement({ kind: 'angle', points: corner }, 1, null, ft)).toBe('90.00°');
+  });
+
+  it('measures angles on the sheet when the scale has been cleared', () => {
+    const sixty = [{ x: 100, y: 0 }, { x: 0, y: 0 }, { x: 50, y: 50 * Math.sqrt(3) }];
+    expect(measurementAngleDeg(sixty, null)).toBeCloseTo(60, 9);
+    expect(formatMeasurement({ kind: 'angle', points: sixty }, null, null, ft)).toBe('60.00°');
+    expect(formatMeasurement({ kind: 'distance', points: sixty.slice(0, 2) }, null, null, ft)).toBe('—');
+  });
+
+  it('needs enough points and a calibration', () => {
+    expect(isMeasurementComplete('distance', [{ x: 0, y: 0 }])).toBe(false);
+    expect(isMeasurementComplete('angle', [{ x: 0, y: 0 }, { x: 1, y: 0 }])).toBe(false);
+    expect(isMeasurementComplete('polyline', [{ x: 0, y: 0 }, { x: 1, y: 0 }])).toBe(true);
+    expect(formatMeasurement({ kind: 'distance', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }] }, 0, null, ft)).toBe('—');
+  });
+
+  it('keeps only well-formed saved measurements', () => {
+    const parsed = parseMeasurements([
+      { kind: 'distance', name: 'Road', points: [{ x: 0, y: 0, extra: 1 }, { x: 5, y: 0 }] },
+      { kind: 'angle', points: [{ x: 0, y: 0 }, { x: 1, y: 0 }] },
+      { kind: 'area', points: [] },
+      null,
+    ]);
+    expect(parsed).toEqual([{ kind: 'distance', name: 'Road', points: [{ x: 0, y: 0 }, { x: 5, y: 0 }] }]);
+    expect(parseMeasurements('nope')).toEqual([]);
+  });
+});
@@ -1,40 +1,93 @@
 import * as pdfjs from 'pdfjs-dist';
+import { registerSheet, sheetOverviewFactor } from './sheetImage';
 
 // Setup PDF.js worker (Vite-friendly)
 pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
 
-export const extractImageFromPDF = async (file) => {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = async (event) => {
-      try {
-        const typedarray = new Uint8Array(event.target.result);
-        const pdf = await pdfjs.getDocument(typedarray).promise;
-        const page = await pdf.getPage(1);
-        const viewport = page.getViewport({ scale: 2.0 });
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.height = viewport.height;
-        canvas.width = viewport.width;
-        
-        await page.render({ canvasContext: context, viewport: viewport }).promise;
-        
-        const img = new window.Image();
-        img.src = canvas.toDataURL();
-        img.onload = () => {
-          resolve(img);
-        };
-        img.onerror = (err) => {
-          reject(err);
-        };
-      } catch (error) {
-        console.error("Error processing PDF:", error);
-        reject(error);
-      }
-    };
-    reader.onerror = (error) => {
-      reject(error);
-    };
-    reader.readAsArrayBuffer(file);
+// PDF user space is 72 points per inch of paper; pages are rendered at PDF_RENDER_SCALE
+export const PDF_POINTS_PER_INCH = 72;
+export const PDF_RENDER_SCALE = 2.0;
+export const PDF_RENDER_DPI = PDF_POINTS_PER_INCH * PDF_RENDER_SCALE;
+// Zoomed views render the page at up to 2^PDF_MAX_LEVEL times PDF_RENDER_SCALE
+const PDF_MAX_LEVEL = 2;
+// Width in CSS pixels of the page picker thumbnails
+export const PDF_THUMBNAIL_WIDTH = 140;
+
+const readFileAsArrayBuffer = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (event) => resolve(event.target.result);
+  reader.onerror = (error) => reject(error);
+  reader.readAsArrayBuffer(file);
+});
+
+// Opens the PDF once so pages can be rendered or switched without re-reading the file
+export const loadPdfDocument = async (file) => {
+  const typedarray = new Uint8Array(await readFileAsArrayBuffer(file));
+  return pdfjs.getDocument(typedarray).promise;
+};
+
+const renderPageToCanvas = async (page, scale) => {
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.height = viewport.height;
+  canvas.width = viewport.width;
+  await page.render({ canvasContext: context, viewport: viewport }).promise;
+  return canvas;
+};
+
+/**
+ * Renders a rectangle of the page at `factor` times PDF_RENDER_SCALE.
+ * (x, y, width, height) are output pixels at that resolution, so the result is width x height.
+ */
+export const renderPdfRegion = async (page, factor, x, y, width, height) => {
+  const viewport = page.getViewport({ scale: PDF_RENDER_SCALE * factor, offsetX: -x, offsetY: -y });
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, width, height);
+  await page.render({ canvasContext: context, viewport: viewport }).promise;
+  return canvas;
+};
+
+/**
+ * Renders a page as a sheet: a bounded overview canvas whose stage pixels are those of the
+ * page at PDF_RENDER_SCALE. Zoomed views are re-rendered from the page's vectors.
+ */
+export const renderPdfPage = async (pdf, pageNumber = 1) => {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+  // Whole pixels, as a canvas of the full page would have had
+  const width = Math.floor(viewport.width);
+  const height = Math.floor(viewport.height);
+  const factor = sheetOverviewFactor(width, height);
+  const canvas = await renderPdfRegion(page, factor, 0, 0, Math.ceil(width * factor), Math.ceil(height * factor));
+  return registerSheet(canvas, {
+    width,
+    height,
+    maxLevel: PDF_MAX_LEVEL,
+    renderRegion: (rect, regionFactor) => renderPdfRegion(
+      page,
+      regionFactor,
+      rect.x * regionFactor,
+      rect.y * regionFactor,
+      Math.ceil(rect.width * regionFactor),
+      Math.ceil(rect.height * regionFactor),
+    ),
   });
 };
+
+// Small JPEG previews of every page, in page order
+export const renderPdfThumbnails = async (pdf, width = PDF_THUMBNAIL_WIDTH) => {
+  const thumbnails = [];
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const page = await pdf.getPage(n);
+    const scale = width / page.getViewport({ scale: 1 }).width;
+    const canvas = await renderPageToCanvas(page, scale);
+    thumbnails.push(canvas.toDataURL('image/jpeg', 0.7));
+    page.cleanup();
+  }
+  return thumbnails;
+};
@@ -0,0 +1,205 @@
+import { getSheetFactor, getSheetSize } from './sheetImage';
+
+/**
+ * Perspective Correction
+ * Rectifies a phone photo of a map: four marked corners of a known rectangle
+ * (sheet border, grid square) are mapped back to a true rectangle.
+ * Corners are ordered top-left, top-right, bottom-right, bottom-left.
+ */
+
+// Largest output image; keeps canvas memory within what phones can allocate
+export const PERSPECTIVE_MAX_PIXELS = 16e6;
+const MAX_SIDE = 8192;
+
+// Solves an n x n linear system with Gaussian elimination and partial pivoting
+const solveLinear = (m, v) => {
+  const n = v.length;
+  const a = m.map((row, i) => [...row, v[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = a[r][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[r][k] -= f * a[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = a[r][n];
+    for (let k = r + 1; k < n; k++) sum -= a[r][k] * x[k];
+    x[r] = sum / a[r][r];
+  }
+  return x;
+};
+
+/**
+ * Homography [h0..h7] (h8 = 1) taking the four `from` points onto the four `to` points:
+ * x' = (h0 x + h1 y + h2) / (h6 x + h7 y + 1), y' = (h3 x + h4 y + h5) / (h6 x + h7 y + 1).
+ */
+export const computeHomography = (from, to) => {
+  const m = [];
+  const v = [];
+  from.forEach(({ x, y }, i) => {
+    const { x: u, y: w } = to[i];
+    m.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    v.push(u);
+    m.push([0, 0, 0, x, y, 1, -w * x, -w * y]);
+    v.push(w);
+  });
+  return solveLinear(m, v);
+};
+
+// Returns null for points on or behind the horizon line of the transform
+export const applyHomography = (h, { x, y }) => {
+  const w = h[6] * x + h[7] * y + 1;
+  if (w <= 1e-9) return null;
+  return { x: (h[0] * x + h[1] * y + h[2]) / w, y: (h[3] * x + h[4] * y + h[5]) / w };
+};
+
+// Default handles: a rectangle inset 10% from the image border
+export const defaultPerspectiveCorners = (width, height) => {
+  const dx = width * 0.1;
+  const dy = height * 0.1;
+  return [
+    { x: dx, y: dy },
+    { x: width - dx, y: dy },
+    { x: width - dx, y: height - dy },
+    { x: dx, y: height - dy },
+  ];
+};
+
+// The four corners must form a convex quadrilateral in clockwise order
+export const isValidQuad = (corners) => {
+  if (corners.length !== 4) return false;
+  return corners.every((p, i) => {
+    const a = corners[(i + 1) % 4];
+    const b = corners[(i + 2) % 4];
+    return (a.x - p.x) * (b.y - a.y) - (a.y - p.y) * (b.x - a.x) > 0;
+  });
+};
+
+/**
+ * Pixel size of the rectified rectangle. The longer of each pair of opposite edges is kept,
+ * so the nearest (sharpest) part of the photo keeps its resolution. With a known
+ * width/height `aspect` the height follows from the width.
+ */
+export const estimateRectSize = ([tl, tr, br, bl], aspect = null) => {
+  const dist = (p, q) => Math.hypot(q.x - p.x, q.y - p.y);
+  const width = Math.max(dist(tl, tr), dist(bl, br));
+  const height = aspect > 0 ? width / aspect : Math.max(dist(tl, bl), dist(tr, br));
+  return { width, height };
+};
+
+const sampleBilinear = (src, sw, sh, x, y, out, o) => {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, sw - 1);
+  const y1 = Math.min(y0 + 1, sh - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const i00 = (y0 * sw + x0) * 4;
+  const i10 = (y0 * sw + x1) * 4;
+  const i01 = (y1 * sw + x0) * 4;
+  const i11 = (y1 * sw + x1) * 4;
+  for (let c = 0; c < 4; c++) {
+    const top = src[i00 + c] + (src[i10 + c] - src[i00 + c]) * fx;
+    const bottom = src[i01 + c] + (src[i11 + c] - src[i01 + c]) * fx;
+    out[o + c] = top + (bottom - top) * fy;
+  }
+};
+
+/**
+ * Warps `image` so that `corners` become an axis-aligned rectangle.
+ * With `cropToRect` only the rectangle is kept; otherwise the whole photo is rectified
+ * (falling back to the rectangle when part of the photo lies past the horizon).
+ * Resolves to { image, rectWidth, rectHeight }: the new image (a canvas) and the rectangle's size in it.
+ * Corners are in stage pixels; a sheet kept as an overview is warped from the overview.
+ */
+export const rectifyImage = (image, corners, { aspect = null, cropToRect = false } = {}) => (
+  new Promise((resolve, reject) => {
+    const rect = estimateRectSize(corners, aspect);
+    const target = [
+      { x: 0, y: 0 },
+      { x: rect.width, y: 0 },
+      { x: rect.width, y: rect.height },
+      { x: 0, y: rect.height },
+    ];
+    const forward = computeHomography(corners, target);
+    if (!forward) {
+      reject(new Error('Degenerate corners'));
+      return;
+    }
+
+    const sheet = getSheetSize(image);
+    // Output bounds in rectified space
+    let bounds = { minX: 0, minY: 0, maxX: rect.width, maxY: rect.height };
+    if (!cropToRect) {
+      const imageCorners = [
+        { x: 0, y: 0 },
+        { x: sheet.width, y: 0 },
+        { x: sheet.width, y: sheet.height },
+        { x: 0, y: sheet.height },
+      ].map(p => applyHomography(forward, p));
+      if (imageCorners.every(Boolean)) {
+        bounds = {
+          minX: Math.min(...imageCorners.map(p => p.x)),
+          minY: Math.min(...imageCorners.map(p => p.y)),
+          maxX: Math.max(...imageCorners.map(p => p.x)),
+          maxY: Math.max(...imageCorners.map(p => p.y)),
+        };
+      }
+    }
+
+    // Downscale uniformly when the result would be too large
+    const rawW = bounds.maxX - bounds.minX;
+    const rawH = bounds.maxY - bounds.minY;
+    const k = Math.min(1, Math.sqrt(PERSPECTIVE_MAX_PIXELS / (rawW * rawH)), MAX_SIDE / rawW, MAX_SIDE / rawH);
+    const outW = Math.max(1, Math.round(rawW * k));
+    const outH = Math.max(1, Math.round(rawH * k));
+
+    // Inverse map: output pixel -> rectified space -> source pixel
+    const inverse = computeHomography(target, corners);
+    if (!inverse) {
+      reject(new Error('Degenerate corners'));
+      return;
+    }
+
+    const srcCanvas = document.createElement('canvas');
+    srcCanvas.width = image.width;
+    srcCanvas.height = image.height;
+    const srcCtx = srcCanvas.getContext('2d');
+    srcCtx.drawImage(image, 0, 0);
+    const src = srcCtx.getImageData(0, 0, image.width, image.height).data;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = outW;
+    canvas.height = outH;
+    const ctx = canvas.getContext('2d');
+    const output = ctx.createImageData(outW, outH);
+    const out = output.data;
+    const sw = image.width;
+    const sh = image.height;
+    // Source pixels per stage pixel
+    const f = getSheetFactor(image);
+    const [h0, h1, h2, h3, h4, h5, h6, h7] = inverse;
+
+    for (let y = 0; y < outH; y++) {
+      const ry = bounds.minY + (y + 0.5) / k;
+      for (let x = 0; x < outW; x++) {
+        const rx = bounds.minX + (x + 0.5) / k;
+        const w = h6 * rx + h7 * ry + 1;
+        const sx = ((h0 * rx + h1 * ry + h2) / w) * f - 0.5;
+        const sy = ((h3 * rx + h4 * ry + h5) / w) * f - 0.5;
+        if (w > 0 && sx >= 0 && sy >= 0 && sx <= sw - 1 && sy <= sh - 1) {
+          sampleBilinear(src, sw, sh, sx, sy, out, (y * outW + x) * 4);
+        }
+      }
+    }
+    ctx.putImageData(output, 0, 0);
+    resolve({ image: canvas, rectWidth: rect.width * k, rectHeight: rect.height * k });
+  })
+);
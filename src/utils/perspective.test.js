@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { applyHomography, computeHomography, estimateRectSize, isValidQuad } from './perspective';
+
+// A sheet photographed at an angle: the far (top) edge looks shorter
+const photo = [{ x: 120, y: 80 }, { x: 880, y: 100 }, { x: 980, y: 700 }, { x: 20, y: 690 }];
+const rect = [{ x: 0, y: 0 }, { x: 1000, y: 0 }, { x: 1000, y: 700 }, { x: 0, y: 700 }];
+
+describe('computeHomography', () => {
+  it('maps the four corners onto the rectangle', () => {
+    const h = computeHomography(photo, rect);
+    photo.forEach((p, i) => {
+      const q = applyHomography(h, p);
+      expect(q.x).toBeCloseTo(rect[i].x, 6);
+      expect(q.y).toBeCloseTo(rect[i].y, 6);
+    });
+  });
+
+  it('keeps straight lines straight', () => {
+    const h = computeHomography(photo, rect);
+    const mid = { x: (photo[0].x + photo[1].x) / 2, y: (photo[0].y + photo[1].y) / 2 };
+    expect(applyHomography(h, mid).y).toBeCloseTo(0, 6);
+  });
+
+  it('round-trips through the inverse mapping', () => {
+    const h = computeHomography(photo, rect);
+    const inverse = computeHomography(rect, photo);
+    const q = applyHomography(inverse, applyHomography(h, { x: 500, y: 400 }));
+    expect(q.x).toBeCloseTo(500, 6);
+    expect(q.y).toBeCloseTo(400, 6);
+  });
+
+  it('fails for corners on one line', () => {
+    expect(computeHomography([{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }], rect)).toBeNull();
+  });
+
+  it('returns null past the horizon', () => {
+    expect(applyHomography([1, 0, 0, 0, 1, 0, -1, 0], { x: 2, y: 0 })).toBeNull();
+  });
+});
+
+describe('quad checks', () => {
+  it('accepts a clockwise convex quad only', () => {
+    expect(isValidQuad(photo)).toBe(true);
+    expect(isValidQuad([...photo].reverse())).toBe(false);
+    expect(isValidQuad([photo[0], photo[2], photo[1], photo[3]])).toBe(false);
+  });
+
+  it('sizes the output from the longer opposite edges or the aspect', () => {
+    expect(estimateRectSize(rect)).toEqual({ width: 1000, height: 700 });
+    expect(estimateRectSize(rect, 2)).toEqual({ width: 1000, height: 500 });
+  });
+});
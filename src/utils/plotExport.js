@@ -0,0 +1,219 @@
+import { calculatePolygonData } from './mapCalculations';
+import { FEET_PER_METER } from './lengthUnits';
+import { SQ_FT_PER_SQ_M } from './landUnits';
+import { getLabelPoint } from './plots';
+import { pxToGround } from './plotGeometry';
+import { outlinePoints } from './arcs';
+import { validatePolygon, hasGeometryErrors } from './geometryValidation';
+
+/**
+ * Plot Exporters
+ * Finished plots as GeoJSON, KML and DXF for GIS, Google Earth and CAD.
+ * Local coordinates are ground feet or metres with X east and Y north (the sheet's top is north);
+ * a control-point affine fit already gives ground coordinates and is used as is.
+ * `toLonLat(stagePoint) => { lon, lat }` switches GeoJSON to WGS84 and is required for KML.
+ * Curved sides are written as short straight pieces, except in DXF where they can stay arcs.
+ * Unfinished plots and plots with geometry errors are left out.
+ */
+export const EXPORT_UNITS = [
+  { id: 'ft', label: 'ফুট', symbol: 'ft', ft: 1, dxfUnits: 2 },
+  { id: 'm', label: 'মিটার', symbol: 'm', ft: FEET_PER_METER, dxfUnits: 6 },
+];
+
+export const findExportUnit = (id) => EXPORT_UNITS.find(u => u.id === id) || EXPORT_UNITS[0];
+
+// Stage pixel point to local ground coordinates in the export unit
+export const toGroundPoint = (p, scale, affine, unit) => {
+  const g = pxToGround(p, scale, affine);
+  return { x: g.x / unit.ft, y: g.y / unit.ft };
+};
+
+// Name and area attributes shared by every format
+const plotAttributes = (plot, scale, affine, unit) => {
+  const data = calculatePolygonData(plot.points, scale, affine);
+  const perimeterFt = data.lengths.reduce((sum, l) => sum + l, 0);
+  return {
+    name: plot.name,
+    area_sqft: data.sqft,
+    area_sqm: data.sqft / SQ_FT_PER_SQ_M,
+    area_shotok: data.shotok,
+    area_katha: data.katha,
+    [`perimeter_${unit.id}`]: perimeterFt / unit.ft,
+  };
+};
+
+// Same rule as the results table: a plot whose sides cross has no area to write
+export const exportablePlots = (plots) => plots.filter(p => p.isFinished && p.points.length >= 3
+  && !hasGeometryErrors(validatePolygon(p.points)));
+
+const signedArea = (coords) => {
+  let sum = 0;
+  for (let i = 0; i < coords.length; i++) {
+    const [x1, y1] = coords[i];
+    const [x2, y2] = coords[(i + 1) % coords.length];
+    sum += x1 * y2 - x2 * y1;
+  }
+  return sum / 2;
+};
+
+// Closed ring, counter-clockwise as RFC 7946 asks for outer rings
+const closedRing = (coords) => {
+  const ring = signedArea(coords) < 0 ? [...coords].reverse() : coords;
+  return [...ring, ring[0]];
+};
+
+export const buildGeoJSON = (plots, { scale, affine, unitId = 'ft', toLonLat = null }) => {
+  const unit = findExportUnit(unitId);
+  const features = exportablePlots(plots).map(plot => {
+    const coords = outlinePoints(plot.points).map(p => {
+      if (toLonLat) {
+        const { lon, lat } = toLonLat(p);
+        return [lon, lat];
+      }
+      const g = toGroundPoint(p, scale, affine, unit);
+      return [g.x, g.y];
+    });
+    return {
+      type: 'Feature',
+      properties: { ...plotAttributes(plot, scale, affine, unit), color: plot.color },
+      geometry: { type: 'Polygon', coordinates: [closedRing(coords)] },
+    };
+  });
+  const collection = { type: 'FeatureCollection', features };
+  // Not WGS84: say so, since GeoJSON readers assume longitude/latitude otherwise
+  if (!toLonLat) collection.coordinateSystem = { type: 'local', units: unit.id };
+  return JSON.stringify(collection, null, 2);
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// '#RRGGBB' to KML's aabbggrr
+const kmlColor = (hex, alpha) => {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  const [r, g, b] = m ? m.slice(1) : ['31', '82', 'ce'];
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+export const buildKML = (plots, { scale, affine, unitId = 'ft', toLonLat, documentName = 'Mouza map' }) => {
+  if (!toLonLat) throw new Error('KML-এর জন্য ম্যাপ জিওরেফারেন্স করা প্রয়োজন');
+  const unit = findExportUnit(unitId);
+  const placemarks = exportablePlots(plots).map((plot, i) => {
+    const attributes = plotAttributes(plot, scale, affine, unit);
+    const lonLat = outlinePoints(plot.points).map(p => {
+      const { lon, lat } = toLonLat(p);
+      return [lon, lat];
+    });
+    const coordinates = closedRing(lonLat).map(([lon, lat]) => `${lon},${lat},0`).join(' ');
+    const data = Object.entries(attributes)
+      .filter(([key]) => key !== 'name')
+      .map(([key, value]) => `<Data name="${key}"><value>${value}</value></Data>`)
+      .join('');
+    return [
+      `<Style id="plot-${i}"><LineStyle><color>${kmlColor(plot.color, 'ff')}</color><width>2</width></LineStyle>`,
+      `<PolyStyle><color>${kmlColor(plot.color, '40')}</color></PolyStyle></Style>`,
+      `<Placemark><name>${escapeXml(plot.name)}</name><styleUrl>#plot-${i}</styleUrl>`,
+      `<ExtendedData>${data}</ExtendedData>`,
+      `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs></Polygon>`,
+      '</Placemark>',
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    `<Document><name>${escapeXml(documentName)}</name>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+  ].join('\n');
+};
+
+// R12 DXF text is not UTF-8; other characters are written as \U+XXXX escapes, which CAD programs decode
+const dxfText = (text) => [...String(text)]
+  .map(ch => (ch.charCodeAt(0) < 128 ? ch : `\\U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`))
+  .join('');
+
+const DXF_PLOT_LAYER = 'PLOTS';
+const DXF_LABEL_LAYER = 'PLOT_LABELS';
+
+/**
+ * How the sheet maps onto the ground, for DXF arcs: `conformal` when circles stay circles,
+ * `mirrored` when the turn direction flips (the sheet's y runs down, the ground's up).
+ */
+const groundFrame = (scale, affine) => {
+  const o = pxToGround({ x: 0, y: 0 }, scale, affine);
+  const gx = pxToGround({ x: 1, y: 0 }, scale, affine);
+  const gy = pxToGround({ x: 0, y: 1 }, scale, affine);
+  const u = { x: gx.x - o.x, y: gx.y - o.y };
+  const v = { x: gy.x - o.x, y: gy.y - o.y };
+  const lu = Math.hypot(u.x, u.y);
+  const lv = Math.hypot(v.x, v.y);
+  const tolerance = 1e-3 * Math.max(lu, lv);
+  return {
+    conformal: Math.abs(lu - lv) <= tolerance && Math.abs(u.x * v.x + u.y * v.y) <= tolerance * Math.max(lu, lv),
+    mirrored: u.x * v.y - u.y * v.x < 0,
+  };
+};
+
+/**
+ * DXF R12 (AC1009), the version every CAD program reads: one closed POLYLINE per plot
+ * and the name and area as centred TEXT. $INSUNITS records feet or metres.
+ * Curved sides keep their bulge (group 42, positive anticlockwise) unless the calibration
+ * stretches the sheet unevenly, which turns arcs into ellipse pieces; those are flattened.
+ */
+export const buildDXF = (plots, { scale, affine, unitId = 'ft' }) => {
+  const unit = findExportUnit(unitId);
+  const finished = exportablePlots(plots);
+  const out = [];
+  const add = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) out.push(String(pairs[i]), String(pairs[i + 1]));
+  };
+
+  const frame = groundFrame(scale, affine);
+  const grounds = finished.map(plot => (frame.conformal ? plot.points : outlinePoints(plot.points)).map(p => ({
+    ...toGroundPoint(p, scale, affine, unit),
+    // Our bulge turns towards +y of the sheet; a mirrored mapping keeps it on DXF's positive side
+    bulge: frame.conformal && p.bulge ? (frame.mirrored ? p.bulge : -p.bulge) : 0,
+  })));
+  const all = grounds.flat();
+  const extent = all.length > 0
+    ? Math.hypot(
+      Math.max(...all.map(p => p.x)) - Math.min(...all.map(p => p.x)),
+      Math.max(...all.map(p => p.y)) - Math.min(...all.map(p => p.y)),
+    )
+    : 1;
+  const textHeight = Math.max(extent / 80, 1e-3);
+
+  add(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 9, '$INSUNITS', 70, unit.dxfUnits, 0, 'ENDSEC');
+  add(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, 2);
+  add(0, 'LAYER', 2, DXF_PLOT_LAYER, 70, 0, 62, 5, 6, 'CONTINUOUS');
+  add(0, 'LAYER', 2, DXF_LABEL_LAYER, 70, 0, 62, 7, 6, 'CONTINUOUS');
+  add(0, 'ENDTAB', 0, 'ENDSEC');
+
+  add(0, 'SECTION', 2, 'ENTITIES');
+  finished.forEach((plot, i) => {
+    add(0, 'POLYLINE', 8, DXF_PLOT_LAYER, 66, 1, 10, 0, 20, 0, 30, 0, 70, 1);
+    grounds[i].forEach(p => {
+      add(0, 'VERTEX', 8, DXF_PLOT_LAYER, 10, p.x, 20, p.y, 30, 0);
+      if (p.bulge) add(42, p.bulge);
+    });
+    add(0, 'SEQEND', 8, DXF_PLOT_LAYER);
+
+    const attributes = plotAttributes(plot, scale, affine, unit);
+    const label = toGroundPoint(getLabelPoint(plot.points), scale, affine, unit);
+    const lines = [
+      plot.name,
+      unit.id === 'm' ? `${attributes.area_sqm.toFixed(2)} sq m` : `${attributes.area_sqft.toFixed(2)} sq ft`,
+      `${attributes.area_shotok.toFixed(4)} shotok`,
+    ];
+    lines.forEach((text, n) => {
+      const y = label.y + (1 - n) * textHeight * 1.5;
+      add(0, 'TEXT', 8, DXF_LABEL_LAYER, 10, label.x, 20, y, 30, 0, 40, textHeight, 1, dxfText(text), 72, 1, 11, label.x, 21, y, 31, 0);
+    });
+  });
+  add(0, 'ENDSEC', 0, 'EOF');
+  return `${out.join('\n')}\n`;
+};
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import { buildDXF, buildGeoJSON, buildKML, exportablePlots } from './plotExport';
+
+// 2 px per foot, so the 100 × 50 px square is 50 × 25 ft
+const SCALE = 2;
+const plot = (name, points, extra = {}) => ({ id: name, name, color: '#3182ce', isFinished: true, points, ...extra });
+const rect = plot('Plot 1', [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }]);
+const bowtie = plot('Bowtie', [{ x: 0, y: 0 }, { x: 100, y: 100 }, { x: 100, y: 0 }, { x: 0, y: 100 }]);
+const drawing = plot('Drawing', [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }], { isFinished: false });
+
+describe('exportablePlots', () => {
+  it('keeps only finished plots without geometry errors', () => {
+    expect(exportablePlots([rect, bowtie, drawing]).map(p => p.name)).toEqual(['Plot 1']);
+  });
+});
+
+describe('buildGeoJSON', () => {
+  it('writes local ground coordinates with Y north and an anticlockwise closed ring', () => {
+    const data = JSON.parse(buildGeoJSON([rect, bowtie], { scale: SCALE, affine: null }));
+    expect(data.coordinateSystem).toEqual({ type: 'local', units: 'ft' });
+    expect(data.features).toHaveLength(1);
+    const [feature] = data.features;
+    expect(feature.properties).toMatchObject({ name: 'Plot 1', area_sqft: 1250, perimeter_ft: 150 });
+    expect(feature.geometry.coordinates[0]).toEqual([[0, -25], [50, -25], [50, 0], [0, 0], [0, -25]]);
+  });
+
+  it('converts to metres', () => {
+    const data = JSON.parse(buildGeoJSON([rect], { scale: SCALE, affine: null, unitId: 'm' }));
+    expect(data.features[0].properties.perimeter_m).toBeCloseTo(150 * 0.3048, 9);
+    expect(data.features[0].geometry.coordinates[0][1][0]).toBeCloseTo(50 * 0.3048, 9);
+  });
+
+  it('uses longitude/latitude when the map is georeferenced', () => {
+    const toLonLat = (p) => ({ lon: 90 + p.x / 1e5, lat: 23 - p.y / 1e5 });
+    const data = JSON.parse(buildGeoJSON([rect], { scale: SCALE, affine: null, toLonLat }));
+    expect(data.coordinateSystem).toBeUndefined();
+    expect(data.features[0].geometry.coordinates[0][0]).toEqual([90, 22.9995]);
+  });
+});
+
+describe('buildKML', () => {
+  it('needs georeferencing', () => {
+    expect(() => buildKML([rect], { scale: SCALE, affine: null })).toThrow();
+  });
+
+  it('writes one escaped placemark per plot', () => {
+    const toLonLat = (p) => ({ lon: 90 + p.x / 1e5, lat: 23 - p.y / 1e5 });
+    const kml = buildKML([{ ...rect, name: 'A & B' }, bowtie], { scale: SCALE, affine: null, toLonLat });
+    expect(kml.match(/<Placemark>/g)).toHaveLength(1);
+    expect(kml).toContain('<name>A &amp; B</name>');
+  });
+});
+
+describe('buildDXF', () => {
+  it('writes a closed R12 polyline and label text per plot', () => {
+    const dxf = buildDXF([rect, bowtie], { scale: SCALE, affine: null });
+    const lines = dxf.split('\n');
+    expect(lines.slice(0, 8)).toEqual(['0', 'SECTION', '2', 'HEADER', '9', '$ACADVER', '1', 'AC1009']);
+    expect(lines.filter(l => l === 'POLYLINE')).toHaveLength(1);
+    expect(lines.filter(l => l === 'VERTEX')).toHaveLength(4);
+    expect(dxf).toContain('1250.00 sq ft');
+    expect(dxf.trim().endsWith('EOF')).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+import { applyAffine, invertAffinePoint } from './affine';
+
+/**
+ * Plot Geometry in Ground Feet
+ * Local ground coordinates with X east and Y north (the sheet's top is north), in feet.
+ * A control-point affine fit already yields ground coordinates; otherwise the image
+ * axes are used with Y flipped. Bearings are azimuths: degrees clockwise from north.
+ * The map's own north (its north arrow) may lean off the sheet's top by `northDeg`,
+ * the azimuth of the arrow in this frame; bearings relative to it subtract that angle.
+ */
+export const pxToGround = (p, scale, affine = null) => {
+  if (affine && affine.method === 'control_points') return applyAffine(affine.matrix, p);
+  const ft = affine ? applyAffine(affine.matrix, p) : { x: p.x / scale, y: p.y / scale };
+  return { x: ft.x, y: -ft.y };
+};
+
+export const groundToPx = (g, scale, affine = null) => {
+  if (affine && affine.method === 'control_points') return invertAffinePoint(affine.matrix, g);
+  const ft = { x: g.x, y: -g.y };
+  return affine ? invertAffinePoint(affine.matrix, ft) : { x: ft.x * scale, y: ft.y * scale };
+};
+
+const normalizeDeg = (deg) => ((deg % 360) + 360) % 360;
+
+export const bearingDeg = (from, to) => normalizeDeg((Math.atan2(to.x - from.x, to.y - from.y) * 180) / Math.PI);
+
+// An azimuth in the ground frame, measured from the map's north instead
+export const bearingFromNorth = (azimuth, northDeg = 0) => normalizeDeg(azimuth - northDeg);
+
+// Map north from a north arrow drawn on the sheet, tail then head (stage pixels)
+export const northFromArrow = (tail, head, scale, affine = null) => bearingDeg(pxToGround(tail, scale, affine), pxToGround(head, scale, affine));
+
+// Screen angle (degrees clockwise from the sheet's up) of the map's north, for a compass overlay
+export const northScreenAngle = (northDeg, scale, affine = null) => {
+  const rad = (northDeg * Math.PI) / 180;
+  const a = groundToPx({ x: 0, y: 0 }, scale, affine);
+  const b = groundToPx({ x: Math.sin(rad), y: Math.cos(rad) }, scale, affine);
+  return normalizeDeg((Math.atan2(b.x - a.x, a.y - b.y) * 180) / Math.PI);
+};
+
+// Degrees as 12°34'56"
+export const formatDms = (deg) => {
+  let d = Math.floor(deg);
+  let m = Math.floor((deg - d) * 60);
+  let s = Math.round(((deg - d) * 60 - m) * 60);
+  if (s === 60) { s = 0; m += 1; }
+  if (m === 60) { m = 0; d += 1; }
+  return `${d}°${String(m).padStart(2, '0')}'${String(s).padStart(2, '0')}"`;
+};
+
+// Quadrant bearing as surveyors write it, e.g. N 45°30'00" E
+export const formatQuadrantBearing = (azimuth) => {
+  const a = normalizeDeg(azimuth);
+  if (a <= 90) return `N ${formatDms(a)} E`;
+  if (a <= 180) return `S ${formatDms(180 - a)} E`;
+  if (a <= 270) return `S ${formatDms(a - 180)} W`;
+  return `N ${formatDms(360 - a)} W`;
+};
+
+/**
+ * Side i runs from vertex i to vertex i + 1 (the last side closes the polygon).
+ * Returns [{ lengthFt, bearing }] for ground points.
+ */
+export const describeSides = (ground) => ground.map((from, i) => {
+  const to = ground[(i + 1) % ground.length];
+  return { lengthFt: Math.hypot(to.x - from.x, to.y - from.y), bearing: bearingDeg(from, to) };
+});
+
+/**
+ * One table edit on ground points: { x } or { y } moves vertex `index`; { lengthFt } or
+ * { bearing } keeps the side's start and moves its end vertex, the way a traverse is
+ * laid out from tape distances and bearings. Returns [changedIndex, newGroundPoint].
+ */
+export const applyVertexEdit = (ground, index, patch) => {
+  if ('x' in patch || 'y' in patch) return [index, { ...ground[index], ...patch }];
+  const endIndex = (index + 1) % ground.length;
+  const from = ground[index];
+  const to = ground[endIndex];
+  const current = describeSides([from, to])[0];
+  const lengthFt = 'lengthFt' in patch ? patch.lengthFt : current.lengthFt;
+  const rad = (('bearing' in patch ? patch.bearing : current.bearing) * Math.PI) / 180;
+  return [endIndex, { x: from.x + lengthFt * Math.sin(rad), y: from.y + lengthFt * Math.cos(rad) }];
+};
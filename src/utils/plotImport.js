@@ -0,0 +1,258 @@
+import { clampBulge, outlinePoints, withBulge } from './arcs';
+import { groundToPx } from './plotGeometry';
+
+/**
+ * Boundary Importers
+ * Reads plot outlines from GeoJSON, DXF or CSV/XY coordinate lists.
+ * Every parser returns { shapes: [{ name, points: [{ x, y, bulge? }] }], unitId } with ground
+ * coordinates (X east, Y north) in `unitId` ('ft' or 'm'), or `unitId: null` when the
+ * file does not say and the user's choice applies. A curved side (DXF only) keeps its bulge
+ * in arcs.js's sign convention, taken in these ground coordinates.
+ */
+export const IMPORT_FORMATS = {
+  geojson: 'GeoJSON',
+  dxf: 'DXF',
+  csv: 'CSV / XY',
+};
+
+export const detectImportFormat = (fileName, text) => {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'dxf') return 'dxf';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  if (/^\s*[{[]/.test(text)) return 'geojson';
+  if (/^\s*0\s*\r?\n\s*SECTION/i.test(text)) return 'dxf';
+  return 'csv';
+};
+
+// A repeated closing vertex is implied by a closed plot
+const dropClosingPoint = (points) => {
+  if (points.length < 2) return points;
+  const first = points[0];
+  const last = points[points.length - 1];
+  return first.x === last.x && first.y === last.y ? points.slice(0, -1) : points;
+};
+
+const METERS_PER_DEGREE = 111320;
+
+// Longitude/latitude rings projected to local metres around their middle (equirectangular);
+// accurate enough over a mouza sheet, and the shape is aligned by hand afterwards anyway
+const projectLonLat = (shapes) => {
+  const all = shapes.flatMap(s => s.points);
+  const lat0 = all.reduce((sum, p) => sum + p.y, 0) / all.length;
+  const lon0 = all.reduce((sum, p) => sum + p.x, 0) / all.length;
+  const cos = Math.cos((lat0 * Math.PI) / 180);
+  return shapes.map(s => ({
+    ...s,
+    points: s.points.map(p => ({ x: (p.x - lon0) * METERS_PER_DEGREE * cos, y: (p.y - lat0) * METERS_PER_DEGREE })),
+  }));
+};
+
+const looksLikeLonLat = (shapes) => {
+  const all = shapes.flatMap(s => s.points);
+  const xs = all.map(p => p.x);
+  const ys = all.map(p => p.y);
+  const inRange = xs.every(x => Math.abs(x) <= 180) && ys.every(y => Math.abs(y) <= 90);
+  // A whole mouza spans far less than a degree; local feet/metre grids rarely fit in one
+  return inRange && Math.max(...xs) - Math.min(...xs) < 1 && Math.max(...ys) - Math.min(...ys) < 1;
+};
+
+export const parseGeoJSON = (text) => {
+  const data = JSON.parse(text);
+  const features = [];
+  const collect = (obj, properties = {}) => {
+    if (!obj || typeof obj !== 'object') return;
+    if (obj.type === 'FeatureCollection' && Array.isArray(obj.features)) obj.features.forEach(f => collect(f));
+    else if (obj.type === 'Feature') collect(obj.geometry, obj.properties || {});
+    else if (obj.type === 'GeometryCollection' && Array.isArray(obj.geometries)) obj.geometries.forEach(g => collect(g, properties));
+    else if (obj.type === 'Polygon') features.push({ properties, rings: [obj.coordinates[0]] });
+    else if (obj.type === 'MultiPolygon') features.push({ properties, rings: obj.coordinates.map(poly => poly[0]) });
+  };
+  collect(data);
+
+  const shapes = [];
+  features.forEach(({ properties, rings }) => {
+    rings.forEach((ring, i) => {
+      if (!Array.isArray(ring)) return;
+      const points = dropClosingPoint(ring
+        .filter(c => Array.isArray(c) && Number.isFinite(c[0]) && Number.isFinite(c[1]))
+        .map(([x, y]) => ({ x, y })));
+      if (points.length < 3) return;
+      const name = properties.name || properties.Name || properties.plot || null;
+      shapes.push({ name: name && rings.length > 1 ? `${name} (${i + 1})` : name, points });
+    });
+  });
+  if (shapes.length === 0) throw new Error('GeoJSON-এ কোনো পলিগন পাওয়া যায়নি');
+
+  // Files exported by this app say which local unit they use
+  const local = data.coordinateSystem;
+  if (local && local.type === 'local') return { shapes, unitId: local.units === 'm' ? 'm' : 'ft' };
+  if (looksLikeLonLat(shapes)) return { shapes: projectLonLat(shapes), unitId: 'm' };
+  return { shapes, unitId: null };
+};
+
+// $INSUNITS codes that map onto feet or metres
+const DXF_UNITS = { 1: { unitId: 'ft', factor: 1 / 12 }, 2: { unitId: 'ft', factor: 1 }, 4: { unitId: 'm', factor: 0.001 }, 5: { unitId: 'm', factor: 0.01 }, 6: { unitId: 'm', factor: 1 } };
+
+/**
+ * LWPOLYLINE entities (and R12 POLYLINE/VERTEX, as written by the DXF export) with at
+ * least three vertices become plots. Open polylines are closed.
+ * A vertex's bulge (group 42) curves the side it starts. DXF's positive bulge turns
+ * anticlockwise with Y up, which is the opposite side to a positive bulge in arcs.js.
+ */
+export const parseDXF = (text) => {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) pairs.push([parseInt(lines[i], 10), lines[i + 1].trim()]);
+
+  let units = null;
+  const shapes = [];
+  let current = null;
+  let pendingX = null;
+  const finish = () => {
+    if (current && current.points.length >= 3) shapes.push({ name: current.layer !== '0' ? current.layer : null, points: dropClosingPoint(current.points) });
+    current = null;
+  };
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+    if (code === 9 && value === '$INSUNITS') {
+      units = DXF_UNITS[parseInt(pairs[i + 1] && pairs[i + 1][1], 10)] || null;
+      continue;
+    }
+    if (code === 0) {
+      if (value === 'LWPOLYLINE' || value === 'POLYLINE') {
+        finish();
+        // An R12 POLYLINE's own 10/20 is a dummy origin; its points come from VERTEX entities
+        current = { kind: value, layer: '0', points: [], acceptPoints: value === 'LWPOLYLINE' };
+      } else if (value === 'VERTEX' && current && current.kind === 'POLYLINE') {
+        current.acceptPoints = true;
+        pendingX = null;
+      } else if (value !== 'VERTEX') {
+        // SEQEND or any other entity ends the polyline
+        finish();
+      }
+      continue;
+    }
+    if (!current) continue;
+    if (code === 8) current.layer = value;
+    else if (code === 10) pendingX = parseFloat(value);
+    else if (code === 20 && pendingX !== null) {
+      if (current.acceptPoints) current.points.push({ x: pendingX, y: parseFloat(value) });
+      pendingX = null;
+    } else if (code === 42 && current.acceptPoints && current.points.length > 0) {
+      const bulge = parseFloat(value);
+      const last = current.points.length - 1;
+      if (Number.isFinite(bulge)) current.points[last] = withBulge(current.points[last], clampBulge(-bulge));
+    }
+  }
+  finish();
+  if (shapes.length === 0) throw new Error('DXF-এ কোনো পলিলাইন পাওয়া যায়নি');
+  if (!units) return { shapes, unitId: null };
+  return {
+    shapes: shapes.map(s => ({ ...s, points: s.points.map(p => ({ ...p, x: p.x * units.factor, y: p.y * units.factor })) })),
+    unitId: units.unitId,
+  };
+};
+
+const isNumber = (value) => value !== '' && Number.isFinite(Number(value));
+
+/**
+ * Coordinate lists, one point per line, separated by comma, semicolon, tab or spaces.
+ * Rows are `X,Y`, `Y,X` (northing first, as many total stations export), optionally led by
+ * a point number or a plot name; rows with the same name form one plot, and a blank line
+ * starts a new plot. Header lines and a trailing Z column are ignored. `pointIds` null guesses
+ * whether the first number is a point number; the guess is returned so the user can override it.
+ */
+export const parseCSV = (text, { columnOrder = 'xy', pointIds = null } = {}) => {
+  const rows = text.split(/\r?\n/).map(line => line.trim());
+  const split = (line) => line.split(/[,;\t]|\s+/).map(c => c.trim().replace(/^"|"$/g, '')).filter(c => c !== '');
+  const dataRows = rows.map(line => (line ? split(line) : null));
+
+  // Three or more numbers per row whose first is a distinct whole number: that is a point number
+  const numericRows = dataRows.filter(r => r && r.filter(isNumber).length >= 2);
+  const leadIds = numericRows.map(r => r[0]);
+  const hasPointIds = pointIds !== null ? pointIds : (numericRows.length > 0
+    && numericRows.every(r => r.length >= 3 && r.slice(0, 3).every(isNumber) && Number.isInteger(Number(r[0])))
+    && new Set(leadIds).size === leadIds.length);
+
+  const shapes = [];
+  let current = null;
+  dataRows.forEach(cells => {
+    if (!cells) {
+      current = null;
+      return;
+    }
+    const numbers = cells.filter(isNumber).map(Number);
+    if (numbers.length < 2) return;
+    const name = isNumber(cells[0]) ? null : cells[0];
+    const [a, b] = hasPointIds ? numbers.slice(1, 3) : numbers;
+    if (!Number.isFinite(b)) return;
+    if (!current || (name && current.name !== name)) {
+      current = { name, points: [] };
+      shapes.push(current);
+    }
+    current.points.push(columnOrder === 'yx' ? { x: b, y: a } : { x: a, y: b });
+  });
+  const valid = shapes
+    .map(s => ({ ...s, points: dropClosingPoint(s.points) }))
+    .filter(s => s.points.length >= 3);
+  if (valid.length === 0) throw new Error('ফাইলে অন্তত ৩টি স্থানাঙ্কের কোনো সেট পাওয়া যায়নি');
+  return { shapes: valid, unitId: null, pointIds: hasPointIds };
+};
+
+export const parseBoundaryFile = (format, text, options) => {
+  if (format === 'dxf') return parseDXF(text);
+  if (format === 'geojson') return parseGeoJSON(text);
+  return parseCSV(text, options);
+};
+
+// Middle of the shapes' bounding box, the pivot for moving and rotating them together
+export const getShapesCenter = (shapes) => {
+  const all = shapes.flatMap(s => s.points);
+  const xs = all.map(p => p.x);
+  const ys = all.map(p => p.y);
+  return { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+};
+
+/**
+ * A shape's points through `transform` (an affine map of the plane). Arcs stay arcs when the
+ * map keeps circles round, with the bulge negated if it mirrors; otherwise they would become
+ * ellipse pieces on the sheet and are flattened into short straight sides.
+ */
+export const transformShapePoints = (points, transform) => {
+  const o = transform({ x: 0, y: 0 });
+  const ex = transform({ x: 1, y: 0 });
+  const ey = transform({ x: 0, y: 1 });
+  const u = { x: ex.x - o.x, y: ex.y - o.y };
+  const v = { x: ey.x - o.x, y: ey.y - o.y };
+  const lu = Math.hypot(u.x, u.y);
+  const lv = Math.hypot(v.x, v.y);
+  const tolerance = 1e-3 * Math.max(lu, lv);
+  const conformal = Math.abs(lu - lv) <= tolerance && Math.abs(u.x * v.x + u.y * v.y) <= tolerance * Math.max(lu, lv);
+  const sign = u.x * v.y - u.y * v.x < 0 ? -1 : 1;
+  return (conformal ? points : outlinePoints(points)).map(p => {
+    const q = transform(p);
+    return p.bulge ? withBulge(q, sign * p.bulge) : { x: q.x, y: q.y };
+  });
+};
+
+/**
+ * Ground shapes to stage pixels: rotated by `rotationDeg` (clockwise) about their centre,
+ * which is placed at `center`, and taken through the calibration. With an affine calibration
+ * the ground offsets go through its inverse, so a sheet stretched unevenly along X and Y
+ * stretches the shapes the same way and their ground lengths survive.
+ */
+export const placeShapes = (shapes, { unitFt, scale, affine = null, rotationDeg, center }) => {
+  const pivot = getShapesCenter(shapes);
+  const rad = (rotationDeg * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const origin = groundToPx({ x: 0, y: 0 }, scale, affine);
+  return shapes.map(s => transformShapePoints(s.points, p => {
+    // Ground Y is north, so clockwise turns +Y towards +X
+    const gx = (p.x - pivot.x) * unitFt;
+    const gy = (p.y - pivot.y) * unitFt;
+    const q = groundToPx({ x: gx * cos + gy * sin, y: gy * cos - gx * sin }, scale, affine);
+    return { x: center.x + q.x - origin.x, y: center.y + q.y - origin.y };
+  }));
+};
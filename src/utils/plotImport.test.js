@@ -0,0 +1,163 @@
+import { describe, expect, it } from 'vitest';
+import { detectImportFormat, getShapesCenter, parseCSV, parseDXF, parseGeoJSON, placeShapes, transformShapePoints } from './plotImport';
+import { buildDXF, buildGeoJSON } from './plotExport';
+import { calculatePolygonData, segmentLengthFt } from './mapCalculations';
+
+const SCALE = 2;
+
+describe('detectImportFormat', () => {
+  it('goes by extension, then by content', () => {
+    expect(detectImportFormat('plot.DXF', '')).toBe('dxf');
+    expect(detectImportFormat('plots.json', '')).toBe('geojson');
+    expect(detectImportFormat('export', ' {"type":"Feature"}')).toBe('geojson');
+    expect(detectImportFormat('export', '  0\nSECTION\n')).toBe('dxf');
+    expect(detectImportFormat('points.txt', '1,2\n3,4')).toBe('csv');
+  });
+});
+
+describe('parseGeoJSON', () => {
+  it('round-trips the GeoJSON export in its own unit', () => {
+    const plot = { id: 'a', name: 'দাগ ৭', isFinished: true, points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 60 }] };
+    const { shapes, unitId } = parseGeoJSON(buildGeoJSON([plot], { scale: SCALE, affine: null, unitId: 'm' }));
+    expect(unitId).toBe('m');
+    expect(shapes).toHaveLength(1);
+    expect(shapes[0].name).toBe('দাগ ৭');
+    // The closing point is dropped; the ring was written anticlockwise in ground coordinates
+    expect(shapes[0].points).toHaveLength(3);
+    const xs = shapes[0].points.map(p => p.x);
+    expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(50 * 0.3048, 9);
+  });
+
+  it('projects longitude/latitude to local metres', () => {
+    const ring = [[90.4, 23.8], [90.401, 23.8], [90.401, 23.801], [90.4, 23.8]];
+    const { shapes, unitId } = parseGeoJSON(JSON.stringify({ type: 'Polygon', coordinates: [ring] }));
+    expect(unitId).toBe('m');
+    const [a, b, c] = shapes[0].points;
+    expect(b.x - a.x).toBeCloseTo(0.001 * 111320 * Math.cos((23.8003 * Math.PI) / 180), 1);
+    expect(c.y - b.y).toBeCloseTo(111.32, 6);
+  });
+
+  it('names the parts of a multipolygon and leaves unknown units to the user', () => {
+    const square = [[0, 0], [500, 0], [500, 500], [0, 500], [0, 0]];
+    const feature = { type: 'Feature', properties: { name: 'X' }, geometry: { type: 'MultiPolygon', coordinates: [[square], [square]] } };
+    const { shapes, unitId } = parseGeoJSON(JSON.stringify({ type: 'FeatureCollection', features: [feature] }));
+    expect(unitId).toBeNull();
+    expect(shapes.map(s => s.name)).toEqual(['X (1)', 'X (2)']);
+  });
+
+  it('rejects files without polygons', () => {
+    expect(() => parseGeoJSON('{"type":"FeatureCollection","features":[]}')).toThrow();
+  });
+});
+
+describe('parseCSV', () => {
+  it('reads X,Y rows and starts a new plot at a blank line', () => {
+    const { shapes, pointIds } = parseCSV('x,y\n0,0\n10,0\n10,10\n\n20,0\n30,0\n30,10\n20,0');
+    expect(pointIds).toBe(false);
+    expect(shapes.map(s => s.points.length)).toEqual([3, 3]);
+  });
+
+  it('recognises point numbers and northing-first columns', () => {
+    const text = '1 2000.0 500.0 12.1\n2 2000.0 520.0 12.0\n3 2030.0 520.0 12.2';
+    const { shapes, pointIds } = parseCSV(text, { columnOrder: 'yx' });
+    expect(pointIds).toBe(true);
+    expect(shapes[0].points).toEqual([{ x: 500, y: 2000 }, { x: 520, y: 2000 }, { x: 520, y: 2030 }]);
+  });
+
+  it('groups rows by plot name', () => {
+    const text = 'A;0;0\nA;5;0\nA;5;5\nB;10;0\nB;15;0\nB;15;5';
+    expect(parseCSV(text).shapes.map(s => s.name)).toEqual(['A', 'B']);
+  });
+
+  it('needs three coordinates', () => {
+    expect(() => parseCSV('0,0\n1,1')).toThrow();
+  });
+});
+
+describe('parseDXF', () => {
+  // Plot with a semicircle bulging out of its top side and a shallow arc bulging into its right side
+  const plot = {
+    id: 'a',
+    name: 'Arc plot',
+    isFinished: true,
+    points: [{ x: 100, y: 100, bulge: -1 }, { x: 300, y: 100, bulge: 0.25 }, { x: 300, y: 260 }, { x: 100, y: 260 }],
+  };
+
+  const place = (shapes, unitFt = 1) => {
+    // Put the imported corners back where the plot's corners were
+    const corners = plot.points.map(p => ({ x: (p.x / SCALE) * unitFt, y: (-p.y / SCALE) * unitFt }));
+    const center = getShapesCenter([{ points: corners }]);
+    return placeShapes(shapes, { unitFt: 1 / unitFt, scale: SCALE, rotationDeg: 0, center: { x: center.x * SCALE / unitFt, y: -center.y * SCALE / unitFt } });
+  };
+
+  it('round-trips curved sides through the DXF export', () => {
+    const { shapes, unitId } = parseDXF(buildDXF([plot], { scale: SCALE, affine: null }));
+    expect(unitId).toBe('ft');
+    expect(shapes).toHaveLength(1);
+    // Ground Y runs up, so the same arcs turn the other way there than on the sheet
+    expect(shapes[0].points.map(p => p.bulge ?? 0)).toEqual([1, -0.25, 0, 0]);
+
+    const [points] = place(shapes);
+    points.forEach((p, i) => {
+      expect(p.x).toBeCloseTo(plot.points[i].x, 9);
+      expect(p.y).toBeCloseTo(plot.points[i].y, 9);
+      expect(p.bulge ?? 0).toBeCloseTo(plot.points[i].bulge ?? 0, 12);
+    });
+    expect(calculatePolygonData(points, SCALE).sqft).toBeCloseTo(calculatePolygonData(plot.points, SCALE).sqft, 6);
+  });
+
+  it('keeps bulges when converting metres', () => {
+    const { shapes, unitId } = parseDXF(buildDXF([plot], { scale: SCALE, affine: null, unitId: 'm' }));
+    expect(unitId).toBe('m');
+    expect(shapes[0].points[0].bulge).toBe(1);
+    expect(shapes[0].points[1].x - shapes[0].points[0].x).toBeCloseTo(100 * 0.3048, 9);
+  });
+
+  it('reads LWPOLYLINE bulges onto the vertex before them', () => {
+    const dxf = ['0', 'SECTION', '2', 'ENTITIES', '0', 'LWPOLYLINE', '8', 'Khatian 12', '90', '3', '70', '1',
+      '10', '0', '20', '0', '42', '0.5', '10', '10', '20', '0', '10', '10', '20', '10', '0', 'ENDSEC', '0', 'EOF'].join('\n');
+    const { shapes, unitId } = parseDXF(dxf);
+    expect(unitId).toBeNull();
+    expect(shapes[0].name).toBe('Khatian 12');
+    expect(shapes[0].points).toEqual([{ x: 0, y: 0, bulge: -0.5 }, { x: 10, y: 0 }, { x: 10, y: 10 }]);
+  });
+
+  it('rejects files without polylines', () => {
+    expect(() => parseDXF('0\nSECTION\n2\nENTITIES\n0\nENDSEC\n0\nEOF')).toThrow();
+  });
+});
+
+describe('transformShapePoints', () => {
+  const square = [{ x: 0, y: 0, bulge: 0.5 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+  it('negates bulges under a mirroring map', () => {
+    const points = transformShapePoints(square, p => ({ x: 2 * p.x, y: -2 * p.y }));
+    expect(points).toHaveLength(4);
+    expect(points[0]).toEqual({ x: 0, y: -0, bulge: -0.5 });
+  });
+
+  it('flattens arcs under an uneven stretch', () => {
+    const points = transformShapePoints(square, p => ({ x: 2 * p.x, y: p.y }));
+    expect(points.length).toBeGreaterThan(4);
+    expect(points.some(p => p.bulge)).toBe(false);
+  });
+});
+
+describe('placeShapes', () => {
+  // 40 × 25 ft with a 10 ft notch, so the sides are not all alike
+  const shape = { name: 'A', points: [{ x: 0, y: 0 }, { x: 40, y: 0 }, { x: 40, y: 25 }, { x: 10, y: 25 }, { x: 10, y: 15 }, { x: 0, y: 15 }] };
+  const groundSides = shape.points.map((p, i) => {
+    const q = shape.points[(i + 1) % shape.points.length];
+    return Math.hypot(q.x - p.x, q.y - p.y);
+  });
+
+  it('keeps ground side lengths and area on a sheet stretched unevenly along X and Y', () => {
+    // A distances fit: 0.5 ft per px across, 0.8 ft per px down, with some skew
+    const affine = { matrix: [0.5, 0.1, 0, 0, 0.8, 0], method: 'distances' };
+    const [points] = placeShapes([shape], { unitFt: 1, scale: 1.6, affine, rotationDeg: 30, center: { x: 500, y: 400 } });
+    points.forEach((p, i) => {
+      expect(segmentLengthFt(p, points[(i + 1) % points.length], 1.6, affine)).toBeCloseTo(groundSides[i], 9);
+    });
+    expect(calculatePolygonData(points, 1.6, affine).sqft).toBeCloseTo(40 * 25 - 10 * 10, 9);
+  });
+});
@@ -0,0 +1,79 @@
+import { withBulge } from './arcs';
+
+// Distinct stroke colours assigned to plots in creation order
+export const PLOT_COLORS = ['#3182CE', '#E53E3E', '#38A169', '#D69E2E', '#805AD5', '#DD6B20', '#319795', '#D53F8C'];
+
+export const createPlotId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `plot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * A plot (dag) on the map sheet.
+ * `points` are stage-space pixel coordinates; `isFinished` marks a closed polygon.
+ */
+export const createPlot = (index, overrides = {}) => ({
+  id: createPlotId(),
+  name: `প্লট ${index + 1}`,
+  color: PLOT_COLORS[index % PLOT_COLORS.length],
+  points: [],
+  isFinished: false,
+  ...overrides,
+});
+
+// Bounding box of every point in the given plots, or null when there are none
+export const getPlotsBounds = (plots) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  plots.forEach(plot => {
+    plot.points.forEach(p => {
+      if (p.x < minX) minX = p.x;
+      if (p.y < minY) minY = p.y;
+      if (p.x > maxX) maxX = p.x;
+      if (p.y > maxY) maxY = p.y;
+    });
+  });
+  if (minX === Infinity) return null;
+  return { minX, minY, maxX, maxY };
+};
+
+// Simple vertex average, used to place the plot name on the canvas
+export const getLabelPoint = (points) => {
+  if (points.length === 0) return { x: 0, y: 0 };
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length };
+};
+
+// A vertex whose outgoing side is straight
+const straightFrom = (point) => withBulge(point, 0);
+
+// Vertex list edits on finished plots; each returns a new array.
+// A side that is split or merged loses its curve (`bulge`, see arcs.js).
+export const insertVertex = (points, afterIndex, point) => [
+  ...points.slice(0, afterIndex),
+  straightFrom(points[afterIndex]),
+  straightFrom(point),
+  ...points.slice(afterIndex + 1),
+];
+
+export const removeVertex = (points, index) => {
+  const prev = (index - 1 + points.length) % points.length;
+  return points
+    .map((p, i) => (i === prev ? straightFrom(p) : p))
+    .filter((_, i) => i !== index);
+};
+
+// Walks the boundary the other way round while keeping the same start corner;
+// each curved side is now walked backwards, so its bulge moves to the other end and flips
+export const reverseVertices = (points) => {
+  const n = points.length;
+  const reversed = [points[0], ...points.slice(1).reverse()];
+  return reversed.map((p, k) => {
+    const from = straightFrom(p);
+    // New side k runs from reversed[k] to reversed[k + 1], which was the old side starting at reversed[k + 1]
+    const old = points[n - k - 1];
+    return old.bulge ? { ...from, bulge: -old.bulge } : from;
+  });
+};
+
+// Makes `index` corner 1; side numbering follows from the new order
+export const rotateVertices = (points, index) => [...points.slice(index), ...points.slice(0, index)];
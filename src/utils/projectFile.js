@@ -0,0 +1,201 @@
+import { createZip, readZip } from './zip';
+import { withBulge, clampBulge } from './arcs';
+import { parseMeasurements } from './measurements';
+
+/**
+ * Project File Format
+ * A saved session: source fingerprint, calibration, georeference (optional), plots, measurements,
+ * map north (optional), units and view.
+ * Version 1 is the older `{ scale, plots | plotPoints }` file without a format marker;
+ * it is migrated on load. Bundles are ZIPs holding `project.json` plus the map under `map/`.
+ */
+export const PROJECT_FORMAT = 'mouza-map-project';
+export const PROJECT_VERSION = 2;
+export const PROJECT_JSON_NAME = 'project.json';
+const MAP_FOLDER = 'map/';
+
+// SHA-256 of the uploaded file, hex encoded; identifies the map regardless of its file name
+export const hashFile = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const isPoint = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+const isPointList = (pts) => Array.isArray(pts) && pts.every(isPoint);
+const isAffine = (a) => a && Array.isArray(a.matrix) && a.matrix.length === 6 && a.matrix.every(Number.isFinite);
+const finiteOrNull = (v) => (Number.isFinite(v) ? v : null);
+
+// Pins keep both coordinate systems; the transform maps pixels to BTM metres
+const parseGeoreference = (georeference) => {
+  if (!georeference || typeof georeference !== 'object') return null;
+  const pins = Array.isArray(georeference.pins)
+    ? georeference.pins.filter(p => p && typeof p.id === 'string' && isPoint(p)).map(p => ({
+      id: p.id,
+      x: p.x,
+      y: p.y,
+      lat: finiteOrNull(p.lat),
+      lon: finiteOrNull(p.lon),
+      easting: finiteOrNull(p.easting),
+      northing: finiteOrNull(p.northing),
+    }))
+    : [];
+  const transform = isAffine(georeference.transform) ? georeference.transform : null;
+  return { pins, transform };
+};
+
+// Map north: an azimuth off the sheet's top, with the north arrow it was traced from (if any)
+const parseNorth = (north) => {
+  if (!north || !Number.isFinite(north.angleDeg)) return null;
+  const arrow = Array.isArray(north.arrow) && north.arrow.length === 2 && north.arrow.every(isPoint)
+    ? north.arrow.map(({ x, y }) => ({ x, y }))
+    : null;
+  return { angleDeg: ((north.angleDeg % 360) + 360) % 360, arrow };
+};
+
+export const buildProject = ({
+  source,
+  scale,
+  affine,
+  calibrationLines,
+  controlPoints,
+  calibrationTolerance,
+  georeference = null,
+  plots,
+  measurements = [],
+  north = null,
+  units,
+  view,
+}) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  savedAt: new Date().toISOString(),
+  source,
+  calibration: {
+    scale,
+    affine,
+    lines: calibrationLines,
+    controlPoints,
+    tolerancePct: calibrationTolerance,
+  },
+  georeference,
+  plots: plots
+    .filter(p => p.points.length > 0)
+    .map(({ name, color, points, isFinished }) => ({ name, color, points, isFinished })),
+  measurements: measurements.map(({ kind, name, points }) => ({ kind, name, points })),
+  north,
+  units,
+  view,
+});
+
+// Version 1 files carry only the scale and points (and, from later builds, the PDF page)
+const migrateV1 = (obj) => {
+  let plots;
+  if (Array.isArray(obj.plots)) {
+    plots = obj.plots.map(p => ({ name: p.name, color: p.color, points: p.points, isFinished: true }));
+  } else if (isPointList(obj.plotPoints)) {
+    plots = [{ points: obj.plotPoints, isFinished: false }];
+  } else {
+    throw new Error('Invalid points');
+  }
+  return {
+    format: PROJECT_FORMAT,
+    version: 2,
+    source: obj.page !== undefined ? { page: obj.page } : {},
+    calibration: { scale: obj.scale ?? null, affine: obj.affine ?? null, lines: [], controlPoints: [] },
+    plots,
+  };
+};
+
+const MIGRATIONS = { 1: migrateV1 };
+
+// One perspective correction: the four marked corners and the rectangle's known aspect ratio
+const parsePerspectiveStep = (step) => {
+  if (!step || !Array.isArray(step.corners) || step.corners.length !== 4 || !step.corners.every(isPoint)) {
+    throw new Error('Invalid perspective');
+  }
+  return {
+    corners: step.corners.map(({ x, y }) => ({ x, y })),
+    aspect: step.aspect > 0 ? step.aspect : null,
+    cropToRect: Boolean(step.cropToRect),
+  };
+};
+
+/**
+ * Brings any supported file up to PROJECT_VERSION and validates it.
+ * Returns the normalized project; throws with a message suitable for a toast.
+ */
+export const parseProject = (obj) => {
+  if (!obj || typeof obj !== 'object') throw new Error('Invalid file');
+  let project = obj;
+  let version = obj.format === PROJECT_FORMAT ? obj.version : 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error('Invalid version');
+  const fileVersion = version;
+  if (version > PROJECT_VERSION) throw new Error('ফাইলটি অ্যাপের নতুন সংস্করণে তৈরি — অ্যাপ আপডেট করুন');
+  while (version < PROJECT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version = project.version;
+  }
+
+  const calibration = project.calibration || {};
+  if (calibration.scale != null && !(Number.isFinite(calibration.scale) && calibration.scale > 0)) throw new Error('Invalid scale');
+  const plots = Array.isArray(project.plots) ? project.plots : [];
+  if (plots.some(p => !isPointList(p.points) || (p.isFinished && p.points.length < 3))) throw new Error('Invalid points');
+  const source = project.source || {};
+  if (source.page !== undefined && !(Number.isInteger(source.page) && source.page >= 1)) throw new Error('Invalid page');
+
+  return {
+    version,
+    migratedFrom: fileVersion < version ? fileVersion : null,
+    source: {
+      name: typeof source.name === 'string' ? source.name : null,
+      type: typeof source.type === 'string' ? source.type : null,
+      size: Number.isFinite(source.size) ? source.size : null,
+      sha256: typeof source.sha256 === 'string' ? source.sha256 : null,
+      page: source.page ?? null,
+      perspective: Array.isArray(source.perspective) ? source.perspective.map(parsePerspectiveStep) : [],
+    },
+    calibration: {
+      scale: calibration.scale ?? null,
+      affine: isAffine(calibration.affine) ? calibration.affine : null,
+      lines: Array.isArray(calibration.lines)
+        ? calibration.lines.filter(l => l && typeof l.id === 'string' && Array.isArray(l.points) && l.points.length === 4 && l.realFt > 0)
+        : [],
+      controlPoints: Array.isArray(calibration.controlPoints)
+        ? calibration.controlPoints.filter(p => p && typeof p.id === 'string' && isPoint(p))
+        : [],
+      tolerancePct: Number.isFinite(calibration.tolerancePct) ? calibration.tolerancePct : null,
+    },
+    georeference: parseGeoreference(project.georeference),
+    plots: plots.map(p => ({
+      name: typeof p.name === 'string' ? p.name : null,
+      color: typeof p.color === 'string' ? p.color : null,
+      points: p.points.map(pt => withBulge(pt, Number.isFinite(pt.bulge) ? clampBulge(pt.bulge) : 0)),
+      isFinished: Boolean(p.isFinished),
+    })),
+    measurements: parseMeasurements(project.measurements),
+    north: parseNorth(project.north),
+    units: project.units && typeof project.units === 'object' ? project.units : null,
+    view: project.view && Number.isFinite(project.view.stageScale) && isPoint(project.view.stagePos) ? project.view : null,
+  };
+};
+
+export const createProjectBundle = (project, mapFile) => createZip([
+  { name: PROJECT_JSON_NAME, data: JSON.stringify(project, null, 2) },
+  { name: `${MAP_FOLDER}${mapFile.name || 'map'}`, data: mapFile },
+]);
+
+const MIME_BY_EXTENSION = { pdf: 'application/pdf', png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg' };
+
+// Returns { project (raw object), mapFile (File or null) }
+export const readProjectBundle = async (blob) => {
+  const entries = await readZip(blob);
+  const json = entries.find(e => e.name === PROJECT_JSON_NAME || e.name.endsWith(`/${PROJECT_JSON_NAME}`));
+  if (!json) throw new Error('বান্ডেলে project.json নেই');
+  const project = JSON.parse(new TextDecoder().decode(json.data));
+  const map = entries.find(e => e.name.startsWith(MAP_FOLDER));
+  if (!map) return { project, mapFile: null };
+  const name = map.name.slice(MAP_FOLDER.length);
+  const extension = name.split('.').pop().toLowerCase();
+  const type = (project.source && project.source.type) || MIME_BY_EXTENSION[extension] || '';
+  return { project, mapFile: new File([map.data], name, { type }) };
+};
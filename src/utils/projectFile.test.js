@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { PROJECT_FORMAT, PROJECT_VERSION, buildProject, createProjectBundle, parseProject, readProjectBundle } from './projectFile';
+
+const square = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 0, y: 100 }];
+
+const project = () => buildProject({
+  source: { name: 'mouza.png', type: 'image/png', size: 3, sha256: 'abc', perspective: [] },
+  scale: 2,
+  affine: null,
+  calibrationLines: [{ id: 'l1', points: [0, 0, 100, 0], realFt: 50 }],
+  controlPoints: [],
+  calibrationTolerance: 1,
+  plots: [
+    { id: 'p1', name: 'দাগ ১২', color: '#3182CE', points: [{ x: 0, y: 0, bulge: 0.5 }, ...square.slice(1)], isFinished: true },
+    { id: 'p2', name: 'empty', color: '#E53E3E', points: [], isFinished: false },
+  ],
+  measurements: [{ id: 'm1', kind: 'distance', name: 'রাস্তা', points: [{ x: 0, y: 0 }, { x: 10, y: 0 }] }],
+  north: { angleDeg: 12, arrow: null },
+  units: { lengthUnitId: 'ft' },
+  view: { stageScale: 1, stagePos: { x: 0, y: 0 } },
+});
+
+describe('parseProject', () => {
+  it('reads back what buildProject writes, dropping empty plots', () => {
+    const parsed = parseProject(JSON.parse(JSON.stringify(project())));
+    expect(parsed.version).toBe(PROJECT_VERSION);
+    expect(parsed.migratedFrom).toBeNull();
+    expect(parsed.calibration.scale).toBe(2);
+    expect(parsed.calibration.lines).toHaveLength(1);
+    expect(parsed.plots).toHaveLength(1);
+    expect(parsed.plots[0]).toMatchObject({ name: 'দাগ ১২', isFinished: true });
+    expect(parsed.plots[0].points[0]).toEqual({ x: 0, y: 0, bulge: 0.5 });
+    expect(parsed.measurements).toEqual([{ kind: 'distance', name: 'রাস্তা', points: [{ x: 0, y: 0 }, { x: 10, y: 0 }] }]);
+    expect(parsed.north).toEqual({ angleDeg: 12, arrow: null });
+  });
+
+  it('migrates version 1 files with named plots', () => {
+    const parsed = parseProject({ scale: 1.5, page: 2, plots: [{ name: 'A', color: '#000000', points: square }] });
+    expect(parsed.migratedFrom).toBe(1);
+    expect(parsed.version).toBe(PROJECT_VERSION);
+    expect(parsed.calibration.scale).toBe(1.5);
+    expect(parsed.source.page).toBe(2);
+    expect(parsed.plots[0]).toMatchObject({ name: 'A', isFinished: true, points: square });
+    expect(parsed.measurements).toEqual([]);
+  });
+
+  it('migrates version 1 files with one plot being drawn', () => {
+    const parsed = parseProject({ scale: 1, plotPoints: square.slice(0, 2) });
+    expect(parsed.plots).toEqual([{ name: null, color: null, points: square.slice(0, 2), isFinished: false }]);
+  });
+
+  it('clamps bulges and drops malformed optional parts', () => {
+    const raw = { ...project(), north: { angleDeg: -90 }, measurements: [{ kind: 'angle', points: [{ x: 0, y: 0 }] }] };
+    raw.plots[0].points[0].bulge = 40;
+    const parsed = parseProject(raw);
+    expect(parsed.plots[0].points[0].bulge).toBe(3);
+    expect(parsed.north).toEqual({ angleDeg: 270, arrow: null });
+    expect(parsed.measurements).toEqual([]);
+  });
+
+  it('rejects bad files and newer versions', () => {
+    expect(() => parseProject(null)).toThrow();
+    expect(() => parseProject({ scale: -1, plots: [] })).toThrow('Invalid scale');
+    expect(() => parseProject({ scale: 1, plots: [{ points: square.slice(0, 2), isFinished: true }] })).toThrow('Invalid points');
+    expect(() => parseProject({ scale: 1 })).toThrow('Invalid points');
+    expect(() => parseProject({ format: PROJECT_FORMAT, version: PROJECT_VERSION + 1 })).toThrow();
+  });
+});
+
+describe('project bundles', () => {
+  it('round-trip the project and the map file', async () => {
+    const map = new File([new Uint8Array([137, 80, 78, 71])], 'mouza.png', { type: 'image/png' });
+    const { project: raw, mapFile } = await readProjectBundle(await createProjectBundle(project(), map));
+    expect(parseProject(raw).plots[0].name).toBe('দাগ ১২');
+    expect(mapFile.name).toBe('mouza.png');
+    expect(mapFile.type).toBe('image/png');
+    expect([...new Uint8Array(await mapFile.arrayBuffer())]).toEqual([137, 80, 78, 71]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Recent Projects Store
+ * Saved sessions live in IndexedDB so they survive a refresh and work offline.
+ * A project record is { id, name, mapName, mapKey, project (project file object),
+ * thumbnail (data URL), createdAt, updatedAt } with times in epoch milliseconds.
+ * Map files are stored once per content in a separate store keyed by `mapKey`,
+ * so autosaves and duplicates do not copy large PDFs again.
+ */
+const DB_NAME = 'mouza-map';
+const DB_VERSION = 1;
+const PROJECTS = 'projects';
+const MAPS = 'maps';
+// Oldest projects beyond this are dropped so map files do not fill the device
+export const RECENT_PROJECTS_LIMIT = 30;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(PROJECTS, { keyPath: 'id' });
+        request.result.createObjectStore(MAPS, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open (private mode, blocked storage) may succeed on a later attempt
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `fn(stores)` in one transaction and resolves with the last request's result once it commits
+const transact = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([PROJECTS, MAPS], mode);
+    const request = fn({ projects: tx.objectStore(PROJECTS), maps: tx.objectStore(MAPS) });
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const createProjectId = () => `prj-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Content hash when known, otherwise name and size
+export const getMapKey = (file, hash) => hash || `file:${file.name}:${file.size}`;
+
+// Newest first
+export const listProjects = async () => {
+  const records = await transact('readonly', ({ projects }) => projects.getAll());
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getProject = (id) => transact('readonly', ({ projects }) => projects.get(id));
+
+export const getMapFile = async (key) => {
+  const entry = await transact('readonly', ({ maps }) => maps.get(key));
+  return entry ? entry.file : null;
+};
+
+// Removes map files no project points to any more
+const removeUnusedMaps = async () => {
+  const [records, keys] = await Promise.all([
+    transact('readonly', ({ projects }) => projects.getAll()),
+    transact('readonly', ({ maps }) => maps.getAllKeys()),
+  ]);
+  const used = new Set(records.map(r => r.mapKey));
+  const unused = keys.filter(key => !used.has(key));
+  if (unused.length > 0) {
+    await transact('readwrite', ({ maps }) => {
+      unused.forEach(key => maps.delete(key));
+    });
+  }
+};
+
+export const saveProject = async (record, mapFile) => {
+  const hasMap = await transact('readonly', ({ maps }) => maps.count(record.mapKey));
+  await transact('readwrite', ({ projects, maps }) => {
+    if (!hasMap) maps.put({ key: record.mapKey, file: mapFile });
+    return projects.put(record);
+  });
+  const records = await listProjects();
+  const stale = records.slice(RECENT_PROJECTS_LIMIT);
+  if (stale.length > 0) {
+    await transact('readwrite', ({ projects }) => {
+      stale.forEach(r => projects.delete(r.id));
+    });
+    await removeUnusedMaps();
+  }
+};
+
+export const deleteProject = async (id) => {
+  await transact('readwrite', ({ projects }) => projects.delete(id));
+  await removeUnusedMaps();
+};
+
+export const renameProject = async (id, name) => {
+  const record = await getProject(id);
+  if (!record) throw new Error('প্রজেক্টটি পাওয়া যায়নি');
+  await transact('readwrite', ({ projects }) => projects.put({ ...record, name }));
+};
+
+export const duplicateProject = async (id, name) => {
+  const record = await getProject(id);
+  if (!record) throw new Error('প্রজেক্টটি পাওয়া যায়নি');
+  const now = Date.now();
+  const copy = { ...record, id: createProjectId(), name, createdAt: now, updatedAt: now };
+  await transact('readwrite', ({ projects }) => projects.put(copy));
+  return copy;
+};
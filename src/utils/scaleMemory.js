@@ -0,0 +1,63 @@
+/**
+ * Per-map Scale Memory
+ * Calibrations are remembered per map, keyed by the file's content hash plus the PDF page
+ * and any perspective corrections (both change the pixel grid the scale belongs to).
+ * Stored in localStorage as { [key]: { scale, affine, savedAt } }.
+ */
+const STORAGE_KEY = 'mapScales';
+// Older global value from before scales were stored per map
+const LEGACY_STORAGE_KEY = 'mapScale';
+const MAX_ENTRIES = 200;
+
+// Short stable hash of the perspective steps so keys stay readable
+const hashString = (text) => {
+  let h = 5381;
+  for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+};
+
+export const getScaleMemoryKey = ({ sha256, page = null, perspectiveSteps = [] }) => {
+  if (!sha256) return null;
+  let key = sha256;
+  if (page) key += `#p${page}`;
+  if (perspectiveSteps.length > 0) key += `#r${hashString(JSON.stringify(perspectiveSteps))}`;
+  return key;
+};
+
+const readAll = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+export const recallScale = (key) => {
+  if (!key) return null;
+  const entry = readAll()[key];
+  return entry && Number.isFinite(entry.scale) && entry.scale > 0 ? entry : null;
+};
+
+export const rememberScale = (key, scale, affine = null) => {
+  if (!key || !(scale > 0)) return;
+  const all = readAll();
+  all[key] = { scale, affine, savedAt: Date.now() };
+  // Keep the most recently calibrated maps
+  const keys = Object.keys(all).sort((a, b) => all[b].savedAt - all[a].savedAt);
+  keys.slice(MAX_ENTRIES).forEach(k => delete all[k]);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch {
+    // ignore storage errors
+  }
+};
+
+// The single global scale was applied to every map; it cannot be tied to one, so it is dropped
+export const clearLegacyScale = () => {
+  try {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  } catch {
+    // ignore storage errors
+  }
+};
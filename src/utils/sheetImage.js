@@ -0,0 +1,77 @@
+/**
+ * Sheet Images
+ * A PDF page or a large raster is shown through a bounded overview canvas. The overview
+ * remembers the sheet's full-resolution size, which stays the stage coordinate system,
+ * and how to render any part of the sheet sharply on demand. Code that reads pixels
+ * (tracing, snapping, perspective) samples the overview, scaled by getSheetFactor.
+ */
+// Overview canvases stay within what phones can allocate (iOS caps a canvas at 16.7 MP)
+export const SHEET_OVERVIEW_MAX_SIDE = 4096;
+// Rasters from this size up are tiled; smaller ones are drawn as one image
+export const LARGE_SHEET_PIXELS = 8e6;
+
+const sheetByImage = new WeakMap();
+
+/**
+ * Marks `canvas` as the overview of a sheet. `sheet` is
+ * { width, height, maxLevel, renderRegion(rect, factor) }: rect is in sheet pixels and the
+ * result is a canvas of rect times factor. Returns the canvas.
+ */
+export const registerSheet = (canvas, sheet) => {
+  sheetByImage.set(canvas, sheet);
+  return canvas;
+};
+
+export const getSheet = (image) => (image && sheetByImage.get(image)) || null;
+
+// Full-resolution size of the working image, in stage pixels
+export const getSheetSize = (image) => {
+  const sheet = getSheet(image);
+  return sheet ? { width: sheet.width, height: sheet.height } : { width: image.width, height: image.height };
+};
+
+// Image pixels per stage pixel: below 1 for a sheet's overview
+export const getSheetFactor = (image) => {
+  const sheet = getSheet(image);
+  return sheet ? image.width / sheet.width : 1;
+};
+
+export const sheetOverviewFactor = (width, height) => Math.min(1, SHEET_OVERVIEW_MAX_SIDE / Math.max(width, height));
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width));
+  canvas.height = Math.max(1, Math.ceil(height));
+  return canvas;
+};
+
+/**
+ * Decodes a map image file once. Small rasters resolve to the decoded bitmap; large ones to
+ * a sheet overview, with the bitmap kept to crop tiles from as the view needs them, so no
+ * full-resolution canvas is ever allocated and the file is not decoded again per tile.
+ */
+export const loadRasterImage = async (file) => {
+  const bitmap = await createImageBitmap(file);
+  const { width, height } = bitmap;
+  if (width * height < LARGE_SHEET_PIXELS) return bitmap;
+
+  const factor = sheetOverviewFactor(width, height);
+  const canvas = createCanvas(width * factor, height * factor);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+  return registerSheet(canvas, {
+    width,
+    height,
+    // Rasters have no detail past their native resolution
+    maxLevel: 0,
+    renderRegion: async (rect, regionFactor) => {
+      const tile = createCanvas(rect.width * regionFactor, rect.height * regionFactor);
+      const tileCtx = tile.getContext('2d');
+      tileCtx.imageSmoothingQuality = 'high';
+      tileCtx.drawImage(bitmap, rect.x, rect.y, rect.width, rect.height, 0, 0, tile.width, tile.height);
+      return tile;
+    },
+  });
+};
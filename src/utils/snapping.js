@@ -0,0 +1,136 @@
+import { sampleLuminance, inkThreshold } from './imageSampling';
+import { outlinePoints } from './arcs';
+
+/**
+ * Magnetic Snapping
+ * Pulls a point onto something nearby on the sheet: a corner of another plot, a point on
+ * another plot's side, or a dark boundary line printed on the map. The tolerance is set in
+ * screen pixels and converted to stage pixels by the caller, so it feels the same at any zoom.
+ */
+const STORAGE_KEY = 'snapSettings';
+
+export const DEFAULT_SNAP_SETTINGS = {
+  enabled: true,
+  tolerancePx: 12,
+  vertices: true,
+  edges: true,
+  imageLines: true,
+};
+
+export const loadSnapSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return DEFAULT_SNAP_SETTINGS;
+    return { ...DEFAULT_SNAP_SETTINGS, ...saved };
+  } catch {
+    return DEFAULT_SNAP_SETTINGS;
+  }
+};
+
+export const saveSnapSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage full or disabled; snapping still works for this session
+  }
+};
+
+const nearestVertex = (point, plots, tolerance) => {
+  let best = null;
+  plots.forEach(plot => plot.points.forEach(p => {
+    const d = Math.hypot(p.x - point.x, p.y - point.y);
+    if (d <= tolerance && (!best || d < best.distance)) best = { kind: 'vertex', point: p, distance: d };
+  }));
+  return best;
+};
+
+const nearestEdgePoint = (point, plots, tolerance) => {
+  let best = null;
+  plots.forEach(plot => {
+    // Curved sides are followed through their flattened outline
+    const points = plot.isFinished ? outlinePoints(plot.points) : plot.points;
+    const n = points.length;
+    const segments = plot.isFinished ? n : n - 1;
+    for (let i = 0; i < segments; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % n];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lenSq = dx * dx + dy * dy;
+      if (lenSq === 0) continue;
+      const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lenSq));
+      const p = { x: a.x + dx * t, y: a.y + dy * t };
+      const d = Math.hypot(p.x - point.x, p.y - point.y);
+      if (d <= tolerance && (!best || d < best.distance)) best = { kind: 'edge', point: p, distance: d };
+    }
+  });
+  return best;
+};
+
+/**
+ * Nearest dark line in the map image, at the middle of the stroke. The window around the
+ * point is resampled to `samplePx` pixels across, so the cost does not grow with zoom.
+ */
+const nearestImageLine = (point, image, tolerance, samplePx) => {
+  if (!image || typeof document === 'undefined') return null;
+  const size = Math.max(8, Math.round(samplePx));
+  const pxPerSample = (tolerance * 2) / size;
+  const x0 = point.x - tolerance;
+  const y0 = point.y - tolerance;
+  const lum = sampleLuminance(image, { x: x0, y: y0, width: tolerance * 2, height: tolerance * 2 }, size, size);
+  const threshold = inkThreshold(lum);
+  const isDark = (i) => lum[i] < threshold;
+
+  const c = size / 2;
+  let nearest = -1;
+  let nearestDist = Infinity;
+  for (let i = 0; i < lum.length; i++) {
+    if (!isDark(i)) continue;
+    const d = Math.hypot((i % size) + 0.5 - c, Math.floor(i / size) + 0.5 - c);
+    if (d <= c && d < nearestDist) {
+      nearest = i;
+      nearestDist = d;
+    }
+  }
+  if (nearest < 0) return null;
+
+  // Centre of the ink around the nearest dark pixel, which sits on the middle of the stroke
+  const nx = nearest % size;
+  const ny = Math.floor(nearest / size);
+  const r = 2;
+  let sx = 0;
+  let sy = 0;
+  let count = 0;
+  for (let y = Math.max(0, ny - r); y <= Math.min(size - 1, ny + r); y++) {
+    for (let x = Math.max(0, nx - r); x <= Math.min(size - 1, nx + r); x++) {
+      if (isDark(y * size + x)) {
+        sx += x + 0.5;
+        sy += y + 0.5;
+        count++;
+      }
+    }
+  }
+  const p = { x: x0 + (sx / count) * pxPerSample, y: y0 + (sy / count) * pxPerSample };
+  return { kind: 'line', point: p, distance: Math.hypot(p.x - point.x, p.y - point.y) };
+};
+
+/**
+ * Best snap for `point` (stage pixels) within `tolerance` (stage pixels).
+ * Corners win over sides, and sides over map lines, since a drawn plot is more exact than ink.
+ * `stageScale` sets the image sampling resolution to screen pixels.
+ * Returns { kind: 'vertex' | 'edge' | 'line', point } or null.
+ */
+export const findSnapTarget = (point, { plots, excludePlotId = null, image = null, tolerance, stageScale = 1, settings }) => {
+  if (!settings.enabled || !(tolerance > 0)) return null;
+  const others = plots.filter(p => p.id !== excludePlotId && p.points.length > 0);
+  const found = (settings.vertices && nearestVertex(point, others, tolerance))
+    || (settings.edges && nearestEdgePoint(point, others, tolerance))
+    || (settings.imageLines && nearestImageLine(point, image, tolerance, tolerance * 2 * stageScale));
+  return found ? { kind: found.kind, point: found.point } : null;
+};
+
+export const SNAP_KIND_LABELS = {
+  vertex: 'কোণ',
+  edge: 'বাহু',
+  line: 'ম্যাপের রেখা',
+};
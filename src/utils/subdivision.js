@@ -0,0 +1,159 @@
+import { SHOTOK_SQ_FT } from './landUnits';
+
+/**
+ * Plot Subdivision (বণ্টন)
+ * Splits a plot with parallel cut lines, swept across it until each part holds its share.
+ * Works on stage pixels: any calibration, affine included, scales every area by the same
+ * factor and keeps parallel lines parallel, so pixel shares are ground shares.
+ * On a concave plot a cut can cross it more than once, so one share can come out as
+ * several separate pieces.
+ */
+
+const polygonArea = (points) => {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % points.length];
+    sum += p1.x * p2.y - p2.x * p1.y;
+  }
+  return Math.abs(sum / 2);
+};
+
+// Pieces of the polygon where n·p <= t. A cut across a concave plot can leave several
+// separate pieces; each comes back as its own simple polygon.
+const splitBelow = (points, n, t) => {
+  const side = (p) => n.x * p.x + n.y * p.y - t;
+  // Points on the line count as below, so every crossing is a clean change of side
+  const nodes = [];
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const sa = side(a);
+    const sb = side(b);
+    if (sa <= 0) nodes.push({ p: a });
+    if ((sa <= 0) !== (sb <= 0)) {
+      const k = sa / (sa - sb);
+      nodes.push({ p: { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k }, entering: sb <= 0 });
+    }
+  }
+  const crossings = nodes.filter(node => node.entering !== undefined);
+  if (crossings.length === 0) return nodes.length >= 3 ? [points] : [];
+  // Along the cut line, crossings pair up into the stretches that lie inside the polygon
+  const along = (node) => n.y * node.p.x - n.x * node.p.y;
+  const sorted = [...crossings].sort((a, b) => along(a) - along(b));
+  for (let i = 0; i + 1 < sorted.length; i += 2) {
+    sorted[i].partner = sorted[i + 1];
+    sorted[i + 1].partner = sorted[i];
+  }
+
+  // Walk the boundary below the line; at each exit, follow the cut to where the boundary comes back
+  const pieces = [];
+  const visited = new Set();
+  crossings.filter(c => c.entering).forEach(start => {
+    if (visited.has(start)) return;
+    const piece = [];
+    let i = nodes.indexOf(start);
+    for (let guard = 0; guard <= nodes.length; guard++) {
+      const node = nodes[i];
+      visited.add(node);
+      piece.push(node.p);
+      if (node.entering === false) {
+        if (!node.partner || node.partner === start) break;
+        visited.add(node.partner);
+        piece.push(node.partner.p);
+        i = nodes.indexOf(node.partner);
+      }
+      i = (i + 1) % nodes.length;
+      if (nodes[i] === start) break;
+    }
+    // Drop repeated points where the cut runs through a vertex
+    const ring = piece.filter((p, k) => {
+      const q = piece[(k + 1) % piece.length];
+      return Math.hypot(p.x - q.x, p.y - q.y) > 1e-9;
+    });
+    if (ring.length >= 3 && polygonArea(ring) > 1e-9) pieces.push(ring);
+  });
+  return pieces;
+};
+
+const splitBetween = (points, n, t0, t1) => splitBelow(points, n, t1)
+  .flatMap(piece => splitBelow(piece, { x: -n.x, y: -n.y }, -t0));
+
+const piecesArea = (pieces) => pieces.reduce((sum, piece) => sum + polygonArea(piece), 0);
+
+/**
+ * Share weights from the chosen method:
+ * 'equal' → `count` equal parts; 'ratio' → text like "2:1:1";
+ * 'amount' → শতক per part separated by commas, with any remainder as one more part.
+ * Returns { weights } or { error }.
+ */
+export const resolveShares = ({ method, count, ratio, amounts }, totalSqft) => {
+  if (method === 'equal') {
+    const n = parseInt(count, 10);
+    if (!(n >= 2 && n <= 50)) return { error: '২ থেকে ৫০টি অংশ দিন' };
+    return { weights: Array(n).fill(1) };
+  }
+  if (method === 'ratio') {
+    const weights = String(ratio).split(/[:,\s]+/).filter(Boolean).map(Number);
+    if (weights.length < 2 || !weights.every(w => Number.isFinite(w) && w > 0)) return { error: 'অনুপাত লিখুন, যেমন 2:1:1' };
+    return { weights };
+  }
+  const shotok = String(amounts).split(/[,\s]+/).filter(Boolean).map(Number);
+  if (shotok.length === 0 || !shotok.every(v => Number.isFinite(v) && v > 0)) return { error: 'প্রতিটি অংশের শতক কমা দিয়ে লিখুন, যেমন 3.5, 2' };
+  const weights = shotok.map(v => v * SHOTOK_SQ_FT);
+  const used = weights.reduce((a, b) => a + b, 0);
+  const remainder = totalSqft - used;
+  // Allow rounding in typed amounts (0.01%)
+  if (remainder < -totalSqft * 1e-4) return { error: `মোট ${(used / SHOTOK_SQ_FT).toFixed(4)} শতক — প্লটের ${(totalSqft / SHOTOK_SQ_FT).toFixed(4)} শতকের বেশি` };
+  if (remainder > totalSqft * 1e-4) weights.push(remainder);
+  if (weights.length < 2) return { error: 'অন্তত ২টি অংশ দরকার' };
+  return { weights };
+};
+
+/**
+ * Splits `points` into parts with areas proportional to `weights`.
+ * Cuts are parallel or perpendicular to side `sideIndex` (vertex i → i + 1), swept from
+ * that side across the plot, or from the opposite end when `fromOppositeEnd` is set.
+ * `side` ([a, b]) gives the reference side directly, for an outline whose arcs were flattened.
+ * Returns, in the same order as the weights, each share's pieces as a list of point lists.
+ */
+export const subdividePolygon = (points, weights, { sideIndex = 0, side = null, orientation = 'parallel', fromOppositeEnd = false } = {}) => {
+  const [a, b] = side || [points[sideIndex % points.length], points[(sideIndex + 1) % points.length]];
+  const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+  const along = { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+  // Cut lines run along `along` for parallel cuts, so the sweep goes along its normal
+  let n = orientation === 'parallel' ? { x: -along.y, y: along.x } : along;
+  // Start the sweep at the chosen side: for parallel cuts that side must have the smallest offset
+  const offsets = points.map(p => n.x * p.x + n.y * p.y);
+  const sideOffset = n.x * a.x + n.y * a.y;
+  const mean = offsets.reduce((s, v) => s + v, 0) / offsets.length;
+  if (orientation === 'parallel' && sideOffset > mean) n = { x: -n.x, y: -n.y };
+  if (fromOppositeEnd) n = { x: -n.x, y: -n.y };
+
+  const proj = points.map(p => n.x * p.x + n.y * p.y);
+  const tMin = Math.min(...proj);
+  const tMax = Math.max(...proj);
+  const total = polygonArea(points);
+  const weightSum = weights.reduce((s, w) => s + w, 0);
+
+  // Offset where the area below the line reaches `target`; area grows monotonically with t
+  const offsetFor = (target) => {
+    let lo = tMin;
+    let hi = tMax;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (piecesArea(splitBelow(points, n, mid)) < target) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  };
+
+  const cuts = [tMin];
+  let cumulative = 0;
+  weights.slice(0, -1).forEach(w => {
+    cumulative += w;
+    cuts.push(offsetFor((total * cumulative) / weightSum));
+  });
+  cuts.push(tMax);
+  return weights.map((_, i) => splitBetween(points, n, cuts[i], cuts[i + 1]));
+};
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { resolveShares, subdividePolygon } from './subdivision';
+import { hasGeometryErrors, validatePolygon } from './geometryValidation';
+import { SHOTOK_SQ_FT } from './landUnits';
+
+const area = (points) => Math.abs(points.reduce((sum, p, i) => {
+  const q = points[(i + 1) % points.length];
+  return sum + p.x * q.y - q.x * p.y;
+}, 0)) / 2;
+
+const rect = [{ x: 0, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 100 }, { x: 0, y: 100 }];
+// L shape: 200 × 200 with the top-right 100 × 100 missing
+const ell = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }, { x: 200, y: 100 }, { x: 200, y: 200 }, { x: 0, y: 200 }];
+// U shape: 300 × 200 with a 100 × 150 gap between the arms, over a base 50 deep
+const yoo = [{ x: 0, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 200 }, { x: 200, y: 200 }, { x: 200, y: 50 }, { x: 100, y: 50 }, { x: 100, y: 200 }, { x: 0, y: 200 }];
+
+// Shares whose cuts stay in one piece
+const single = (parts) => parts.map((pieces) => {
+  expect(pieces).toHaveLength(1);
+  return pieces[0];
+});
+
+describe('subdividePolygon', () => {
+  it('cuts equal strips parallel to the chosen side, starting from it', () => {
+    const parts = single(subdividePolygon(rect, [1, 1, 1], { sideIndex: 0 }));
+    parts.forEach(part => expect(area(part)).toBeCloseTo(10000, 6));
+    // The first part touches side 0 (y = 0), the last the opposite side
+    expect(Math.min(...parts[0].map(p => p.y))).toBeCloseTo(0, 9);
+    expect(Math.max(...parts[2].map(p => p.y))).toBeCloseTo(100, 9);
+    parts.forEach(part => expect(Math.max(...part.map(p => p.x)) - Math.min(...part.map(p => p.x))).toBeCloseTo(300, 9));
+  });
+
+  it('sweeps from the opposite end and cuts perpendicular to the side', () => {
+    const [first] = single(subdividePolygon(rect, [1, 2], { sideIndex: 0, orientation: 'perpendicular', fromOppositeEnd: true }));
+    expect(area(first)).toBeCloseTo(10000, 6);
+    expect(Math.max(...first.map(p => p.x))).toBeCloseTo(300, 9);
+  });
+
+  it('shares a concave plot by weight', () => {
+    const parts = single(subdividePolygon(ell, [2, 1], { sideIndex: 5 }));
+    const total = area(ell);
+    expect(area(parts[0])).toBeCloseTo((total * 2) / 3, 4);
+    expect(area(parts[1])).toBeCloseTo(total / 3, 4);
+  });
+
+  it('takes the reference direction from `side` when given', () => {
+    const parts = single(subdividePolygon(rect, [1, 1], { side: [{ x: 0, y: 0 }, { x: 0, y: 100 }] }));
+    expect(Math.max(...parts[0].map(p => p.x))).toBeCloseTo(150, 6);
+  });
+
+  it('splits a share that a cut leaves in separate pieces into simple polygons', () => {
+    // Halving 45000 cuts parallel to the base through both arms, 87.5 up
+    const [base, arms] = subdividePolygon(yoo, [1, 1], { sideIndex: 0 });
+    expect(base).toHaveLength(1);
+    expect(area(base[0])).toBeCloseTo(22500, 4);
+    expect(arms).toHaveLength(2);
+    [...base, ...arms].forEach(piece => expect(hasGeometryErrors(validatePolygon(piece))).toBe(false));
+    arms.forEach(piece => expect(area(piece)).toBeCloseTo(11250, 4));
+  });
+});
+
+describe('resolveShares', () => {
+  it('makes equal and ratio weights', () => {
+    expect(resolveShares({ method: 'equal', count: '3' }, 0)).toEqual({ weights: [1, 1, 1] });
+    expect(resolveShares({ method: 'ratio', ratio: '2:1 : 1' }, 0)).toEqual({ weights: [2, 1, 1] });
+    expect(resolveShares({ method: 'equal', count: '1' }, 0).error).toBeTruthy();
+    expect(resolveShares({ method: 'ratio', ratio: '2:x' }, 0).error).toBeTruthy();
+  });
+
+  it('turns শতক amounts into weights with the rest as one more part', () => {
+    const total = 10 * SHOTOK_SQ_FT;
+    const { weights } = resolveShares({ method: 'amount', amounts: '3.5, 2' }, total);
+    expect(weights).toHaveLength(3);
+    [3.5, 2, 4.5].forEach((shotok, i) => expect(weights[i] / SHOTOK_SQ_FT).toBeCloseTo(shotok, 9));
+    expect(resolveShares({ method: 'amount', amounts: '6 4' }, total).weights).toHaveLength(2);
+    expect(resolveShares({ method: 'amount', amounts: '6, 5' }, total).error).toBeTruthy();
+  });
+});
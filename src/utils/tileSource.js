@@ -0,0 +1,103 @@
+import { getSheet, LARGE_SHEET_PIXELS } from './sheetImage';
+
+/**
+ * Tiled Map Rendering
+ * Large sheets are drawn as a small overview plus tiles of the visible area only.
+ * Tile levels are powers of two: at level L a tile has 2^L output pixels per image pixel,
+ * so negative levels are downsampled. Full-resolution sheet pixels stay the coordinate
+ * system for everything drawn on the stage. Sheets (PDF pages, large uploaded rasters) are
+ * already a bounded overview and render their own tiles; other large images, such as a
+ * rectified photo, are tiled from the image itself.
+ */
+export const TILE_SIZE = 512;
+// About 1 MB per tile; the cache stays well inside mobile canvas memory
+export const TILE_CACHE_LIMIT = 48;
+const OVERVIEW_MAX_SIDE = 2048;
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(width));
+  canvas.height = Math.max(1, Math.ceil(height));
+  return canvas;
+};
+
+// Downscaled copy of the whole sheet, drawn under the tiles while they load
+const createOverview = (image) => {
+  const factor = Math.min(1, OVERVIEW_MAX_SIDE / Math.max(image.width, image.height));
+  const canvas = createCanvas(image.width * factor, image.height * factor);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return { canvas, factor };
+};
+
+const createSource = (width, height, overview, maxLevel, renderTile) => ({
+  width,
+  height,
+  minLevel: Math.min(0, -Math.ceil(Math.log2(Math.max(width, height) / TILE_SIZE))),
+  maxLevel,
+  overview,
+  renderTile,
+});
+
+// Image-space rectangle covered by a tile, clipped to the sheet
+export const getTileRect = (source, level, tx, ty) => {
+  const span = TILE_SIZE / 2 ** level;
+  const x = tx * span;
+  const y = ty * span;
+  return { x, y, width: Math.min(span, source.width - x), height: Math.min(span, source.height - y) };
+};
+
+const createRasterTileSource = (image) => createSource(image.width, image.height, createOverview(image), 0, async (level, tx, ty, source) => {
+  const factor = 2 ** level;
+  const rect = getTileRect(source, level, tx, ty);
+  const canvas = createCanvas(rect.width * factor, rect.height * factor);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+});
+
+// The sheet's own canvas is the overview; no second copy is made
+const createSheetTileSource = (image, sheet) => createSource(
+  sheet.width,
+  sheet.height,
+  { canvas: image, factor: image.width / sheet.width },
+  sheet.maxLevel,
+  (level, tx, ty, source) => sheet.renderRegion(getTileRect(source, level, tx, ty), 2 ** level),
+);
+
+// Returns null when the plain single-image rendering is good enough
+export const createTileSource = (image) => {
+  if (!image) return null;
+  const sheet = getSheet(image);
+  if (sheet) return createSheetTileSource(image, sheet);
+  if (image.width * image.height >= LARGE_SHEET_PIXELS) return createRasterTileSource(image);
+  return null;
+};
+
+/**
+ * Level for the current zoom, given screen pixels per image pixel.
+ * Null means the overview is already sharp enough and no tiles are needed.
+ */
+export const chooseTileLevel = (source, screenPxPerImagePx) => {
+  if (screenPxPerImagePx <= source.overview.factor) return null;
+  const level = Math.ceil(Math.log2(screenPxPerImagePx));
+  return Math.max(source.minLevel, Math.min(source.maxLevel, level));
+};
+
+// Tiles of `level` intersecting the image-space rectangle
+export const getVisibleTiles = (source, level, view) => {
+  const span = TILE_SIZE / 2 ** level;
+  const x0 = Math.max(0, Math.floor(view.x / span));
+  const y0 = Math.max(0, Math.floor(view.y / span));
+  const x1 = Math.min(Math.ceil(source.width / span), Math.ceil((view.x + view.width) / span));
+  const y1 = Math.min(Math.ceil(source.height / span), Math.ceil((view.y + view.height) / span));
+  const tiles = [];
+  for (let ty = y0; ty < y1; ty++) {
+    for (let tx = x0; tx < x1; tx++) {
+      tiles.push({ key: `${level}:${tx}:${ty}`, level, tx, ty, ...getTileRect(source, level, tx, ty) });
+    }
+  }
+  return tiles;
+};
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+import { createTileSource, chooseTileLevel, getVisibleTiles, TILE_SIZE } from './tileSource';
+import { registerSheet, getSheetSize, getSheetFactor, sheetOverviewFactor, SHEET_OVERVIEW_MAX_SIDE } from './sheetImage';
+
+// A 10000 x 6000 sheet whose overview is bounded; tiles record what was asked of the sheet
+const makeSheet = () => {
+  const factor = sheetOverviewFactor(10000, 6000);
+  const overview = { width: Math.ceil(10000 * factor), height: Math.ceil(6000 * factor) };
+  const calls = [];
+  registerSheet(overview, {
+    width: 10000,
+    height: 6000,
+    maxLevel: 2,
+    renderRegion: async (rect, regionFactor) => {
+      calls.push({ rect, regionFactor });
+      return { width: rect.width * regionFactor, height: rect.height * regionFactor };
+    },
+  });
+  return { overview, calls };
+};
+
+describe('sheet images', () => {
+  it('keeps the full-resolution size for a bounded overview', () => {
+    const { overview } = makeSheet();
+    expect(Math.max(overview.width, overview.height)).toBe(SHEET_OVERVIEW_MAX_SIDE);
+    expect(getSheetSize(overview)).toEqual({ width: 10000, height: 6000 });
+    expect(getSheetFactor(overview)).toBeCloseTo(SHEET_OVERVIEW_MAX_SIDE / 10000);
+  });
+
+  it('uses the image size for plain images', () => {
+    const image = { width: 800, height: 600 };
+    expect(getSheetSize(image)).toEqual({ width: 800, height: 600 });
+    expect(getSheetFactor(image)).toBe(1);
+  });
+});
+
+describe('createTileSource', () => {
+  it('draws small plain images directly', () => {
+    expect(createTileSource(null)).toBeNull();
+    expect(createTileSource({ width: 2000, height: 1500 })).toBeNull();
+  });
+
+  it('tiles a sheet in full-resolution pixels over its own overview', () => {
+    const { overview } = makeSheet();
+    const source = createTileSource(overview);
+    expect(source).toMatchObject({ width: 10000, height: 6000, maxLevel: 2 });
+    expect(source.overview.canvas).toBe(overview);
+    expect(source.overview.factor).toBeCloseTo(getSheetFactor(overview));
+    expect(source.minLevel).toBe(-5);
+  });
+
+  it('renders sheet tiles from the sheet at the level factor', async () => {
+    const { overview, calls } = makeSheet();
+    const source = createTileSource(overview);
+    const tile = await source.renderTile(1, 3, 2, source);
+    const span = TILE_SIZE / 2;
+    expect(calls).toEqual([{ rect: { x: 3 * span, y: 2 * span, width: span, height: span }, regionFactor: 2 }]);
+    expect(tile).toEqual({ width: TILE_SIZE, height: TILE_SIZE });
+  });
+
+  it('clips edge tiles to the sheet', async () => {
+    const { overview, calls } = makeSheet();
+    const source = createTileSource(overview);
+    await source.renderTile(0, 19, 11, source);
+    expect(calls[0].rect).toEqual({ x: 19 * TILE_SIZE, y: 11 * TILE_SIZE, width: 10000 - 19 * TILE_SIZE, height: 6000 - 11 * TILE_SIZE });
+  });
+});
+
+describe('chooseTileLevel', () => {
+  it('needs no tiles while the overview is sharp enough', () => {
+    const source = createTileSource(makeSheet().overview);
+    expect(chooseTileLevel(source, source.overview.factor)).toBeNull();
+    expect(chooseTileLevel(source, 0.1)).toBeNull();
+  });
+
+  it('picks the next power of two and stops at the sheet limits', () => {
+    const source = createTileSource(makeSheet().overview);
+    expect(chooseTileLevel(source, 0.5)).toBe(-1);
+    expect(chooseTileLevel(source, 1.5)).toBe(1);
+    expect(chooseTileLevel(source, 16)).toBe(2);
+  });
+});
+
+describe('getVisibleTiles', () => {
+  it('lists the tiles under the view, inside the sheet', () => {
+    const source = createTileSource(makeSheet().overview);
+    const tiles = getVisibleTiles(source, 0, { x: -100, y: 600, width: 1000, height: 100 });
+    expect(tiles.map(t => [t.tx, t.ty])).toEqual([[0, 1], [1, 1]]);
+    expect(tiles[0]).toMatchObject({ key: '0:0:1', x: 0, y: TILE_SIZE, width: TILE_SIZE, height: TILE_SIZE });
+  });
+});
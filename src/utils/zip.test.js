@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from './zip';
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+// One-entry archive with a deflated entry, as other zip tools write them
+const deflatedZip = (name, content) => {
+  const nameBytes = new TextEncoder().encode(name);
+  const data = deflateRawSync(new TextEncoder().encode(content));
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034B50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(18, data.length, true);
+  local.setUint16(26, nameBytes.length, true);
+  const header = new DataView(new ArrayBuffer(46));
+  header.setUint32(0, 0x02014B50, true);
+  header.setUint16(10, 8, true);
+  header.setUint32(20, data.length, true);
+  header.setUint16(28, nameBytes.length, true);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + nameBytes.length, true);
+  end.setUint32(16, 30 + nameBytes.length + data.length, true);
+  return new Blob([local, nameBytes, data, header, nameBytes, end]);
+};
+
+describe('zip', () => {
+  it('round-trips strings, bytes and blobs with UTF-8 names', async () => {
+    const bytes = new Uint8Array([0, 1, 2, 250, 255]);
+    const zip = await createZip([
+      { name: 'project.json', data: '{"a":1}' },
+      { name: 'map/মৌজা.png', data: bytes },
+      { name: 'notes.txt', data: new Blob(['খতিয়ান']) },
+    ]);
+    const entries = await readZip(zip);
+    expect(entries.map(e => e.name)).toEqual(['project.json', 'map/মৌজা.png', 'notes.txt']);
+    expect(text(entries[0].data)).toBe('{"a":1}');
+    expect([...entries[1].data]).toEqual([...bytes]);
+    expect(text(entries[2].data)).toBe('খতিয়ান');
+  });
+
+  it('writes the standard CRC-32', async () => {
+    const zip = new Uint8Array(await (await createZip([{ name: 'a', data: '123456789' }])).arrayBuffer());
+    // CRC-32 check value of "123456789"
+    expect(new DataView(zip.buffer).getUint32(14, true)).toBe(0xCBF43926);
+  });
+
+  it('reads deflated entries', async () => {
+    const [entry] = await readZip(deflatedZip('project.json', 'x'.repeat(1000)));
+    expect(text(entry.data)).toBe('x'.repeat(1000));
+  });
+
+  it('rejects other files', async () => {
+    await expect(readZip(new Blob(['not a zip']))).rejects.toThrow();
+  });
+});